@@ -1,54 +1,3 @@
--- Enable pgvector extension
+-- Enable pgvector extension (run by the postgres image on first start)
+-- The schema itself is created by the backend's migrations (sql/migrations, applied at startup)
 CREATE EXTENSION IF NOT EXISTS vector;
-
--- Create embeddings table
-CREATE TABLE IF NOT EXISTS embeddings (
-    id SERIAL PRIMARY KEY,
-    chunk_id VARCHAR(255) UNIQUE NOT NULL,
-    book_id VARCHAR(255) NOT NULL,
-    embedding vector(1536),
-    metadata JSONB,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Create indexes for fast similarity search
-CREATE INDEX IF NOT EXISTS embeddings_book_id_idx ON embeddings(book_id);
-CREATE INDEX IF NOT EXISTS embeddings_embedding_idx ON embeddings USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
-
--- Create search history table
-CREATE TABLE IF NOT EXISTS search_history (
-    id SERIAL PRIMARY KEY,
-    query TEXT NOT NULL,
-    language VARCHAR(10),
-    results_count INTEGER,
-    confidence DECIMAL(3,2),
-    response_time_ms INTEGER,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Create user sessions table
-CREATE TABLE IF NOT EXISTS user_sessions (
-    id SERIAL PRIMARY KEY,
-    session_id VARCHAR(255) UNIQUE NOT NULL,
-    conversation_history JSONB DEFAULT '[]'::jsonb,
-    preferences JSONB DEFAULT '{}'::jsonb,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Create function to update timestamps
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = CURRENT_TIMESTAMP;
-    RETURN NEW;
-END;
-$$ language 'plpgsql';
-
--- Create triggers for updated_at
-CREATE TRIGGER update_embeddings_updated_at BEFORE UPDATE ON embeddings
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
-CREATE TRIGGER update_user_sessions_updated_at BEFORE UPDATE ON user_sessions
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
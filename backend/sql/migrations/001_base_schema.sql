@@ -0,0 +1,68 @@
+-- Base schema (previously created by initializeDatabase); every statement is idempotent so
+-- databases created before migrations existed are recorded as migrated without changes
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+CREATE TABLE IF NOT EXISTS books (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT NOT NULL,
+    hebrew_title TEXT,
+    reference TEXT UNIQUE,
+    content JSONB,
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS chunks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    book_id UUID REFERENCES books(id) ON DELETE CASCADE,
+    content TEXT,
+    hebrew_text TEXT,
+    reference TEXT,
+    position INTEGER,
+    token_count INTEGER,
+    embedding vector(1536),
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_book_position UNIQUE(book_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS indexes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    type TEXT NOT NULL, -- 'master', 'book', or 'chunk'
+    name TEXT UNIQUE NOT NULL,
+    content JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS search_logs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    query TEXT NOT NULL,
+    language TEXT,
+    results_count INTEGER,
+    response_time_ms INTEGER,
+    user_session TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(255) UNIQUE NOT NULL,
+    conversation_history JSONB DEFAULT '[]'::jsonb,
+    preferences JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS chunks_embedding_idx
+    ON chunks USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
+
+-- 'simple' configuration: the texts are French, English and Hebrew (same expression as keywordSearch)
+CREATE INDEX IF NOT EXISTS idx_chunks_text_gin
+    ON chunks USING gin(to_tsvector('simple', coalesce(content, '') || ' ' || coalesce(hebrew_text, '')));
+
+CREATE INDEX IF NOT EXISTS idx_chunks_book_id ON chunks(book_id);
+CREATE INDEX IF NOT EXISTS idx_chunks_reference ON chunks(reference);
+CREATE INDEX IF NOT EXISTS idx_books_reference ON books(reference);
@@ -0,0 +1,22 @@
+-- Each chunk records the model and size of its embedding: vectors of different models are
+-- never compared. The column accepts any size; vector indexes are partial, one per model
+-- (created by the re-embedding job once the model's size is known).
+
+DROP INDEX IF EXISTS chunks_embedding_idx;
+
+ALTER TABLE chunks ALTER COLUMN embedding TYPE vector;
+ALTER TABLE chunks ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+ALTER TABLE chunks ADD COLUMN IF NOT EXISTS embedding_dimensions INTEGER;
+
+-- Vectors stored before this migration came from the router's OpenAI text-embedding-ada-002
+UPDATE chunks
+SET embedding_model = 'openai/text-embedding-ada-002',
+    embedding_dimensions = vector_dims(embedding)
+WHERE embedding IS NOT NULL AND embedding_model IS NULL;
+
+ALTER TABLE chunks ADD CONSTRAINT chunks_embedding_model_check CHECK (
+    (embedding IS NULL) = (embedding_model IS NULL)
+    AND (embedding IS NULL OR vector_dims(embedding) = embedding_dimensions)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chunks_embedding_model ON chunks(embedding_model);
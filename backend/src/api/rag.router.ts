@@ -1,21 +1,29 @@
 import { Router } from 'express';
 import { hierarchicalRouter } from '../rag/hierarchicalRouter';
-import { GeminiGenerator } from '../rag/geminiGenerator';
+import { answerService } from '../rag/answerService';
 import { semanticChunker } from '../processors/semanticChunker';
 import { indexBuilder } from '../processors/indexBuilder';
+import { IntentClassification } from '../utils/intentClassifier';
+import { ConversationStore, conversationStore } from '../utils/conversationStore';
+import { QueryRewriter } from '../utils/queryRewriter';
 import { logger } from '../utils/logger';
 
 const router = Router();
 
-// Initialize Gemini Generator lazily
-let geminiGenerator: GeminiGenerator | null = null;
+// The response generator is created lazily by the answer service
+const getResponseGenerator = () => answerService.responseGenerator();
 
-function getGeminiGenerator() {
-  if (!geminiGenerator) {
-    geminiGenerator = new GeminiGenerator();
-  }
-  return geminiGenerator;
-}
+// Intent reported with each answer
+const describeIntent = (intent: IntentClassification) => ({
+  intent: intent.intent,
+  confidence: intent.confidence,
+  strategy: intent.strategy,
+  books: intent.bookPriors.map(prior => prior.book),
+  reference: intent.reference
+});
+
+// Follow-up questions are rewritten into standalone queries before routing
+const queryRewriter = new QueryRewriter();
 
 /**
  * Build indexes from extracted books
@@ -45,9 +53,9 @@ router.post('/build-indexes', async (req, res, next) => {
       });
     }
     
-    // Chunk all books
+    // Chunk the books that changed since the last build; the others keep their saved indexes
     const chunksMap = new Map();
-    for (const book of books) {
+    for (const book of await indexBuilder.changedBooks(books)) {
       const chunks = await semanticChunker.chunkBook(book);
       chunksMap.set(book.id, chunks);
     }
@@ -104,26 +112,24 @@ router.post('/query', async (req, res, next) => {
     
     logger.info(`Processing query: "${query.substring(0, 50)}..."`);
     
-    // Route through 3-level hierarchy
-    const routeResult = await hierarchicalRouter.route(query, {
-      maxTokens,
-      language: language as any
-    });
-    
-    if (routeResult.chunks.length === 0) {
-      return res.json({
-        success: false,
-        message: 'Aucun texte pertinent trouvé',
-        response: {
-          text: "Je n'ai pas trouvé d'enseignement de Rabbi Nachman correspondant à votre question.",
-          citations: [],
-          confidence: 0
-        }
-      });
+    // Resolve pronouns and ellipsis against the session's previous turns
+    const sessionId = ConversationStore.resolveId(req.body.sessionId);
+    const rewrite = await queryRewriter.rewrite(query, await conversationStore.history(sessionId));
+    const searchQuery = rewrite.query;
+    if (rewrite.rewritten) {
+      logger.info(`Rewritten query (${rewrite.method}): "${searchQuery}"`);
     }
     
-    // Generate response with Gemini
+    const remember = (text: string, mode: string, references: string[]) =>
+      conversationStore.append(sessionId, { query, rewrittenQuery: searchQuery, answer: text, mode, references });
+    
+    const options = { language: language as any, maxTokens };
+    
+    // Generate response with the configured LLM
     if (streamResponse) {
+      // Intent, routing and abstention first: only the LLM answer is streamed
+      const { intent, routeResult, abstained } = await answerService.prepare(searchQuery, options);
+      
       // Set up SSE for streaming
       res.writeHead(200, {
         'Content-Type': 'text/event-stream',
@@ -131,33 +137,95 @@ router.post('/query', async (req, res, next) => {
         'Connection': 'keep-alive'
       });
       
-      const generator = getGeminiGenerator().generateStream(query, routeResult, {
-        language: language as any
+      if (abstained) {
+        const response = { ...abstained, citations: [], language, audioOptimized: abstained.text };
+        await remember(abstained.text, abstained.mode, []);
+        res.write(`data: ${JSON.stringify({
+          ...response,
+          intent: describeIntent(intent),
+          sessionId,
+          rewrittenQuery: searchQuery
+        })}\n\n`);
+        res.write('data: [DONE]\n\n');
+        return res.end();
+      }
+      
+      // Plain reference lookup: the passage is sent whole, nothing to stream
+      const passage = answerService.passageAnswer({ intent, routeResult, abstained }, language);
+      if (passage) {
+        await remember(passage.text, passage.mode, [passage.passage.reference]);
+        res.write(`data: ${JSON.stringify({
+          ...passage,
+          intent: describeIntent(intent),
+          sessionId,
+          rewrittenQuery: searchQuery
+        })}\n\n`);
+        res.write('data: [DONE]\n\n');
+        return res.end();
+      }
+      
+      const generator = getResponseGenerator().generateStream(searchQuery, routeResult, {
+        language: language as any,
+        intent
       });
       
+      // Raw LLM text is never sent: each claim goes out once complete and verified
+      let fullText = '';
+      let sent = '';
+      const send = (verified: string) => {
+        if (verified.length > sent.length && verified.startsWith(sent)) {
+          res.write(`data: ${JSON.stringify({ chunk: verified.slice(sent.length) })}\n\n`);
+          sent = verified;
+        }
+      };
       for await (const chunk of generator) {
-        res.write(`data: ${JSON.stringify({ chunk })}\n\n`);
+        fullText += chunk;
+        send(getResponseGenerator().verifySettled(fullText, routeResult.chunks));
       }
       
+      // Last claim, then the whole answer: the final event's text replaces the streamed one
+      const verification = getResponseGenerator().verify(fullText, routeResult.chunks);
+      const citations = getResponseGenerator().toCitations(verification);
+      const mode = verification.text.trim() ? 'grounded' : 'extractive';
+      const text = mode === 'grounded'
+        ? verification.text
+        : getResponseGenerator().extractiveText(routeResult.chunks, language);
+      if (mode === 'grounded') send(text);
+      await remember(text, mode, citations.map(citation => citation.reference));
+      res.write(`data: ${JSON.stringify({
+        mode,
+        text,
+        citations,
+        verification: verification.summary,
+        intent: describeIntent(intent),
+        sessionId,
+        rewrittenQuery: searchQuery
+      })}\n\n`);
+      
       res.write('data: [DONE]\n\n');
       res.end();
       
     } else {
-      // Regular response
-      const response = await getGeminiGenerator().generate(query, routeResult, {
-        language: language as any
-      });
+      // Regular response: intent, routing, abstention or grounded answer
+      const { intent, routeResult, abstained, response } = await answerService.answer(searchQuery, options);
+      await remember(response.text, response.mode, response.citations.map(citation => citation.reference));
       
       res.json({
         success: true,
         query,
+        rewrittenQuery: searchQuery,
+        sessionId,
+        intent: describeIntent(intent),
         response,
+        ...(routeResult.passage && { passage: routeResult.passage }),
         routing: {
+          strategy: routeResult.strategy,
           books: routeResult.books,
           sections: routeResult.sections.length,
           chunks: routeResult.chunks.length,
           totalTokens: routeResult.totalTokens,
-          confidence: routeResult.confidence
+          confidence: routeResult.confidence,
+          ...(abstained ? { threshold: abstained.threshold } : {})
         }
       });
     }
@@ -193,7 +261,7 @@ router.post('/insights', async (req, res, next) => {
     }
     
     // Generate thematic insights
-    const insights = await getGeminiGenerator().generateThematicInsights(
+    const insights = await getResponseGenerator().generateThematicInsights(
       theme,
       routeResult.chunks
     );
@@ -6,12 +6,17 @@ const router = Router();
 
 /**
  * Extract all Rabbi Nachman books from Sefaria
+ * Body: { resume?: boolean, books?: string[] } to continue an interrupted run or extract some books only
  */
 router.post('/extract-all', async (req, res, next) => {
   try {
-    logger.info('Starting full extraction of Rabbi Nachman books...');
+    const { resume = false, books: bookFilter } = req.body || {};
+    logger.info(`Starting ${resume ? 'resumed' : 'full'} extraction of Rabbi Nachman books...`);
     
-    const books = await sefariaExtractor.extractAllBooks();
+    const books = await sefariaExtractor.extractAllBooks({
+      resume: Boolean(resume),
+      books: Array.isArray(bookFilter) ? bookFilter : undefined
+    });
     
     res.json({
       success: true,
@@ -21,7 +26,8 @@ router.post('/extract-all', async (req, res, next) => {
         title: b.title,
         hebrewTitle: b.hebrewTitle,
         sections: b.sections.length,
-        strategy: b.metadata.strategy
+        strategy: b.metadata.strategy,
+        gaps: b.metadata.gaps || []
       }))
     });
     
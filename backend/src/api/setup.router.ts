@@ -2,8 +2,11 @@ import { Router } from 'express';
 import { sefariaExtractor } from '../extractors/sefariaExtractor';
 import { SemanticChunker } from '../processors/semanticChunker';
 import { IndexBuilder } from '../processors/indexBuilder';
+import { embeddingBackfill } from '../processors/embeddingBackfill';
 import { logger } from '../utils/logger';
-import { pool } from '../utils/database';
+import { createVectorIndex, pool } from '../utils/database';
+import { LLMClient } from '../utils/llmClient';
+import { embeddingModelKey } from '../utils/embeddingClient';
 
 const router = Router();
 
@@ -165,6 +168,37 @@ router.post('/nlp/generate-indexes', async (req, res) => {
   }
 });
 
+/**
+ * GET /embeddings - Configured embedding model, models stored in the chunks table, pending chunks
+ */
+router.get('/embeddings', async (_req, res) => {
+  try {
+    res.json({ success: true, ...(await embeddingBackfill.status()) });
+  } catch (error: any) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /embeddings/reembed - Re-embed chunks whose vectors come from another model
+ * Body: { limit?: number }
+ */
+router.post('/embeddings/reembed', async (req, res) => {
+  try {
+    const limit = parseInt(req.body?.limit, 10) || undefined;
+    res.json({ success: true, ...(await embeddingBackfill.run({ limit })) });
+  } catch (error: any) {
+    logger.error('Re-embedding failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/status - Check system status
  */
@@ -190,6 +224,9 @@ router.get('/status', async (req, res) => {
       dbStatus = false;
     }
     
+    // LLM provider selected by LLM_PROVIDER
+    const llm = new LLMClient();
+    
     res.json({
       status: 'operational',
       components: {
@@ -204,8 +241,10 @@ router.get('/status', async (req, res) => {
         database: {
           connected: dbStatus
         },
-        gemini: {
-          configured: !!process.env.GEMINI_API_KEY
+        llm: {
+          provider: llm.provider,
+          model: llm.model,
+          configured: llm.isConfigured()
         }
       },
       ready: extractedFiles.length > 0 && indexFiles.length > 0 && dbStatus
@@ -246,15 +285,21 @@ async function storeInDatabase(
     );
   }
   
-  // Store chunks
+  // Store chunks, each embedding with the model that produced it
+  const embeddingModel = masterIndex.embeddingModel ? embeddingModelKey(masterIndex.embeddingModel) : null;
   for (const [bookId, chunks] of chunksMap.entries()) {
     for (const chunk of chunks) {
+      const embedding = embeddingModel ? chunkIndexes.get(chunk.id)?.embedding : undefined;
       await pool.query(
-        `INSERT INTO chunks (id, book_id, content, hebrew_text, reference, position, token_count, embedding)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `INSERT INTO chunks (id, book_id, content, hebrew_text, reference, position, token_count,
+                             embedding, embedding_model, embedding_dimensions)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
          ON CONFLICT (id) DO UPDATE SET
          content = EXCLUDED.content,
-         token_count = EXCLUDED.token_count`,
+         token_count = EXCLUDED.token_count,
+         embedding = EXCLUDED.embedding,
+         embedding_model = EXCLUDED.embedding_model,
+         embedding_dimensions = EXCLUDED.embedding_dimensions`,
         [
           chunk.id,
           bookId,
@@ -263,7 +308,9 @@ async function storeInDatabase(
           chunk.metadata.reference,
           chunk.metadata.startIndex,
           chunk.metadata.tokenCount,
-          chunk.embedding ? JSON.stringify(chunk.embedding) : null
+          embedding ? JSON.stringify(embedding) : null,
+          embedding ? embeddingModel : null,
+          embedding ? embedding.length : null
         ]
       );
     }
@@ -298,6 +345,10 @@ async function storeInDatabase(
     );
   }
   
+  if (embeddingModel) {
+    await createVectorIndex(masterIndex.embeddingModel);
+  }
+  
   logger.info('✅ All data stored in database');
 }
 
@@ -4,6 +4,9 @@ import { logger } from '../utils/logger';
 import { AppError } from '../utils/errorHandler';
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
+import { toUrlRef } from '../utils/sefariaRef';
+import { enumerateSchema, schemaStructure, SchemaSection, SchemaStructure } from '../utils/sefariaSchema';
 
 interface BookInfo {
   id: string;
@@ -18,13 +21,39 @@ interface ExtractedBook {
   title: string;
   hebrewTitle: string;
   sections: Section[];
+  structure?: SchemaStructure;   // Schema nodes and alternate structures from the Sefaria index
   metadata: {
     extractedAt: Date;
     strategy: string;
     totalTokens?: number;
+    resumedSections?: number;
+    gaps?: string[];         // Section refs that could not be fetched
   };
 }
 
+export interface ExtractionOptions {
+  resume?: boolean;          // Reuse section checkpoints from an interrupted run
+  books?: string[];          // Book ids or titles to extract (default: all)
+}
+
+export interface ExtractionReport {
+  startedAt: string;
+  finishedAt: string;
+  options: ExtractionOptions;
+  books: {
+    id: string;
+    status: 'complete' | 'gaps' | 'cached' | 'failed';
+    sections: number;
+    resumedSections: number;
+    gaps: string[];
+  }[];
+}
+
+interface SectionCheckpoint extends Section {
+  hash: string;
+  fetchedAt: string;
+}
+
 interface Section {
   id: string;
   title: string;
@@ -33,10 +62,14 @@ interface Section {
   frenchText?: string;
   reference: string;
   index: number;
+  node?: string[];               // Path of complex schema nodes ("Introduction", "Part II"...)
+  address?: number[];
+  sectionNames?: string[];
 }
 
 export class SefariaExtractor {
   private axiosClient: AxiosInstance;
+  private baseUrl: string;
   private browser: Browser | null = null;
   private dataDir: string;
   
@@ -126,8 +159,10 @@ export class SefariaExtractor {
   ];
 
   constructor() {
+    // SEFARIA_BASE_URL points every strategy at another host, e.g. the local stand-in
+    this.baseUrl = process.env.SEFARIA_BASE_URL || 'https://www.sefaria.org';
     this.axiosClient = axios.create({
-      baseURL: 'https://www.sefaria.org/api',
+      baseURL: `${this.baseUrl}/api`,
       timeout: 30000,
       headers: {
         'User-Agent': 'RabbiNachmanVoiceBot/1.0 (Educational)',
@@ -138,34 +173,65 @@ export class SefariaExtractor {
   }
 
   /**
-   * Extract all Rabbi Nachman books using progressive fallback strategy
+   * Extract all Rabbi Nachman books using progressive fallback strategy.
+   * Sections are checkpointed one file each, so an interrupted run can be resumed.
    */
-  async extractAllBooks(): Promise<ExtractedBook[]> {
+  async extractAllBooks(options: ExtractionOptions = {}): Promise<ExtractedBook[]> {
     await this.ensureDataDirectory();
     const results: ExtractedBook[] = [];
+    const report: ExtractionReport = {
+      startedAt: new Date().toISOString(),
+      finishedAt: '',
+      options,
+      books: []
+    };
     
-    for (const bookInfo of this.BRESLOV_BOOKS) {
+    for (const bookInfo of this.selectBooks(options.books)) {
       logger.info(`📚 Extracting ${bookInfo.hebrewTitle} (${bookInfo.title})...`);
       
       try {
-        // Check if already extracted
+        // Check if already extracted (books with gaps are retried when resuming)
         const cached = await this.loadCachedBook(bookInfo.id);
-        if (cached) {
+        if (cached && !(options.resume && cached.metadata.gaps?.length)) {
           logger.info(`✅ Found cached: ${bookInfo.id}`);
           results.push(cached);
+          report.books.push({
+            id: bookInfo.id,
+            status: 'cached',
+            sections: cached.sections.length,
+            resumedSections: 0,
+            gaps: cached.metadata.gaps || []
+          });
           continue;
         }
         
+        if (!options.resume) {
+          await fs.rm(this.checkpointDir(bookInfo.id), { recursive: true, force: true });
+        }
+        
         // Try extraction strategies
-        const book = await this.extractBook(bookInfo);
+        const book = await this.extractBook(bookInfo, options);
         if (book) {
           await this.saveBook(book);
           results.push(book);
+          const gaps = book.metadata.gaps || [];
+          report.books.push({
+            id: bookInfo.id,
+            status: gaps.length > 0 ? 'gaps' : 'complete',
+            sections: book.sections.length,
+            resumedSections: book.metadata.resumedSections || 0,
+            gaps
+          });
           logger.info(`✅ Successfully extracted: ${bookInfo.id}`);
+          if (gaps.length > 0) {
+            logger.warn(`🕳️ ${gaps.length} missing sections in ${bookInfo.id}: ${gaps.join(', ')}`);
+          }
         } else {
+          report.books.push({ id: bookInfo.id, status: 'failed', sections: 0, resumedSections: 0, gaps: [] });
           logger.error(`❌ Failed to extract: ${bookInfo.id}`);
         }
       } catch (error) {
+        report.books.push({ id: bookInfo.id, status: 'failed', sections: 0, resumedSections: 0, gaps: [] });
         logger.error(`❌ Error extracting ${bookInfo.id}:`, error);
       }
       
@@ -173,16 +239,33 @@ export class SefariaExtractor {
       await this.delay(2000);
     }
     
+    report.finishedAt = new Date().toISOString();
+    await this.writeJsonAtomic(path.join(this.dataDir, 'extraction-report.json'), report);
+    logger.info(`📊 Extraction report: ${report.books.filter(b => b.status !== 'failed').length}/${report.books.length} books, ` +
+      `${report.books.reduce((sum, b) => sum + b.gaps.length, 0)} missing sections`);
+    
     return results;
   }
 
+  /**
+   * Books matching the requested ids or titles (all books when no filter is given)
+   */
+  private selectBooks(names?: string[]): BookInfo[] {
+    if (!names || names.length === 0) return this.BRESLOV_BOOKS;
+
+    const wanted = names.map(name => name.toLowerCase());
+    return this.BRESLOV_BOOKS.filter(book =>
+      [book.id, book.title, ...(book.altTitles || [])].some(name => wanted.includes(name.toLowerCase()))
+    );
+  }
+
   /**
    * Extract a single book using fallback strategies - NO LOCAL BACKUP (CLAUDE.md requirement)
    */
-  private async extractBook(bookInfo: BookInfo): Promise<ExtractedBook | null> {
+  private async extractBook(bookInfo: BookInfo, options: ExtractionOptions = {}): Promise<ExtractedBook | null> {
     const strategies = [
+      () => this.tryBatchAPI(bookInfo, options),
       () => this.tryDirectAPI(bookInfo),
-      () => this.tryBatchAPI(bookInfo),
       () => this.tryV2API(bookInfo),
       () => this.tryGraphQLAPI(bookInfo),
       () => this.tryJSONLD(bookInfo),
@@ -208,7 +291,7 @@ export class SefariaExtractor {
   }
 
   /**
-   * Strategy 1: Try direct API v3
+   * Strategy 2: Try direct API v3
    */
   private async tryDirectAPI(bookInfo: BookInfo): Promise<ExtractedBook | null> {
     // Try each alternative title
@@ -237,56 +320,77 @@ export class SefariaExtractor {
   }
 
   /**
-   * Strategy 2: Try batch API (section by section)
+   * Strategy 1: Read the index schema and fetch exactly the sections it lists
+   * (complex nodes, introductions, parts), one request per section
    */
-  private async tryBatchAPI(bookInfo: BookInfo): Promise<ExtractedBook | null> {
+  private async tryBatchAPI(bookInfo: BookInfo, options: ExtractionOptions = {}): Promise<ExtractedBook | null> {
     const titles = [bookInfo.title, ...(bookInfo.altTitles || [])];
     
     for (const title of titles) {
       try {
-        // Get index first
-        const indexUrl = `/v3/index/${encodeURIComponent(title)}`;
-        const indexResponse = await this.axiosClient.get(indexUrl);
+        // Get index first, with segment counts for every schema node
+        const indexUrl = `/index/${encodeURIComponent(toUrlRef(title))}`;
+        const indexResponse = await this.axiosClient.get(indexUrl, {
+          params: { with_content_counts: 1 }
+        });
         
         if (!indexResponse.data || !indexResponse.data.schema) {
           continue;
         }
         
+        const schemaSections = enumerateSchema(indexResponse.data);
         const sections: Section[] = [];
-        const sectionRefs = this.extractSectionRefs(indexResponse.data.schema);
+        const gaps: string[] = [];
+        let resumedSections = 0;
+        logger.info(`🗂️ ${schemaSections.length} sections listed in the ${bookInfo.id} index schema`);
         
-        // Fetch each section
-        for (const ref of sectionRefs) {
+        // Fetch each section, reusing verified checkpoints when resuming
+        for (const schemaSection of schemaSections) {
+          const key = this.sectionKey(schemaSection);
+          const checkpoint = options.resume ? await this.loadCheckpoint(bookInfo.id, key) : null;
+          if (checkpoint) {
+            sections.push(checkpoint);
+            resumedSections++;
+            continue;
+          }
+          
           try {
-            const sectionUrl = `/v3/texts/${encodeURIComponent(title)}.${ref}`;
-            const sectionResponse = await this.axiosClient.get(sectionUrl);
+            const sectionUrl = `/texts/${encodeURIComponent(toUrlRef(schemaSection.ref))}`;
+            const sectionResponse = await this.axiosClient.get(sectionUrl, { params: { pad: 0 } });
+            const section = sectionResponse.data
+              ? this.parseSectionResponse(bookInfo.id, schemaSection, sections.length, sectionResponse.data)
+              : null;
             
-            if (sectionResponse.data) {
-              const section = this.parseSectionResponse(
-                bookInfo.id,
-                ref,
-                sectionResponse.data
-              );
-              if (section) {
-                sections.push(section);
-              }
+            if (section) {
+              sections.push(section);
+              await this.saveCheckpoint(bookInfo.id, key, section);
+            } else {
+              gaps.push(schemaSection.ref);
             }
             
             await this.delay(500); // Rate limiting
           } catch (error) {
-            logger.debug(`Failed to fetch section ${ref}:`, error);
+            gaps.push(schemaSection.ref);
+            logger.debug(`Failed to fetch section ${schemaSection.ref}:`, error);
           }
         }
         
+        if (resumedSections > 0) {
+          logger.info(`♻️ ${resumedSections} sections of ${bookInfo.id} resumed from checkpoints`);
+        }
+        
         if (sections.length > 0) {
           return {
             id: bookInfo.id,
             title: bookInfo.title,
             hebrewTitle: bookInfo.hebrewTitle,
             sections,
+            structure: schemaStructure(indexResponse.data),
             metadata: {
               extractedAt: new Date(),
-              strategy: 'BatchAPI'
+              strategy: 'BatchAPI',
+              resumedSections,
+              gaps
             }
           };
         }
@@ -338,7 +442,7 @@ export class SefariaExtractor {
     
     for (const title of titles) {
       try {
-        const url = `https://www.sefaria.org/${title}`;
+        const url = `${this.baseUrl}/${title}`;
         await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
         
         // Wait for content to load
@@ -411,7 +515,7 @@ export class SefariaExtractor {
           }
         `;
         
-        const response = await axios.post('https://www.sefaria.org/graphql', {
+        const response = await axios.post(`${this.baseUrl}/graphql`, {
           query,
           variables: { ref: title }
         });
@@ -435,7 +539,7 @@ export class SefariaExtractor {
     
     for (const title of titles) {
       try {
-        const url = `https://www.sefaria.org/${title}`;
+        const url = `${this.baseUrl}/${title}`;
         const response = await axios.get(url);
         const html = response.data;
         
@@ -577,36 +681,27 @@ export class SefariaExtractor {
     };
   }
 
-  private parseSectionResponse(bookId: string, ref: string, data: any): Section | null {
+  private parseSectionResponse(bookId: string, schemaSection: SchemaSection, index: number, data: any): Section | null {
     if (!data.he && !data.text) return null;
     
     return {
-      id: `${bookId}_${ref.replace(/\./g, '_')}`,
-      title: ref,
+      id: `${bookId}_${this.sectionKey(schemaSection)}`,
+      title: schemaSection.ref,
       hebrewText: Array.isArray(data.he) ? data.he.join(' ') : (data.he || ''),
       englishText: Array.isArray(data.text) ? data.text.join(' ') : (data.text || ''),
-      reference: data.ref || ref,
-      index: parseInt(ref.split('.')[0]) || 0
+      reference: data.ref || schemaSection.ref,
+      index,
+      node: schemaSection.node,
+      address: schemaSection.address,
+      sectionNames: schemaSection.sectionNames
     };
   }
 
-  private extractSectionRefs(schema: any): string[] {
-    const refs: string[] = [];
-    
-    // Handle different schema structures
-    if (schema.lengths) {
-      schema.lengths.forEach((length: number, i: number) => {
-        for (let j = 1; j <= length; j++) {
-          refs.push(`${i + 1}.${j}`);
-        }
-      });
-    } else if (schema.chapters) {
-      for (let i = 1; i <= schema.chapters; i++) {
-        refs.push(String(i));
-      }
-    }
-    
-    return refs;
+  // Readable, unique key for a schema section ("Introduction_3", "1_2")
+  private sectionKey(schemaSection: SchemaSection): string {
+    return [...schemaSection.node, ...schemaSection.address].join('_')
+      .replace(/[^\p{L}\p{N}]+/gu, '_')
+      .replace(/^_|_$/g, '') || 'whole';
   }
 
   private async ensureDataDirectory(): Promise<void> {
@@ -616,7 +711,51 @@ export class SefariaExtractor {
 
   private async saveBook(book: ExtractedBook): Promise<void> {
     const filePath = path.join(this.dataDir, `${book.id}.json`);
-    await fs.writeFile(filePath, JSON.stringify(book, null, 2));
+    await this.writeJsonAtomic(filePath, book);
+  }
+
+  private checkpointDir(bookId: string): string {
+    return path.join(this.dataDir, 'checkpoints', bookId);
+  }
+
+  private hashSection(section: Section): string {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([section.hebrewText, section.englishText || '', section.frenchText || '']))
+      .digest('hex');
+  }
+
+  private async saveCheckpoint(bookId: string, ref: string, section: Section): Promise<void> {
+    await fs.mkdir(this.checkpointDir(bookId), { recursive: true });
+    const checkpoint: SectionCheckpoint = {
+      ...section,
+      hash: this.hashSection(section),
+      fetchedAt: new Date().toISOString()
+    };
+    await this.writeJsonAtomic(path.join(this.checkpointDir(bookId), `${ref}.json`), checkpoint);
+  }
+
+  /**
+   * Load a section checkpoint, ignoring it when its content no longer matches its hash
+   */
+  private async loadCheckpoint(bookId: string, ref: string): Promise<Section | null> {
+    try {
+      const data = await fs.readFile(path.join(this.checkpointDir(bookId), `${ref}.json`), 'utf-8');
+      const { hash, fetchedAt: _fetchedAt, ...section } = JSON.parse(data) as SectionCheckpoint;
+      if (hash === this.hashSection(section)) {
+        return section;
+      }
+      logger.warn(`⚠️ Checkpoint ${bookId}/${ref} failed its hash check, fetching again`);
+    } catch (error) {
+      // Missing or unreadable checkpoint: fetch the section
+    }
+    return null;
+  }
+
+  // Write through a temporary file so an interrupted run never leaves a truncated file
+  private async writeJsonAtomic(filePath: string, data: unknown): Promise<void> {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, filePath);
   }
 
   private async loadCachedBook(bookId: string): Promise<ExtractedBook | null> {
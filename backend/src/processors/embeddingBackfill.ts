@@ -0,0 +1,98 @@
+import { logger } from '../utils/logger';
+import { EmbeddingModelCount, createVectorIndex, embeddingModels, pool } from '../utils/database';
+import { EmbeddingClient, embeddingClient, embeddingModelKey } from '../utils/embeddingClient';
+
+export interface EmbeddingStatus {
+  model: string;                  // Configured model (EMBEDDING_PROVIDER / EMBEDDING_MODEL)
+  stored: EmbeddingModelCount[];  // Models found in the chunks table
+  pending: number;                // Chunks without an embedding of the configured model
+}
+
+export interface BackfillResult {
+  model: string;
+  dimensions: number | null;
+  embedded: number;
+  pending: number;
+}
+
+/**
+ * Re-embedding job: when the embedding model changes, chunks still carrying vectors of the
+ * previous model (or none) are embedded again in batches. Until a chunk is re-embedded, vector
+ * search leaves it out instead of comparing vectors of two models.
+ */
+export class EmbeddingBackfill {
+  constructor(
+    private client: EmbeddingClient = embeddingClient,
+    private batchSize: number = 64
+  ) {}
+
+  async status(): Promise<EmbeddingStatus> {
+    const model = embeddingModelKey(this.client.describe());
+    const result = await pool.query(
+      'SELECT COUNT(*)::int AS pending FROM chunks WHERE embedding_model IS DISTINCT FROM $1',
+      [model]
+    );
+    return { model, stored: await embeddingModels(), pending: result.rows[0].pending };
+  }
+
+  /**
+   * Embed pending chunks (at most `limit`, all by default), then index the model's vectors
+   */
+  async run(options: { limit?: number } = {}): Promise<BackfillResult> {
+    const model = embeddingModelKey(this.client.describe());
+    let embedded = 0;
+
+    logger.info(`🧭 Re-embedding chunks with ${model}...`);
+
+    while (!options.limit || embedded < options.limit) {
+      const size = options.limit ? Math.min(this.batchSize, options.limit - embedded) : this.batchSize;
+      const { rows } = await pool.query(
+        `SELECT id, reference, content, hebrew_text
+         FROM chunks
+         WHERE embedding_model IS DISTINCT FROM $1
+         ORDER BY id
+         LIMIT $2`,
+        [model, size]
+      );
+      if (rows.length === 0) break;
+
+      // Same text as the index builders: reference, translation, then Hebrew
+      const vectors = await this.client.embed(
+        rows.map(row => `${row.reference || ''}\n${row.content || ''} ${row.hebrew_text || ''}`)
+      );
+
+      const db = await pool.connect();
+      try {
+        await db.query('BEGIN');
+        for (const [i, row] of rows.entries()) {
+          await db.query(
+            `UPDATE chunks
+             SET embedding = $2::vector, embedding_model = $3, embedding_dimensions = $4
+             WHERE id = $1`,
+            [row.id, JSON.stringify(vectors[i]), model, vectors[i].length]
+          );
+        }
+        await db.query('COMMIT');
+      } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+      } finally {
+        db.release();
+      }
+
+      embedded += rows.length;
+      logger.info(`🧭 ${embedded} chunks embedded`);
+    }
+
+    if (embedded > 0) {
+      await createVectorIndex(this.client.describe());
+    }
+
+    const { pending } = await this.status();
+    logger.info(`✅ Re-embedding done: ${embedded} chunks, ${pending} pending`);
+
+    return { model, dimensions: this.client.dimensions, embedded, pending };
+  }
+}
+
+export const embeddingBackfill = new EmbeddingBackfill();
@@ -1,5 +1,8 @@
 import { logger } from '../utils/logger';
 import { Chunk } from './semanticChunker';
+import { tokenizeHebrew } from '../utils/hebrewNormalizer';
+import { EmbeddingModel, embeddingClient } from '../utils/embeddingClient';
+import { tokenCounter } from '../utils/tokenCounter';
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
@@ -15,6 +18,7 @@ export interface MasterIndex {
   searchIndex: Record<string, string[]>;  // keyword -> book references
   thematicMap: Record<string, BookReference[]>;
   embeddingDimensions?: number;
+  embeddingModel?: EmbeddingModel;  // Model of the chunk and section embeddings; queries must use it too
 }
 
 interface BookSummary {
@@ -88,6 +92,14 @@ interface CrossReference {
   strength: number;
 }
 
+// Content hashes of the books indexed by the last build (data/indexes/manifest.json)
+interface IndexManifest {
+  version: number;
+  updated: Date;
+  embeddingModel: EmbeddingModel;
+  books: Record<string, { hash: string; sections: Record<string, string> }>;
+}
+
 export interface ChunkIndex {
   chunkId: string;
   bookId: string;
@@ -110,7 +122,9 @@ export class IndexBuilder {
   }
 
   /**
-   * Build all three levels of indexes
+   * Build all three levels of indexes. Books whose content hash matches the manifest of the
+   * previous build keep their saved book and chunk indexes: only changed books are re-indexed,
+   * and only they need chunks in chunksMap (see changedBooks)
    */
   async buildAllIndexes(
     books: any[],
@@ -122,25 +136,116 @@ export class IndexBuilder {
   }> {
     await this.ensureIndexDirectory();
     
-    logger.info('🏗️ Building 3-level index hierarchy...');
+    const manifest = this.createManifest(books);
+    const unchanged = await this.loadUnchangedIndexes(books, manifest);
+    const changed = books.filter(book => !unchanged.bookIndexes.has(book.id));
+    const changedChunks = new Map(changed.map(book => [book.id, chunksMap.get(book.id) || []]));
+    
+    logger.info(`🏗️ Building 3-level index hierarchy (${changed.length} changed, ${unchanged.bookIndexes.size} unchanged books)...`);
+    for (const book of changed) {
+      const previous = unchanged.previous?.books[book.id]?.sections || {};
+      const sections = Object.entries(manifest.books[book.id].sections).filter(([id, hash]) => previous[id] !== hash);
+      logger.info(`📖 ${book.id}: ${sections.length}/${book.sections.length} sections changed`);
+    }
     
-    // Level 3: Build chunk indexes first
-    const chunkIndexes = await this.buildChunkIndexes(chunksMap);
+    // Level 3: Build chunk indexes of the changed books, then relations across all books
+    const chunkIndexes = await this.buildChunkIndexes(changedChunks);
+    for (const [chunkId, chunkIndex] of unchanged.chunkIndexes) {
+      chunkIndexes.set(chunkId, chunkIndex);
+    }
+    this.findRelatedChunks(chunkIndexes);
     
     // Level 2: Build book indexes
-    const bookIndexes = await this.buildBookIndexes(books, chunksMap, chunkIndexes);
+    const bookIndexes = await this.buildBookIndexes(changed, changedChunks, chunkIndexes);
+    for (const [bookId, bookIndex] of unchanged.bookIndexes) {
+      bookIndexes.set(bookId, bookIndex);
+    }
     
     // Level 1: Build master index
     const masterIndex = await this.buildMasterIndex(books, bookIndexes);
     
-    // Save all indexes
-    await this.saveIndexes(masterIndex, bookIndexes, chunkIndexes);
+    // Save the indexes, remove those of books that are gone, then record the manifest
+    await this.saveIndexes(masterIndex, bookIndexes, chunkIndexes, new Set(changed.map(book => book.id)));
+    await this.removeStaleIndexes(books);
+    await this.writeJsonAtomic(path.join(this.indexDir, 'manifest.json'), manifest);
     
     logger.info('✅ All indexes built successfully');
     
     return { masterIndex, bookIndexes, chunkIndexes };
   }
 
+  /**
+   * Books whose content changed since the last build, or whose saved indexes are missing:
+   * the only ones to chunk before buildAllIndexes
+   */
+  async changedBooks(books: any[]): Promise<any[]> {
+    const { bookIndexes } = await this.loadUnchangedIndexes(books, this.createManifest(books));
+    return books.filter(book => !bookIndexes.has(book.id));
+  }
+
+  /**
+   * Content hash of a book and of each of its sections
+   */
+  private hashBook(book: any): { hash: string; sections: Record<string, string> } {
+    const sha256 = (value: unknown) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+    const sections: Record<string, string> = {};
+    for (const section of book.sections || []) {
+      sections[section.id] = sha256([section.reference, section.hebrewText, section.englishText || '', section.frenchText || '']);
+    }
+    return { hash: sha256([book.id, book.title, book.hebrewTitle, Object.entries(sections)]), sections };
+  }
+
+  private createManifest(books: any[]): IndexManifest {
+    return {
+      version: 1,
+      updated: new Date(),
+      embeddingModel: embeddingClient.describe(),
+      books: Object.fromEntries(books.map(book => [book.id, this.hashBook(book)]))
+    };
+  }
+
+  /**
+   * Saved indexes of the books whose hash matches the previous manifest; everything is rebuilt
+   * when the embedding model changed
+   */
+  private async loadUnchangedIndexes(
+    books: any[],
+    manifest: IndexManifest
+  ): Promise<{
+    previous: IndexManifest | null;
+    bookIndexes: Map<string, BookIndex>;
+    chunkIndexes: Map<string, ChunkIndex>;
+  }> {
+    const bookIndexes = new Map<string, BookIndex>();
+    const chunkIndexes = new Map<string, ChunkIndex>();
+    
+    let previous: IndexManifest | null = null;
+    try {
+      previous = JSON.parse(await fs.readFile(path.join(this.indexDir, 'manifest.json'), 'utf-8'));
+    } catch (error) {
+      // First build, or a build from before the manifest: everything is indexed
+    }
+    if (!previous || JSON.stringify(previous.embeddingModel) !== JSON.stringify(manifest.embeddingModel)) {
+      return { previous, bookIndexes, chunkIndexes };
+    }
+    
+    for (const book of books) {
+      if (previous.books[book.id]?.hash !== manifest.books[book.id].hash) continue;
+      try {
+        const bookIndex: BookIndex = JSON.parse(await fs.readFile(path.join(this.indexDir, 'books', `${book.id}.json`), 'utf-8'));
+        const chunks: ChunkIndex[] = JSON.parse(await fs.readFile(path.join(this.indexDir, 'chunks', `${book.id}.json`), 'utf-8'));
+        bookIndexes.set(book.id, bookIndex);
+        for (const chunkIndex of chunks) {
+          chunkIndexes.set(chunkIndex.chunkId, chunkIndex);
+        }
+      } catch (error) {
+        logger.warn(`⚠️ Saved indexes of ${book.id} unreadable, rebuilding them`);
+      }
+    }
+    
+    return { previous, bookIndexes, chunkIndexes };
+  }
+
   /**
    * Build Master Index (Level 1 - Router)
    * Target size: < 100K tokens
@@ -190,7 +295,9 @@ export class IndexBuilder {
       totalTokens,
       books: bookSummaries,
       searchIndex: globalSearchIndex,
-      thematicMap: globalThematicMap
+      thematicMap: globalThematicMap,
+      embeddingDimensions: embeddingClient.dimensions || undefined,
+      embeddingModel: embeddingClient.describe()
     };
     
     // Verify master index size
@@ -253,6 +360,11 @@ export class IndexBuilder {
   ): Promise<BookIndex> {
     // Build section info
     const sections = this.buildSectionInfo(book, chunks);
+    for (const section of sections) {
+      section.embedding = this.meanEmbedding(
+        chunkIndexes.filter(index => section.chunkIds.includes(index.chunkId)).map(index => index.embedding)
+      );
+    }
     
     // Build hierarchy
     const hierarchy = this.buildHierarchy(book, sections);
@@ -302,14 +414,38 @@ export class IndexBuilder {
       }
     }
     
-    // Find related chunks across books
-    this.findRelatedChunks(chunkIndexes);
+    // Embeddings for semantic routing (EMBEDDING_PROVIDER, local without a key by default)
+    await this.embedChunks(chunkIndexes, chunksMap);
     
     logger.info(`✅ Built ${chunkIndexes.size} chunk indexes`);
     
     return chunkIndexes;
   }
 
+  /**
+   * Embed the chunks that come without an embedding; on failure the indexes are kept
+   * without vectors and routing falls back to keywords
+   */
+  private async embedChunks(
+    chunkIndexes: Map<string, ChunkIndex>,
+    chunksMap: Map<string, Chunk[]>
+  ): Promise<void> {
+    const missing = [...chunksMap.values()].flat().filter(chunk => !chunk.embedding);
+    if (missing.length === 0) return;
+    
+    try {
+      const vectors = await embeddingClient.embed(
+        missing.map(chunk => `${chunk.metadata.reference}\n${chunk.content.french || chunk.content.english || ''} ${chunk.content.hebrew}`)
+      );
+      missing.forEach((chunk, i) => {
+        chunkIndexes.get(chunk.id)!.embedding = vectors[i];
+      });
+      logger.info(`🧭 Embedded ${missing.length} chunks (${embeddingClient.provider}/${embeddingClient.model})`);
+    } catch (error) {
+      logger.warn('⚠️ Chunk embeddings not built, semantic routing disabled:', error);
+    }
+  }
+
   /**
    * Build individual chunk index
    */
@@ -331,6 +467,20 @@ export class IndexBuilder {
 
   // Helper methods
 
+  /**
+   * Mean of the chunk embeddings, renormalized (undefined when a chunk has none)
+   */
+  private meanEmbedding(embeddings: (number[] | undefined)[]): number[] | undefined {
+    if (embeddings.length === 0 || embeddings.some(embedding => !embedding)) return undefined;
+    
+    const mean = new Array<number>(embeddings[0]!.length).fill(0);
+    for (const embedding of embeddings) {
+      embedding!.forEach((value, i) => { mean[i] += value; });
+    }
+    const norm = Math.sqrt(mean.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return mean.map(value => value / norm);
+  }
+
   private buildSectionInfo(book: any, chunks: Chunk[]): SectionInfo[] {
     const sectionsMap = new Map<string, SectionInfo>();
     
@@ -633,12 +783,12 @@ export class IndexBuilder {
   }
 
   private extractKeywords(text: string): string[] {
-    // Simple keyword extraction - can be enhanced with NLP
-    const words = text.split(/\s+/);
+    // Simple keyword extraction on normalized Hebrew (no niqqud, folded finals)
+    const words = tokenizeHebrew(text);
     const wordCounts = this.countOccurrences(words);
     
     // Filter out common words and return top keywords
-    const stopWords = ['את', 'של', 'על', 'אל', 'מן', 'עם', 'הוא', 'היא', 'הם', 'הן'];
+    const stopWords = tokenizeHebrew('את של על אל מן עם הוא היא הם הן');
     
     return Object.entries(wordCounts)
       .filter(([word]) => !stopWords.includes(word) && word.length > 2)
@@ -648,8 +798,9 @@ export class IndexBuilder {
   }
 
   private buildBM25Vector(text: string): Record<string, number> {
-    // Build BM25 vector for lexical search
-    const words = text.split(/\s+/);
+    // Build BM25 vector for lexical search: surface forms plus their unprefixed forms, so
+    // a query for התבודדות finds וההתבודדות without cutting שמחה down to מחה
+    const words = tokenizeHebrew(text, { expandPrefixes: true });
     const vector: Record<string, number> = {};
     
     for (const word of words) {
@@ -676,9 +827,8 @@ export class IndexBuilder {
   }
 
   private estimateIndexSize(index: any): number {
-    // Estimate size in tokens
-    const jsonString = JSON.stringify(index);
-    return Math.ceil(jsonString.length / 4);
+    // Size in tokens of the serialized index
+    return tokenCounter.count(JSON.stringify(index));
   }
 
   private async compressMasterIndex(index: MasterIndex): Promise<MasterIndex> {
@@ -723,23 +873,27 @@ export class IndexBuilder {
     await fs.mkdir(path.join(this.indexDir, 'chunks'), { recursive: true });
   }
 
+  // Write through a temporary file: a running router never reads a half-written index
+  private async writeJsonAtomic(filePath: string, data: unknown): Promise<void> {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Save the indexes: book indexes of the changed books only, chunk indexes of every book
+   * (related chunks span books), the master index last
+   */
   private async saveIndexes(
     masterIndex: MasterIndex,
     bookIndexes: Map<string, BookIndex>,
-    chunkIndexes: Map<string, ChunkIndex>
+    chunkIndexes: Map<string, ChunkIndex>,
+    changedBookIds: Set<string>
   ): Promise<void> {
-    // Save master index
-    await fs.writeFile(
-      path.join(this.indexDir, 'master', 'index.json'),
-      JSON.stringify(masterIndex, null, 2)
-    );
-    
     // Save book indexes
     for (const [bookId, bookIndex] of bookIndexes) {
-      await fs.writeFile(
-        path.join(this.indexDir, 'books', `${bookId}.json`),
-        JSON.stringify(bookIndex, null, 2)
-      );
+      if (!changedBookIds.has(bookId)) continue;
+      await this.writeJsonAtomic(path.join(this.indexDir, 'books', `${bookId}.json`), bookIndex);
     }
     
     // Save chunk indexes (grouped by book)
@@ -752,14 +906,36 @@ export class IndexBuilder {
     }
     
     for (const [bookId, chunks] of chunksByBook) {
-      await fs.writeFile(
-        path.join(this.indexDir, 'chunks', `${bookId}.json`),
-        JSON.stringify(chunks, null, 2)
-      );
+      await this.writeJsonAtomic(path.join(this.indexDir, 'chunks', `${bookId}.json`), chunks);
     }
     
+    // Save master index
+    await this.writeJsonAtomic(path.join(this.indexDir, 'master', 'index.json'), masterIndex);
+    
     logger.info(`💾 Saved all indexes to ${this.indexDir}`);
   }
+
+  /**
+   * Remove the book and chunk index files of books that are no longer indexed,
+   * and temporary files left by an interrupted build
+   */
+  private async removeStaleIndexes(books: any[]): Promise<void> {
+    const ids = new Set(books.map(book => `${book.id}.json`));
+    let removed = 0;
+    
+    for (const dir of ['books', 'chunks']) {
+      for (const file of await fs.readdir(path.join(this.indexDir, dir))) {
+        if (file.endsWith('.tmp') || (file.endsWith('.json') && !ids.has(file))) {
+          await fs.rm(path.join(this.indexDir, dir, file), { force: true });
+          removed++;
+        }
+      }
+    }
+    
+    if (removed > 0) {
+      logger.info(`🧹 Removed ${removed} stale index files`);
+    }
+  }
 }
 
 // Export singleton
@@ -1,4 +1,7 @@
 import { logger } from '../utils/logger';
+import { normalizeHebrew, includesNormalized } from '../utils/hebrewNormalizer';
+import { normalizeRef, rangeRef } from '../utils/sefariaRef';
+import { tokenCounter } from '../utils/tokenCounter';
 import crypto from 'crypto';
 
 export interface Chunk {
@@ -418,9 +421,7 @@ export class SemanticChunker {
         const textTokens = this.estimateTokens(text);
         if (tokens + textTokens > maxTokens) {
           // Take partial text
-          const ratio = (maxTokens - tokens) / textTokens;
-          const charCount = Math.floor(text.length * ratio);
-          context += text.substring(0, charCount) + '...';
+          context += tokenCounter.truncate(text, maxTokens - tokens) + '...';
           break;
         }
         context += text + '\n';
@@ -462,7 +463,8 @@ export class SemanticChunker {
       /^סימן\s+[א-ת]+/,   // Siman numbering
     ];
     
-    return patterns.some(p => p.test(section.title || section.hebrewText.substring(0, 50)));
+    const text = normalizeHebrew(section.title || section.hebrewText.substring(0, 50), { foldFinals: false });
+    return patterns.some(p => p.test(text));
   }
 
   private isStoryStart(section: any): boolean {
@@ -476,7 +478,7 @@ export class SemanticChunker {
     ];
     
     const text = section.hebrewText.substring(0, 100);
-    return storyMarkers.some(marker => text.includes(marker));
+    return storyMarkers.some(marker => includesNormalized(text, marker));
   }
 
   private isPrayerStart(section: any): boolean {
@@ -489,7 +491,7 @@ export class SemanticChunker {
     ];
     
     const text = section.hebrewText.substring(0, 100);
-    return prayerMarkers.some(marker => text.includes(marker));
+    return prayerMarkers.some(marker => includesNormalized(text, marker));
   }
 
   private extractThemes(text: string): string[] {
@@ -507,7 +509,7 @@ export class SemanticChunker {
     };
     
     for (const [theme, keywords] of Object.entries(themeKeywords)) {
-      if (keywords.some(kw => text.includes(kw))) {
+      if (keywords.some(kw => includesNormalized(text, kw))) {
         themes.push(theme);
       }
     }
@@ -527,7 +529,7 @@ export class SemanticChunker {
     };
     
     for (const [theme, keywords] of Object.entries(prayerThemes)) {
-      if (keywords.some(kw => text.includes(kw))) {
+      if (keywords.some(kw => includesNormalized(text, kw))) {
         themes.push(theme);
       }
     }
@@ -582,9 +584,7 @@ export class SemanticChunker {
   }
 
   private estimateTokens(text: string): number {
-    // Rough estimation: 1 token ≈ 4 characters for Hebrew
-    // Adjust based on your specific tokenizer
-    return Math.ceil(text.length / 4);
+    return tokenCounter.count(text);
   }
 
   private generateChunkId(bookId: string, index: number, content: string): string {
@@ -600,12 +600,15 @@ export class SemanticChunker {
     const firstSection = units[0].sections[0];
     const lastUnit = units[units.length - 1];
     const lastSection = lastUnit.sections[lastUnit.sections.length - 1];
+    const first = normalizeRef(firstSection.reference) || firstSection.reference;
+    const last = normalizeRef(lastSection.reference) || lastSection.reference;
     
-    if (firstSection.reference === lastSection.reference) {
-      return firstSection.reference;
+    if (first === last) {
+      return first;
     }
     
-    return `${firstSection.reference} - ${lastSection.reference}`;
+    // Same book, node and depth: canonical Sefaria range ("Likutei Moharan 1:2-5")
+    return rangeRef(first, last) || `${first} - ${last}`;
   }
 }
 
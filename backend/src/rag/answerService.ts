@@ -0,0 +1,143 @@
+import { logger } from '../utils/logger';
+import { AbstainedResponse, abstentionPolicy } from '../utils/abstentionPolicy';
+import { IntentClassification, intentClassifier } from '../utils/intentClassifier';
+import { ReferencePassage, RouteResult, hierarchicalRouter } from './hierarchicalRouter';
+import { GeneratedResponse, ResponseGenerator } from './responseGenerator';
+
+type AnswerLanguage = 'french' | 'hebrew' | 'english';
+
+export interface AnswerOptions {
+  language?: AnswerLanguage;
+  maxTokens?: number;
+}
+
+export interface PreparedAnswer {
+  intent: IntentClassification;
+  routeResult: RouteResult;
+  abstained: AbstainedResponse | null;  // Set when the retrieved chunks are not enough to answer
+}
+
+export type AbstainedAnswer = AbstainedResponse & {
+  citations: [];
+  language: string;
+  audioOptimized: string;
+};
+
+// Plain reference lookup ("read me Sichot HaRan 52"): the passage itself, without the LLM
+export interface PassageAnswer {
+  text: string;
+  mode: 'extractive';
+  confidence: number;
+  citations: { text: string; source: string; bookId: string; reference: string }[];
+  passage: ReferencePassage;
+  language: string;
+  audioOptimized: string;
+}
+
+export interface Answer extends PreparedAnswer {
+  response: GeneratedResponse | AbstainedAnswer | PassageAnswer;
+}
+
+/**
+ * Single entry point for answering a question: intent classification, retrieval with the
+ * intent's strategy and book priors (direct fetch for "Likutei Moharan 282"), abstention
+ * below the confidence threshold, then the grounded LLM answer — or the passage itself
+ * when the query only asks to read a reference.
+ * Backend counterpart of RAGSefariaSystem.answer (lib/rag-sefaria-system.js).
+ */
+export class AnswerService {
+  private generator: ResponseGenerator | null = null;
+
+  /**
+   * LLM response generator, created on first use (throws without an API key)
+   */
+  responseGenerator(): ResponseGenerator {
+    if (!this.generator) {
+      this.generator = new ResponseGenerator();
+    }
+    return this.generator;
+  }
+
+  /**
+   * Classify, route and decide whether to abstain; used directly when streaming
+   */
+  async prepare(query: string, options: AnswerOptions = {}): Promise<PreparedAnswer> {
+    const intent = intentClassifier.classify(query);
+    logger.info(`🧭 Intent: ${intent.intent} (${intent.confidence}), strategy: ${intent.strategy}`);
+
+    const routeResult = await hierarchicalRouter.route(query, {
+      maxTokens: options.maxTokens,
+      language: options.language,
+      intent
+    });
+
+    // Below the confidence threshold: "not found in the sources" instead of an ungrounded answer
+    if (routeResult.chunks.length === 0 || abstentionPolicy.shouldAbstain(routeResult.confidence)) {
+      const abstained = abstentionPolicy.abstain({
+        query,
+        confidence: routeResult.confidence,
+        candidates: routeResult.chunks.map(chunk => ({
+          reference: chunk.metadata.reference,
+          text: chunk.content.french || chunk.content.english || chunk.content.hebrew
+        })),
+        reason: routeResult.chunks.length === 0 ? 'no_results' : 'low_confidence'
+      });
+      return { intent, routeResult, abstained };
+    }
+
+    return { intent, routeResult, abstained: null };
+  }
+
+  /**
+   * Passage text as the answer, translation first (Hebrew when the chunks have no translation)
+   */
+  passageAnswer(prepared: PreparedAnswer, language: string): PassageAnswer | null {
+    const { passage, chunks } = prepared.routeResult;
+    if (!prepared.intent.lookup || !passage) return null;
+
+    const text = (language === 'hebrew' ? passage.hebrew : passage.translation || passage.hebrew) || '';
+    return {
+      text,
+      mode: 'extractive',
+      confidence: prepared.intent.confidence,
+      citations: [{
+        text: text.substring(0, 200),
+        source: passage.reference,
+        bookId: chunks[0].bookId,
+        reference: passage.reference
+      }],
+      passage,
+      language,
+      audioOptimized: text
+    };
+  }
+
+  /**
+   * Answer a (standalone) question
+   */
+  async answer(query: string, options: AnswerOptions = {}): Promise<Answer> {
+    const language = options.language || 'french';
+    const prepared = await this.prepare(query, options);
+
+    if (prepared.abstained) {
+      return {
+        ...prepared,
+        response: { ...prepared.abstained, citations: [], language, audioOptimized: prepared.abstained.text }
+      };
+    }
+
+    const passage = this.passageAnswer(prepared, language);
+    if (passage) {
+      return { ...prepared, response: passage };
+    }
+
+    const response = await this.responseGenerator().generate(query, prepared.routeResult, {
+      language,
+      intent: prepared.intent
+    });
+
+    return { ...prepared, response };
+  }
+}
+
+export const answerService = new AnswerService();
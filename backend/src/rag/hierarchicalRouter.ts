@@ -1,10 +1,16 @@
 import { logger } from '../utils/logger';
 import { MasterIndex, BookIndex, ChunkIndex } from '../processors/indexBuilder';
 import { Chunk } from '../processors/semanticChunker';
+import { normalizeHebrew, tokenizeHebrew } from '../utils/hebrewNormalizer';
+import { transliterationMatcher } from '../utils/transliteration';
+import { IntentClassification, IntentClassifier } from '../utils/intentClassifier';
+import { ParsedRef, formatRef, parseRef, refOverlaps } from '../utils/sefariaRef';
+import { EmbeddingClient } from '../utils/embeddingClient';
+import { ContextPacker, DroppedPassage } from '../utils/contextPacker';
+import { tokenCounter } from '../utils/tokenCounter';
 import fs from 'fs/promises';
 import path from 'path';
 import Redis from 'ioredis';
-import OpenAI from 'openai';
 
 export interface RouteResult {
   query: string;
@@ -15,6 +21,19 @@ export interface RouteResult {
   confidence: number;
   fromCache: boolean;
   strategy: string;
+  passage?: ReferencePassage;  // Direct fetch: the cited passage with its neighbours
+  dropped?: DroppedPassage[];  // Chunks left out of the context and why (duplicate, book_budget...)
+}
+
+export interface ReferencePassage {
+  reference: string;
+  requested: string;
+  heReference: string;
+  hebrew: string | null;
+  translation: string | null;
+  previous: string | null;     // Neighbouring passages at the cited depth, for navigation
+  next: string | null;
+  source: 'local';
 }
 
 interface BookScore {
@@ -36,6 +55,7 @@ interface SearchOptions {
   minConfidence?: number;
   language?: 'hebrew' | 'french' | 'english';
   useCache?: boolean;
+  intent?: IntentClassification;  // Book priors and strategy of the query's intent
 }
 
 export class HierarchicalRouter {
@@ -45,7 +65,8 @@ export class HierarchicalRouter {
   private chunksCache: Map<string, Chunk> = new Map();
   
   private redis: Redis | null = null;
-  private openai: OpenAI | null = null;
+  private embeddings: EmbeddingClient | null = null;
+  private packer = new ContextPacker();
   
   private readonly MAX_CONTEXT_TOKENS = 900000; // Leave margin for Gemini
   private readonly CACHE_TTL = 3600; // 1 hour
@@ -64,16 +85,6 @@ export class HierarchicalRouter {
       logger.warn('⚠️ Redis not available, caching disabled');
       this.redis = null;
     }
-    
-    // Initialize OpenAI for embeddings
-    if (process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-      logger.info('✅ OpenAI initialized for embeddings');
-    } else {
-      logger.warn('⚠️ OpenAI API key not found, semantic search limited');
-    }
   }
   
   /**
@@ -90,6 +101,20 @@ export class HierarchicalRouter {
       );
       this.masterIndex = JSON.parse(masterData);
       
+      // Queries are embedded with the model that built the indexes
+      const model = this.masterIndex?.embeddingModel;
+      if (model) {
+        this.embeddings = new EmbeddingClient({
+          provider: model.provider,
+          model: model.model,
+          dimensions: model.dimensions || undefined
+        });
+        logger.info(`✅ Embeddings: ${model.provider}/${model.model}`);
+      } else {
+        this.embeddings = null;
+        logger.warn('⚠️ Indexes built without embeddings, semantic search disabled');
+      }
+      
       // Load book indexes
       const bookFiles = await fs.readdir(path.join(indexDir, 'books'));
       for (const file of bookFiles) {
@@ -139,6 +164,11 @@ export class HierarchicalRouter {
     
     logger.info(`🔍 Routing query: "${query.substring(0, 50)}..."`);
     
+    // Exact reference ("Likutei Moharan 282"): fetch the chunks that contain it
+    if (opts.intent?.strategy === 'direct_fetch' && opts.intent.reference) {
+      return this.fetchReference(query, opts.intent.reference);
+    }
+    
     // Check cache first
     if (opts.useCache && this.redis) {
       const cached = await this.getCachedResult(query);
@@ -157,7 +187,8 @@ export class HierarchicalRouter {
       const relevantBooks = await this.searchMasterIndex(
         query,
         queryEmbedding,
-        queryKeywords
+        queryKeywords,
+        opts.intent
       );
       
       if (relevantBooks.length === 0) {
@@ -179,7 +210,7 @@ export class HierarchicalRouter {
       }
       
       // Step 4: Retrieve Chunks (Level 3)
-      const chunks = await this.retrieveChunks(
+      const { chunks, dropped } = await this.retrieveChunks(
         sectionCandidates,
         opts.maxTokens
       );
@@ -205,7 +236,8 @@ export class HierarchicalRouter {
         totalTokens,
         confidence,
         fromCache: false,
-        strategy: 'HierarchicalRouting'
+        strategy: 'HierarchicalRouting',
+        dropped
       };
       
       // Cache result
@@ -225,12 +257,87 @@ export class HierarchicalRouter {
   }
   
   /**
-   * Level 1: Search Master Index to find relevant books
+   * Direct fetch of a cited reference from the chunk indexes, with the previous and
+   * next passages of the book for navigation
+   */
+  private async fetchReference(query: string, reference: string): Promise<RouteResult> {
+    const cited = parseRef(reference);
+    const chunks: Chunk[] = [];
+    let previous: string | null = null;
+    let next: string | null = null;
+    
+    for (const [bookId, indexes] of this.chunkIndexes) {
+      const positions = indexes
+        .map((index, position) => refOverlaps(index.reference, reference) ? position : -1)
+        .filter(position => position > -1);
+      if (positions.length === 0 || !cited) continue;
+      
+      chunks.push(...await this.loadChunksForSection(
+        bookId,
+        positions.map(position => indexes[position].chunkId)
+      ));
+      previous = this.neighbour(indexes.slice(0, positions[0]).reverse(), cited, true);
+      next = this.neighbour(indexes.slice(positions[positions.length - 1] + 1), cited);
+    }
+    
+    if (!cited || chunks.length === 0) {
+      logger.warn(`Reference not found in the indexes: ${reference}`);
+      return this.createEmptyResult(query);
+    }
+    
+    logger.info(`📖 Direct fetch of ${reference}: ${chunks.length} chunks`);
+    
+    return {
+      query,
+      books: [{ bookId: chunks[0].bookId, title: cited.book, score: 1, reason: `Direct reference: ${reference}` }],
+      sections: [],
+      chunks,
+      totalTokens: chunks.reduce((sum, chunk) => sum + chunk.metadata.tokenCount, 0),
+      confidence: 1,
+      fromCache: false,
+      strategy: 'DirectFetch',
+      passage: {
+        reference: formatRef(cited),
+        requested: reference,
+        heReference: formatRef(cited, 'he'),
+        hebrew: chunks.map(chunk => chunk.content.hebrew).filter(Boolean).join('\n') || null,
+        translation: chunks.map(chunk => chunk.content.french || chunk.content.english).filter(Boolean).join('\n') || null,
+        previous,
+        next,
+        source: 'local'
+      }
+    };
+  }
+  
+  /**
+   * First passage outside the cited one, at the cited depth ("Likutei Moharan 281" before 282);
+   * going backwards, the end of a chunk's range is the nearest passage
+   */
+  private neighbour(indexes: ChunkIndex[], cited: ParsedRef, backwards = false): string | null {
+    const citedRef = formatRef(cited);
+    
+    for (const index of indexes) {
+      const parsed = parseRef(index.reference);
+      if (!parsed || parsed.book !== cited.book) continue;
+      
+      const depth = Math.max(cited.sections.length, 1);
+      const sections = backwards && parsed.toSections ? parsed.toSections : parsed.sections;
+      const neighbour = formatRef({ ...parsed, sections: sections.slice(0, depth), toSections: null });
+      if (!refOverlaps(neighbour, citedRef)) return neighbour;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Level 1: Search Master Index to find relevant books;
+   * books favoured by the query's intent (Chayei Moharan for dates...) gain up to 0.3
    */
   private async searchMasterIndex(
     query: string,
     queryEmbedding: number[] | null,
-    queryKeywords: string[]
+    queryKeywords: string[],
+    intent?: IntentClassification
   ): Promise<BookScore[]> {
     if (!this.masterIndex) {
       throw new Error('Master index not loaded');
@@ -291,10 +398,12 @@ export class HierarchicalRouter {
       const thematicScore = thematicMatches.get(bookId) || 0;
       const semanticScore = semanticMatches.get(bookId) || 0;
       
-      // Weighted combination
+      // Weighted combination, plus the intent's book prior
+      const priorScore = intent ? IntentClassifier.prior(intent, bookId) : 0;
       const totalScore = (lexicalScore * 0.3) + 
                         (thematicScore * 0.3) + 
-                        (semanticScore * 0.4);
+                        (semanticScore * 0.4) +
+                        (priorScore * 0.3);
       
       if (totalScore > 0.1) {
         const book = this.masterIndex.books.find(b => b.id === bookId);
@@ -350,8 +459,9 @@ export class HierarchicalRouter {
         score += keywordOverlap * 0.2;
         
         // Check theme overlap
+        const sectionThemes = section.themes.map(theme => normalizeHebrew(theme));
         const themeOverlap = queryKeywords.filter(
-          kw => section.themes.includes(kw)
+          kw => sectionThemes.includes(kw)
         ).length;
         score += themeOverlap * 0.3;
         
@@ -395,54 +505,53 @@ export class HierarchicalRouter {
   }
   
   /**
-   * Level 3: Retrieve actual chunks up to token limit
+   * Level 3: Retrieve the candidate sections' chunks and pack them by maximal marginal relevance
+   * (utils/contextPacker.ts): relevance and variety of books, consecutive chunks of a section
+   * joined, total and per-book token budgets
    */
   private async retrieveChunks(
     candidates: SectionCandidate[],
     maxTokens: number
-  ): Promise<Chunk[]> {
-    const chunks: Chunk[] = [];
-    let totalTokens = 0;
-    
+  ): Promise<{ chunks: Chunk[]; dropped: DroppedPassage[] }> {
+    const retrieved = [];
     for (const candidate of candidates) {
-      // Load chunks for this candidate
       const candidateChunks = await this.loadChunksForSection(
         candidate.bookId,
         candidate.chunkIds
       );
       
       for (const chunk of candidateChunks) {
-        const chunkTokens = chunk.metadata.tokenCount;
-        
-        // Check if adding this chunk exceeds limit
-        if (totalTokens + chunkTokens > maxTokens) {
-          // Try to add partial chunk if there's significant space left
-          if (maxTokens - totalTokens > 10000) {
-            const partialChunk = this.truncateChunk(
-              chunk,
-              maxTokens - totalTokens
-            );
-            chunks.push(partialChunk);
-            totalTokens += partialChunk.metadata.tokenCount;
-          }
-          
-          // Stop here as we've reached the limit
-          logger.info(`📊 Token limit reached: ${totalTokens}/${maxTokens}`);
-          return chunks;
-        }
-        
-        chunks.push(chunk);
-        totalTokens += chunkTokens;
+        retrieved.push({
+          id: chunk.id,
+          text: chunk.content.french || chunk.content.english || chunk.content.hebrew,
+          tokens: chunk.metadata.tokenCount,
+          score: candidate.score,
+          book: candidate.bookId,
+          section: candidate.sectionId,
+          position: candidate.chunkIds.indexOf(chunk.id),
+          reference: chunk.metadata.reference,
+          item: chunk
+        });
       }
-      
-      // Stop if we have enough context (80% of max)
-      if (totalTokens > maxTokens * 0.8) {
-        logger.info(`📊 Sufficient context gathered: ${totalTokens} tokens`);
-        break;
+    }
+    
+    const { passages, dropped, totalTokens } = this.packer.pack(retrieved, { maxTokens });
+    
+    // Joined chunks stay separate; a truncated passage loses the end of its last chunk
+    const chunks: Chunk[] = [];
+    for (const passage of passages) {
+      let left = passage.tokens;
+      for (const chunk of passage.items) {
+        if (left <= 0) break;
+        const chunkTokens = chunk.metadata.tokenCount;
+        chunks.push(passage.truncated && chunkTokens > left ? this.truncateChunk(chunk, left) : chunk);
+        left -= chunkTokens;
       }
     }
     
-    return chunks;
+    logger.info(`📊 Context packed: ${chunks.length} chunks, ${totalTokens}/${maxTokens} tokens, ${dropped.length} dropped`);
+    
+    return { chunks, dropped };
   }
   
   /**
@@ -490,17 +599,14 @@ export class HierarchicalRouter {
    * Truncate a chunk to fit within token limit
    */
   private truncateChunk(chunk: Chunk, maxTokens: number): Chunk {
-    const ratio = maxTokens / chunk.metadata.tokenCount;
-    const hebrewLength = Math.floor(chunk.content.hebrew.length * ratio);
+    const truncate = (text: string) => tokenCounter.truncate(text, maxTokens) + '...';
     
     return {
       ...chunk,
       content: {
-        hebrew: chunk.content.hebrew.substring(0, hebrewLength) + '...',
-        english: chunk.content.english ? 
-          chunk.content.english.substring(0, hebrewLength) + '...' : undefined,
-        french: chunk.content.french ? 
-          chunk.content.french.substring(0, hebrewLength) + '...' : undefined
+        hebrew: truncate(chunk.content.hebrew),
+        english: chunk.content.english ? truncate(chunk.content.english) : undefined,
+        french: chunk.content.french ? truncate(chunk.content.french) : undefined
       },
       metadata: {
         ...chunk.metadata,
@@ -513,15 +619,10 @@ export class HierarchicalRouter {
    * Generate embedding for a query
    */
   private async generateEmbedding(text: string): Promise<number[] | null> {
-    if (!this.openai) return null;
+    if (!this.embeddings) return null;
     
     try {
-      const response = await this.openai.embeddings.create({
-        model: 'text-embedding-ada-002',
-        input: text
-      });
-      
-      return response.data[0].embedding;
+      return await this.embeddings.embedOne(text);
     } catch (error) {
       logger.warn('Failed to generate embedding:', error);
       return null;
@@ -532,25 +633,17 @@ export class HierarchicalRouter {
    * Extract keywords from query
    */
   private extractQueryKeywords(query: string): string[] {
-    // Normalize query
-    const normalized = query.toLowerCase();
-    
-    // Extract meaningful words
-    const words = normalized.split(/\s+/)
-      .filter(word => word.length > 2);
-    
-    // Add Hebrew keywords if detected
-    const hebrewKeywords: string[] = [];
-    if (/[\u0590-\u05FF]/.test(query)) {
-      // Hebrew text detected
-      const hebrewWords = query.match(/[\u0590-\u05FF]+/g) || [];
-      hebrewKeywords.push(...hebrewWords);
-    }
+    // Normalize query (niqqud, gershayim, final letters, maqaf) and extract meaningful words
+    const words = tokenizeHebrew(query, { minLength: 3 });
+    
+    // Add Hebrew stems and spellings of transliterated terms (hisbodedus -> התבודדות)
+    const { terms } = transliterationMatcher.expand(query);
+    const transliteratedKeywords = tokenizeHebrew(terms.join(' '), { minLength: 3 });
     
-    // Add thematic keywords
-    const thematicKeywords = this.detectThematicKeywords(query);
+    // Add thematic keywords, normalized like the indexed keywords
+    const thematicKeywords = this.detectThematicKeywords(query).map(kw => normalizeHebrew(kw));
     
-    return [...new Set([...words, ...hebrewKeywords, ...thematicKeywords])];
+    return [...new Set([...words, ...transliteratedKeywords, ...thematicKeywords])];
   }
   
   /**
@@ -569,8 +662,9 @@ export class HierarchicalRouter {
       'hitbodedout': ['התבודדות', 'hitbodedut']
     };
     
+    const normalizedQuery = normalizeHebrew(query);
     for (const [french, hebrew] of Object.entries(themeMap)) {
-      if (query.toLowerCase().includes(french)) {
+      if (normalizedQuery.includes(french)) {
         keywords.push(...hebrew);
       }
     }
@@ -627,7 +721,7 @@ export class HierarchicalRouter {
     confidence += keywordCoverage * 0.4;
     
     // Factor 3: Theme alignment
-    const allThemes = new Set(chunks.flatMap(c => c.metadata.themes));
+    const allThemes = new Set(chunks.flatMap(c => c.metadata.themes.map(theme => normalizeHebrew(theme))));
     const themeAlignment = queryKeywords.filter(
       kw => allThemes.has(kw)
     ).length / Math.max(queryKeywords.length, 1);
@@ -1,14 +1,28 @@
-import { GoogleGenerativeAI, GenerativeModel, Content } from '@google/generative-ai';
 import { logger } from '../utils/logger';
+import { LLMClient, LLMClientOptions } from '../utils/llmClient';
+import {
+  CitationVerifier,
+  CitationStatus,
+  CheckedQuote,
+  VerificationResult,
+  VerificationSummary,
+  CITATION_INSTRUCTIONS,
+  passageLabel,
+  settledClaims
+} from '../utils/citationVerifier';
+import { ResponseMode } from '../utils/abstentionPolicy';
+import { IntentClassification } from '../utils/intentClassifier';
 import { Chunk } from '../processors/semanticChunker';
 import { RouteResult } from './hierarchicalRouter';
 
 export interface GeneratedResponse {
   text: string;
+  mode: ResponseMode;
   citations: Citation[];
   confidence: number;
   language: string;
   audioOptimized: string;  // Version optimized for TTS
+  verification: VerificationSummary;
   metadata: {
     model: string;
     tokensUsed: number;
@@ -22,6 +36,16 @@ interface Citation {
   source: string;
   bookId: string;
   reference: string;
+  passageId: string;
+  status: CitationStatus;  // verified | cited | unsupported | retrieved
+  quotes: CheckedQuote[];
+}
+
+interface ChunkPassage {
+  id: string;
+  reference: string;
+  text: string;
+  bookId: string;
 }
 
 interface GenerationOptions {
@@ -30,31 +54,27 @@ interface GenerationOptions {
   temperature?: number;
   includeHebrew?: boolean;
   streamResponse?: boolean;
+  intent?: IntentClassification;  // Adds the intent's answer instruction (date, prayer...)
 }
 
-export class GeminiGenerator {
-  private genAI: GoogleGenerativeAI;
-  private model: GenerativeModel;
+export class ResponseGenerator {
+  private llm: LLMClient;
+  private verifier = new CitationVerifier();
   
-  constructor() {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY is required');
-    }
-    
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    
-    // Use Gemini 1.5 Pro for maximum context window
-    this.model = this.genAI.getGenerativeModel({ 
-      model: 'gemini-1.5-pro',
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 2048,
-      }
+  constructor(options: LLMClientOptions = {}) {
+    // Provider chosen by LLM_PROVIDER; on Gemini, 1.5 Pro for maximum context window
+    this.llm = new LLMClient({
+      temperature: 0.7,
+      maxTokens: 2048,
+      ...options,
+      gemini: { model: 'gemini-1.5-pro', ...options.gemini }
     });
     
-    logger.info('✅ Gemini 1.5 Pro initialized');
+    if (!this.llm.isConfigured()) {
+      throw new Error(`No API key configured for LLM provider "${this.llm.provider}"`);
+    }
+    
+    logger.info(`✅ LLM initialized: ${this.llm.provider} (${this.llm.model})`);
   }
   
   /**
@@ -86,19 +106,19 @@ export class GeminiGenerator {
       const prompt = this.createPrompt(query, context, opts);
       
       // Generate response
-      const result = await this.model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: opts.temperature,
-          maxOutputTokens: opts.maxLength * 4, // Approximate tokens
-        }
+      const result = await this.llm.generate(prompt, {
+        temperature: opts.temperature,
+        maxTokens: opts.maxLength * 4 // Approximate tokens
       });
       
-      const response = result.response;
-      const responseText = response.text();
-      
-      // Extract citations from response
-      const citations = this.extractCitations(responseText, routeResult.chunks);
+      // Keep only supported claims, with the passages they actually cite
+      const verification = this.verify(result.text, routeResult.chunks);
+      // Every claim dropped: the passages themselves rather than an empty grounded answer
+      const mode: ResponseMode = verification.text.trim() ? 'grounded' : 'extractive';
+      const responseText = mode === 'grounded'
+        ? verification.text
+        : this.extractiveText(routeResult.chunks, opts.language);
+      const citations = this.toCitations(verification);
       
       // Create audio-optimized version
       const audioOptimized = this.optimizeForAudio(responseText, opts.language);
@@ -109,13 +129,15 @@ export class GeminiGenerator {
       
       return {
         text: responseText,
+        mode,
         citations,
         confidence: routeResult.confidence,
         language: opts.language,
         audioOptimized,
+        verification: verification.summary,
         metadata: {
-          model: 'gemini-1.5-pro',
-          tokensUsed: routeResult.totalTokens,
+          model: `${result.provider}/${result.model}`,
+          tokensUsed: result.usage.totalTokens || routeResult.totalTokens,
           generationTime,
           temperature: opts.temperature
         }
@@ -153,19 +175,13 @@ export class GeminiGenerator {
       const prompt = this.createPrompt(query, context, opts);
       
       // Stream generation
-      const result = await this.model.generateContentStream({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: opts.temperature,
-          maxOutputTokens: opts.maxLength * 4,
-        }
+      const stream = this.llm.stream(prompt, {
+        temperature: opts.temperature,
+        maxTokens: opts.maxLength * 4
       });
       
-      for await (const chunk of result.stream) {
-        const chunkText = chunk.text();
-        if (chunkText) {
-          yield chunkText;
-        }
+      for await (const chunkText of stream) {
+        yield chunkText;
       }
       
     } catch (error) {
@@ -175,7 +191,7 @@ export class GeminiGenerator {
   }
   
   /**
-   * Build context from chunks
+   * Build context from chunks, each labelled with its passage ID ([P1], [P2]...)
    */
   private buildContext(chunks: Chunk[], options: any): string {
     if (chunks.length === 0) {
@@ -184,40 +200,95 @@ export class GeminiGenerator {
     
     const contextParts: string[] = [];
     
-    for (const chunk of chunks) {
-      const reference = chunk.metadata.reference;
-      let content = '';
+    chunks.forEach((chunk, index) => {
+      let content = `[${passageLabel(index)}] Source: ${chunk.metadata.reference}\n`;
       
       // Add Hebrew if requested
       if (options.includeHebrew && chunk.content.hebrew) {
-        content += `[Hébreu - ${reference}]\n${chunk.content.hebrew}\n\n`;
+        content += `${chunk.content.hebrew}\n\n`;
       }
       
       // Add translation based on language
       if (options.language === 'french' && chunk.content.french) {
-        content += `[Français - ${reference}]\n${chunk.content.french}\n\n`;
+        content += `Français : ${chunk.content.french}\n\n`;
       } else if (options.language === 'english' && chunk.content.english) {
-        content += `[English - ${reference}]\n${chunk.content.english}\n\n`;
+        content += `English: ${chunk.content.english}\n\n`;
       } else if (chunk.content.hebrew && !options.includeHebrew) {
         // Fallback to Hebrew if no translation available
-        content += `[${reference}]\n${chunk.content.hebrew}\n\n`;
+        content += `${chunk.content.hebrew}\n\n`;
       }
       
       contextParts.push(content);
-    }
+    });
     
     return contextParts.join('\n---\n');
   }
   
   /**
-   * Create the prompt for Gemini
+   * Passages the answer can cite, with the same IDs as in the context
+   */
+  private passages(chunks: Chunk[]): ChunkPassage[] {
+    return chunks.map((chunk, index) => ({
+      id: passageLabel(index),
+      reference: chunk.metadata.reference,
+      text: [chunk.content.hebrew, chunk.content.french, chunk.content.english].filter(Boolean).join('\n'),
+      bookId: chunk.bookId
+    }));
+  }
+  
+  /**
+   * Check the citations of a generated answer against the routed chunks
+   * (also used after streaming, once the full text is known)
+   */
+  verify(text: string, chunks: Chunk[]): VerificationResult<ChunkPassage> {
+    return this.verifier.verify(text, this.passages(chunks));
+  }
+  
+  /**
+   * Verified text of a partial streamed answer: only its complete claims are checked,
+   * so what has been sent never has to be taken back
+   */
+  verifySettled(text: string, chunks: Chunk[]): string {
+    return this.verify(settledClaims(text), chunks).text;
+  }
+  
+  toCitations(verification: VerificationResult<ChunkPassage>): Citation[] {
+    return verification.citations.map(citation => ({
+      text: citation.excerpt,
+      source: this.identifySource(citation.bookId),
+      bookId: citation.bookId,
+      reference: citation.reference,
+      passageId: citation.passageId,
+      status: citation.status,
+      quotes: citation.quotes
+    }));
+  }
+  
+  /**
+   * Answer made of the top passages, without the LLM: used when verification leaves nothing
+   * of the generated text (counterpart of RAGSefariaSystem.constructFallbackResponse)
+   */
+  extractiveText(chunks: Chunk[], language: string = 'french'): string {
+    const parts = chunks.slice(0, 3).map(chunk => {
+      const translation = language === 'english'
+        ? chunk.content.english || chunk.content.french
+        : chunk.content.french || chunk.content.english;
+      const text = language === 'hebrew' ? chunk.content.hebrew : translation || chunk.content.hebrew;
+      return `**${chunk.metadata.reference}**\n"${(text || '').substring(0, 300)}..."`;
+    });
+    
+    return `D'après les textes de Rabbi Nachman :\n\n${parts.join('\n\n')}`;
+  }
+  
+  /**
+   * Create the prompt for the LLM
    */
   private createPrompt(
     query: string,
     context: string,
     options: any
   ): string {
-    const languageInstructions = {
+    const languageInstructions: Record<string, string> = {
       french: "Réponds en français",
       hebrew: "תשובה בעברית",
       english: "Answer in English"
@@ -234,12 +305,13 @@ ${context}
 INSTRUCTIONS :
 1. ${languageInstructions[options.language]}
 2. Base ta réponse UNIQUEMENT sur les textes fournis
-3. Cite les sources exactes (livre, chapitre, section) entre [crochets]
+3. Après chaque affirmation, cite l'identifiant du passage utilisé entre [crochets] : [P1]
 4. Maintiens la fidélité spirituelle et la profondeur du message
 5. Limite ta réponse à ${options.maxLength} mots maximum
 6. Si tu cites en hébreu, fournis toujours la traduction
 7. Structure ta réponse de manière claire et accessible
-8. Si le contexte ne contient pas d'information pertinente, dis-le clairement
+8. Si le contexte ne contient pas d'information pertinente, dis-le clairement${options.intent ? `
+9. ${options.intent.instruction}` : ''}
 
 FORMAT DE RÉPONSE :
 - Introduction brève
@@ -247,51 +319,13 @@ FORMAT DE RÉPONSE :
 - Application pratique si pertinente
 - Conclusion spirituelle
 
+${CITATION_INSTRUCTIONS}
+
 Rappel : Tu es la voix des enseignements de Rabbi Nachman. Transmets sa sagesse avec respect et clarté.`;
     
     return prompt;
   }
   
-  /**
-   * Extract citations from generated text
-   */
-  private extractCitations(text: string, chunks: Chunk[]): Citation[] {
-    const citations: Citation[] = [];
-    
-    // Pattern to match citations in brackets
-    const citationPattern = /\[([^\]]+)\]/g;
-    const matches = text.matchAll(citationPattern);
-    
-    for (const match of matches) {
-      const citationText = match[1];
-      
-      // Try to match with chunk references
-      const matchingChunk = chunks.find(chunk => 
-        chunk.metadata.reference.includes(citationText) ||
-        citationText.includes(chunk.metadata.reference)
-      );
-      
-      if (matchingChunk) {
-        citations.push({
-          text: citationText,
-          source: this.identifySource(matchingChunk.bookId),
-          bookId: matchingChunk.bookId,
-          reference: matchingChunk.metadata.reference
-        });
-      } else {
-        // Generic citation without exact match
-        citations.push({
-          text: citationText,
-          source: 'Rabbi Nachman',
-          bookId: '',
-          reference: citationText
-        });
-      }
-    }
-    
-    return citations;
-  }
-  
   /**
    * Optimize text for audio synthesis
    */
@@ -361,15 +395,12 @@ ${context}
 Fournis un résumé concis qui capture l'essence spirituelle des textes.`;
     
     try {
-      const result = await this.model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.5,
-          maxOutputTokens: maxLength * 4,
-        }
+      const result = await this.llm.generate(prompt, {
+        temperature: 0.5,
+        maxTokens: maxLength * 4
       });
       
-      return result.response.text();
+      return result.text;
     } catch (error) {
       logger.error('Summary generation error:', error);
       return '';
@@ -406,15 +437,12 @@ Fournis une analyse profonde en 300 mots maximum qui :
 3. Offre une application pratique pour aujourd'hui`;
     
     try {
-      const result = await this.model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 1200,
-        }
+      const result = await this.llm.generate(prompt, {
+        temperature: 0.7,
+        maxTokens: 1200
       });
       
-      return result.response.text();
+      return result.text;
     } catch (error) {
       logger.error('Thematic insights generation error:', error);
       return '';
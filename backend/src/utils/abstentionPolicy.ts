@@ -0,0 +1,236 @@
+// Abstention policy: when retrieval confidence is below ABSTENTION_THRESHOLD (0.35 by
+// default), the API answers "not found in the sources" with the nearest passages and
+// suggested reformulations instead of generating an ungrounded answer.
+// TypeScript port of lib/abstention-policy.js.
+
+import dictionaryData from './transliterations.json';
+import { normalizeHebrew, tokenizeHebrew } from './hebrewNormalizer';
+import {
+  TransliterationDictionary,
+  TransliterationEntry,
+  foldLatin,
+  transliterationMatcher
+} from './transliteration';
+
+const DEFAULT_THRESHOLD = 0.35;
+
+// Response mode reported by every answer
+export type ResponseMode =
+  | 'grounded'        // LLM answer based on the retrieved passages
+  | 'extractive'      // Retrieved passages assembled without the LLM
+  | 'knowledge_base'  // Teaching from the built-in knowledge base
+  | 'abstained';      // Nothing relevant enough: no generated answer
+
+export type AbstentionReason = 'no_results' | 'low_confidence' | 'unavailable';
+
+// Function words of French and English questions
+const STOP_WORDS = new Set([
+  'les', 'des', 'une', 'est', 'que', 'qui', 'quoi', 'quel', 'quelle', 'quels', 'quelles',
+  'comment', 'pourquoi', 'dit', 'dire', 'enseigne', 'enseignement', 'enseignements', 'parle',
+  'selon', 'sur', 'dans', 'pour', 'par', 'avec', 'sans', 'son', 'ses', 'leur', 'nous', 'vous',
+  'mon', 'mes', 'moi', 'elle', 'ils', 'pas', 'plus', 'tout', 'tous', 'faut', 'peut', 'etre',
+  'avoir', 'fait', 'faire', 'cette', 'ces', 'aux', 'entre', 'rabbi', 'rav', 'rebbe', 'reb',
+  'the', 'and', 'what', 'how', 'why', 'does', 'did', 'say', 'says', 'about', 'teach', 'teaches',
+  'according', 'with', 'for', 'from', 'his', 'her', 'this', 'that', 'are', 'was', 'can'
+]);
+
+// Popular questions, used to complete the suggestions
+const POPULAR_QUESTIONS = [
+  "Que dit Rabbi Nachman sur l'hitbodedout ?",
+  'Que dit Rabbi Nachman sur la joie ?',
+  'Que dit Rabbi Nachman sur la foi simple ?'
+];
+
+const MAX_SUGGESTIONS = 3;
+
+const entries = (dictionaryData as TransliterationDictionary).entries;
+
+export interface AbstentionCandidate {
+  reference: string;
+  text: string;
+  score?: number;
+}
+
+export interface NearestPassage {
+  reference: string;
+  text: string;
+  score?: number;
+}
+
+export interface RetrievalAssessment {
+  confidence: number;
+  coverage: number;
+  abstain: boolean;
+  reason: AbstentionReason;
+}
+
+export interface AbstainedResponse {
+  mode: 'abstained';
+  text: string;
+  confidence: number;
+  threshold: number;
+  reason: AbstentionReason;
+  nearestPassages: NearestPassage[];
+  suggestions: string[];
+}
+
+interface QueryConcept {
+  label: string;
+  entry: TransliterationEntry | null;
+  forms: string[];
+}
+
+export interface AbstentionPolicyOptions {
+  threshold?: number;    // Minimum confidence to answer
+  maxNearest?: number;   // Nearest passages returned (3)
+}
+
+/**
+ * Comparable text: normalized Hebrew, Latin without accents
+ */
+function fold(text: string): string {
+  return foldLatin(normalizeHebrew(text));
+}
+
+const round = (value: number): number => Math.round(value * 100) / 100;
+
+export class AbstentionPolicy {
+  readonly threshold: number;
+  private maxNearest: number;
+
+  constructor(options: AbstentionPolicyOptions = {}) {
+    const fromEnv = parseFloat(process.env.ABSTENTION_THRESHOLD || '');
+    this.threshold = options.threshold ?? (Number.isFinite(fromEnv) ? fromEnv : DEFAULT_THRESHOLD);
+    this.maxNearest = options.maxNearest || 3;
+  }
+
+  /**
+   * Query concepts: recognized dictionary entries (with all their forms), then the
+   * remaining words; people (Rabbi Nachman, Rabbi Natan) do not count
+   */
+  concepts(query: string): QueryConcept[] {
+    const matches = transliterationMatcher.match(query);
+    const consumed = new Set(matches.flatMap(m => m.token.split(' ')));
+    const concepts: QueryConcept[] = [];
+
+    for (const id of new Set(matches.map(m => m.id))) {
+      const entry = entries.find(e => e.id === id);
+      if (!entry || entry.category === 'person') continue;
+
+      const forms = [...entry.hebrew, ...(entry.latin || []), ...(entry.synonyms || [])]
+        .map(fold)
+        .filter(form => form.length >= 3);
+      concepts.push({ label: id, entry, forms: [...new Set(forms)] });
+    }
+
+    const words = tokenizeHebrew(query, { minLength: 3 }).map(foldLatin);
+    for (const word of new Set(words)) {
+      if (consumed.has(word) || STOP_WORDS.has(word)) continue;
+      concepts.push({ label: word, entry: null, forms: [word] });
+    }
+
+    return concepts;
+  }
+
+  /**
+   * Share of the query concepts found in the texts (0 to 1)
+   */
+  coverage(query: string, texts: string[]): number {
+    const haystack = fold(texts.filter(Boolean).join('\n'));
+    if (!haystack.trim()) return 0;
+
+    const concepts = this.concepts(query);
+    if (concepts.length === 0) return 1;
+
+    const found = concepts.filter(concept => concept.forms.some(form => haystack.includes(form)));
+    return found.length / concepts.length;
+  }
+
+  /**
+   * Confidence in the retrieved passages: query coverage, averaged with the best
+   * search score when one is calibrated (0 to 1)
+   */
+  assess(query: string, candidates: AbstentionCandidate[]): RetrievalAssessment {
+    if (candidates.length === 0) {
+      return { confidence: 0, coverage: 0, abstain: true, reason: 'no_results' };
+    }
+
+    const coverage = this.coverage(query, candidates.map(c => c.text));
+    const scores = candidates.map(c => c.score).filter((score): score is number => Number.isFinite(score));
+    const confidence = round(scores.length > 0 ? (coverage + Math.max(...scores)) / 2 : coverage);
+
+    return {
+      confidence,
+      coverage: round(coverage),
+      abstain: this.shouldAbstain(confidence),
+      reason: 'low_confidence'
+    };
+  }
+
+  /**
+   * Whether the confidence is too low to answer
+   */
+  shouldAbstain(confidence: number): boolean {
+    return !(confidence >= this.threshold);
+  }
+
+  /**
+   * Suggested reformulations: recognized themes with their Hebrew term,
+   * nearest passages, then popular questions
+   */
+  suggestions(query: string, nearest: NearestPassage[] = []): string[] {
+    const suggestions: string[] = [];
+
+    for (const { entry } of this.concepts(query)) {
+      if (!entry || !entry.latin) continue;
+      const name = (entry.synonyms || [])[0] || entry.latin[0];
+      suggestions.push(`Que dit Rabbi Nachman sur ${name} (${entry.hebrew[0]}) ?`);
+    }
+
+    for (const passage of nearest) {
+      if (passage.reference) suggestions.push(`Que dit ${passage.reference} ?`);
+    }
+
+    suggestions.push(...POPULAR_QUESTIONS);
+
+    return [...new Set(suggestions)].slice(0, MAX_SUGGESTIONS);
+  }
+
+  /**
+   * Structured "not found in the sources" answer
+   */
+  abstain(params: {
+    query: string;
+    confidence?: number;
+    candidates?: AbstentionCandidate[];
+    reason?: AbstentionReason;
+  }): AbstainedResponse {
+    const { query, confidence = 0, candidates = [], reason = 'low_confidence' } = params;
+
+    const nearestPassages: NearestPassage[] = candidates.slice(0, this.maxNearest).map(candidate => ({
+      reference: candidate.reference,
+      text: String(candidate.text || '').substring(0, 200),
+      ...(Number.isFinite(candidate.score) ? { score: round(candidate.score!) } : {})
+    }));
+
+    let text = reason === 'unavailable'
+      ? "Les textes de Rabbi Nachman ne sont pas accessibles pour le moment, et je ne réponds pas sans m'appuyer sur eux."
+      : "Je n'ai pas trouvé de réponse à cette question dans les textes de Rabbi Nachman dont je dispose.";
+    if (nearestPassages.length > 0) {
+      text += ' Voici les passages les plus proches de votre question.';
+    }
+    text += ' Vous pouvez aussi essayer une de ces formulations.';
+
+    return {
+      mode: 'abstained',
+      text,
+      confidence,
+      threshold: this.threshold,
+      reason,
+      nearestPassages,
+      suggestions: this.suggestions(query, nearestPassages)
+    };
+  }
+}
+
+export const abstentionPolicy = new AbstentionPolicy();
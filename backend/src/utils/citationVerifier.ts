@@ -0,0 +1,298 @@
+// Grounded-citation verification for generated answers. Context passages get an ID
+// ([P1], [P2]...) that the model cites after each claim; every quoted span is looked up
+// (fuzzy, Hebrew-normalized) in the cited passage and unsupported claims are dropped or
+// flagged. TypeScript port of lib/citation-verifier.js.
+
+import { stripHebrewPrefixes, tokenizeHebrew } from './hebrewNormalizer';
+
+export const CITATION_INSTRUCTIONS = `CITATIONS :
+- Chaque passage est identifié par [P1], [P2]...
+- Après chaque affirmation, indique le ou les passages utilisés : [P1] ou [P1, P3]
+- Pour citer un texte, recopie-le mot pour mot entre « » et fais-le suivre de son identifiant
+- N'invente aucune citation : n'utilise que les passages fournis`;
+
+// [P1], [P1, P3], [P1; P2]
+const MARKER = /\s*\[(P\d+(?:\s*[,;]\s*P\d+)*)\]/g;
+
+// « ... », “ ... ” and " ... " (but not the gershayim of a Hebrew acronym: מוהר"ן)
+const QUOTE = /«\s*([^»]+?)\s*»|“([^”]+)”|(?<![\u05D0-\u05EA])"([^"]+)"/g;
+const GERSHAYIM = /[\u05D0-\u05EA]"[\u05D0-\u05EA]/;
+const OPENING_QUOTES: Record<string, string> = { '«': '»', '“': '”', '"': '"' };
+
+export type CitationStatus = 'verified' | 'cited' | 'unsupported' | 'retrieved';
+export type ClaimStatus = 'verified' | 'cited' | 'unsupported' | 'unknown_source' | 'uncited';
+
+// Citation statuses, most reliable first
+const STATUS_ORDER: CitationStatus[] = ['verified', 'cited', 'unsupported', 'retrieved'];
+
+export interface CitablePassage {
+  id: string;
+  reference: string;
+  text: string;
+}
+
+export interface CheckedQuote {
+  text: string;
+  passageId: string | null;
+  score: number;
+  found: boolean;
+}
+
+export interface VerifiedClaim {
+  text: string;
+  status: ClaimStatus;
+  passageIds: string[];
+  quotes: CheckedQuote[];
+  dropped: boolean;
+}
+
+export type VerifiedCitation<P extends CitablePassage> = Omit<P, 'id' | 'text'> & {
+  passageId: string;
+  status: CitationStatus;
+  quotes: CheckedQuote[];
+  excerpt: string;
+};
+
+export interface VerificationSummary {
+  verified: number;
+  cited: number;
+  unsupported: number;
+  unknownSource: number;
+  uncited: number;
+  dropped: number;
+}
+
+export interface VerificationResult<P extends CitablePassage> {
+  text: string;
+  citations: VerifiedCitation<P>[];
+  claims: VerifiedClaim[];
+  summary: VerificationSummary;
+}
+
+export interface CitationVerifierOptions {
+  threshold?: number;          // Share of the quote's terms found in the passage (0.8)
+  minQuoteTokens?: number;     // Shorter quotes are not checked (3)
+  onUnsupported?: 'drop' | 'flag';
+}
+
+/**
+ * ID of the passage at index i
+ */
+export function passageLabel(index: number): string {
+  return `P${index + 1}`;
+}
+
+/**
+ * Comparable terms: normalized Hebrew, Latin without accents
+ */
+function citationTokens(text: string): string[] {
+  return tokenizeHebrew(
+    String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, ''),
+    { minLength: 1 }
+  );
+}
+
+/**
+ * Share of the quote's terms found in the best window of the passage (0 to 1);
+ * a quoted « בשמחה » matches « שמחה » in the passage, and the other way round
+ */
+export function matchScore(quote: string, text: string): number {
+  const quoteTerms = citationTokens(quote);
+  const textTerms = citationTokens(text);
+  const vocabulary = new Set([...quoteTerms, ...textTerms]);
+  const needle = quoteTerms.map(term => stripHebrewPrefixes(term, vocabulary));
+  const haystack = textTerms.map(term => stripHebrewPrefixes(term, vocabulary));
+  if (needle.length === 0 || haystack.length === 0) return 0;
+
+  const wanted = new Map<string, number>();
+  needle.forEach(term => wanted.set(term, (wanted.get(term) || 0) + 1));
+
+  // Sliding window slightly wider than the quote (omitted or added words)
+  const size = Math.min(haystack.length, needle.length + 2);
+  const window = new Map<string, number>();
+  let matched = 0;
+  let best = 0;
+
+  const add = (term: string, delta: number) => {
+    const before = window.get(term) || 0;
+    window.set(term, before + delta);
+    const need = wanted.get(term) || 0;
+    matched += Math.min(before + delta, need) - Math.min(before, need);
+  };
+
+  for (let i = 0; i < haystack.length; i++) {
+    add(haystack[i], 1);
+    if (i >= size) add(haystack[i - size], -1);
+    best = Math.max(best, matched);
+  }
+
+  return best / needle.length;
+}
+
+/**
+ * Split an answer into claims (sentences) with their trailing whitespace, never inside
+ * a quote; an ID placed after the full stop stays with its sentence
+ */
+export function splitClaims(answer: string): { text: string; separator: string }[] {
+  const text = String(answer || '');
+  const claims: { text: string; separator: string }[] = [];
+  const closers: string[] = [];
+  let start = 0;
+
+  const push = (sentence: string, separator: string) => {
+    const last = claims[claims.length - 1];
+    if (!sentence) {
+      if (last) last.separator += separator;
+    } else if (last && /^(\[P\d+(?:\s*[,;]\s*P\d+)*\]\s*)+[.!?…]?$/.test(sentence)) {
+      last.text += ` ${sentence}`;
+      last.separator = separator;
+    } else {
+      claims.push({ text: sentence, separator });
+    }
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' && GERSHAYIM.test(text.slice(i - 1, i + 2))) {
+      continue;
+    } else if (char === closers[closers.length - 1]) {
+      closers.pop();
+    } else if (OPENING_QUOTES[char]) {
+      closers.push(OPENING_QUOTES[char]);
+    }
+    if (closers.length > 0 || !/\s/.test(char)) continue;
+
+    let end = i;
+    while (end < text.length && /\s/.test(text[end])) end++;
+    const separator = text.slice(i, end);
+    const sentence = text.slice(start, i).trim();
+
+    if (separator.includes('\n') || /[.!?…]["»”)]*$/.test(sentence)) {
+      push(sentence, separator);
+      start = end;
+    }
+    i = end - 1;
+  }
+  push(text.slice(start).trim(), '');
+
+  return claims;
+}
+
+/**
+ * Complete claims of a partial (streamed) answer: all but the one being written, and
+ * the one before it while the tail may still be its passage ID ("... joie. [P1]")
+ */
+export function settledClaims(answer: string): string {
+  const claims = splitClaims(answer);
+  let settled = claims.length - 1;
+  if (settled > 0 && /^[\[\]P\d\s,;]*[.!?…]?$/.test(claims[settled].text)) settled--;
+  return claims.slice(0, Math.max(settled, 0)).map(claim => claim.text + claim.separator).join('');
+}
+
+export class CitationVerifier {
+  private threshold: number;
+  private minQuoteTokens: number;
+  private onUnsupported: 'drop' | 'flag';
+
+  constructor(options: CitationVerifierOptions = {}) {
+    this.threshold = options.threshold ?? 0.8;
+    this.minQuoteTokens = options.minQuoteTokens ?? 3;
+    this.onUnsupported = options.onUnsupported || 'drop';
+  }
+
+  /**
+   * Check an answer against the context passages ({ id, reference, text, ... })
+   */
+  verify<P extends CitablePassage>(answer: string, passages: P[]): VerificationResult<P> {
+    const byId = new Map(passages.map(passage => [passage.id, passage]));
+    const cited = new Map<string, { passageId: string; statuses: CitationStatus[]; quotes: CheckedQuote[] }>();
+    const claims: (VerifiedClaim & { separator: string })[] = [];
+
+    for (const { text: sentence, separator } of splitClaims(answer)) {
+      const ids = [...sentence.matchAll(MARKER)].flatMap(m => m[1].split(/\s*[,;]\s*/));
+      const known = [...new Set(ids)].filter(id => byId.has(id));
+      const quotes = [...sentence.matchAll(QUOTE)]
+        .map(m => (m[1] || m[2] || m[3]).trim())
+        .filter(quote => citationTokens(quote).length >= this.minQuoteTokens);
+
+      // Without an ID, a quote must still be found in one of the given passages
+      const candidates = ids.length === 0 ? [...byId.keys()] : known;
+      const checked: CheckedQuote[] = quotes.map(quote => {
+        const scores = candidates.map(id => ({ id, score: matchScore(quote, byId.get(id)!.text) }));
+        const best = scores.sort((a, b) => b.score - a.score)[0] || { id: null, score: 0 };
+        return { text: quote, passageId: best.id, score: Math.round(best.score * 100) / 100, found: best.score >= this.threshold };
+      });
+
+      let status: ClaimStatus = 'uncited';
+      if (ids.length > 0 && known.length === 0) {
+        status = 'unknown_source';
+      } else if (known.length > 0) {
+        status = checked.length === 0 ? 'cited' : checked.every(q => q.found) ? 'verified' : 'unsupported';
+      } else if (checked.some(q => !q.found)) {
+        status = 'unsupported';
+      }
+
+      for (const id of known) {
+        const citation = cited.get(id) || { passageId: id, statuses: [], quotes: [] };
+        const quotesForId = checked.filter(q => q.passageId === id);
+        citation.quotes.push(...quotesForId);
+        citation.statuses.push(quotesForId.some(q => !q.found) ? 'unsupported'
+          : quotesForId.length > 0 ? 'verified'
+            : 'cited');
+        cited.set(id, citation);
+      }
+
+      claims.push({
+        text: sentence,
+        status,
+        passageIds: known,
+        quotes: checked,
+        dropped: this.onUnsupported === 'drop' && (status === 'unsupported' || status === 'unknown_source'),
+        separator
+      });
+    }
+
+    // Final text: kept claims, IDs replaced by the references
+    const text = claims
+      .filter(claim => !claim.dropped)
+      .map(claim => claim.text.replace(MARKER, (_match, list: string) => {
+        const refs = list.split(/\s*[,;]\s*/).filter(id => byId.has(id)).map(id => byId.get(id)!.reference);
+        return refs.length > 0 ? ` [${[...new Set(refs)].join(', ')}]` : '';
+      }) + claim.separator)
+      .join('')
+      .trim();
+
+    // One citation per passage used: "unsupported" as soon as a quote attributed to it
+    // is not found, otherwise its most reliable status;
+    // when the answer cites nothing, retrieved passages are still listed as "retrieved"
+    const used = cited.size > 0
+      ? [...cited.values()]
+      : passages.map(passage => ({ passageId: passage.id, statuses: ['retrieved'] as CitationStatus[], quotes: [] }));
+
+    const citations = used.map(({ passageId, statuses, quotes }) => {
+      const { id: _id, text: passageText, ...passage } = byId.get(passageId)!;
+      return {
+        ...passage,
+        passageId,
+        status: statuses.includes('unsupported') ? 'unsupported' : STATUS_ORDER.find(s => statuses.includes(s))!,
+        quotes,
+        excerpt: quotes.find(q => q.found)?.text || String(passageText || '').substring(0, 200)
+      };
+    });
+
+    const count = (status: ClaimStatus) => claims.filter(claim => claim.status === status).length;
+    return {
+      text,
+      citations,
+      claims: claims.map(({ separator: _separator, ...claim }) => claim),
+      summary: {
+        verified: count('verified'),
+        cited: count('cited'),
+        unsupported: count('unsupported'),
+        unknownSource: count('unknown_source'),
+        uncited: count('uncited'),
+        dropped: claims.filter(claim => claim.dropped).length
+      }
+    };
+  }
+}
@@ -0,0 +1,319 @@
+// Context packing for the LLM prompt by maximal marginal relevance (MMR): each passage taken
+// maximizes λ·relevance − (1 − λ)·similarity to the passages already taken, so overlapping
+// chunks, duplicates and a single book's passages give way to other sources. Consecutive
+// segments of a section are joined, total and per-book token budgets are respected, and every
+// dropped passage is reported with its reason.
+// Tokens are counted by utils/tokenCounter when a candidate does not provide them.
+// TypeScript port of lib/context-packer.js.
+
+import { tokenizeHebrew } from './hebrewNormalizer';
+import { foldLatin } from './transliteration';
+import { parseRef, refOverlaps } from './sefariaRef';
+import { TokenCounter, tokenCounter } from './tokenCounter';
+
+const DEFAULT_LAMBDA = 0.7;
+const DEFAULT_MAX_BOOK_SHARE = 0.6;
+
+// Above this, a passage duplicates one already taken (overlap, same text)
+const DUPLICATE_THRESHOLD = 0.85;
+
+// Minimum similarity of two passages of the same book, to vary the sources
+const SAME_BOOK_SIMILARITY = 0.3;
+
+// Below this, a truncated passage no longer brings enough context
+const MIN_TRUNCATED_TOKENS = 1000;
+
+export interface PackCandidate<T> {
+  id: string;
+  text: string;
+  tokens?: number;
+  score?: number;           // Rank is used as relevance when missing
+  book?: string | null;
+  section?: string | null;  // Segments of one section with consecutive positions are joined
+  position?: number;
+  reference?: string | null;
+  item: T;
+}
+
+export interface PackedPassage<T> {
+  id: string;
+  ids: string[];            // Joined segments, in reading order
+  text: string;
+  tokens: number;
+  score: number;
+  relevance: number;
+  book: string | null;
+  reference: string | null;
+  truncated: boolean;
+  items: T[];
+}
+
+export type DropReason = 'duplicate' | 'book_budget' | 'total_budget' | 'max_passages';
+
+export interface DroppedPassage {
+  id: string;
+  reference: string | null;
+  book: string | null;
+  tokens: number;
+  reason: DropReason;
+  of?: string | null;       // Passage it duplicates
+}
+
+export interface PackResult<T> {
+  passages: PackedPassage<T>[];
+  dropped: DroppedPassage[];
+  totalTokens: number;
+  tokensByBook: Record<string, number>;
+}
+
+export interface ContextPackerOptions {
+  maxTokens?: number;
+  maxTokensPerBook?: number;  // CONTEXT_MAX_BOOK_SHARE (0.6) of maxTokens by default
+  lambda?: number;            // CONTEXT_MMR_LAMBDA (0.7)
+  maxPassages?: number;
+  tokenCounter?: TokenCounter;
+}
+
+interface TermVector {
+  terms: Map<string, number>;
+  norm: number;
+}
+
+interface Unit<T> extends Omit<PackedPassage<T>, 'relevance' | 'truncated'> {
+  section: string | null;
+  position?: number;
+  first?: number;
+  last?: number;
+  relevance?: number;
+  truncated?: boolean;
+  vector?: TermVector;
+}
+
+/**
+ * Normalized term frequencies of a text, with their norm; Hebrew prefixes are only
+ * stripped toward a word found in the compared passages (vocabulary)
+ */
+function termVector(text: string, vocabulary: Set<string>): TermVector {
+  const terms = new Map<string, number>();
+  for (const term of tokenizeHebrew(text, { vocabulary, minLength: 3 })) {
+    const folded = foldLatin(term);
+    terms.set(folded, (terms.get(folded) || 0) + 1);
+  }
+  const norm = Math.sqrt([...terms.values()].reduce((sum, count) => sum + count * count, 0));
+  return { terms, norm };
+}
+
+function cosine(a: TermVector, b: TermVector): number {
+  if (a.norm === 0 || b.norm === 0) return 0;
+  const [small, large] = a.terms.size < b.terms.size ? [a.terms, b.terms] : [b.terms, a.terms];
+  let dot = 0;
+  for (const [term, count] of small) {
+    dot += count * (large.get(term) || 0);
+  }
+  return dot / (a.norm * b.norm);
+}
+
+/**
+ * Join two consecutive parts of a text split with overlap
+ */
+export function joinOverlapping(text: string, part: string): string {
+  if (!text) return part;
+
+  const probe = part.substring(0, 20);
+  for (let at = text.indexOf(probe); probe && at > -1; at = text.indexOf(probe, at + 1)) {
+    if (part.startsWith(text.substring(at))) {
+      return text.substring(0, at) + part;
+    }
+  }
+  return `${text} ${part}`;
+}
+
+export class ContextPacker {
+  readonly maxTokens: number;
+  readonly maxTokensPerBook: number | null;
+  readonly maxBookShare: number;
+  readonly lambda: number;
+  readonly maxPassages: number | null;
+  private tokenCounter: TokenCounter;
+
+  constructor(options: ContextPackerOptions = {}) {
+    this.maxTokens = options.maxTokens || 100000;
+    this.maxTokensPerBook = options.maxTokensPerBook || null;
+    this.maxBookShare = parseFloat(process.env.CONTEXT_MAX_BOOK_SHARE || '') || DEFAULT_MAX_BOOK_SHARE;
+    this.lambda = options.lambda ?? (parseFloat(process.env.CONTEXT_MMR_LAMBDA || '') || DEFAULT_LAMBDA);
+    this.maxPassages = options.maxPassages || null;
+    this.tokenCounter = options.tokenCounter || tokenCounter;
+  }
+
+  /**
+   * 1 when the references overlap, otherwise the term cosine, at least SAME_BOOK_SIMILARITY
+   * within a book
+   */
+  static similarity(
+    a: { reference?: string | null; book?: string | null; vector?: TermVector },
+    b: { reference?: string | null; book?: string | null; vector?: TermVector }
+  ): number {
+    if (a.reference && b.reference) {
+      const x = parseRef(a.reference);
+      const y = parseRef(b.reference);
+      if (x && y && x.sections.length > 0 && y.sections.length > 0 && refOverlaps(a.reference, b.reference)) return 1;
+    }
+
+    const text = a.vector && b.vector ? cosine(a.vector, b.vector) : 0;
+    return a.book && a.book === b.book ? Math.max(text, SAME_BOOK_SIMILARITY) : text;
+  }
+
+  /**
+   * Join consecutive segments (positions n and n + 1) of a section
+   */
+  private mergeAdjacent<T>(units: Unit<T>[]): Unit<T>[] {
+    const merged: Unit<T>[] = [];
+    const sections = new Map<string, Unit<T>[]>();
+
+    for (const unit of units) {
+      const position = unit.position;
+      const key = unit.section && position !== undefined && Number.isFinite(position) ? `${unit.book}|${unit.section}` : null;
+      const previous = key && position !== undefined
+        ? (sections.get(key) || []).find(other => other.last === position - 1 || other.first === position + 1)
+        : undefined;
+
+      if (!previous || position === undefined) {
+        const copy = { ...unit, first: position, last: position };
+        merged.push(copy);
+        if (key) sections.set(key, [...(sections.get(key) || []), copy]);
+        continue;
+      }
+
+      // Text in reading order; overlapping tokens are counted once
+      const after = position > previous.last!;
+      const text = after ? joinOverlapping(previous.text, unit.text) : joinOverlapping(unit.text, previous.text);
+      const added = Math.max(0, text.length - previous.text.length);
+      previous.tokens += Math.round(unit.tokens * Math.min(1, unit.text.length ? added / unit.text.length : 1));
+      previous.text = text;
+      previous.score = Math.max(previous.score, unit.score);
+      previous.ids = after ? [...previous.ids, ...unit.ids] : [...unit.ids, ...previous.ids];
+      previous.id = previous.ids[0];
+      previous.items = after ? [...previous.items, ...unit.items] : [...unit.items, ...previous.items];
+      previous.first = Math.min(previous.first!, position);
+      previous.last = Math.max(previous.last!, position);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Choose the context passages (candidates best first)
+   */
+  pack<T>(
+    candidates: PackCandidate<T>[],
+    options: { maxTokens?: number; maxTokensPerBook?: number } = {}
+  ): PackResult<T> {
+    const maxTokens = options.maxTokens || this.maxTokens;
+    const units = this.mergeAdjacent<T>(candidates.map((candidate, index) => ({
+      id: candidate.id,
+      ids: [candidate.id],
+      text: candidate.text || '',
+      tokens: candidate.tokens ?? this.tokenCounter.count(candidate.text),
+      score: candidate.score ?? 1 - index / candidates.length,
+      book: candidate.book || null,
+      section: candidate.section ?? null,
+      position: candidate.position,
+      reference: candidate.reference || null,
+      items: [candidate.item]
+    })));
+
+    const topScore = Math.max(...units.map(unit => unit.score), 0) || 1;
+    const vocabulary = new Set(units.flatMap(unit => tokenizeHebrew(unit.text, { minLength: 3 })));
+    for (const unit of units) {
+      unit.relevance = unit.score / topScore;
+      unit.vector = termVector(unit.text, vocabulary);
+    }
+
+    // A per-book cap only matters when several books compete
+    const books = new Set(units.map(unit => unit.book));
+    const perBook = books.size > 1
+      ? options.maxTokensPerBook || this.maxTokensPerBook || Math.floor(maxTokens * this.maxBookShare)
+      : Infinity;
+
+    const selected: Unit<T>[] = [];
+    const dropped: DroppedPassage[] = [];
+    const tokensByBook: Record<string, number> = {};
+    let totalTokens = 0;
+    const remaining = [...units];
+
+    while (remaining.length > 0) {
+      // Best trade-off between relevance and novelty with respect to the context taken so far
+      let best: { index: number; unit: Unit<T>; mmr: number; similarity: number; of: string | null } | null = null;
+      for (const [index, unit] of remaining.entries()) {
+        let similarity = 0;
+        let of: string | null = null;
+        for (const chosen of selected) {
+          const value = ContextPacker.similarity(unit, chosen);
+          if (value > similarity) {
+            similarity = value;
+            of = chosen.id;
+          }
+        }
+        const mmr = this.lambda * unit.relevance! - (1 - this.lambda) * similarity;
+        if (!best || mmr > best.mmr) best = { index, unit, mmr, similarity, of };
+      }
+
+      const { unit, similarity, of } = best!;
+      remaining.splice(best!.index, 1);
+      const drop = (reason: DropReason, extra: { of?: string | null } = {}) => dropped.push({
+        id: unit.id,
+        reference: unit.reference,
+        book: unit.book,
+        tokens: unit.tokens,
+        reason,
+        ...extra
+      });
+
+      if (similarity >= DUPLICATE_THRESHOLD) {
+        drop('duplicate', { of });
+        continue;
+      }
+      if (this.maxPassages && selected.length >= this.maxPassages) {
+        drop('max_passages');
+        continue;
+      }
+
+      const book = unit.book || '';
+      const bookLeft = perBook - (tokensByBook[book] || 0);
+      const totalLeft = maxTokens - totalTokens;
+      const allowed = Math.min(bookLeft, totalLeft);
+
+      if (unit.tokens > allowed) {
+        if (allowed < MIN_TRUNCATED_TOKENS) {
+          drop(bookLeft < totalLeft ? 'book_budget' : 'total_budget');
+          continue;
+        }
+        unit.text = `${this.tokenCounter.truncate(unit.text, allowed)}...`;
+        unit.tokens = allowed;
+        unit.truncated = true;
+      }
+
+      selected.push(unit);
+      totalTokens += unit.tokens;
+      tokensByBook[book] = (tokensByBook[book] || 0) + unit.tokens;
+    }
+
+    return {
+      passages: selected.map(unit => ({
+        id: unit.id,
+        ids: unit.ids,
+        text: unit.text,
+        tokens: unit.tokens,
+        score: unit.score,
+        relevance: unit.relevance!,
+        book: unit.book,
+        reference: unit.reference,
+        truncated: Boolean(unit.truncated),
+        items: unit.items
+      })),
+      dropped,
+      totalTokens,
+      tokensByBook
+    };
+  }
+}
@@ -0,0 +1,136 @@
+// Per-session conversation history for follow-up questions, stored in
+// user_sessions.conversation_history. Falls back to process memory while PostgreSQL
+// is unreachable so the query endpoint keeps working in development, and tries the
+// database again after RETRY_DELAY_MS.
+// Counterpart of lib/conversation-store.js.
+
+import { randomUUID } from 'crypto';
+import { pool } from './database';
+import { logger } from './logger';
+import { ConversationTurn } from './queryRewriter';
+
+// Answer length kept in a turn (rewriting context)
+const MAX_ANSWER_LENGTH = 500;
+
+// After a database error, memory is used for this long before PostgreSQL is tried again
+const RETRY_DELAY_MS = 30 * 1000;
+
+// Appends the new turn to the stored array in a single statement (concurrent appends
+// cannot overwrite each other) and keeps the last $4 turns; an expired session starts over
+const APPEND_SQL = `
+  INSERT INTO user_sessions (session_id, conversation_history)
+  VALUES ($1, $2::jsonb)
+  ON CONFLICT (session_id) DO UPDATE
+  SET conversation_history = (
+        SELECT COALESCE(jsonb_agg(kept.turn ORDER BY kept.ord), '[]'::jsonb)
+        FROM (
+          SELECT turn, ord
+          FROM jsonb_array_elements(
+            CASE WHEN user_sessions.updated_at > NOW() - make_interval(mins => $3)
+              THEN COALESCE(user_sessions.conversation_history, '[]'::jsonb)
+              ELSE '[]'::jsonb
+            END || EXCLUDED.conversation_history
+          ) WITH ORDINALITY AS turns(turn, ord)
+          ORDER BY ord DESC
+          LIMIT $4
+        ) kept
+      ),
+      updated_at = CURRENT_TIMESTAMP
+  RETURNING conversation_history`;
+
+export interface ConversationStoreOptions {
+  ttlMinutes?: number;   // Sessions idle for longer start over (120)
+  maxTurns?: number;     // Turns kept per session (10)
+}
+
+export class ConversationStore {
+  private ttlMinutes: number;
+  private maxTurns: number;
+  private memory = new Map<string, { turns: ConversationTurn[]; expiresAt: number }>();
+  private databaseRetryAt = 0;
+
+  constructor(options: ConversationStoreOptions = {}) {
+    this.ttlMinutes = options.ttlMinutes || parseInt(process.env.CONVERSATION_TTL_MINUTES || '120');
+    this.maxTurns = options.maxTurns || parseInt(process.env.CONVERSATION_MAX_TURNS || '10');
+  }
+
+  /**
+   * Session ID sent by the client when valid, otherwise a new one
+   */
+  static resolveId(sessionId?: unknown): string {
+    return typeof sessionId === 'string' && /^[\w-]{8,64}$/.test(sessionId) ? sessionId : randomUUID();
+  }
+
+  /**
+   * Previous turns of a session, oldest first
+   */
+  async history(sessionId: string): Promise<ConversationTurn[]> {
+    if (this.databaseAvailable()) {
+      try {
+        const result = await pool.query(
+          `SELECT conversation_history FROM user_sessions
+           WHERE session_id = $1 AND updated_at > NOW() - make_interval(mins => $2)`,
+          [sessionId, this.ttlMinutes]
+        );
+        return result.rows[0]?.conversation_history || [];
+      } catch (error) {
+        this.fallBackToMemory(error);
+      }
+    }
+
+    return this.memoryHistory(sessionId);
+  }
+
+  /**
+   * Record a turn and return the session's turns
+   */
+  async append(sessionId: string, turn: ConversationTurn): Promise<ConversationTurn[]> {
+    const recorded: ConversationTurn = {
+      query: turn.query,
+      rewrittenQuery: turn.rewrittenQuery || turn.query,
+      answer: String(turn.answer || '').substring(0, MAX_ANSWER_LENGTH),
+      mode: turn.mode,
+      references: turn.references || [],
+      timestamp: new Date().toISOString()
+    };
+
+    if (this.databaseAvailable()) {
+      try {
+        const result = await pool.query(APPEND_SQL, [sessionId, JSON.stringify([recorded]), this.ttlMinutes, this.maxTurns]);
+        return result.rows[0].conversation_history;
+      } catch (error) {
+        this.fallBackToMemory(error);
+      }
+    }
+
+    const turns = [...this.memoryHistory(sessionId), recorded].slice(-this.maxTurns);
+    this.memory.set(sessionId, { turns, expiresAt: Date.now() + this.ttlMinutes * 60 * 1000 });
+    return turns;
+  }
+
+  /**
+   * Forget a session
+   */
+  async clear(sessionId: string): Promise<void> {
+    this.memory.delete(sessionId);
+    if (this.databaseAvailable()) {
+      await pool.query('DELETE FROM user_sessions WHERE session_id = $1', [sessionId]).catch(() => undefined);
+    }
+  }
+
+  private memoryHistory(sessionId: string): ConversationTurn[] {
+    const entry = this.memory.get(sessionId);
+    return entry && entry.expiresAt > Date.now() ? entry.turns : [];
+  }
+
+  private databaseAvailable(): boolean {
+    return Date.now() >= this.databaseRetryAt;
+  }
+
+  private fallBackToMemory(error: unknown): void {
+    this.databaseRetryAt = Date.now() + RETRY_DELAY_MS;
+    logger.warn(`⚠️ user_sessions unavailable, keeping conversations in memory for ${RETRY_DELAY_MS / 1000}s:`, error);
+  }
+}
+
+export const conversationStore = new ConversationStore();
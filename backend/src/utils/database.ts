@@ -1,5 +1,11 @@
 import { Pool } from 'pg';
+import crypto from 'crypto';
 import { logger } from './logger';
+import { runMigrations } from './migrations';
+import { EmbeddingModel, embeddingClient, embeddingModelKey } from './embeddingClient';
+import { tokenizeHebrew } from './hebrewNormalizer';
+import { findRef, formatRef, parseRef, refOverlaps } from './sefariaRef';
+import { FusedResult, FusionDebug, RankFusion, rankFusion } from './rankFusion';
 
 // PostgreSQL connection pool
 export const pool = new Pool({
@@ -13,107 +19,57 @@ export const pool = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
+// Full-text vector of a chunk, shared by the GIN index and keyword search so the index is used
+const CHUNK_TSVECTOR = `to_tsvector('simple', coalesce(content, '') || ' ' || coalesce(hebrew_text, ''))`;
+
+export interface ChunkRow {
+  id: string;
+  book_id: string;
+  reference: string;
+  content: string;
+  hebrew_text: string | null;
+  score: number;   // Retriever's own score (ts_rank_cd, cosine similarity...)
+}
+
+export interface QueryEmbedding {
+  vector: number[];
+  model: EmbeddingModel;  // Only chunks embedded with this model are compared
+}
+
+export interface EmbeddingModelCount {
+  model: string;          // embeddingModelKey: "local/hashed-ngrams-v2"
+  dimensions: number;
+  chunks: number;
+}
+
+export interface HybridSearchOptions {
+  limit?: number;
+  candidates?: number;  // Results fetched per retriever before fusion (limit * 3)
+  fusion?: RankFusion;  // Retriever weights and k (RRF_WEIGHTS, RRF_K by default)
+}
+
+export interface HybridSearchResult {
+  results: FusedResult<ChunkRow & { id: string }>[];
+  debug: FusionDebug;   // Each retriever's ranking, for tuning the weights
+}
+
 /**
- * Initialize database with pgvector extension and required tables
+ * Initialize database: apply pending SQL migrations (sql/migrations), then warn when chunks
+ * were embedded with another model than the configured one
  */
 export async function initializeDatabase() {
   try {
     logger.info('🔧 Initializing database...');
     
-    // Create pgvector extension
-    await pool.query('CREATE EXTENSION IF NOT EXISTS vector');
-    logger.info('✅ pgvector extension enabled');
-    
-    // Create books table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS books (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        title TEXT NOT NULL,
-        hebrew_title TEXT,
-        reference TEXT UNIQUE,
-        content JSONB,
-        metadata JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    logger.info('✅ Books table created');
-    
-    // Create chunks table with vector support
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS chunks (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        book_id UUID REFERENCES books(id) ON DELETE CASCADE,
-        content TEXT,
-        hebrew_text TEXT,
-        reference TEXT,
-        position INTEGER,
-        token_count INTEGER,
-        embedding vector(1536),
-        metadata JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        CONSTRAINT unique_book_position UNIQUE(book_id, position)
-      )
-    `);
-    logger.info('✅ Chunks table created');
-    
-    // Create indexes table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS indexes (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        type TEXT NOT NULL, -- 'master', 'book', or 'chunk'
-        name TEXT UNIQUE NOT NULL,
-        content JSONB NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    logger.info('✅ Indexes table created');
-    
-    // Create search_logs table for analytics
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS search_logs (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        query TEXT NOT NULL,
-        language TEXT,
-        results_count INTEGER,
-        response_time_ms INTEGER,
-        user_session TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    logger.info('✅ Search logs table created');
-    
-    // Create vector similarity search index
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS chunks_embedding_idx 
-      ON chunks 
-      USING ivfflat (embedding vector_cosine_ops)
-      WITH (lists = 100)
-    `);
-    logger.info('✅ Vector similarity index created');
-    
-    // Create text search indexes
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_chunks_content_gin 
-      ON chunks 
-      USING gin(to_tsvector('english', content))
-    `);
+    const applied = await runMigrations(pool);
+    logger.info(applied.length > 0 ? `✅ ${applied.length} migration(s) applied` : '✅ Schema up to date');
     
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_chunks_hebrew_gin 
-      ON chunks 
-      USING gin(to_tsvector('hebrew', hebrew_text))
-    `);
-    logger.info('✅ Text search indexes created');
-    
-    // Create other useful indexes
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_chunks_book_id ON chunks(book_id);
-      CREATE INDEX IF NOT EXISTS idx_chunks_reference ON chunks(reference);
-      CREATE INDEX IF NOT EXISTS idx_books_reference ON books(reference);
-    `);
-    logger.info('✅ Additional indexes created');
+    const current = embeddingModelKey(embeddingClient.describe());
+    const stale = (await embeddingModels()).filter(row => row.model !== current);
+    if (stale.length > 0) {
+      const chunks = stale.reduce((sum, row) => sum + row.chunks, 0);
+      logger.warn(`⚠️ ${chunks} chunks embedded with ${stale.map(row => row.model).join(', ')}, queries use ${current}: POST /api/setup/embeddings/reembed`);
+    }
     
     logger.info('✅ Database initialization complete');
     
@@ -124,13 +80,56 @@ export async function initializeDatabase() {
 }
 
 /**
- * Vector similarity search using pgvector
+ * Embedding models stored in the chunks table, with their chunk counts
+ */
+export async function embeddingModels(): Promise<EmbeddingModelCount[]> {
+  const result = await pool.query(`
+    SELECT embedding_model AS model, embedding_dimensions AS dimensions, COUNT(*)::int AS chunks
+    FROM chunks
+    WHERE embedding_model IS NOT NULL
+    GROUP BY embedding_model, embedding_dimensions
+    ORDER BY chunks DESC
+  `);
+  return result.rows;
+}
+
+/**
+ * Partial vector index for one model (a vector column without a fixed size cannot be indexed
+ * as a whole); queries must use the same cast to use it
+ */
+export async function createVectorIndex(model: EmbeddingModel): Promise<void> {
+  const key = embeddingModelKey(model);
+  const dimensions = Number(model.dimensions);
+  if (!Number.isInteger(dimensions) || dimensions <= 0) {
+    throw new Error(`Cannot index ${key} embeddings without a dimension`);
+  }
+
+  const name = `chunks_embedding_${crypto.createHash('md5').update(`${key}:${dimensions}`).digest('hex').substring(0, 12)}_idx`;
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS ${name}
+    ON chunks
+    USING ivfflat ((embedding::vector(${dimensions})) vector_cosine_ops)
+    WITH (lists = 100)
+    WHERE embedding_model = '${key.replace(/'/g, "''")}'
+  `);
+  logger.info(`✅ Vector index ${name} for ${key} (${dimensions} dimensions)`);
+}
+
+/**
+ * Vector similarity search using pgvector, restricted to chunks embedded with the query's model
  */
 export async function vectorSearch(
-  embedding: number[], 
+  embedding: QueryEmbedding,
   limit: number = 10,
   threshold: number = 0.7
 ): Promise<any[]> {
+  const dimensions = embedding.vector.length;
+  if (embedding.model.dimensions && embedding.model.dimensions !== dimensions) {
+    throw new Error(`Query vector has ${dimensions} dimensions, ${embeddingModelKey(embedding.model)} produces ${embedding.model.dimensions}`);
+  }
+
+  // Integer size inlined: a type modifier cannot be a parameter
+  const distance = `embedding::vector(${dimensions}) <=> $1::vector(${dimensions})`;
   const query = `
     SELECT 
       id,
@@ -138,15 +137,18 @@ export async function vectorSearch(
       reference,
       content,
       hebrew_text,
-      1 - (embedding <=> $1::vector) as similarity
+      1 - (${distance}) as similarity
     FROM chunks
-    WHERE 1 - (embedding <=> $1::vector) > $2
-    ORDER BY embedding <=> $1::vector
-    LIMIT $3
+    WHERE embedding_model = $2
+      AND embedding_dimensions = ${dimensions}
+      AND 1 - (${distance}) > $3
+    ORDER BY ${distance}
+    LIMIT $4
   `;
   
   const result = await pool.query(query, [
-    JSON.stringify(embedding),
+    JSON.stringify(embedding.vector),
+    embeddingModelKey(embedding.model),
     threshold,
     limit
   ]);
@@ -155,60 +157,92 @@ export async function vectorSearch(
 }
 
 /**
- * Hybrid search combining vector and text search
+ * Keyword search on the French, English and Hebrew text (any query term, ranked by ts_rank_cd)
  */
-export async function hybridSearch(
-  query: string,
-  embedding: number[],
-  limit: number = 10
-): Promise<any[]> {
-  const sqlQuery = `
-    WITH vector_results AS (
-      SELECT 
-        id,
-        book_id,
-        reference,
-        content,
-        hebrew_text,
-        1 - (embedding <=> $1::vector) as vector_score
-      FROM chunks
-      ORDER BY embedding <=> $1::vector
-      LIMIT $3
-    ),
-    text_results AS (
-      SELECT 
-        id,
-        book_id,
-        reference,
-        content,
-        hebrew_text,
-        ts_rank_cd(to_tsvector('english', content), plainto_tsquery('english', $2)) as text_score
-      FROM chunks
-      WHERE to_tsvector('english', content) @@ plainto_tsquery('english', $2)
-      LIMIT $3
-    )
-    SELECT DISTINCT
+export async function keywordSearch(query: string, limit: number = 10): Promise<ChunkRow[]> {
+  const terms = tokenizeHebrew(query, { foldFinals: false, minLength: 3 });
+  if (terms.length === 0) return [];
+
+  const result = await pool.query(`
+    SELECT
       id,
       book_id,
       reference,
       content,
       hebrew_text,
-      COALESCE(v.vector_score, 0) * 0.7 + COALESCE(t.text_score, 0) * 0.3 as combined_score
-    FROM vector_results v
-    FULL OUTER JOIN text_results t USING (id)
-    ORDER BY combined_score DESC
-    LIMIT $3
-  `;
-  
-  const result = await pool.query(sqlQuery, [
-    JSON.stringify(embedding),
-    query,
-    limit
-  ]);
-  
+      ts_rank_cd(${CHUNK_TSVECTOR}, to_tsquery('simple', $1)) as score
+    FROM chunks
+    WHERE ${CHUNK_TSVECTOR} @@ to_tsquery('simple', $1)
+    ORDER BY score DESC
+    LIMIT $2
+  `, [[...new Set(terms)].join(' | '), limit]);
+
   return result.rows;
 }
 
+/**
+ * Title and reference matching: chunks of the book cited in the query, the cited passage
+ * first ("Likutei Moharan 282"), then by keyword rank within the book
+ */
+export async function referenceSearch(query: string, limit: number = 10): Promise<ChunkRow[]> {
+  const cited = findRef(query);
+  if (!cited) return [];
+
+  const terms = tokenizeHebrew(query, { foldFinals: false, minLength: 3 });
+  const result = await pool.query(`
+    SELECT
+      id,
+      book_id,
+      reference,
+      content,
+      hebrew_text,
+      ts_rank_cd(${CHUNK_TSVECTOR}, to_tsquery('simple', $2)) as score
+    FROM chunks
+    WHERE reference LIKE $1 || '%'
+    ORDER BY score DESC, position
+  `, [cited.book, [...new Set(terms)].join(' | ') || cited.book.split(' ')[0]]);
+
+  const citedRef = formatRef(cited);
+  const rows: ChunkRow[] = result.rows.filter(row => parseRef(row.reference)?.book === cited.book);
+  const passage = cited.sections.length > 0 ? rows.filter(row => refOverlaps(row.reference, citedRef)) : [];
+
+  return [...passage, ...rows.filter(row => !passage.includes(row))].slice(0, limit);
+}
+
+/**
+ * Hybrid search: keyword, vector and title/reference retrievers run in parallel and are merged
+ * with reciprocal rank fusion (their scores are not comparable); overlapping chunks are folded
+ * into the best ranked one. A failing retriever is left out of the fusion.
+ */
+export async function hybridSearch(
+  query: string,
+  embedding: QueryEmbedding | null,
+  options: HybridSearchOptions = {}
+): Promise<HybridSearchResult> {
+  const { limit = 10, fusion = rankFusion } = options;
+  const candidates = options.candidates || limit * 3;
+
+  const retrievers: Record<string, () => Promise<ChunkRow[]>> = {
+    bm25: () => keywordSearch(query, candidates),
+    vector: async () => embedding
+      ? (await vectorSearch(embedding, candidates, -1)).map(row => ({ ...row, score: row.similarity }))
+      : [],
+    reference: () => referenceSearch(query, candidates)
+  };
+
+  const rankings: Record<string, ChunkRow[]> = {};
+  await Promise.all(Object.entries(retrievers).map(async ([name, retrieve]) => {
+    try {
+      rankings[name] = await retrieve();
+    } catch (error) {
+      logger.warn(`Retriever ${name} failed, left out of the fusion:`, error);
+      rankings[name] = [];
+    }
+  }));
+
+  return fusion.fuse(rankings, { limit });
+}
+
 /**
  * Clean up database connections
  */
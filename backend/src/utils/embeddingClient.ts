@@ -0,0 +1,343 @@
+// Provider-agnostic embeddings: local hashed character n-grams (CPU only, no key or network),
+// OpenAI (text-embedding-3-small) or Gemini (text-embedding-004), all returning unit vectors.
+// The local model produces the same vectors as lib/embedding-client.js, so indexes built by
+// either side can be queried by the other.
+// TypeScript port of lib/embedding-client.js.
+
+import { prefixVariants, tokenizeHebrew } from './hebrewNormalizer';
+import { LLMError } from './llmClient';
+import { foldLatin } from './transliteration';
+
+export type EmbeddingProviderName = 'local' | 'openai' | 'gemini';
+
+interface EmbeddingProviderDefaults {
+  model: string;
+  dimensions?: number;
+  baseUrl?: string;
+  keyEnv?: string;
+  minScore: number;  // Similarity below which a retrieved chunk is noise for this model
+}
+
+const PROVIDERS: Record<EmbeddingProviderName, EmbeddingProviderDefaults> = {
+  local: {
+    model: 'hashed-ngrams-v2',
+    dimensions: 512,
+    minScore: 0.1
+  },
+  openai: {
+    model: 'text-embedding-3-small',
+    baseUrl: 'https://api.openai.com/v1',
+    keyEnv: 'OPENAI_API_KEY',
+    minScore: 0.3
+  },
+  gemini: {
+    model: 'text-embedding-004',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    keyEnv: 'GEMINI_API_KEY',
+    minScore: 0.3
+  }
+};
+
+// Function words (French, English, Hebrew) would bring unrelated texts together
+const STOP_WORDS = new Set([
+  'le', 'la', 'les', 'de', 'du', 'des', 'un', 'une', 'et', 'ou', 'en', 'au', 'aux', 'que', 'qui',
+  'ce', 'se', 'sa', 'son', 'ses', 'il', 'ne', 'pas', 'est', 'sur', 'dans', 'pour', 'par', 'avec',
+  'the', 'of', 'and', 'to', 'in', 'is', 'it', 'that', 'for', 'on', 'as', 'be', 'he', 'his', 'this',
+  'את', 'של', 'על', 'זה', 'כי', 'לא', 'הוא', 'גמ', 'אל', 'אשר'
+]);
+
+// Character n-gram lengths (robust to spelling variants: hitbodedout, hisbodedus)
+const NGRAM_SIZES = [3, 4];
+
+export interface EmbeddingClientOptions {
+  provider?: string;     // EMBEDDING_PROVIDER (local)
+  model?: string;        // EMBEDDING_MODEL
+  dimensions?: number;   // EMBEDDING_DIMENSIONS
+  minScore?: number;     // EMBEDDING_MIN_SCORE
+  apiKey?: string;
+  baseUrl?: string;
+  batchSize?: number;
+  timeoutMs?: number;
+}
+
+export interface EmbeddingModel {
+  provider: EmbeddingProviderName;
+  model: string;
+  dimensions: number | null;
+}
+
+interface EmbeddingConfig {
+  provider: EmbeddingProviderName;
+  model: string;
+  dimensions: number | null;
+  apiKey?: string;
+  baseUrl: string;
+  timeoutMs: number;
+}
+
+/**
+ * Identifier stored with each embedding ("local/hashed-ngrams-v2"): vectors of different
+ * models are never compared
+ */
+export function embeddingModelKey(model: Pick<EmbeddingModel, 'provider' | 'model'>): string {
+  return `${model.provider}/${model.model}`;
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hash(text: string): number {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Unit-length vector (unchanged when null)
+ */
+function normalize(vector: number[]): number[] {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * JSON POST with a timeout; failures become LLMErrors like the LLM client's
+ */
+async function postJson(
+  provider: string,
+  url: string,
+  headers: Record<string, string>,
+  body: unknown,
+  timeoutMs: number
+): Promise<any> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw LLMError.fromStatus(provider, response.status, detail.substring(0, 200));
+    }
+    return await response.json();
+  } catch (error: any) {
+    if (error instanceof LLMError) throw error;
+    if (error.name === 'AbortError') {
+      throw new LLMError(`${provider}: no response after ${timeoutMs}ms`, { code: 'timeout', provider, retryable: true });
+    }
+    throw new LLMError(`${provider}: ${error.message}`, { code: 'network', provider, retryable: true, cause: error });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+interface EmbeddingAdapter {
+  embed(texts: string[]): Promise<number[][]>;
+}
+
+/**
+ * Local model: each word and its character n-grams are hashed into a fixed-size vector
+ * (sign taken from the hash), with log-damped frequencies
+ */
+class HashedNgramAdapter implements EmbeddingAdapter {
+  constructor(private config: EmbeddingConfig) {}
+
+  /**
+   * Features of a text: normalized words (no niqqud or accents) and their n-grams; a Hebrew
+   * word also brings its unprefixed forms (בשמחה → שמחה), the word itself staying a feature
+   */
+  static features(text: string): Map<string, number> {
+    const features = new Map<string, number>();
+    const add = (feature: string, weight: number) => features.set(feature, (features.get(feature) || 0) + weight);
+
+    for (const word of tokenizeHebrew(text).map(foldLatin)) {
+      if (STOP_WORDS.has(word)) continue;
+      const forms = prefixVariants(word);
+      for (const form of forms) {
+        add(`w:${form}`, 1 / forms.length);
+
+        const padded = `<${form}>`;
+        const ngrams: string[] = [];
+        for (const size of NGRAM_SIZES) {
+          for (let i = 0; i + size <= padded.length; i++) {
+            ngrams.push(padded.substring(i, i + size));
+          }
+        }
+        for (const ngram of ngrams) add(`g:${ngram}`, 1 / (ngrams.length * forms.length));
+      }
+    }
+
+    return features;
+  }
+
+  embedText(text: string): number[] {
+    const dimensions = this.config.dimensions || PROVIDERS.local.dimensions!;
+    const vector = new Array<number>(dimensions).fill(0);
+
+    for (const [feature, count] of HashedNgramAdapter.features(text)) {
+      const h = hash(feature);
+      const sign = h & 0x80000000 ? -1 : 1;
+      vector[h % dimensions] += sign * (1 + Math.log(1 + count));
+    }
+
+    return normalize(vector);
+  }
+
+  async embed(texts: string[]): Promise<number[][]> {
+    return texts.map(text => this.embedText(text));
+  }
+}
+
+/**
+ * OpenAI-compatible /embeddings
+ */
+class OpenAIEmbeddingAdapter implements EmbeddingAdapter {
+  constructor(private config: EmbeddingConfig) {}
+
+  async embed(texts: string[]): Promise<number[][]> {
+    const data = await postJson(this.config.provider, `${this.config.baseUrl}/embeddings`, {
+      Authorization: `Bearer ${this.config.apiKey}`
+    }, {
+      model: this.config.model,
+      input: texts,
+      ...(this.config.dimensions && { dimensions: this.config.dimensions })
+    }, this.config.timeoutMs);
+
+    return (data.data as { index: number; embedding: number[] }[])
+      .sort((a, b) => a.index - b.index)
+      .map(item => normalize(item.embedding));
+  }
+}
+
+/**
+ * Gemini batchEmbedContents
+ */
+class GeminiEmbeddingAdapter implements EmbeddingAdapter {
+  constructor(private config: EmbeddingConfig) {}
+
+  async embed(texts: string[]): Promise<number[][]> {
+    const model = `models/${this.config.model}`;
+    const data = await postJson(this.config.provider, `${this.config.baseUrl}/${model}:batchEmbedContents?key=${this.config.apiKey}`, {}, {
+      requests: texts.map(text => ({
+        model,
+        content: { parts: [{ text }] },
+        ...(this.config.dimensions && { outputDimensionality: this.config.dimensions })
+      }))
+    }, this.config.timeoutMs);
+
+    return (data.embeddings as { values: number[] }[]).map(embedding => normalize(embedding.values));
+  }
+}
+
+export class EmbeddingClient {
+  readonly provider: EmbeddingProviderName;
+  readonly model: string;
+  readonly minScore: number;
+  private config: EmbeddingConfig;
+  private adapter: EmbeddingAdapter;
+  private batchSize: number;
+
+  constructor(options: EmbeddingClientOptions = {}) {
+    const env = process.env;
+    const provider = (options.provider || env.EMBEDDING_PROVIDER || 'local').toLowerCase() as EmbeddingProviderName;
+
+    const defaults = PROVIDERS[provider];
+    if (!defaults) {
+      throw new LLMError(`Unknown embedding provider "${provider}"`, { code: 'config', provider });
+    }
+    this.provider = provider;
+
+    this.config = {
+      provider,
+      model: options.model || env.EMBEDDING_MODEL || defaults.model,
+      dimensions: options.dimensions || parseInt(env.EMBEDDING_DIMENSIONS || '', 10) || defaults.dimensions || null,
+      apiKey: options.apiKey || (defaults.keyEnv ? env[defaults.keyEnv] : undefined),
+      baseUrl: (options.baseUrl || defaults.baseUrl || '').replace(/\/$/, ''),
+      timeoutMs: options.timeoutMs || 30000
+    };
+
+    this.model = this.config.model;
+    this.minScore = options.minScore ?? (parseFloat(env.EMBEDDING_MIN_SCORE || '') || defaults.minScore);
+    this.batchSize = options.batchSize || (provider === 'local' ? 1000 : 64);
+
+    this.adapter = provider === 'local' ? new HashedNgramAdapter(this.config)
+      : provider === 'gemini' ? new GeminiEmbeddingAdapter(this.config)
+        : new OpenAIEmbeddingAdapter(this.config);
+  }
+
+  /**
+   * Vector size (known after the first call for a remote provider without fixed dimensions)
+   */
+  get dimensions(): number | null {
+    return this.config.dimensions;
+  }
+
+  /**
+   * Provider, model and size, stored with precomputed vectors
+   */
+  describe(): EmbeddingModel {
+    return { provider: this.provider, model: this.model, dimensions: this.dimensions };
+  }
+
+  /**
+   * The local model needs no key
+   */
+  isConfigured(): boolean {
+    return this.provider === 'local' || Boolean(this.config.apiKey);
+  }
+
+  /**
+   * Unit vectors of the texts, in batches
+   */
+  async embed(texts: string[]): Promise<number[][]> {
+    if (!this.isConfigured()) {
+      throw new LLMError(`No API key for ${this.provider} embeddings (${PROVIDERS[this.provider].keyEnv})`, {
+        code: 'config',
+        provider: this.provider
+      });
+    }
+
+    const vectors: number[][] = [];
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      vectors.push(...await this.adapter.embed(texts.slice(start, start + this.batchSize)));
+    }
+
+    if (!this.config.dimensions && vectors.length > 0) {
+      this.config.dimensions = vectors[0].length;
+    }
+    return vectors;
+  }
+
+  async embedOne(text: string): Promise<number[]> {
+    const [vector] = await this.embed([text]);
+    return vector;
+  }
+
+  /**
+   * Cosine similarity (0 when sizes differ)
+   */
+  static cosine(a: number[] | null | undefined, b: number[] | null | undefined): number {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+  }
+}
+
+export const embeddingClient = new EmbeddingClient();
@@ -0,0 +1,126 @@
+// Hebrew text normalization shared by chunking, indexing and routing.
+// TypeScript port of lib/hebrew-normalizer.js (the backend image only ships src/).
+
+// Niqqud, cantillation marks and shin/sin dots
+const HEBREW_MARKS = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]/g;
+
+// Maqaf, paseq and sof pasuq separate words
+const HEBREW_SEPARATORS = /[\u05BE\u05C0\u05C3]/g;
+
+// Gershayim inside acronyms (מוהר"ן) and geresh after a letter (ר')
+const GERSHAYIM = /([\u05D0-\u05EA])["\u05F4\u201C\u201D]+(?=[\u05D0-\u05EA])/g;
+const GERESH = /([\u05D0-\u05EA])['\u05F3\u2018\u2019]+/g;
+
+// Apostrophe inside a transliterated Latin word (na'hman, Yissa'har), dropped before splitting;
+// still a separator after a French elision (l'hitbodedout, qu'il) and before an English 's
+const LATIN_APOSTROPHE = /(?<=\p{Script=Latin})(?<!(?<!\p{L})(?:[cdjlmnst]|qu|jusqu|lorsqu|puisqu|quoiqu))['\u2019\u02BC](?=\p{Script=Latin})(?!s(?!\p{L}))/gu;
+
+const FINAL_LETTERS: Record<string, string> = {
+  'ך': 'כ',
+  'ם': 'מ',
+  'ן': 'נ',
+  'ף': 'פ',
+  'ץ': 'צ'
+};
+
+// Grammatical prefixes: ו ה ב כ ל מ ש
+const PREFIX_LETTERS = new Set(['ו', 'ה', 'ב', 'כ', 'ל', 'מ', 'ש']);
+const MAX_PREFIX_LENGTH = 2;
+const MIN_STEM_LENGTH = 3;
+
+export interface NormalizeOptions {
+  foldFinals?: boolean;
+}
+
+export interface TokenizeOptions extends NormalizeOptions {
+  expandPrefixes?: boolean;
+  vocabulary?: { has(term: string): boolean } | null;
+  minLength?: number;
+}
+
+/**
+ * Normalize Hebrew (and Latin) text without changing word boundaries
+ */
+export function normalizeHebrew(text: string, options: NormalizeOptions = {}): string {
+  if (!text) return '';
+
+  const { foldFinals = true } = options;
+
+  let normalized = String(text)
+    .normalize('NFD') // Decompose presentation forms (שׁ, בּ...)
+    .replace(HEBREW_MARKS, '')
+    .normalize('NFC')
+    .replace(HEBREW_SEPARATORS, ' ')
+    .replace(GERSHAYIM, '$1')
+    .replace(GERESH, '$1')
+    .toLowerCase();
+
+  if (foldFinals) {
+    normalized = normalized.replace(/[\u05DA\u05DD\u05DF\u05E3\u05E5]/g, letter => FINAL_LETTERS[letter]);
+  }
+
+  return normalized;
+}
+
+/**
+ * Forms of a normalized Hebrew word: the word itself, then without one and two prefix
+ * letters, each form keeping a stem of at least three letters
+ */
+export function prefixVariants(word: string): string[] {
+  const variants = [word];
+  let stem = word;
+
+  while (
+    variants.length <= MAX_PREFIX_LENGTH &&
+    stem.length - 1 >= MIN_STEM_LENGTH &&
+    PREFIX_LETTERS.has(stem[0])
+  ) {
+    stem = stem.slice(1);
+    variants.push(stem);
+  }
+
+  return variants;
+}
+
+/**
+ * Strip prefixes only toward a known form: the first letter may belong to the stem
+ * (שמחה, ליקוטי), so it is removed only when the rest is itself in the vocabulary
+ */
+export function stripHebrewPrefixes(word: string, vocabulary: { has(term: string): boolean }): string {
+  const variants = prefixVariants(word);
+  for (let i = variants.length - 1; i > 0; i--) {
+    if (vocabulary.has(variants[i])) return variants[i];
+  }
+  return word;
+}
+
+/**
+ * Split normalized text into terms; expandPrefixes follows each word with its unprefixed
+ * forms, vocabulary strips prefixes toward known words
+ */
+export function tokenizeHebrew(text: string, options: TokenizeOptions = {}): string[] {
+  const { expandPrefixes = false, vocabulary = null, minLength = 2 } = options;
+
+  const words = normalizeHebrew(text, options)
+    .replace(LATIN_APOSTROPHE, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/);
+
+  let terms = words;
+  if (expandPrefixes) {
+    terms = words.flatMap(word => prefixVariants(word));
+  } else if (vocabulary) {
+    terms = words.map(word => stripHebrewPrefixes(word, vocabulary));
+  }
+
+  return terms.filter(term => term.length >= minLength);
+}
+
+/**
+ * Check whether text contains a term once both are normalized
+ */
+export function includesNormalized(text: string, term: string): boolean {
+  const needle = normalizeHebrew(term).trim();
+  if (!needle) return false;
+  return normalizeHebrew(text).includes(needle);
+}
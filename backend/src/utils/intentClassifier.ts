@@ -0,0 +1,263 @@
+// Query intent classification: picks the retrieval strategy and the books to favour —
+// dates and events of Rabbi Nachman's life (Chayei Moharan), teachings, practical advice,
+// prayer requests (Likutei Tefilot), stories, exact references ("Likutei Moharan 282":
+// direct fetch) and definitions of a term.
+// TypeScript port of lib/intent-classifier.js.
+
+import { foldLatin, transliterationMatcher } from './transliteration';
+import { normalizeHebrew } from './hebrewNormalizer';
+import { ParsedRef, findRef, formatRef, parseHebrewNumeral, resolveBook } from './sefariaRef';
+
+export type QueryIntent =
+  | 'historical'
+  | 'teaching'
+  | 'practical'
+  | 'prayer'
+  | 'story'
+  | 'reference'
+  | 'definition';
+
+export type RetrievalStrategy = 'search' | 'date_extraction' | 'direct_fetch';
+
+export interface BookPrior {
+  book: string;     // Canonical Sefaria title
+  weight: number;   // 0 to 1
+}
+
+export interface IntentSignal {
+  intent: QueryIntent;
+  signal: string;
+  weight: number;
+}
+
+export interface IntentClassification {
+  intent: QueryIntent;
+  confidence: number;
+  strategy: RetrievalStrategy;
+  bookPriors: BookPrior[];
+  reference: string | null;   // Canonical reference for a direct fetch
+  lookup: boolean;            // Plain passage lookup ("read me Sichot HaRan 52"), no question asked
+  maxResults: number;
+  contextLength: number;
+  instruction: string;        // Answer instruction for the LLM
+  signals: IntentSignal[];
+}
+
+// Retrieval strategy and favoured books (Sefaria titles, weight 0 to 1) per intent
+const STRATEGIES: Record<QueryIntent, {
+  strategy: RetrievalStrategy;
+  books: [string, number][];
+  maxResults: number;
+  contextLength: number;
+  instruction: string;
+}> = {
+  historical: {
+    strategy: 'date_extraction',
+    books: [['Chayei Moharan', 1], ['Shivchei HaRan', 0.8], ['Yemey Moharnat', 0.5]],
+    maxResults: 10,
+    contextLength: 400,
+    instruction: "Donne la date ou l'époque précise et le lieu quand les textes les mentionnent"
+  },
+  teaching: {
+    strategy: 'search',
+    books: [['Likutei Moharan', 1], ['Likutei Moharan, Part II', 1], ['Kitzur Likutei Moharan', 0.5]],
+    maxResults: 5,
+    contextLength: 200,
+    instruction: "Explique l'enseignement et son raisonnement"
+  },
+  practical: {
+    strategy: 'search',
+    books: [['Sichot HaRan', 1], ['Likutei Etzot', 1], ['Sefer HaMiddot', 0.6]],
+    maxResults: 5,
+    contextLength: 200,
+    instruction: "Donne des conseils concrets et applicables, tirés des textes"
+  },
+  prayer: {
+    strategy: 'search',
+    books: [['Likutei Tefilot', 1], ['Hishtapchut HaNefesh', 0.8]],
+    maxResults: 5,
+    contextLength: 300,
+    instruction: "Propose la prière telle qu'elle figure dans les textes, en hébreu puis traduite"
+  },
+  story: {
+    strategy: 'search',
+    books: [['Sippurei Maasiyot', 1]],
+    maxResults: 5,
+    contextLength: 300,
+    instruction: "Raconte le conte en suivant le texte, puis donne son sens"
+  },
+  reference: {
+    strategy: 'direct_fetch',
+    books: [],
+    maxResults: 1,
+    contextLength: 400,
+    instruction: "Présente ce passage : son contenu et son enseignement principal"
+  },
+  definition: {
+    strategy: 'search',
+    books: [['Likutei Etzot', 0.8], ['Kitzur Likutei Moharan', 0.6]],
+    maxResults: 3,
+    contextLength: 200,
+    instruction: "Commence par une définition courte du terme, puis ce qu'en dit Rabbi Nachman"
+  }
+};
+
+// Cues per intent, matched on the lowercased query without accents [pattern, weight]
+const PATTERNS: Partial<Record<QueryIntent, [RegExp, number][]>> = {
+  historical: [
+    [/\b(en quelle annee|quelle annee|a quelle date|what year|which year|how old)\b/, 2],
+    [/\b(ou (a-t-il|est-il|etait-il)|where did he|where was he)\b/, 1],
+    [/מתי|באיזו שנה/, 1]
+  ],
+  prayer: [
+    [/\b(une|la|a|the) (priere|prayer|tefila|tefilah) (pour|for|contre|against|sur|about)\b/, 2],
+    [/\b(prier pour|pray for|prier sur|prier contre)\b/, 2],
+    [/\b(donne|donnez|give|dis|lis|recite|read)[- ]?(moi|me)? (une|a) (priere|prayer|tefila)\b/, 2],
+    [/\blikout[a-z]* tefil+ot\b/, 1],
+    [/תפילה (על|ל)/, 2]
+  ],
+  story: [
+    [/\b(conte|contes|maasse|maase|maasiyot|tale|tales|parabole|parable)\b/, 2],
+    [/\b(histoire|story|recit) (du|de la|des|of the|about the)\b/, 2],
+    [/\b(raconte|raconte-moi|tell me the story)\b/, 1],
+    [/מעשה/, 2]
+  ],
+  practical: [
+    [/\b(comment (faire|puis-je|peut-on|pourrais-je|dois-je|devrais-je|surmonter|sortir|lutter|arriver|trouver|gerer))\b/, 2],
+    [/\b(que faire|que dois-je|quoi faire|how (can|do|should) (i|we|one)|how to|what should i|what can i)\b/, 2],
+    [/\b(conseil|conseils|astuce|pratique|advice|tips|overcome|deal with)\b/, 1],
+    [/\b(je me sens|je suis|j'ai du mal|i feel|i am|i'm|i struggle)\b/, 1]
+  ],
+  definition: [
+    [/^(qu'est-ce que|qu'est ce que|c'est quoi|que veut dire|que signifie|what is|what's|what are|define|meaning of)\b/, 2],
+    [/\b(definition|signification|signifie|veut dire|c'est quoi|mean|means)\b/, 1],
+    [/^מה (זה|זו|פירוש)/, 2]
+  ],
+  teaching: [
+    [/\b(dit|disait|enseigne|enseignement|enseignements|pense|selon|d'apres|say|says|said|teach|teaches|teaching|according to)\b/, 2]
+  ]
+};
+
+// Dictionary topics that mark a historical question (dates, journeys, biography)
+const HISTORICAL_TOPICS = new Set(['date', 'voyage', 'histoire', 'mort', 'naissance']);
+
+// Tie-break order on equal scores (most specific first)
+const PRIORITY: QueryIntent[] = ['reference', 'prayer', 'story', 'historical', 'practical', 'definition', 'teaching'];
+
+// Years: Gregorian (1807), Hebrew in digits (5568) or in letters with gershayim,
+// thousands omitted or written ה' (תקס״ח, ה'תקס"ח)
+const YEAR = /(?<![\p{L}\p{N}])(1[789]\d{2}|5\d{3}|(?:ה['׳])?ת[\u05D0-\u05EA]{0,2}["״][\u05D0-\u05EA])(?![\p{L}\p{N}])/gu;
+
+// First year mentioned in a text, as written (Hebrew letters must form a valid numeral)
+const findYear = (text: string): string | null =>
+  [...text.matchAll(YEAR)]
+    .map(match => match[1])
+    .find(token => /^\d+$/.test(token) || parseHebrewNumeral(token.replace(/^ה['׳]/, '')) !== null) || null;
+
+const round = (value: number): number => Math.round(value * 100) / 100;
+
+export class IntentClassifier {
+  /**
+   * Cues found in the query
+   */
+  signals(query: string): IntentSignal[] {
+    const text = foldLatin(normalizeHebrew(query)).toLowerCase().replace(/’/g, "'");
+    const signals: IntentSignal[] = [];
+
+    for (const [intent, patterns] of Object.entries(PATTERNS) as [QueryIntent, [RegExp, number][]][]) {
+      for (const [pattern, weight] of patterns) {
+        const match = text.match(pattern);
+        if (match) signals.push({ intent, signal: match[0].trim(), weight });
+      }
+    }
+
+    // Years, places and events recognized by the dictionary
+    const year = findYear(query);
+    if (year) signals.push({ intent: 'historical', signal: year, weight: 2 });
+
+    for (const match of transliterationMatcher.match(query)) {
+      if (match.category === 'location' || (match.category === 'topic' && HISTORICAL_TOPICS.has(match.id))) {
+        signals.push({ intent: 'historical', signal: match.token, weight: 1 });
+      }
+    }
+
+    return signals;
+  }
+
+  /**
+   * Query intent and retrieval strategy
+   */
+  classify(query: string): IntentClassification {
+    const cited = findRef(query);
+
+    // Exact reference: fetch the passage directly; with no other cue the passage is the answer
+    if (cited && cited.sections.length > 0) {
+      const lookup = this.signals(query).length === 0;
+      return this.result('reference', 0.95, [{ intent: 'reference', signal: formatRef(cited), weight: 3 }], cited, lookup);
+    }
+
+    const signals = this.signals(query);
+    const scores: Partial<Record<QueryIntent, number>> = {};
+    for (const { intent, weight } of signals) {
+      scores[intent] = (scores[intent] || 0) + weight;
+    }
+
+    const ranked = (Object.keys(scores) as QueryIntent[])
+      .sort((a, b) => scores[b]! - scores[a]! || PRIORITY.indexOf(a) - PRIORITY.indexOf(b));
+
+    // No cue: a teaching question, the most common kind
+    if (ranked.length === 0) {
+      return this.result('teaching', 0.4, [], cited);
+    }
+
+    const intent = ranked[0];
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    const confidence = Math.min(0.9, 0.4 + 0.1 * scores[intent]!) * (scores[intent]! / total);
+
+    return this.result(intent, round(Math.max(confidence, 0.3)), signals, cited);
+  }
+
+  /**
+   * Classification result; a book named without a number leads the favoured books
+   */
+  private result(
+    intent: QueryIntent,
+    confidence: number,
+    signals: IntentSignal[],
+    cited: ParsedRef | null,
+    lookup = false
+  ): IntentClassification {
+    const { strategy, books, maxResults, contextLength, instruction } = STRATEGIES[intent];
+    const bookPriors: BookPrior[] = books.map(([book, weight]) => ({ book, weight }));
+
+    if (cited) {
+      const named = bookPriors.findIndex(prior => prior.book === cited.book);
+      if (named > -1) bookPriors.splice(named, 1);
+      bookPriors.unshift({ book: cited.book, weight: 1 });
+    }
+
+    return {
+      intent,
+      confidence,
+      strategy,
+      bookPriors,
+      reference: intent === 'reference' && cited ? formatRef(cited) : null,
+      lookup,
+      maxResults,
+      contextLength,
+      instruction,
+      signals
+    };
+  }
+
+  /**
+   * Weight of a book for a classification (0 when the book is not favoured);
+   * accepts titles, project ids ("chayei_moharan") and spelling variants
+   */
+  static prior(classification: IntentClassification, book: string): number {
+    const title = resolveBook(book)?.title || book;
+    return classification.bookPriors.find(prior => prior.book === title)?.weight || 0;
+  }
+}
+
+export const intentClassifier = new IntentClassifier();
@@ -0,0 +1,527 @@
+// Provider-agnostic LLM client: Gemini, OpenAI-compatible endpoints (OpenAI, OpenRouter)
+// and a deterministic mock provider for tests without network. Same interface for all:
+// generate(), stream(), retries and LLMError. TypeScript port of lib/llm-client.js.
+//
+// Configuration: LLM_PROVIDER (gemini | openrouter | openai | mock), LLM_MODEL, LLM_API_KEY,
+// LLM_BASE_URL, LLM_TIMEOUT_MS, LLM_MAX_RETRIES; per-provider keys GEMINI_API_KEY,
+// OPENROUTER_API_KEY, OPENAI_API_KEY.
+
+import { tokenCounter } from './tokenCounter';
+
+export type LLMProviderName = 'gemini' | 'openrouter' | 'openai' | 'mock';
+
+export type LLMErrorCode =
+  | 'config'
+  | 'auth'
+  | 'rate_limit'
+  | 'bad_request'
+  | 'server'
+  | 'timeout'
+  | 'network'
+  | 'empty_response';
+
+export interface LLMMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export type LLMInput = string | { system?: string; prompt?: string; messages?: LLMMessage[] };
+
+export interface LLMUsage {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+}
+
+export interface LLMResult {
+  text: string;
+  finishReason: string | null;
+  usage: LLMUsage;
+  provider: LLMProviderName;
+  model: string;
+}
+
+export interface LLMCallOptions {
+  temperature?: number;
+  maxTokens?: number;
+}
+
+export interface ProviderSettings {
+  apiKey?: string;
+  model?: string;
+  baseUrl?: string;
+  // Mock provider only
+  response?: string | ((request: LLMRequest) => string);
+  failures?: number;
+}
+
+export interface LLMClientOptions extends LLMCallOptions {
+  provider?: LLMProviderName;
+  model?: string;
+  apiKey?: string;
+  baseUrl?: string;
+  maxRetries?: number;
+  retryDelayMs?: number;
+  timeoutMs?: number;
+  gemini?: ProviderSettings;
+  openrouter?: ProviderSettings;
+  openai?: ProviderSettings;
+  mock?: ProviderSettings;
+}
+
+interface LLMRequest {
+  messages: LLMMessage[];
+  temperature: number;
+  maxTokens: number;
+}
+
+interface ProviderConfig extends ProviderSettings {
+  provider: LLMProviderName;
+  model: string;
+  baseUrl: string;
+  timeoutMs: number;
+}
+
+interface ProviderAdapter {
+  complete(request: LLMRequest): Promise<Omit<LLMResult, 'provider' | 'model'>>;
+  stream(request: LLMRequest): AsyncGenerator<string, void, unknown>;
+}
+
+const PROVIDERS: Record<LLMProviderName, { model: string; baseUrl?: string; keyEnv?: string }> = {
+  gemini: {
+    model: 'gemini-1.5-flash',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    keyEnv: 'GEMINI_API_KEY'
+  },
+  openrouter: {
+    model: 'anthropic/claude-3.5-sonnet',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    keyEnv: 'OPENROUTER_API_KEY'
+  },
+  openai: {
+    model: 'gpt-4o-mini',
+    baseUrl: 'https://api.openai.com/v1',
+    keyEnv: 'OPENAI_API_KEY'
+  },
+  mock: {
+    model: 'mock-1'
+  }
+};
+
+/**
+ * Uniform provider error; `retryable` marks rate limits, 5xx, network errors and timeouts
+ */
+export class LLMError extends Error {
+  code: LLMErrorCode;
+  provider: string;
+  status: number | null;
+  retryable: boolean;
+
+  constructor(
+    message: string,
+    options: { code: LLMErrorCode; provider: string; status?: number | null; retryable?: boolean; cause?: unknown }
+  ) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = options.code;
+    this.provider = options.provider;
+    this.status = options.status ?? null;
+    this.retryable = options.retryable ?? false;
+    if (options.cause) (this as { cause?: unknown }).cause = options.cause;
+  }
+
+  static fromStatus(provider: string, status: number, detail?: string): LLMError {
+    const code: LLMErrorCode = status === 401 || status === 403 ? 'auth'
+      : status === 429 ? 'rate_limit'
+        : status >= 500 ? 'server'
+          : 'bad_request';
+    return new LLMError(`${provider} HTTP ${status}${detail ? `: ${detail}` : ''}`, {
+      code,
+      provider,
+      status,
+      retryable: code === 'rate_limit' || code === 'server'
+    });
+  }
+}
+
+/**
+ * JSON POST with a timeout; network failures become LLMErrors
+ */
+async function postJson(
+  provider: string,
+  url: string,
+  headers: Record<string, string>,
+  body: unknown,
+  timeoutMs: number
+): Promise<Response> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw LLMError.fromStatus(provider, response.status, detail.substring(0, 200));
+    }
+    return response;
+  } catch (error: any) {
+    if (error instanceof LLMError) throw error;
+    if (error.name === 'AbortError') {
+      throw new LLMError(`${provider}: no response after ${timeoutMs}ms`, { code: 'timeout', provider, retryable: true });
+    }
+    throw new LLMError(`${provider}: ${error.message}`, { code: 'network', provider, retryable: true, cause: error });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Reads a Server-Sent Events body and yields the "data:" payloads
+ */
+async function* readServerSentEvents(response: Response): AsyncGenerator<string, void, unknown> {
+  if (!response.body) return;
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+  }
+  if (buffer.startsWith('data:')) yield buffer.slice(5).trim();
+}
+
+// Simulated usage of the mock provider
+function estimateTokens(text: string): number {
+  return tokenCounter.count(text);
+}
+
+/**
+ * Gemini (generativelanguage REST API)
+ */
+class GeminiProvider implements ProviderAdapter {
+  constructor(private config: ProviderConfig) {}
+
+  private body(request: LLMRequest): Record<string, unknown> {
+    const body: Record<string, unknown> = {
+      contents: request.messages
+        .filter(m => m.role !== 'system')
+        .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+      generationConfig: {
+        temperature: request.temperature,
+        maxOutputTokens: request.maxTokens,
+        topK: 40,
+        topP: 0.95
+      },
+      safetySettings: [
+        'HARM_CATEGORY_HARASSMENT',
+        'HARM_CATEGORY_HATE_SPEECH',
+        'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+        'HARM_CATEGORY_DANGEROUS_CONTENT'
+      ].map(category => ({ category, threshold: 'BLOCK_NONE' }))
+    };
+
+    const system = request.messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+    return body;
+  }
+
+  private extractText(data: any): string {
+    const parts: { text?: string }[] = data.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+  }
+
+  async complete(request: LLMRequest) {
+    const { baseUrl, model, apiKey, timeoutMs } = this.config;
+    const response = await postJson('gemini', `${baseUrl}/models/${model}:generateContent`,
+      { 'x-goog-api-key': apiKey || '' }, this.body(request), timeoutMs);
+    const data: any = await response.json();
+
+    return {
+      text: this.extractText(data),
+      finishReason: data.candidates?.[0]?.finishReason || data.promptFeedback?.blockReason || null,
+      usage: {
+        promptTokens: data.usageMetadata?.promptTokenCount || 0,
+        completionTokens: data.usageMetadata?.candidatesTokenCount || 0,
+        totalTokens: data.usageMetadata?.totalTokenCount || 0
+      }
+    };
+  }
+
+  async *stream(request: LLMRequest) {
+    const { baseUrl, model, apiKey, timeoutMs } = this.config;
+    const response = await postJson('gemini', `${baseUrl}/models/${model}:streamGenerateContent?alt=sse`,
+      { 'x-goog-api-key': apiKey || '' }, this.body(request), timeoutMs);
+
+    for await (const payload of readServerSentEvents(response)) {
+      let text = '';
+      try {
+        text = this.extractText(JSON.parse(payload));
+      } catch {
+        // Incomplete line: skipped
+      }
+      if (text) yield text;
+    }
+  }
+}
+
+/**
+ * OpenAI-compatible APIs: /chat/completions (OpenAI, OpenRouter, local servers)
+ */
+class OpenAICompatibleProvider implements ProviderAdapter {
+  constructor(private config: ProviderConfig) {}
+
+  private headers(): Record<string, string> {
+    const headers: Record<string, string> = { Authorization: `Bearer ${this.config.apiKey}` };
+    if (this.config.provider === 'openrouter') {
+      headers['HTTP-Referer'] = process.env.URL || 'https://rabbi-nachman-voice.netlify.app';
+      headers['X-Title'] = 'Rabbi Nachman Voice Assistant';
+    }
+    return headers;
+  }
+
+  private body(request: LLMRequest, stream: boolean) {
+    return {
+      model: this.config.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      stream
+    };
+  }
+
+  async complete(request: LLMRequest) {
+    const { provider, baseUrl, timeoutMs } = this.config;
+    const response = await postJson(provider, `${baseUrl}/chat/completions`,
+      this.headers(), this.body(request, false), timeoutMs);
+    const data: any = await response.json();
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      finishReason: data.choices?.[0]?.finish_reason || null,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      }
+    };
+  }
+
+  async *stream(request: LLMRequest) {
+    const { provider, baseUrl, timeoutMs } = this.config;
+    const response = await postJson(provider, `${baseUrl}/chat/completions`,
+      this.headers(), this.body(request, true), timeoutMs);
+
+    for await (const payload of readServerSentEvents(response)) {
+      if (payload === '[DONE]') break;
+      let text = '';
+      try {
+        text = JSON.parse(payload).choices?.[0]?.delta?.content || '';
+      } catch {
+        // SSE comment or incomplete line: skipped
+      }
+      if (text) yield text;
+    }
+  }
+}
+
+/**
+ * Deterministic provider without network: same request, same answer
+ */
+class MockProvider implements ProviderAdapter {
+  private failuresLeft: number;
+
+  constructor(private config: ProviderConfig) {
+    this.failuresLeft = config.failures || 0;
+  }
+
+  private respond(request: LLMRequest): string {
+    if (typeof this.config.response === 'function') return this.config.response(request);
+    if (typeof this.config.response === 'string') return this.config.response;
+
+    // Default: echo the question and cite the sources found in the context
+    const user = [...request.messages].reverse().find(m => m.role === 'user')?.content || '';
+    const question = (user.split('=== QUESTION ===')[1] || user).trim().split('\n')[0].substring(0, 160);
+
+    // Labelled passages ([P1] Source: ...): exact quote of the first one, with its ID
+    const marked = user.match(/^\[(P\d+)\] Source: .+\n(.+)/m);
+    if (marked) {
+      const words = marked[2].trim().split(/\s+/).slice(0, 8).join(' ');
+      return `Réponse simulée à « ${question} ». Rabbi Nachman enseigne : « ${words} » [${marked[1]}].`;
+    }
+    const sources = [...new Set([...user.matchAll(/\[(?:Source:\s*)?([^\]\n]{3,80})\]/g)].map(m => m[1].trim()))];
+
+    return sources.length > 0
+      ? `Réponse simulée à « ${question} » d'après ${sources.slice(0, 3).map(s => `[${s}]`).join(', ')}.`
+      : `Réponse simulée à « ${question} ».`;
+  }
+
+  private failIfScheduled() {
+    if (this.failuresLeft > 0) {
+      this.failuresLeft--;
+      throw new LLMError('mock: simulated failure', { code: 'server', provider: 'mock', status: 503, retryable: true });
+    }
+  }
+
+  async complete(request: LLMRequest) {
+    this.failIfScheduled();
+    const text = this.respond(request);
+    const promptTokens = estimateTokens(request.messages.map(m => m.content).join('\n'));
+    const completionTokens = estimateTokens(text);
+    return {
+      text,
+      finishReason: 'stop',
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  async *stream(request: LLMRequest) {
+    this.failIfScheduled();
+    for (const word of this.respond(request).split(/(?<= )/)) {
+      yield word;
+    }
+  }
+}
+
+export class LLMClient {
+  readonly provider: LLMProviderName;
+  readonly model: string;
+  private config: ProviderConfig;
+  private adapter: ProviderAdapter;
+  private temperature: number;
+  private maxTokens: number;
+  private maxRetries: number;
+  private retryDelayMs: number;
+
+  constructor(options: LLMClientOptions = {}) {
+    const env = process.env;
+    const provider = (options.provider || env.LLM_PROVIDER || 'gemini').toLowerCase() as LLMProviderName;
+
+    const defaults = PROVIDERS[provider];
+    if (!defaults) {
+      throw new LLMError(`Unknown LLM provider "${provider}"`, { code: 'config', provider });
+    }
+    const settings: ProviderSettings = { ...defaults, ...(options[provider] || {}) };
+    this.provider = provider;
+
+    this.config = {
+      ...settings,
+      provider,
+      model: options.model || env.LLM_MODEL || settings.model || defaults.model,
+      apiKey: options.apiKey || env.LLM_API_KEY || (defaults.keyEnv && env[defaults.keyEnv]) || settings.apiKey,
+      baseUrl: (options.baseUrl || env.LLM_BASE_URL || settings.baseUrl || '').replace(/\/$/, ''),
+      timeoutMs: options.timeoutMs || parseInt(env.LLM_TIMEOUT_MS || '', 10) || 60000
+    };
+
+    this.model = this.config.model;
+    this.temperature = options.temperature ?? 0.7;
+    this.maxTokens = options.maxTokens || 2048;
+    this.maxRetries = options.maxRetries ?? (parseInt(env.LLM_MAX_RETRIES || '', 10) || 2);
+    this.retryDelayMs = options.retryDelayMs ?? 500;
+
+    this.adapter = provider === 'gemini' ? new GeminiProvider(this.config)
+      : provider === 'mock' ? new MockProvider(this.config)
+        : new OpenAICompatibleProvider(this.config);
+  }
+
+  /**
+   * Messages from a prompt string or a { system, prompt, messages } object
+   */
+  static toMessages(input: LLMInput): LLMMessage[] {
+    if (typeof input === 'string') return [{ role: 'user', content: input }];
+
+    const messages = [...(input.messages || [])];
+    if (input.prompt) messages.push({ role: 'user', content: input.prompt });
+    if (input.system) messages.unshift({ role: 'system', content: input.system });
+    return messages;
+  }
+
+  /**
+   * The mock provider needs no key
+   */
+  isConfigured(): boolean {
+    return this.provider === 'mock' || Boolean(this.config.apiKey);
+  }
+
+  private checkConfig() {
+    if (!this.isConfigured()) {
+      throw new LLMError(`No API key for ${this.provider} (LLM_API_KEY or ${PROVIDERS[this.provider].keyEnv})`, {
+        code: 'config',
+        provider: this.provider
+      });
+    }
+  }
+
+  private request(input: LLMInput, options: LLMCallOptions): LLMRequest {
+    return {
+      messages: LLMClient.toMessages(input),
+      temperature: options.temperature ?? this.temperature,
+      maxTokens: options.maxTokens || this.maxTokens
+    };
+  }
+
+  private async backoff(attempt: number) {
+    const delay = this.retryDelayMs * Math.pow(2, attempt);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  /**
+   * Full completion; transient errors (429, 5xx, network, timeout) are retried with exponential backoff
+   */
+  async generate(input: LLMInput, options: LLMCallOptions = {}): Promise<LLMResult> {
+    this.checkConfig();
+    const request = this.request(input, options);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this.adapter.complete(request);
+        if (!result.text) {
+          throw new LLMError(`${this.provider}: empty response (${result.finishReason || 'no candidate'})`, {
+            code: 'empty_response',
+            provider: this.provider
+          });
+        }
+        return { ...result, provider: this.provider, model: this.model };
+      } catch (error) {
+        if (!(error instanceof LLMError) || !error.retryable || attempt >= this.maxRetries) throw error;
+        await this.backoff(attempt);
+      }
+    }
+  }
+
+  /**
+   * Text fragments as they arrive; retried only while nothing has been emitted
+   */
+  async *stream(input: LLMInput, options: LLMCallOptions = {}): AsyncGenerator<string, void, unknown> {
+    this.checkConfig();
+    const request = this.request(input, options);
+
+    for (let attempt = 0; ; attempt++) {
+      let emitted = false;
+      try {
+        for await (const text of this.adapter.stream(request)) {
+          emitted = true;
+          yield text;
+        }
+        return;
+      } catch (error) {
+        if (emitted || !(error instanceof LLMError) || !error.retryable || attempt >= this.maxRetries) throw error;
+        await this.backoff(attempt);
+      }
+    }
+  }
+}
@@ -0,0 +1,81 @@
+// Versioned SQL migrations (sql/migrations/NNN_name.sql), applied in order at startup.
+// Each file runs once in its own transaction and is recorded in schema_migrations; an advisory
+// lock keeps two instances starting together from migrating at the same time.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Pool } from 'pg';
+import { logger } from './logger';
+
+const MIGRATIONS_DIR = path.join(process.cwd(), 'sql', 'migrations');
+const MIGRATION_FILE = /^(\d+)_[\w-]+\.sql$/;
+
+// pg_advisory_lock key, shared by every instance of the backend
+const MIGRATION_LOCK = 72640017;
+
+export interface Migration {
+  version: number;
+  name: string;   // File name, e.g. 002_embedding_model.sql
+  file: string;
+}
+
+/**
+ * Migration files sorted by version (duplicate versions are an error)
+ */
+export async function listMigrations(dir: string = MIGRATIONS_DIR): Promise<Migration[]> {
+  const migrations = (await fs.readdir(dir))
+    .map(name => ({ name, match: name.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => ({ version: parseInt(match![1], 10), name, file: path.join(dir, name) }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}: ${migrations[i - 1].name}, ${migration.name}`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Apply pending migrations; returns the names of the applied files
+ */
+export async function runMigrations(pool: Pool, dir: string = MIGRATIONS_DIR): Promise<string[]> {
+  const migrations = await listMigrations(dir);
+  const client = await pool.connect();
+  const applied: string[] = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const result = await client.query('SELECT version FROM schema_migrations');
+    const done = new Set<number>(result.rows.map(row => row.version));
+
+    for (const migration of migrations.filter(m => !done.has(m.version))) {
+      const sql = await fs.readFile(migration.file, 'utf-8');
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        await client.query('COMMIT');
+      } catch (error: any) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+      }
+      logger.info(`✅ Migration applied: ${migration.name}`);
+      applied.push(migration.name);
+    }
+
+    return applied;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK]).catch(() => undefined);
+    client.release();
+  }
+}
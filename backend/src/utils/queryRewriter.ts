@@ -0,0 +1,242 @@
+// Rewrites follow-up questions into standalone retrieval queries: "and where did he go
+// after that?" after a question about Lemberg becomes "Where did Rabbi Nachman go after
+// Lemberg?". Rules replace pronouns with the people and themes of the previous turns and
+// complete elliptical questions; LLM rewriting is opt-in (QUERY_REWRITER=llm).
+// TypeScript port of lib/query-rewriter.js.
+
+import dictionaryData from './transliterations.json';
+import { LLMClient } from './llmClient';
+import { abstentionPolicy } from './abstentionPolicy';
+import { logger } from './logger';
+import {
+  TransliterationDictionary,
+  TransliterationEntry,
+  transliterationMatcher
+} from './transliteration';
+
+// French inversion (est-il allé, y est-il resté, va-t-elle): the name goes before the verb
+// and its clitics, the inverted pronoun stays ("Où Rabbi Nachman est-il allé ?")
+const INVERTED_PRONOUN = /(?<![\p{L}'’-])(?<!(?:^|[\s'’])(?:y|en|ne|se|le|la|les)\s+)((?:(?:ne|y|en|se|le|la|les)\s+|[nsl]['’])*\p{L}+-(?:t-)?(?:il|elle))(?![\p{L}'’-])/giu;
+
+// Pronouns referring to a person (il est allé, he went, lui, him)
+const PERSON_PRONOUNS = /(?<![\p{L}'’-])(il|elle|lui|he|him|she)(?![\p{L}'’-])/giu;
+
+// Pronouns referring to a theme (après ça, after that)
+const THING_PRONOUNS = /(?<![\p{L}'’-])(cela|ça|ca|that|this|it)(?![\p{L}'’-])/giu;
+
+// Place adverbs, replaced by the last place mentioned (là-bas → à Lemberg, from there → from Lemberg)
+const PLACE_ADVERBS = /(?<![\p{L}'’-])(?:(de|d['’]|depuis|par|vers|from|to|near)\s*)?(là-bas|là|there)(?![\p{L}'’-])/giu;
+
+// "y" before a verb (y est-il resté, n'y est-il pas allé), except "il y a"
+const PLACE_CLITIC = /(?<![\p{L}-])y\s+(?!(?:a|avait|aura|eut)(?![\p{L}'’]))/iu;
+
+// Question reduced to an interrogative ("et pourquoi ?"), which replaces the previous question's
+const INTERROGATIVES = [
+  /^(pourquoi|quand|où|comment|combien de temps)(?![\p{L}'’-])/iu,
+  /^(why|when|where|how|how long)(?![\p{L}'’-])/iu
+];
+
+// Follow-up openers: "et en hébreu ?", "and then?"
+const FOLLOW_UP_OPENER = /^\s*(et|and|mais|but|puis|alors|so|also|aussi|then)(?![\p{L}'’])[\s,]*/iu;
+
+// Previous turns searched for antecedents
+const LOOKBACK_TURNS = 3;
+
+const REWRITE_PROMPT = `Réécris la dernière question de l'utilisateur en une requête de recherche autonome,
+compréhensible sans la conversation : remplace les pronoms par les personnes, lieux ou thèmes
+dont ils parlent et complète les phrases elliptiques. Garde la langue de la question.
+Réponds uniquement par la requête réécrite, sur une seule ligne.`;
+
+const entries = (dictionaryData as TransliterationDictionary).entries;
+
+export interface ConversationTurn {
+  query: string;
+  rewrittenQuery?: string;
+  answer?: string;
+  mode?: string;
+  references?: string[];
+  timestamp?: string;
+}
+
+export interface QueryRewrite {
+  query: string;
+  original: string;
+  rewritten: boolean;
+  method: 'none' | 'rules' | 'llm';
+}
+
+interface Antecedents {
+  person: string | null;
+  thing: string | null;
+  place: string | null;
+}
+
+export interface QueryRewriterOptions {
+  mode?: 'rules' | 'llm';
+  llm?: LLMClient;
+}
+
+/**
+ * Display name of a dictionary entry ("Rabbi Nachman", "Lemberg", "joie")
+ */
+function entryLabel(entry: TransliterationEntry): string {
+  const latin = entry.latin || [];
+  const name = entry.category === 'concept' || entry.category === 'topic'
+    ? (entry.synonyms || [])[0] || latin[0]
+    : latin[0].charAt(0).toUpperCase() + latin[0].slice(1);
+  return entry.category === 'person' && entry.id !== 'moharan' ? `Rabbi ${name}` : name;
+}
+
+/**
+ * "Pourquoi ?" after "Quand Rabbi Nachman est-il allé à Lemberg ?": the previous question
+ * with the new interrogative, null when it does not start with one
+ */
+function swapInterrogative(question: string, previous: string): string | null {
+  const bare = question.replace(/[\s?!.…]+$/, '');
+  for (const pattern of INTERROGATIVES) {
+    const asked = bare.match(pattern);
+    const before = previous.match(pattern);
+    if (asked && asked[0].length === bare.length && before) {
+      return asked[0] + previous.slice(before[0].length);
+    }
+  }
+  return null;
+}
+
+export class QueryRewriter {
+  private mode: 'rules' | 'llm';
+  private llm: LLMClient | null;
+
+  constructor(options: QueryRewriterOptions = {}) {
+    this.mode = options.mode || (process.env.QUERY_REWRITER === 'llm' ? 'llm' : 'rules');
+    this.llm = options.llm || null;
+  }
+
+  /**
+   * Most recent person and theme (place, concept) of the previous turns
+   */
+  antecedents(history: ConversationTurn[]): Antecedents {
+    const found: Antecedents = { person: null, thing: null, place: null };
+
+    for (const turn of history.slice(-LOOKBACK_TURNS).reverse()) {
+      for (const match of transliterationMatcher.match(turn.rewrittenQuery || turn.query || '')) {
+        const entry = entries.find(e => e.id === match.id);
+        if (!entry || !entry.latin) continue;
+        const slot = entry.category === 'person' ? 'person' : 'thing';
+        if (!found[slot]) found[slot] = entryLabel(entry);
+        if (entry.category === 'location' && !found.place) found.place = entryLabel(entry);
+      }
+      if (found.person && found.thing && found.place) break;
+    }
+
+    return found;
+  }
+
+  /**
+   * Rule-based rewriting
+   */
+  rewriteWithRules(query: string, history: ConversationTurn[]): { query: string; rewritten: boolean } {
+    const previous = history[history.length - 1];
+    const { person, thing, place } = this.antecedents(history);
+    let replaced = false;
+
+    let standalone = query.trim();
+    const opener = FOLLOW_UP_OPENER.test(standalone);
+    standalone = standalone.replace(FOLLOW_UP_OPENER, '');
+
+    // Places: "là-bas", "there" and "y" only toward a place mentioned, never toward a theme
+    let placeClitic = false;
+    if (place) {
+      standalone = standalone.replace(PLACE_ADVERBS, (_match, preposition: string | undefined, adverb: string) => {
+        replaced = true;
+        if (preposition) return `${/^d['’]$/i.test(preposition) ? 'de' : preposition} ${place}`;
+        return `${adverb === 'there' ? 'in' : 'à'} ${place}`;
+      });
+      standalone = standalone.replace(PLACE_CLITIC, () => {
+        replaced = placeClitic = true;
+        return '';
+      });
+    }
+
+    if (person) {
+      // Inverted pronoun as the only reference to the person: the name before the verb
+      if (standalone.search(PERSON_PRONOUNS) < 0) {
+        standalone = standalone.replace(INVERTED_PRONOUN, (_match, verb: string, offset: number) => {
+          replaced = true;
+          return `${person} ${offset === 0 ? verb.charAt(0).toLowerCase() + verb.slice(1) : verb}`;
+        });
+      }
+      standalone = standalone.replace(PERSON_PRONOUNS, () => {
+        replaced = true;
+        return person;
+      });
+    }
+    if (thing) {
+      standalone = standalone.replace(THING_PRONOUNS, () => {
+        replaced = true;
+        return thing;
+      });
+    }
+    if (placeClitic) {
+      standalone = standalone.replace(/(\s*[?!.…]*)$/, ` à ${place}$1`);
+    }
+
+    // Ellipsis: "et pourquoi ?" takes the previous question with its own interrogative,
+    // "pourquoi ?" after another question adds it in parentheses,
+    // "et sur la tristesse ?" keeps its own theme and takes the person
+    const ownContent = abstentionPolicy.concepts(standalone).length > 0;
+    if (!replaced && (opener || !ownContent)) {
+      const previousQuery = previous.rewrittenQuery || previous.query;
+      const swapped = swapInterrogative(standalone, previousQuery);
+      const context = ownContent ? person : previousQuery;
+      if (swapped) standalone = swapped;
+      else if (context) standalone = `${standalone} (${context})`;
+      replaced = Boolean(swapped || context);
+    }
+
+    if (!replaced) {
+      return { query, rewritten: false };
+    }
+
+    return { query: standalone.charAt(0).toUpperCase() + standalone.slice(1), rewritten: true };
+  }
+
+  /**
+   * Standalone retrieval query from the question and the previous turns
+   */
+  async rewrite(query: string, history: ConversationTurn[] = []): Promise<QueryRewrite> {
+    if (history.length === 0) {
+      return { query, original: query, rewritten: false, method: 'none' };
+    }
+
+    const rules = this.rewriteWithRules(query, history);
+
+    if (this.mode === 'llm' && this.llm?.isConfigured()) {
+      try {
+        const conversation = history.slice(-LOOKBACK_TURNS)
+          .map(turn => `Utilisateur : ${turn.query}\nAssistant : ${String(turn.answer || '').substring(0, 300)}`)
+          .join('\n');
+        const completion = await this.llm.generate({
+          messages: [
+            { role: 'system', content: REWRITE_PROMPT },
+            { role: 'user', content: `${conversation}\n\nDernière question : ${query}` }
+          ]
+        }, { temperature: 0, maxTokens: 100 });
+
+        const rewritten = completion.text.split('\n')[0].replace(/^["«\s]+|["»\s]+$/g, '').trim();
+        if (rewritten && rewritten.length <= 300) {
+          return { query: rewritten, original: query, rewritten: rewritten !== query, method: 'llm' };
+        }
+      } catch (error) {
+        logger.warn('Query rewriting failed, using rules:', error);
+      }
+    }
+
+    return {
+      query: rules.query,
+      original: query,
+      rewritten: rules.rewritten,
+      method: rules.rewritten ? 'rules' : 'none'
+    };
+  }
+}
@@ -0,0 +1,136 @@
+// Reciprocal rank fusion of several retrievers' rankings (BM25 keywords, vectors, titles and
+// references): each chunk scores weight / (k + rank) for every retriever that finds it. Only
+// ranks matter, since BM25 scores and cosine similarities are not comparable.
+// TypeScript port of lib/rank-fusion.js.
+
+import { parseRef, refOverlaps } from './sefariaRef';
+
+// Rank smoothing: past the first ranks, consecutive ranks score almost the same
+const DEFAULT_K = 60;
+
+// Parts of a section in indexes built before segment-based chunking ("Likutei Moharan 282 (partie 2)")
+const PART_SUFFIX = / \(partie \d+\)$/;
+
+export interface RankedItem {
+  id: string;
+  reference?: string | null;
+  score?: number | null;
+}
+
+export interface FusedResult<T extends RankedItem> {
+  id: string;
+  reference: string | null;
+  score: number;
+  ranks: Record<string, number>;          // Rank per retriever (1 = first)
+  scores: Record<string, number | null>;  // Raw score per retriever, for display only
+  merged: string[];                        // Overlapping chunks folded into this one
+  item: T;
+}
+
+export interface FusionDebug {
+  k: number;
+  weights: Record<string, number>;
+  retrievers: Record<string, { rank: number; id: string; reference: string | null; score: number | null }[]>;
+}
+
+export interface RankFusionOptions {
+  k?: number;                        // RRF_K (60)
+  weights?: Record<string, number>;  // RRF_WEIGHTS ("bm25:1,vector:0.8,reference:1.5"), 1 when missing
+}
+
+export class RankFusion {
+  readonly k: number;
+  readonly weights: Record<string, number>;
+
+  constructor(options: RankFusionOptions = {}) {
+    this.k = options.k || parseInt(process.env.RRF_K || String(DEFAULT_K));
+    this.weights = options.weights || RankFusion.parseWeights(process.env.RRF_WEIGHTS);
+  }
+
+  /**
+   * Retriever weights from "bm25:1,vector:0.8" (invalid values are ignored)
+   */
+  static parseWeights(spec?: string): Record<string, number> {
+    const weights: Record<string, number> = {};
+    for (const pair of String(spec || '').split(',')) {
+      const [name, value] = pair.split(':').map(part => part.trim());
+      const weight = parseFloat(value);
+      if (name && !isNaN(weight)) weights[name] = weight;
+    }
+    return weights;
+  }
+
+  /**
+   * Weight of a retriever (0 disables it)
+   */
+  weight(retriever: string): number {
+    return this.weights[retriever] ?? 1;
+  }
+
+  /**
+   * True for the same chunk, parts of one section, or references sharing a passage
+   * ("Likutei Moharan 282:1-5" and "Likutei Moharan 282:3")
+   */
+  static overlaps(a: RankedItem, b: RankedItem): boolean {
+    if (a.id === b.id) return true;
+
+    const x = String(a.reference || '').replace(PART_SUFFIX, '');
+    const y = String(b.reference || '').replace(PART_SUFFIX, '');
+    if (!x || !y) return false;
+    if (x === y) return true;
+
+    // A whole-book reference does not swallow the whole book
+    const px = parseRef(x);
+    const py = parseRef(y);
+    return Boolean(px && py && px.sections.length > 0 && py.sections.length > 0 && refOverlaps(x, y));
+  }
+
+  /**
+   * Merge the retrievers' rankings (best first in each ranking)
+   */
+  fuse<T extends RankedItem>(
+    rankings: Record<string, T[]>,
+    options: { limit?: number } = {}
+  ): { results: FusedResult<T>[]; debug: FusionDebug } {
+    const fused = new Map<string, FusedResult<T>>();
+    const debug: FusionDebug = { k: this.k, weights: {}, retrievers: {} };
+
+    for (const [retriever, ranking] of Object.entries(rankings)) {
+      const weight = this.weight(retriever);
+      debug.weights[retriever] = weight;
+      debug.retrievers[retriever] = [];
+
+      ranking.forEach((item, index) => {
+        const rank = index + 1;
+        debug.retrievers[retriever].push({ rank, id: item.id, reference: item.reference || null, score: item.score ?? null });
+        if (weight <= 0) return;
+
+        let entry = fused.get(item.id);
+        if (!entry) {
+          entry = { id: item.id, reference: item.reference || null, score: 0, ranks: {}, scores: {}, merged: [], item };
+          fused.set(item.id, entry);
+        }
+        if (entry.ranks[retriever]) return; // Duplicate within a ranking: only the best rank counts
+
+        entry.ranks[retriever] = rank;
+        entry.scores[retriever] = item.score ?? null;
+        entry.score += weight / (this.k + rank);
+      });
+    }
+
+    // Overlapping chunks: the best ranked stays, the others are folded into it
+    const results: FusedResult<T>[] = [];
+    for (const entry of [...fused.values()].sort((a, b) => b.score - a.score)) {
+      const kept = results.find(result => RankFusion.overlaps(result, entry));
+      if (kept) {
+        kept.merged.push(entry.id);
+      } else {
+        results.push(entry);
+      }
+    }
+
+    return { results: options.limit ? results.slice(0, options.limit) : results, debug };
+  }
+}
+
+export const rankFusion = new RankFusion();
@@ -0,0 +1,519 @@
+// Sefaria references: parsing, canonical form and per-language display.
+// TypeScript port of lib/sefaria-ref.js; the catalog is a copy of lib/sefaria-books.json.
+
+import catalogData from './sefariaBooks.json';
+import { normalizeHebrew } from './hebrewNormalizer';
+
+export interface SefariaBook {
+  title: string;
+  hebrew: string;
+  french: string;
+  ids: string[];
+  aliases: string[];
+  nodes?: SefariaNode[];
+  parts?: Record<string, string>;
+}
+
+// Named schema node ("Introduction"); named: its subdivisions carry names ("Orach Chaim, Laws of ...")
+export interface SefariaNode {
+  title: string;
+  hebrew: string;
+  french: string;
+  aliases?: string[];
+  named?: boolean;
+}
+
+export interface ParsedRef {
+  book: string;              // Canonical Sefaria title
+  node?: string[];           // Named node path, empty for the default node
+  sections: number[];
+  toSections: number[] | null;
+}
+
+export type RefLanguage = 'en' | 'fr' | 'he';
+
+// Letter values (gematria); final letters are folded by the normalizer
+const HEBREW_NUMERALS: Record<string, number> = {
+  'א': 1, 'ב': 2, 'ג': 3, 'ד': 4, 'ה': 5, 'ו': 6, 'ז': 7, 'ח': 8, 'ט': 9,
+  'י': 10, 'כ': 20, 'ל': 30, 'מ': 40, 'נ': 50, 'ס': 60, 'ע': 70, 'פ': 80, 'צ': 90,
+  'ק': 100, 'ר': 200, 'ש': 300, 'ת': 400
+};
+
+// Part markers: "II", "Tinyana", "תנינא", "ח"ב" or "Part 2", "tome 2", "חלק ב"
+const NAMED_PART = /^[\s,]*(ii|i|tinyana|tanina|kama|\u05EA\u05E0\u05D9\u05E0\u05D0|\u05E7\u05DE\u05D0|\u05D7\u05D1|\u05D7\u05D0)(?![\p{L}\p{N}])/u;
+const NUMBERED_PART = /^[\s,]*(?:part|partie|tome|volume|vol|\u05D7\u05DC\u05E7)\s*(ii|i|2|1|\u05D1|\u05D0)(?![\p{L}\p{N}])/u;
+const PART_NUMBERS: Record<string, number> = {
+  i: 1, ii: 2, 1: 1, 2: 2, tinyana: 2, tanina: 2, kama: 1,
+  'תנינא': 2, 'קמא': 1, 'חב': 2, 'חא': 1, 'ב': 2, 'א': 1
+};
+
+// Words skipped before or between numbers ("Torah 5", "סימן ה", "5 אות ג")
+const SKIP_WORDS = new Set([
+  'torah', 'tora', 'teaching', 'enseignement', 'siman', 'chapitre', 'chapter', 'section',
+  'sicha', 'conte', 'story', 'os', 'ot', 'n', 'no', 'lecon', 'lesson', 'numero', 'number',
+  'paragraphe', 'paragraph',
+  'תורה', 'סימנ', 'סי', 'שיחה', 'מעשה', 'אות'
+]);
+
+// Spoken letter names ("torah resh pe beit" = 282, French "rech pé beth")
+const SPOKEN_LETTERS: Record<string, string> = {
+  alef: 'א', aleph: 'א',
+  bet: 'ב', beit: 'ב', beth: 'ב', beis: 'ב', vet: 'ב',
+  gimel: 'ג', guimel: 'ג',
+  dalet: 'ד', daled: 'ד', daleth: 'ד',
+  he: 'ה', hei: 'ה', hey: 'ה', heh: 'ה',
+  vav: 'ו', vov: 'ו',
+  zayin: 'ז', zain: 'ז',
+  chet: 'ח', het: 'ח', heth: 'ח', ches: 'ח',
+  tet: 'ט', teth: 'ט', tes: 'ט',
+  yud: 'י', yod: 'י', youd: 'י',
+  kaf: 'כ', khaf: 'כ', chaf: 'כ',
+  lamed: 'ל', lamedh: 'ל',
+  mem: 'מ',
+  nun: 'נ', noun: 'נ',
+  samech: 'ס', samekh: 'ס',
+  ayin: 'ע',
+  pe: 'פ', pei: 'פ', peh: 'פ', fe: 'פ',
+  tsadi: 'צ', tzadi: 'צ', tsade: 'צ', tzadik: 'צ',
+  kuf: 'ק', kof: 'ק', qof: 'ק', kouf: 'ק',
+  resh: 'ר', reish: 'ר', rech: 'ר',
+  shin: 'ש', chin: 'ש', sin: 'ש',
+  tav: 'ת', taf: 'ת', sav: 'ת'
+};
+
+const RANGE_SEPARATOR = /\s*[-\u2013\u2014]\s*/;
+
+// Link between a number and the book cited after it ("torah 282 du Likoutey Moharan", "teaching 5 of ...")
+const BOOK_AFTER_ADDRESS = /(?:^|\s)(?:du|de la|de|des|of|from|in|dans)\s*$/i;
+const ADDRESS_SEPARATORS = /[\s:.,;#\u00A7\u00B0()[\]]+/;
+
+/**
+ * Comparison form: normalized Hebrew, no Latin accents, "_" and "," as spaces
+ */
+function matchForm(text: string): string {
+  return normalizeHebrew(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036F]/g, '')
+    .replace(/['\u2019]/g, '')
+    .replace(/[_,]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const catalog = catalogData as { books: SefariaBook[] };
+const books = new Map<string, SefariaBook>();
+const bookIds = new Map<string, SefariaBook>();
+const bookAliases: { form: string; book: SefariaBook }[] = [];
+
+for (const book of catalog.books) {
+  books.set(book.title, book);
+  for (const id of book.ids) {
+    bookIds.set(id, book);
+  }
+  for (const alias of [book.title, ...book.aliases]) {
+    bookAliases.push({ form: matchForm(alias), book });
+  }
+}
+bookAliases.sort((a, b) => b.form.length - a.form.length);
+
+// Named nodes of each book (introduction, Likutei Halakhot sections), longest spelling first
+const nodeAliases = new Map<string, { form: string; node: SefariaNode }[]>();
+for (const book of catalog.books) {
+  const aliases = (book.nodes || []).flatMap(node =>
+    [node.title, node.hebrew, ...(node.aliases || [])].map(alias => ({ form: matchForm(alias), node })));
+  nodeAliases.set(book.title, aliases.sort((a, b) => b.form.length - a.form.length));
+}
+
+/**
+ * End of the original text whose comparison form is rest (names keep their case)
+ */
+function originalTail(text: string, rest: string): string {
+  const target = rest.trim();
+  for (let i = 0; i < text.length; i++) {
+    if (matchForm(text.slice(i)) === target) return text.slice(i);
+  }
+  return rest;
+}
+
+/**
+ * True when a's node path starts b's (the book without a node starts every path)
+ */
+function startsWithNode(a: ParsedRef, b: ParsedRef): boolean {
+  const x = a.node || [];
+  const y = b.node || [];
+  return x.length <= y.length && x.every((name, i) => name === y[i]);
+}
+
+function matchBook(form: string): { book: SefariaBook; rest: string } | null {
+  for (const { form: alias, book } of bookAliases) {
+    if (form.startsWith(alias) && !/^[\p{L}\p{N}]/u.test(form.slice(alias.length))) {
+      return { book, rest: form.slice(alias.length) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Catalog book for a title, project id or spelling variant
+ */
+export function resolveBook(name: string): SefariaBook | null {
+  if (!name) return null;
+
+  const exact = books.get(name) || bookIds.get(name);
+  if (exact) return exact;
+
+  const found = matchBook(matchForm(name));
+  return found && !found.rest.trim() ? found.book : null;
+}
+
+/**
+ * Value of a Hebrew numeral ("לד" = 34, "טו" = 15), or null for ordinary words
+ */
+export function parseHebrewNumeral(token: string): number | null {
+  const normalized = normalizeHebrew(token);
+  const values = [...normalized].map(letter => HEBREW_NUMERALS[letter]);
+  if (values.length === 0 || values.length > 5 || values.some(v => !v)) return null;
+
+  // 15 and 16 are written ט"ו and ט"ז to avoid the divine name
+  const special = /\u05D8[\u05D5\u05D6]$/.test(normalized) ? values.splice(-2) : [];
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] > values[i - 1]) return null;
+  }
+  if (special.length > 0 && values.length > 0 && values[values.length - 1] < 100) return null;
+
+  return [...values, ...special].reduce((sum, v) => sum + v, 0);
+}
+
+/**
+ * Write a number in Hebrew letters with geresh/gershayim (34 -> ל״ד)
+ */
+export function toHebrewNumeral(value: number): string {
+  const letters = Object.entries(HEBREW_NUMERALS).sort((a, b) => b[1] - a[1]);
+  let rest = value;
+  let result = '';
+
+  while (rest >= 400) {
+    result += 'ת';
+    rest -= 400;
+  }
+  for (const [letter, letterValue] of letters) {
+    if (rest === 15 || rest === 16) {
+      result += rest === 15 ? 'טו' : 'טז';
+      rest = 0;
+    }
+    if (rest >= letterValue && letterValue < 400) {
+      result += letter;
+      rest -= letterValue;
+    }
+  }
+
+  return result.length === 1
+    ? `${result}׳`
+    : `${result.slice(0, -1)}״${result.slice(-1)}`;
+}
+
+function parseAddress(text: string): number[] {
+  const numbers: number[] = [];
+  const tokens = text.split(ADDRESS_SEPARATORS).filter(Boolean);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (SKIP_WORDS.has(token)) continue;
+
+    // Spoken letters: after "torah", "ot"... or at least two letters ("he said" is not a number)
+    if (SPOKEN_LETTERS[token]) {
+      let letters = '';
+      while (i < tokens.length && SPOKEN_LETTERS[tokens[i]]) {
+        letters += SPOKEN_LETTERS[tokens[i++]];
+      }
+      i--;
+
+      const spoken = (letters.length > 1 || SKIP_WORDS.has(tokens[i - letters.length])) &&
+        parseHebrewNumeral(letters);
+      if (!spoken) break;
+      numbers.push(spoken);
+      continue;
+    }
+
+    const value = /^\d+$/.test(token) ? parseInt(token, 10) : parseHebrewNumeral(token);
+    if (!value) break;
+    numbers.push(value);
+  }
+
+  return numbers;
+}
+
+/**
+ * True when a word is made of numbers only ("3:2", "1-4", "ג")
+ */
+function isAddress(form: string): boolean {
+  const tokens = form.split(RANGE_SEPARATOR).join(' ').split(ADDRESS_SEPARATORS).filter(Boolean);
+  return tokens.length > 0 &&
+    tokens.every(token => /^\d+$/.test(token) || parseHebrewNumeral(token) !== null);
+}
+
+/**
+ * Split a subdivision name from the address that follows it ("Laws of Tzitzit 3:2", "הלכות ציצית ג")
+ */
+function splitAddress(segment: string): { name: string; address: string } {
+  const words = segment.replace(/\.(?=\d)/g, ' ').split(/\s+/).filter(Boolean);
+  const at = words.findIndex(word => isAddress(matchForm(word)));
+  if (at === -1) return { name: words.join(' '), address: '' };
+  return { name: words.slice(0, at).join(' '), address: words.slice(at).join(' ') };
+}
+
+/**
+ * Named node at the start of rest (comparison form): a catalog node, then for a named
+ * node the named subdivisions that follow, taken from the original text
+ * ("Orach Chaim, Laws of Morning Conduct 1:1")
+ */
+function parseNode(book: SefariaBook, rest: string, text: string): { node: string[]; rest: string } {
+  const form = rest.replace(/^[\s,]+/, '');
+  const found = (nodeAliases.get(book.title) || []).find(({ form: alias }) =>
+    form.startsWith(alias) && !/^[\p{L}\p{N}]/u.test(form.slice(alias.length)));
+  if (!found) return { node: [], rest };
+
+  const node = [found.node.title];
+  const after = form.slice(found.form.length);
+  if (!found.node.named || !/\p{L}/u.test(after)) return { node, rest: after };
+
+  const subnodes: string[] = [];
+  let address = '';
+  for (const segment of originalTail(text, after).replace(/_/g, ' ').split(',').filter(part => part.trim())) {
+    const split = splitAddress(segment);
+    if (!split.name) {
+      address = split.address;
+      break;
+    }
+    subnodes.push(split.name);
+    address = split.address;
+    if (address) break;
+  }
+
+  return subnodes.length > 0
+    ? { node: [...node, ...subnodes], rest: matchForm(address) }
+    : { node, rest: after };
+}
+
+/**
+ * Parse an English, French or Hebrew reference; null when the book is unknown or the
+ * range runs backwards ("2:5-3")
+ */
+export function parseRef(ref: string | ParsedRef | null | undefined): ParsedRef | null {
+  if (!ref) return null;
+  if (typeof ref === 'object') return ref;
+
+  const text = ref.trim();
+  let found: { book: SefariaBook; rest: string } | null = null;
+
+  // Project ids ("likutey_moharan_2", "Likutei_Moharan.1.1") before free spellings
+  for (const [id, book] of bookIds) {
+    if (text.startsWith(id) && /^(?:[.:\s]|$)/.test(text.slice(id.length))) {
+      found = { book, rest: matchForm(text.slice(id.length)) };
+      break;
+    }
+  }
+
+  found = found || matchBook(matchForm(text));
+  if (!found) return null;
+
+  let { book, rest } = found;
+
+  // Part of a multi-part book (Likutey Moharan II, תנינא...)
+  if (book.parts) {
+    const part = rest.match(NUMBERED_PART) || rest.match(NAMED_PART);
+    if (part) {
+      const partTitle = book.parts[String(PART_NUMBERS[part[1]])];
+      book = (partTitle && books.get(partTitle)) || book;
+      rest = rest.slice(part[0].length);
+    }
+  }
+
+  // Named schema node ("Chayei Moharan, Introduction 1")
+  const named = parseNode(book, rest, text);
+  rest = named.rest;
+
+  const [start, end = ''] = rest.split(RANGE_SEPARATOR);
+  const sections = parseAddress(start);
+  const endSections = sections.length > 0 ? parseAddress(end) : [];
+
+  // Unknown text after the title ("Likutei Tefilot II"): unrecognized book
+  if (sections.length === 0 && /[\p{L}\p{N}]/u.test(rest)) return null;
+
+  // Partial range end: "1:2-5" = 1:2 to 1:5
+  let toSections: number[] | null = null;
+  if (endSections.length > 0 && endSections.length <= sections.length) {
+    toSections = [...sections.slice(0, sections.length - endSections.length), ...endSections];
+    if (toSections.join(':') === sections.join(':')) toSections = null;
+  }
+
+  // Backward range: not a Sefaria reference
+  if (toSections) {
+    const level = toSections.findIndex((n, i) => n !== sections[i]);
+    if (toSections[level] < sections[level]) return null;
+  }
+
+  return { book: book.title, node: named.node, sections, toSections };
+}
+
+/**
+ * Reference spanning two references of the same book and node
+ * ("Likutei Moharan 1:2" to "Likutei Moharan 1:5" = "Likutei Moharan 1:2-5"); null otherwise
+ */
+export function rangeRef(first: string, last: string): string | null {
+  const from = parseRef(first);
+  const to = parseRef(last);
+  if (!from || !to || from.book !== to.book || (from.node || []).join(',') !== (to.node || []).join(',')) return null;
+  if (from.sections.length === 0 || from.sections.length !== to.sections.length) return null;
+
+  const same = from.sections.join(':') === to.sections.join(':');
+  return normalizeRef(formatRef({ ...from, toSections: same ? null : to.sections }));
+}
+
+/**
+ * Numbers cited right before a book and its link word ("torah resh pe beit du", "Torah 282 of"); [] otherwise
+ */
+function addressBefore(text: string): number[] {
+  const connector = text.match(BOOK_AFTER_ADDRESS);
+  if (!connector || connector.index === undefined) return [];
+
+  const tokens = matchForm(text.slice(0, connector.index)).split(ADDRESS_SEPARATORS).filter(Boolean);
+  let start = tokens.length;
+  while (start > 0 && (SKIP_WORDS.has(tokens[start - 1]) || SPOKEN_LETTERS[tokens[start - 1]] ||
+    /^\d+$/.test(tokens[start - 1]) || parseHebrewNumeral(tokens[start - 1]) !== null)) {
+    start--;
+  }
+  return parseAddress(tokens.slice(start).join(' '));
+}
+
+/**
+ * First reference cited in free text ("lis-moi Likoutey Moharan 282 ?"), the number possibly
+ * coming before the book ("lis-moi torah resh pe beit du Likoutey Moharan"); sections is
+ * empty when only the book is named. Null when no catalog book is cited.
+ */
+export function findRef(text: string): ParsedRef | null {
+  for (const word of text.matchAll(/\S+/g)) {
+    const rest = text.slice(word.index);
+    let parsed = parseRef(rest);
+    if (!parsed) {
+      const found = matchBook(matchForm(rest));
+      if (!found) continue;
+      parsed = { book: found.book.title, node: [], sections: [], toSections: null };
+    }
+
+    if (parsed.sections.length === 0) {
+      const sections = addressBefore(text.slice(0, word.index));
+      if (sections.length > 0) return { ...parsed, sections };
+    }
+    return parsed;
+  }
+
+  return null;
+}
+
+/**
+ * Display a reference in English (canonical form), French or Hebrew.
+ * Unknown references are returned unchanged.
+ */
+export function formatRef(ref: string | ParsedRef, language: RefLanguage = 'en'): string {
+  const parsed = parseRef(ref);
+  if (!parsed) return typeof ref === 'string' ? ref : '';
+
+  const book = books.get(parsed.book)!;
+  const title = language === 'he' ? book.hebrew : language === 'fr' ? book.french : book.title;
+  const number = language === 'he' ? toHebrewNumeral : String;
+
+  // Catalog nodes translated, named subdivisions as they are
+  const nodes = (parsed.node || []).map(name => {
+    const known = (book.nodes || []).find(node => node.title === name);
+    if (!known) return name;
+    return language === 'he' ? known.hebrew : language === 'fr' ? known.french : known.title;
+  });
+  const heading = [title, ...nodes].join(', ');
+
+  if (parsed.sections.length === 0) return heading;
+
+  let address = parsed.sections.map(n => number(n)).join(':');
+  if (parsed.toSections) {
+    // Only repeat the levels that change: 1:2-5, 1:2-3:4
+    const toSections = parsed.toSections;
+    const from = parsed.sections.findIndex((n, i) => n !== toSections[i]);
+    address += `-${toSections.slice(Math.max(from, 0)).map(n => number(n)).join(':')}`;
+  }
+
+  return `${heading} ${address}`;
+}
+
+/**
+ * Canonical Sefaria form ("Likutei Moharan 1:2-5"), or null for unknown references
+ */
+export function normalizeRef(ref: string): string | null {
+  const parsed = parseRef(ref);
+  return parsed ? formatRef(parsed) : null;
+}
+
+/**
+ * Reference for Sefaria API URLs ("Likutei_Moharan,_Part_II.24")
+ */
+export function toUrlRef(ref: string): string {
+  const canonical = normalizeRef(ref);
+  if (!canonical) return ref.trim().replace(/ /g, '_');
+  return canonical.replace(/ (?=[\d-])/g, '.').replace(/:/g, '.').replace(/ /g, '_');
+}
+
+/**
+ * True when inner falls within outer (same book, same passage or a sub-passage)
+ */
+export function refContains(outer: string, inner: string): boolean {
+  const a = parseRef(outer);
+  const b = parseRef(inner);
+  if (!a || !b || a.book !== b.book || !startsWithNode(a, b)) return false;
+
+  // A deeper node only falls within a node cited as a whole
+  if ((b.node || []).length > (a.node || []).length) return a.sections.length === 0;
+
+  const depth = a.sections.length;
+  if (depth === 0) return true;
+  if (b.sections.length < depth) return false;
+
+  const compare = (x: number[], y: number[]): number => {
+    for (let i = 0; i < depth; i++) {
+      if (x[i] !== y[i]) return x[i] - y[i];
+    }
+    return 0;
+  };
+
+  const innerEnd = (b.toSections || b.sections).slice(0, depth);
+  return compare(b.sections, a.sections) >= 0 &&
+    compare(innerEnd, a.toSections || a.sections) <= 0;
+}
+
+/**
+ * True when two references share at least one passage, compared at their common depth
+ * ("Likutei Moharan 280:1-284:3" and "Likutei Moharan 282")
+ */
+export function refOverlaps(a: string, b: string): boolean {
+  const x = parseRef(a);
+  const y = parseRef(b);
+  if (!x || !y || x.book !== y.book) return false;
+
+  // Different nodes: overlap only when one of them is a parent node cited as a whole
+  if ((x.node || []).join(',') !== (y.node || []).join(',')) {
+    if (startsWithNode(x, y)) return x.sections.length === 0;
+    if (startsWithNode(y, x)) return y.sections.length === 0;
+    return false;
+  }
+
+  const depth = Math.min(x.sections.length, y.sections.length);
+  if (depth === 0) return true;
+
+  const compare = (p: number[], q: number[]): number => {
+    for (let i = 0; i < depth; i++) {
+      if (p[i] !== q[i]) return p[i] - q[i];
+    }
+    return 0;
+  };
+
+  return compare(x.sections, y.toSections || y.sections) <= 0 &&
+    compare(y.sections, x.toSections || x.sections) <= 0;
+}
@@ -0,0 +1,198 @@
+// Sefaria index schema walker (/api/index/<title>?with_content_counts=1).
+// Enumerates exactly the refs that exist: complex nodes (introductions, parts, volumes),
+// the default node and alternate structures. TypeScript port of lib/sefaria-schema.js.
+
+import { toHebrewNumeral } from './sefariaRef';
+
+interface SchemaTitle {
+  text: string;
+  lang: string;
+  primary?: boolean;
+}
+
+export interface SchemaNode {
+  nodeType?: string;
+  key?: string;
+  title?: string;
+  heTitle?: string;
+  titles?: SchemaTitle[];
+  default?: boolean;
+  depth?: number;
+  sectionNames?: string[];
+  content_counts?: number | unknown[];
+  nodes?: SchemaNode[];
+  wholeRef?: string;
+  refs?: string[];
+}
+
+export interface SefariaIndex {
+  title?: string;
+  heTitle?: string;
+  categories?: string[];
+  schema?: SchemaNode;
+  alts?: Record<string, { nodes?: SchemaNode[] }>;
+}
+
+export interface SchemaSection {
+  ref: string;
+  heRef: string;
+  node: string[];
+  heNode: string[];
+  address: number[];
+  sectionNames: string[];
+  segments: number | null;   // null when the schema has no content counts
+}
+
+export interface SchemaStructure {
+  title: string;
+  heTitle: string;
+  categories: string[];
+  nodes: {
+    path: string[];
+    heTitle: string;
+    depth: number;
+    sectionNames: string[];
+    sections: number;
+    default: boolean;
+  }[];
+  alts: {
+    name: string;
+    nodes: { title: string; heTitle: string; wholeRef: string | null; refs: string[] }[];
+  }[];
+}
+
+/**
+ * Title of a node in a language ("en" or "he")
+ */
+export function nodeTitle(node: SchemaNode, lang: 'en' | 'he' = 'en'): string {
+  if (lang === 'en' && node.title) return node.title;
+  if (lang === 'he' && node.heTitle) return node.heTitle;
+
+  const titles = (node.titles || []).filter(t => t.lang === lang);
+  const primary = titles.find(t => t.primary) || titles[0];
+  return primary ? primary.text : (lang === 'en' ? node.key || '' : '');
+}
+
+function countSegments(value: unknown): number {
+  if (Array.isArray(value)) {
+    return value.reduce((sum: number, child) => sum + countSegments(child), 0);
+  }
+  return typeof value === 'number' ? value : 0;
+}
+
+/**
+ * Addresses (depth - 1 levels) holding at least one segment, from content_counts.
+ * Without counts, the whole node is a single section of unknown size.
+ */
+export function sectionAddresses(
+  counts: SchemaNode['content_counts'],
+  depth: number
+): { address: number[]; segments: number | null }[] {
+  if (counts === undefined || counts === null) {
+    return [{ address: [], segments: null }];
+  }
+  if (depth <= 1) {
+    const segments = Array.isArray(counts) ? counts.length : counts;
+    return segments > 0 ? [{ address: [], segments }] : [];
+  }
+
+  const addresses: { address: number[]; segments: number }[] = [];
+  const visit = (value: unknown, address: number[]) => {
+    if (address.length === depth - 1) {
+      const segments = countSegments(value);
+      if (segments > 0) addresses.push({ address, segments });
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach((child, i) => visit(child, [...address, i + 1]));
+    }
+  };
+
+  visit(counts, []);
+  return addresses;
+}
+
+/**
+ * Sections to fetch, one request each. A depth-N text is fetched by its
+ * N-1 level addresses (chapters of a chapter:paragraph text).
+ */
+export function enumerateSchema(index: SefariaIndex): SchemaSection[] {
+  const title = index.title || nodeTitle(index.schema || {});
+  const heTitle = index.heTitle || nodeTitle(index.schema || {}, 'he');
+  const sections: SchemaSection[] = [];
+
+  const walk = (node: SchemaNode, path: string[], hePath: string[]) => {
+    if (node.nodes) {
+      for (const child of node.nodes) {
+        // The default node adds no title to the ref
+        walk(
+          child,
+          child.default ? path : [...path, nodeTitle(child)],
+          child.default ? hePath : [...hePath, nodeTitle(child, 'he')]
+        );
+      }
+      return;
+    }
+
+    const base = [title, ...path].join(', ');
+    const heBase = [heTitle, ...hePath].filter(Boolean).join(', ');
+
+    for (const { address, segments } of sectionAddresses(node.content_counts, node.depth || 1)) {
+      sections.push({
+        ref: address.length > 0 ? `${base} ${address.join(':')}` : base,
+        heRef: address.length > 0 ? `${heBase} ${address.map(toHebrewNumeral).join(':')}` : heBase,
+        node: path,
+        heNode: hePath,
+        address,
+        sectionNames: node.sectionNames || [],
+        segments
+      });
+    }
+  };
+
+  if (index.schema) {
+    walk(index.schema, [], []);
+  }
+  return sections;
+}
+
+/**
+ * Book structure kept in the extracted JSON: schema nodes and alternate structures
+ */
+export function schemaStructure(index: SefariaIndex): SchemaStructure {
+  const nodes: SchemaStructure['nodes'] = [];
+  const walk = (node: SchemaNode, path: string[]) => {
+    if (node.nodes) {
+      node.nodes.forEach(child => walk(child, child.default ? path : [...path, nodeTitle(child)]));
+      return;
+    }
+    nodes.push({
+      path,
+      heTitle: nodeTitle(node, 'he'),
+      depth: node.depth || 1,
+      sectionNames: node.sectionNames || [],
+      sections: sectionAddresses(node.content_counts, node.depth || 1).length,
+      default: Boolean(node.default)
+    });
+  };
+  if (index.schema) walk(index.schema, []);
+
+  // Alternate structures (e.g. teaching titles) point into the text, they hold no content
+  const alts = Object.entries(index.alts || {}).map(([name, alt]) => ({
+    name,
+    nodes: (alt.nodes || []).map(node => ({
+      title: nodeTitle(node),
+      heTitle: nodeTitle(node, 'he'),
+      wholeRef: node.wholeRef || null,
+      refs: node.refs || []
+    }))
+  }));
+
+  return {
+    title: index.title || nodeTitle(index.schema || {}),
+    heTitle: index.heTitle || nodeTitle(index.schema || {}, 'he'),
+    categories: index.categories || [],
+    nodes,
+    alts
+  };
+}
@@ -0,0 +1,217 @@
+// Token counting for chunking, context packing and the totalTokens metrics. The tokenizer is
+// pluggable: a byte-level BPE vocabulary in tiktoken format ("base64 rank" lines, offline), or
+// else per-script ratios. Hebrew, and vocalized Hebrew even more, yields far more tokens per
+// character than French or English, which the former "4 characters per token" rule ignored.
+// TypeScript port of lib/token-counter.js.
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger';
+
+export type Script = 'hebrew' | 'marks' | 'latin' | 'digit' | 'symbol' | 'other';
+
+export interface Tokenizer {
+  name: string;
+  count(text: string): number;
+}
+
+export interface TokenCounterOptions {
+  tokenizer?: Tokenizer;
+  vocab?: string;                          // TOKENIZER_VOCAB (.tiktoken file)
+  ratios?: Partial<Record<Script, number>>;  // TOKEN_RATIOS ("hebrew:0.85,latin:4")
+}
+
+// Characters per token by script, calibrated on cl100k_base (fixture Hebrew, vocalized or not,
+// within 3%; French overestimated by about 4%). Newer tokenizers (o200k, Gemini) split Hebrew
+// into fewer tokens, so the estimate stays on the safe side for them
+export const DEFAULT_RATIOS: Record<Script, number> = {
+  hebrew: 0.85,  // Hebrew letters: one or two tokens each (two UTF-8 bytes)
+  marks: 0.5,    // Niqqud and cantillation: about two tokens per mark
+  latin: 4,      // French, English, transliterations
+  digit: 3,      // BPE tokenizers split numbers in groups of 3 digits
+  symbol: 2,     // Punctuation and symbols
+  other: 1       // Other scripts
+};
+
+// Words (with their diacritics), numbers, punctuation, whitespace
+const WORD_PATTERN = /[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{M}\p{N}]+|\s+/gu;
+
+// cl100k-style pre-tokenization, before byte pairs are merged
+const BPE_PATTERN = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+// Above this, the cache of encoded pieces is cleared
+const MAX_CACHED_PIECES = 50000;
+
+// Vocabularies already loaded, by file
+const VOCABS = new Map<string, BpeTokenizer>();
+
+function script(char: string): Script {
+  const code = char.codePointAt(0)!;
+  if (code < 0x80) {
+    if (/[A-Za-z]/.test(char)) return 'latin';
+    return /[0-9]/.test(char) ? 'digit' : 'symbol';
+  }
+  if (code >= 0x0591 && code <= 0x05C7) return 'marks';
+  if ((code >= 0x05D0 && code <= 0x05F4) || (code >= 0xFB1D && code <= 0xFB4F)) return 'hebrew';
+  if (/[A-Za-zÀ-ɏ]/.test(char)) return 'latin';
+  if (/\p{N}/u.test(char)) return 'digit';
+  if (/[\p{P}\p{S}]/u.test(char)) return 'symbol';
+  return /\p{M}/u.test(char) ? 'marks' : 'other';
+}
+
+/**
+ * Per-script estimate: every word counts at least one token
+ */
+export class ScriptTokenizer implements Tokenizer {
+  readonly name = 'script-ratios';
+  readonly ratios: Record<Script, number>;
+
+  constructor(ratios: Partial<Record<Script, number>> = {}) {
+    this.ratios = { ...DEFAULT_RATIOS, ...ratios };
+  }
+
+  count(text: string): number {
+    let tokens = 0;
+    for (const [piece] of text.matchAll(WORD_PATTERN)) {
+      if (/^\s+$/.test(piece)) {
+        // Single spaces merge into the next word, line breaks do not
+        if (/\n/.test(piece) || piece.length > 1) tokens++;
+        continue;
+      }
+      let estimate = 0;
+      for (const char of piece) {
+        estimate += 1 / this.ratios[script(char)];
+      }
+      tokens += Math.max(1, Math.round(estimate));
+    }
+    return tokens;
+  }
+}
+
+/**
+ * Byte-level BPE (merge ranks in tiktoken format): exact counts for the model whose vocabulary
+ * is loaded
+ */
+export class BpeTokenizer implements Tokenizer {
+  private cache = new Map<string, number>();
+  private encoder = new TextEncoder();
+
+  constructor(private ranks: Map<string, number>, readonly name: string = 'bpe') {}
+
+  /**
+   * Load a .tiktoken file (one "base64 rank" line per token)
+   */
+  static load(file: string): BpeTokenizer {
+    if (!VOCABS.has(file)) {
+      const ranks = new Map<string, number>();
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        const [token, rank] = line.trim().split(/\s+/);
+        if (token && rank !== undefined) {
+          ranks.set(Buffer.from(token, 'base64').toString('latin1'), parseInt(rank, 10));
+        }
+      }
+      VOCABS.set(file, new BpeTokenizer(ranks, path.basename(file, path.extname(file))));
+    }
+    return VOCABS.get(file)!;
+  }
+
+  /**
+   * Tokens of a piece: the pair with the lowest rank is merged until none is left
+   */
+  private countPiece(piece: string): number {
+    const cached = this.cache.get(piece);
+    if (cached !== undefined) return cached;
+
+    const parts = Array.from(this.encoder.encode(piece), byte => String.fromCharCode(byte));
+    if (this.ranks.has(parts.join(''))) parts.splice(0, parts.length, parts.join(''));
+    while (parts.length > 1) {
+      let best = -1;
+      let bestRank = Infinity;
+      for (let i = 0; i < parts.length - 1; i++) {
+        const rank = this.ranks.get(parts[i] + parts[i + 1]);
+        if (rank !== undefined && rank < bestRank) {
+          best = i;
+          bestRank = rank;
+        }
+      }
+      if (best < 0) break;
+      parts.splice(best, 2, parts[best] + parts[best + 1]);
+    }
+
+    if (this.cache.size >= MAX_CACHED_PIECES) this.cache.clear();
+    this.cache.set(piece, parts.length);
+    return parts.length;
+  }
+
+  count(text: string): number {
+    let tokens = 0;
+    for (const [piece] of text.matchAll(BPE_PATTERN)) {
+      tokens += this.countPiece(piece);
+    }
+    return tokens;
+  }
+}
+
+export class TokenCounter {
+  readonly tokenizer: Tokenizer;
+
+  constructor(options: TokenCounterOptions = {}) {
+    const vocab = options.vocab ?? process.env.TOKENIZER_VOCAB;
+    let tokenizer = options.tokenizer;
+
+    if (!tokenizer && vocab) {
+      try {
+        tokenizer = BpeTokenizer.load(vocab);
+      } catch (error: any) {
+        logger.warn(`Tokenizer vocabulary ${vocab} unreadable (${error.message}), using per-script estimate`);
+      }
+    }
+    this.tokenizer = tokenizer || new ScriptTokenizer(options.ratios || TokenCounter.parseRatios(process.env.TOKEN_RATIOS));
+  }
+
+  /**
+   * Ratios from "hebrew:0.85,latin:4" (invalid values are ignored)
+   */
+  static parseRatios(spec: string | undefined): Partial<Record<Script, number>> {
+    const ratios: Partial<Record<Script, number>> = {};
+    for (const pair of String(spec || '').split(',')) {
+      const [name, value] = pair.split(':').map(part => part.trim());
+      const ratio = parseFloat(value);
+      if (name in DEFAULT_RATIOS && ratio > 0) ratios[name as Script] = ratio;
+    }
+    return ratios;
+  }
+
+  get name(): string {
+    return this.tokenizer.name;
+  }
+
+  /**
+   * Tokens of a text (objects are counted serialized as JSON)
+   */
+  count(text: unknown): number {
+    if (text === null || text === undefined || text === '') return 0;
+    return this.tokenizer.count(typeof text === 'string' ? text : JSON.stringify(text));
+  }
+
+  /**
+   * Longest start of the text that fits in maxTokens tokens
+   */
+  truncate(text: string, maxTokens: number): string {
+    if (this.count(text) <= maxTokens) return text;
+
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.count(text.substring(0, middle)) <= maxTokens) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return text.substring(0, low);
+  }
+}
+
+export const tokenCounter = new TokenCounter();
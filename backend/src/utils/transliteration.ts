@@ -0,0 +1,264 @@
+// Transliteration-aware query expansion (hitbodedout / hisbodedus / התבודדות).
+// TypeScript port of lib/transliteration.js; the dictionary is a copy of lib/transliterations.json.
+
+import dictionaryData from './transliterations.json';
+import { stripHebrewPrefixes, tokenizeHebrew } from './hebrewNormalizer';
+
+export interface TransliterationEntry {
+  id: string;
+  category: 'concept' | 'person' | 'location' | 'topic';
+  hebrew: string[];
+  latin?: string[];
+  synonyms?: string[];
+}
+
+export interface TransliterationDictionary {
+  version: number;
+  entries: TransliterationEntry[];
+}
+
+export interface TransliterationMatch {
+  token: string;
+  id: string;
+  category: string;
+  via: 'exact' | 'synonym' | 'hebrew' | 'phonetic';
+}
+
+export interface QueryExpansion {
+  matches: TransliterationMatch[];
+  ids: string[];
+  terms: string[];
+}
+
+type IndexedForm = { entry: TransliterationEntry; via: 'exact' | 'synonym' };
+
+// Latin phonetic units (digraphs before single letters)
+const PHONETIC_UNITS = /dzh|sch|tz|ts|sh|ch|kh|zh|dj|ph|th|ck|[a-z]/g;
+
+// Sound classes shared by Ashkenazi, Sephardi and French spellings
+// (tav/sav: t, s, th - bet/vet: b, v, w - pe/fe: p, f, ph - ch: het or French shin)
+const PHONETIC_CODES: Record<string, string[]> = {
+  tz: ['C'], ts: ['C'],
+  sch: ['S'], sh: ['S'], ch: ['H', 'S'], kh: ['H'], h: ['H'],
+  zh: ['Z'], z: ['Z'],
+  dzh: ['J'], dj: ['J'], j: ['J'],
+  ph: ['P'], p: ['P'], f: ['P'],
+  th: ['T'], t: ['T'], s: ['T'],
+  ck: ['K'], k: ['K'], c: ['K'], q: ['K'], x: ['K'],
+  b: ['B'], v: ['B'], w: ['B'],
+  d: ['D'], g: ['G'], l: ['L'], m: ['M'], n: ['N'], r: ['R'],
+  a: ['V'], e: ['V'], i: ['V'], o: ['V'], u: ['V'], y: ['V']
+};
+
+const MAX_PHONETIC_KEYS = 4;
+const MIN_PHONETIC_LENGTH = 4;
+const MIN_PHONETIC_CONSONANTS = 3;
+const FUZZY_KEY_LENGTH = 6;
+
+const isHebrew = (text: string): boolean => /[\u05D0-\u05EA]/.test(text);
+
+/**
+ * Remove Latin diacritics (é, ḥ, ł...) without touching Hebrew
+ */
+export function foldLatin(token: string): string {
+  if (isHebrew(token)) return token;
+  return token
+    .replace(/\u0142/g, 'l')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .normalize('NFC');
+}
+
+/**
+ * Phonetic keys of a Latin word (several when "ch" is ambiguous)
+ */
+export function phoneticKeys(word: string): string[] {
+  const letters = foldLatin(word.toLowerCase()).replace(/[^a-z]/g, '');
+  const units = letters.match(PHONETIC_UNITS) || [];
+
+  let keys = [''];
+  for (const unit of units) {
+    const codes = PHONETIC_CODES[unit] || [];
+    const next: string[] = [];
+    for (const key of keys) {
+      for (const code of codes) {
+        // Merge repeated sounds (dd, kk, successive vowels)
+        next.push(key.endsWith(code) ? key : key + code);
+      }
+    }
+    keys = next.slice(0, MAX_PHONETIC_KEYS);
+  }
+
+  // A final he after a vowel is silent (emunah = emuna)
+  return [...new Set(keys.map(key => key.replace(/VH$/, 'V')))].filter(Boolean);
+}
+
+function editDistance(a: string, b: string): number {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = current;
+    }
+  }
+
+  return previous[b.length];
+}
+
+export class TransliterationMatcher {
+  private entries: TransliterationEntry[];
+  private exactIndex = new Map<string, IndexedForm[]>();
+  private hebrewIndex = new Map<string, TransliterationEntry[]>();
+  private phoneticIndex = new Map<string, TransliterationEntry[]>();
+  private phrases: { tokens: string[]; entry: TransliterationEntry; via: TransliterationMatch['via'] }[] = [];
+
+  constructor(dictionary: TransliterationDictionary = dictionaryData as TransliterationDictionary) {
+    this.entries = dictionary.entries;
+
+    for (const entry of this.entries) {
+      this.indexEntry(entry);
+    }
+  }
+
+  /**
+   * Match dictionary entries mentioned in a query
+   */
+  match(query: string): TransliterationMatch[] {
+    const tokens = tokenizeHebrew(query, { minLength: 1 }).map(foldLatin);
+    const padded = ` ${tokens.join(' ')} `;
+    const matches: TransliterationMatch[] = [];
+
+    const addMatch = (token: string, entry: TransliterationEntry, via: TransliterationMatch['via']) => {
+      if (!matches.some(m => m.id === entry.id && m.token === token)) {
+        matches.push({ token, id: entry.id, category: entry.category, via });
+      }
+    };
+
+    // Multi-word expressions (tikkun haklali, ארץ ישראל...)
+    for (const phrase of this.phrases) {
+      const text = phrase.tokens.join(' ');
+      if (padded.includes(` ${text} `)) {
+        addMatch(text, phrase.entry, phrase.via);
+      }
+    }
+
+    for (const token of tokens) {
+      if (isHebrew(token)) {
+        // Prefixes stripped only toward a dictionary form (ההתבודדות → התבודדות)
+        const entries = this.hebrewIndex.get(token) ||
+          this.hebrewIndex.get(stripHebrewPrefixes(token, this.hebrewIndex)) || [];
+        entries.forEach(entry => addMatch(token, entry, 'hebrew'));
+        continue;
+      }
+
+      const exact = this.exactIndex.get(token);
+      if (exact) {
+        exact.forEach(({ entry, via }) => addMatch(token, entry, via));
+        continue;
+      }
+
+      this.matchPhonetic(token).forEach(entry => addMatch(token, entry, 'phonetic'));
+    }
+
+    return matches;
+  }
+
+  /**
+   * Expand a query with the Hebrew and Latin forms of the matched entries.
+   * Topics only drive routing and do not expand the query.
+   */
+  expand(query: string): QueryExpansion {
+    const matches = this.match(query);
+    const ids = [...new Set(matches.map(m => m.id))];
+    const terms = new Set<string>();
+
+    for (const id of ids) {
+      const entry = this.entries.find(e => e.id === id);
+      if (!entry || !entry.latin) continue;
+
+      for (const form of [...entry.hebrew, ...entry.latin]) {
+        terms.add(form);
+      }
+    }
+
+    return { matches, ids, terms: [...terms] };
+  }
+
+  private indexEntry(entry: TransliterationEntry): void {
+    const forms: { form: string; via: TransliterationMatch['via'] }[] = [
+      ...(entry.latin || []).map(form => ({ form, via: 'exact' as const })),
+      ...(entry.synonyms || []).map(form => ({ form, via: 'synonym' as const })),
+      ...entry.hebrew.map(form => ({ form, via: 'hebrew' as const }))
+    ];
+
+    for (const { form, via } of forms) {
+      const tokens = tokenizeHebrew(form, { minLength: 1 }).map(foldLatin);
+      if (tokens.length === 0) continue;
+
+      if (tokens.length > 1) {
+        this.phrases.push({ tokens, entry, via });
+        continue;
+      }
+
+      const [token] = tokens;
+      if (via === 'hebrew') {
+        this.addToIndex(this.hebrewIndex, token, entry);
+      } else if (via === 'exact' || via === 'synonym') {
+        const indexed = this.exactIndex.get(token) || [];
+        if (!indexed.some(f => f.entry === entry && f.via === via)) {
+          indexed.push({ entry, via });
+        }
+        this.exactIndex.set(token, indexed);
+      }
+
+      if (via === 'exact') {
+        for (const key of phoneticKeys(token)) {
+          this.addToIndex(this.phoneticIndex, key, entry);
+        }
+      }
+    }
+  }
+
+  private addToIndex(index: Map<string, TransliterationEntry[]>, key: string, entry: TransliterationEntry): void {
+    const entries = index.get(key) || [];
+    if (!entries.includes(entry)) entries.push(entry);
+    index.set(key, entries);
+  }
+
+  private matchPhonetic(token: string): TransliterationEntry[] {
+    if (token.length < MIN_PHONETIC_LENGTH) return [];
+
+    const keys = phoneticKeys(token)
+      .filter(key => key.replace(/V/g, '').length >= MIN_PHONETIC_CONSONANTS);
+    const found = new Set<TransliterationEntry>();
+
+    for (const key of keys) {
+      for (const entry of this.phoneticIndex.get(key) || []) {
+        found.add(entry);
+      }
+    }
+
+    // Allow one difference for long words (tfila / tefila)
+    if (found.size === 0) {
+      for (const key of keys.filter(k => k.length >= FUZZY_KEY_LENGTH)) {
+        for (const [candidate, entries] of this.phoneticIndex) {
+          if (Math.abs(candidate.length - key.length) <= 1 && editDistance(key, candidate) <= 1) {
+            entries.forEach(entry => found.add(entry));
+          }
+        }
+      }
+    }
+
+    return [...found];
+  }
+}
+
+export const transliterationMatcher = new TransliterationMatcher();
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { CitationVerifier, settledClaims } from '../src/utils/citationVerifier';
+
+describe('citationVerifier', () => {
+  const passages = [
+    { id: 'P1', reference: 'Likutei Moharan, Part II 24', text: 'מִצְוָה גְּדוֹלָה לִהְיוֹת בְּשִׂמְחָה תָּמִיד' },
+    { id: 'P2', reference: 'Likutei Moharan 282', text: 'Know that you must judge every person favorably, even the worst of them.' }
+  ];
+  const verifier = new CitationVerifier();
+
+  it('marks a passage unsupported when any quote attributed to it fails', () => {
+    const result = verifier.verify([
+      'Rabbi Nachman enseigne : « מצוה גדולה להיות בשמחה תמיד » [P1].',
+      'Il ajoute « la tristesse est interdite en toutes circonstances » [P1].',
+      'Il faut « judge every person favorably » [P2].'
+    ].join(' '), passages);
+    expect(result.citations.map(c => [c.passageId, c.status])).toEqual([['P1', 'unsupported'], ['P2', 'verified']]);
+  });
+
+  it('checks quotes without a passage ID against every passage', () => {
+    const result = verifier.verify([
+      'Rabbi Nachman a dit : « la joie est la clé de toutes les portes du ciel ».',
+      'Il faut « judge every person favorably » en toute occasion.'
+    ].join(' '), passages);
+    expect(result.claims.map(c => c.status)).toEqual(['unsupported', 'uncited']);
+    expect(result.text).toBe('Il faut « judge every person favorably » en toute occasion.');
+  });
+
+  it('settles only the claims of a streamed answer that are complete', () => {
+    expect(settledClaims('La joie ouvre le cœur [P1]. Il faut')).toBe('La joie ouvre le cœur [P1]. ');
+    expect(settledClaims('La joie ouvre le cœur [P1]. Il faut « juger. Tout')).toBe('La joie ouvre le cœur [P1]. ');
+    expect(settledClaims('La joie ouvre le cœur')).toBe('');
+  });
+
+  it('holds back a claim while its passage ID may still follow the full stop', () => {
+    expect(settledClaims('La joie ouvre le cœur. [P')).toBe('');
+    expect(settledClaims('La joie ouvre le cœur. [P1]')).toBe('');
+    expect(settledClaims('La joie ouvre le cœur. [P1]\nIl')).toBe('La joie ouvre le cœur. [P1]\n');
+  });
+
+  it('only ever extends the verified text while streaming', () => {
+    const answer = 'Il ajoute « la tristesse est interdite partout ». [P1]\nLa joie est une grande mitsva [P1]. Fin.';
+    let sent = '';
+    for (let end = 1; end <= answer.length; end++) {
+      const verified = verifier.verify(settledClaims(answer.slice(0, end)), passages).text;
+      expect(verified.startsWith(sent)).toBe(true);
+      sent = verified;
+    }
+    expect(sent).toBe('La joie est une grande mitsva [Likutei Moharan, Part II 24].');
+  });
+});
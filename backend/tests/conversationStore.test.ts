@@ -0,0 +1,47 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const query = vi.fn();
+vi.mock('../src/utils/database', () => ({ pool: { query: (...args: unknown[]) => query(...args) } }));
+vi.mock('../src/utils/logger', () => ({ logger: { warn: vi.fn(), info: vi.fn(), error: vi.fn() } }));
+
+import { ConversationStore } from '../src/utils/conversationStore';
+
+describe('ConversationStore', () => {
+  const turn = { query: 'Où est allé Rabbi Nachman ?', answer: 'À Lemberg.', mode: 'grounded', references: [] };
+
+  beforeEach(() => {
+    query.mockReset();
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('appends a turn in a single jsonb || statement', async () => {
+    query.mockResolvedValueOnce({ rows: [{ conversation_history: [turn] }] });
+    const store = new ConversationStore({ maxTurns: 5, ttlMinutes: 60 });
+
+    expect(await store.append('session-1', turn)).toEqual([turn]);
+    expect(query).toHaveBeenCalledTimes(1);
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain('|| EXCLUDED.conversation_history');
+    expect(params[0]).toBe('session-1');
+    expect(JSON.parse(params[1])).toMatchObject([{ query: turn.query, rewrittenQuery: turn.query }]);
+    expect(params.slice(2)).toEqual([60, 5]);
+  });
+
+  it('uses memory after a database error, then tries the database again', async () => {
+    const store = new ConversationStore();
+    query.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    expect(await store.append('session-1', turn)).toMatchObject([{ query: turn.query }]);
+    expect(await store.history('session-1')).toMatchObject([{ query: turn.query }]);
+    expect(query).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(31 * 1000);
+    query.mockResolvedValueOnce({ rows: [] });
+    expect(await store.history('session-1')).toEqual([]);
+    expect(query).toHaveBeenCalledTimes(2);
+  });
+});
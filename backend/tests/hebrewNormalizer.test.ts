@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  includesNormalized,
+  normalizeHebrew,
+  prefixVariants,
+  stripHebrewPrefixes,
+  tokenizeHebrew
+} from '../src/utils/hebrewNormalizer';
+
+// Same cases as tests/hebrew-normalizer.test.js, which covers the lib/ original
+describe('hebrewNormalizer', () => {
+  it('strips niqqud and cantillation and folds final letters', () => {
+    expect(normalizeHebrew('אַשְׁרֵי תְמִימֵי דָרֶךְ')).toBe('אשרי תמימי דרכ');
+    expect(normalizeHebrew('שׁמחה')).toBe('שמחה');
+  });
+
+  it('removes gershayim and geresh', () => {
+    expect(normalizeHebrew('ליקוטי מוהר"ן')).toBe('ליקוטי מוהרנ');
+    expect(normalizeHebrew('ליקוטי מוהר״ן')).toBe('ליקוטי מוהרנ');
+    expect(normalizeHebrew("ר' נתן")).toBe('ר נתנ');
+  });
+
+  it('splits words on maqaf', () => {
+    expect(tokenizeHebrew('מִצְוָה גְּדוֹלָה לִהְיוֹת בְּשִׂמְחָה תָּמִיד כָּל־הַיּוֹם'))
+      .toEqual(['מצוה', 'גדולה', 'להיות', 'בשמחה', 'תמיד', 'כל', 'היומ']);
+  });
+
+  it('matches an unpointed query against pointed text', () => {
+    expect(includesNormalized('וְהַהִתְבּוֹדְדוּת הוּא מַעֲלָה עֶלְיוֹנָה', 'התבודדות')).toBe(true);
+  });
+
+  it('lists unprefixed forms: at most two, stem of three letters or more', () => {
+    expect(prefixVariants('וההתבודדות')).toEqual(['וההתבודדות', 'ההתבודדות', 'התבודדות']);
+    expect(prefixVariants('שלמ')).toEqual(['שלמ']);
+  });
+
+  it('strips prefixes only toward a known word', () => {
+    const vocabulary = new Set(['התבודדות', 'שמחה']);
+    expect(stripHebrewPrefixes('וההתבודדות', vocabulary)).toBe('התבודדות');
+    expect(stripHebrewPrefixes('בשמחה', vocabulary)).toBe('שמחה');
+    expect(stripHebrewPrefixes('שמחה', vocabulary)).toBe('שמחה');
+    expect(stripHebrewPrefixes('ליקוטי', vocabulary)).toBe('ליקוטי');
+  });
+
+  it('expands each word with its unprefixed forms', () => {
+    expect(tokenizeHebrew('וְהַהִתְבּוֹדְדוּת שִׂמְחָה', { expandPrefixes: true }))
+      .toEqual(['וההתבודדות', 'ההתבודדות', 'התבודדות', 'שמחה', 'מחה']);
+  });
+
+  it('lowercases Latin text', () => {
+    expect(normalizeHebrew('Rabbi Nachman, Ouman')).toBe('rabbi nachman, ouman');
+  });
+
+  it('keeps transliterated words whole across an apostrophe, but not French elisions', () => {
+    expect(tokenizeHebrew("Rabbi Na'hman de Breslev")).toEqual(['rabbi', 'nahman', 'de', 'breslev']);
+    expect(tokenizeHebrew('Bnei Yissa’har')).toEqual(['bnei', 'yissahar']);
+    expect(tokenizeHebrew("l'hitbodedout qu'il faut")).toEqual(['hitbodedout', 'qu', 'il', 'faut']);
+    expect(tokenizeHebrew("Rabbi Nachman's teachings")).toEqual(['rabbi', 'nachman', 'teachings']);
+  });
+});
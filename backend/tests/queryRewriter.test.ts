@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { QueryRewriter } from '../src/utils/queryRewriter';
+
+// Same cases as tests/query-rewriter.test.js, which covers the lib/ original
+describe('QueryRewriter', () => {
+  const rewriter = new QueryRewriter({ mode: 'rules' });
+  const lemberg = [{ query: 'Pourquoi Rabbi Nachman est-il allé à Lemberg ?', answer: '...' }];
+  const joy = [{ query: 'Que dit Rabbi Nachman sur la joie ?', answer: '...' }];
+  const rewrite = async (query: string, history = lemberg) => (await rewriter.rewrite(query, history)).query;
+
+  it('replaces pronouns with the previous person and place', async () => {
+    expect(await rewrite('and where did he go after that?')).toBe('Where did Rabbi Nachman go after Lemberg?');
+    expect(await rewrite('Et où est-il allé après ça ?')).toBe('Où Rabbi Nachman est-il allé après Lemberg ?');
+  });
+
+  it('puts the name before an inverted verb and keeps the pronoun', async () => {
+    expect(await rewrite('Va-t-elle à Ouman ?')).toBe('Rabbi Nachman va-t-elle à Ouman ?');
+  });
+
+  it('resolves là-bas, there and y to the place mentioned', async () => {
+    expect(await rewrite('Pourquoi était-il là-bas ?')).toBe('Pourquoi Rabbi Nachman était-il à Lemberg ?');
+    expect(await rewrite('Combien de temps y est-il resté ?')).toBe('Combien de temps Rabbi Nachman est-il resté à Lemberg ?');
+    expect(await rewrite("N'y est-il jamais retourné ?")).toBe("Rabbi Nachman n'est-il jamais retourné à Lemberg ?");
+    expect(await rewrite('Est-il allé de là à Ouman ?')).toBe('Rabbi Nachman est-il allé de Lemberg à Ouman ?');
+    expect(await rewrite('Why was he there?')).toBe('Why was Rabbi Nachman in Lemberg?');
+  });
+
+  it('leaves là-bas alone without a place', async () => {
+    expect(await rewrite('Pourquoi était-il là-bas ?', joy)).toBe('Pourquoi Rabbi Nachman était-il là-bas ?');
+  });
+
+  it('swaps a bare interrogative into the previous question', async () => {
+    expect(await rewrite('et pourquoi ?', [{ query: 'Quand Rabbi Nachman est-il allé à Lemberg ?' }]))
+      .toBe('Pourquoi Rabbi Nachman est-il allé à Lemberg ?');
+    expect(await rewrite('and why?', [{ query: 'When did Rabbi Nachman go to Lemberg?' }]))
+      .toBe('Why did Rabbi Nachman go to Lemberg?');
+  });
+
+  it('completes other ellipses from the previous turn', async () => {
+    expect(await rewrite('Pourquoi ?', joy)).toBe('Pourquoi ? (Que dit Rabbi Nachman sur la joie ?)');
+    expect(await rewrite('et sur la tristesse ?', joy)).toBe('Sur la tristesse ? (Rabbi Nachman)');
+  });
+
+  it('finds the place in older turns', () => {
+    expect(rewriter.antecedents([...lemberg, { query: 'Et la joie ?', rewrittenQuery: 'Et la joie ?' }]))
+      .toEqual({ person: 'Rabbi Nachman', thing: 'joie', place: 'Lemberg' });
+  });
+});
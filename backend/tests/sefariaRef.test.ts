@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { findRef, formatRef, normalizeRef, parseRef, rangeRef, refContains, refOverlaps, toUrlRef } from '../src/utils/sefariaRef';
+
+// Named nodes and ranges, same cases as tests/sefaria-ref.test.js for the lib/ original
+describe('sefariaRef', () => {
+  it.each([
+    ['Chayei Moharan, Introduction 1', 'Chayei Moharan, Introduction 1'],
+    ['Chayei_Moharan,_Introduction.1', 'Chayei Moharan, Introduction 1'],
+    ['Likutei Moharan, Introduction', 'Likutei Moharan, Introduction'],
+    ['Likutei Halachot, Orach Chaim, Laws of Morning Conduct 1:1', 'Likutei Halakhot, Orach Chaim, Laws of Morning Conduct 1:1'],
+    ['Likutei Moharan 1:2-3:4', 'Likutei Moharan 1:2-3:4'],
+    ['Likutei Moharan 2:5-3', null]
+  ])('normalizes %s', (ref, expected) => {
+    expect(normalizeRef(ref)).toBe(expected);
+  });
+
+  it('keeps the node path apart from the sections', () => {
+    expect(parseRef('Chayei Moharan, Introduction 1')).toEqual({
+      book: 'Chayei Moharan', node: ['Introduction'], sections: [1], toSections: null
+    });
+    expect(formatRef('Chayei Moharan, Introduction 1', 'he')).toBe('חיי מוהר״ן, הקדמה א׳');
+    expect(toUrlRef('Chayei Moharan, Introduction 1')).toBe('Chayei_Moharan,_Introduction.1');
+  });
+
+  it('compares nodes before sections', () => {
+    expect(refContains('Chayei Moharan', 'Chayei Moharan, Introduction 1')).toBe(true);
+    expect(refContains('Chayei Moharan 1', 'Chayei Moharan, Introduction 1')).toBe(false);
+    expect(refOverlaps('Chayei Moharan, Introduction 1', 'Chayei Moharan 1')).toBe(false);
+  });
+
+  it('builds ranges within one node only', () => {
+    expect(rangeRef('Chayei Moharan, Introduction 1', 'Chayei Moharan, Introduction 4')).toBe('Chayei Moharan, Introduction 1-4');
+    expect(rangeRef('Likutei Moharan 1:5', 'Likutei Moharan 1:2')).toBeNull();
+    expect(rangeRef('Chayei Moharan, Introduction 1', 'Chayei Moharan 4')).toBeNull();
+  });
+
+  it('finds a reference whose number comes before the book', () => {
+    expect(formatRef(findRef('lis-moi torah resh pe beit du Likoutey Moharan')!)).toBe('Likutei Moharan 282');
+    expect(formatRef(findRef('lis-moi torah רפ״ב du Likoutey Moharan')!)).toBe('Likutei Moharan 282');
+    expect(findRef('Is there a sin in Likutei Moharan ?')!.sections).toEqual([]);
+  });
+});
@@ -5,112 +5,110 @@
  * 
  * Ce script extrait TOUS les textes de Rabbi Nachman depuis Sefaria.org
  * Conformément à CLAUDE.md : AUCUN mock data, fetching direct uniquement
+ *
+ * Usage : node data-extractor.js [--resume] [--books=Likutei_Moharan,Sichot_HaRan]
+ *   --resume  reprend une extraction interrompue (sections déjà récupérées ignorées)
+ *   --books   limite l'extraction à certains livres (identifiants ou titres)
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const SefariaRef = require('./lib/sefaria-ref');
+const SefariaSchema = require('./lib/sefaria-schema');
+const TokenCounter = require('./lib/token-counter');
 
 // Configuration
 const CONFIG = {
-    SEFARIA_API: 'https://www.sefaria.org/api',
+    // SEFARIA_BASE_URL=http://localhost:8787 pour extraire depuis le serveur local (sefaria-local-server.js)
+    SEFARIA_API: `${process.env.SEFARIA_BASE_URL || 'https://www.sefaria.org'}/api`,
     RATE_LIMIT_MS: 300, // 300ms entre requêtes pour éviter le ban
     DATA_DIR: path.join(__dirname, 'data'),
+    CHECKPOINT_DIR: path.join(__dirname, 'data', 'checkpoints'),
     MAX_RETRIES: 3,
     CHUNK_SIZE: 75000 // Tokens max par chunk (CLAUDE.md requirement)
 };
 
 // Liste COMPLÈTE des livres de Rabbi Nachman
+// Les sections ne sont pas estimées : elles sont énumérées depuis le schéma de l'index Sefaria
 const BRESLOV_BOOKS = [
     // Œuvres principales
     { 
         id: 'Likutei_Moharan', 
         name: 'Likutey Moharan Part I',
         hebrew: 'ליקוטי מוהר"ן חלק א',
-        sections: 286,
         type: 'teachings'
     },
     { 
         id: 'Likutei_Moharan_II', 
         name: 'Likutey Moharan Part II',
         hebrew: 'ליקוטי מוהר"ן חלק ב',
-        sections: 125,
         type: 'teachings'
     },
     { 
         id: 'Sichot_HaRan', 
         name: 'Sichot HaRan',
         hebrew: 'שיחות הר"ן',
-        sections: 309,
         type: 'conversations'
     },
     { 
         id: 'Chayei_Moharan', 
         name: 'Chayei Moharan',
         hebrew: 'חיי מוהר"ן',
-        sections: 600, // Estimation, contient les dates historiques!
         type: 'biography'
     },
     { 
         id: 'Shivchei_HaRan', 
         name: 'Shivchei HaRan',
         hebrew: 'שבחי הר"ן',
-        sections: 40,
         type: 'biography'
     },
     { 
         id: 'Sippurei_Maasiyot', 
         name: 'Sippurei Maasiyot',
         hebrew: 'סיפורי מעשיות',
-        sections: 15, // 13 contes + intro
         type: 'stories'
     },
     { 
         id: 'Sefer_HaMidot', 
         name: 'Sefer HaMidot',
         hebrew: 'ספר המדות',
-        sections: 200, // Alphabétique
         type: 'traits'
     },
     { 
         id: 'Likutei_Tefilot', 
         name: 'Likutey Tefilot Part I',
         hebrew: 'ליקוטי תפילות חלק א',
-        sections: 150,
         type: 'prayers'
     },
     { 
         id: 'Likutei_Tefilot_II', 
         name: 'Likutey Tefilot Part II',
         hebrew: 'ליקוטי תפילות חלק ב',
-        sections: 100,
         type: 'prayers'
     },
     { 
         id: 'Kitzur_Likutei_Moharan', 
         name: 'Kitzur Likutei Moharan',
         hebrew: 'קיצור ליקוטי מוהר"ן',
-        sections: 286,
         type: 'abridged'
     },
     { 
         id: 'Tikkun_HaKlali', 
         name: 'Tikkun HaKlali',
         hebrew: 'תיקון הכללי',
-        sections: 10, // 10 Psaumes
         type: 'psalms'
     },
     { 
         id: 'Meshivat_Nefesh', 
         name: 'Meshivat Nefesh',
         hebrew: 'משיבת נפש',
-        sections: 50,
         type: 'comfort'
     },
     { 
         id: 'Likutei_Halachot', 
         name: 'Likutei Halachot',
         hebrew: 'ליקוטי הלכות',
-        sections: 500, // Très large, 8 volumes
         type: 'laws'
     }
 ];
@@ -118,11 +116,9 @@ const BRESLOV_BOOKS = [
 // Fonction de sleep pour rate limiting
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Fonction pour calculer le nombre approximatif de tokens
+// Nombre de tokens (vocabulaire BPE si TOKENIZER_VOCAB, sinon estimation par écriture)
 function estimateTokens(text) {
-    if (!text) return 0;
-    // Approximation : 1 token ≈ 4 caractères
-    return Math.ceil(text.length / 4);
+    return TokenCounter.shared().count(text);
 }
 
 // Fonction de fetch avec retry
@@ -151,11 +147,68 @@ async function fetchWithRetry(url, retries = CONFIG.MAX_RETRIES) {
     return null;
 }
 
+// Checkpoints : un fichier par section dans data/checkpoints/<livre>/
+function checkpointDir(bookId) {
+    return path.join(CONFIG.CHECKPOINT_DIR, bookId);
+}
+
+function hashContent(text, hebrewText) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([text || null, hebrewText || null]))
+        .digest('hex');
+}
+
+// Écriture atomique : un arrêt brutal ne laisse jamais de fichier à moitié écrit
+async function writeJsonAtomic(file, data) {
+    const tmpFile = `${file}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(data));
+    await fs.rename(tmpFile, file);
+}
+
+async function saveCheckpoint(bookId, name, section) {
+    const checkpoint = {
+        ...section,
+        hash: hashContent(section.text, section.hebrewText),
+        fetchedAt: new Date().toISOString()
+    };
+    await writeJsonAtomic(path.join(checkpointDir(bookId), `${name}.json`), checkpoint);
+    return checkpoint;
+}
+
+// Charge un checkpoint si son contenu correspond toujours à son hash
+async function loadCheckpoint(bookId, name) {
+    let checkpoint;
+    try {
+        checkpoint = JSON.parse(await fs.readFile(path.join(checkpointDir(bookId), `${name}.json`), 'utf8'));
+    } catch (error) {
+        return null; // Absent ou illisible : à récupérer
+    }
+
+    if (checkpoint.hash !== hashContent(checkpoint.text, checkpoint.hebrewText)) {
+        console.log(`    ⚠️  Checkpoint ${name} invalide (hash), nouvelle récupération`);
+        return null;
+    }
+    return checkpoint;
+}
+
+// Identifiant de section lisible et unique à partir du chemin dans le schéma
+function sectionId(section) {
+    const parts = [...section.node, ...section.address].join('_')
+        .replace(/[^\p{L}\p{N}]+/gu, '_')
+        .replace(/^_|_$/g, '');
+    return parts ? `section_${parts}` : 'section';
+}
+
 // Extraire un livre complet
-async function extractBook(book) {
+async function extractBook(book, options = {}) {
+    const { resume = false } = options;
+
     console.log(`\n📚 Extraction de ${book.name} (${book.hebrew})`);
-    console.log(`   Type: ${book.type} | Sections estimées: ${book.sections}`);
+    console.log(`   Type: ${book.type}`);
     
+    // Titre Sefaria canonique pour les URL (Likutei_Moharan_II -> Likutei_Moharan,_Part_II)
+    const urlTitle = encodeURIComponent(SefariaRef.toUrl(book.id));
+
     const bookData = {
         id: book.id,
         title: book.name,
@@ -163,83 +216,113 @@ async function extractBook(book) {
         type: book.type,
         sections: [],
         extractedAt: new Date().toISOString(),
-        totalTokens: 0
+        totalTokens: 0,
+        expectedSections: 0,
+        resumedSections: 0,
+        gaps: []
     };
 
-    // Essayer différentes stratégies d'extraction
-    
-    // Stratégie 1: Texte complet
-    console.log(`  1️⃣ Tentative: Texte complet`);
-    let fullText = await fetchWithRetry(`${CONFIG.SEFARIA_API}/texts/${book.id}`);
-    await sleep(CONFIG.RATE_LIMIT_MS);
-    
-    if (fullText && (fullText.text || fullText.he)) {
-        bookData.sections.push({
-            id: 'full',
-            text: fullText.text,
-            hebrewText: fullText.he,
-            ref: fullText.ref
-        });
-        bookData.totalTokens = estimateTokens(JSON.stringify(fullText));
-        console.log(`  ✅ Texte complet récupéré (${bookData.totalTokens} tokens)`);
-        return bookData;
+    // Sans --resume, repartir de zéro
+    if (!resume) {
+        await fs.rm(checkpointDir(book.id), { recursive: true, force: true });
     }
+    await fs.mkdir(checkpointDir(book.id), { recursive: true });
+
+    // Stratégie 1: Schéma de l'index -> exactement les sections qui existent
+    console.log(`  1️⃣ Tentative: Schéma de l'index${resume ? ' (reprise)' : ''}`);
+    const index = await fetchWithRetry(`${CONFIG.SEFARIA_API}/index/${urlTitle}?with_content_counts=1`);
+    await sleep(CONFIG.RATE_LIMIT_MS);
+
+    const schemaSections = index ? SefariaSchema.enumerate(index) : [];
+    if (schemaSections.length > 0) {
+        bookData.structure = SefariaSchema.structure(index);
+        bookData.expectedSections = schemaSections.length;
+        console.log(`    → ${schemaSections.length} sections dans ${bookData.structure.nodes.length} nœud(s) du schéma`);
+
+        for (const section of schemaSections) {
+            const id = sectionId(section);
+            const checkpoint = resume ? await loadCheckpoint(book.id, id) : null;
+            if (checkpoint) {
+                bookData.sections.push(checkpoint);
+                bookData.resumedSections++;
+                continue;
+            }
+
+            const sectionData = await fetchWithRetry(
+                `${CONFIG.SEFARIA_API}/texts/${encodeURIComponent(SefariaRef.toUrl(section.ref))}?pad=0`,
+                1
+            );
+
+            if (sectionData && (sectionData.text || sectionData.he)) {
+                bookData.sections.push(await saveCheckpoint(book.id, id, {
+                    id,
+                    ref: section.ref,
+                    heRef: sectionData.heRef || section.heRef,
+                    node: section.node,
+                    address: section.address,
+                    sectionNames: section.sectionNames,
+                    number: section.node.length === 0 ? section.address[0] : undefined,
+                    text: sectionData.text,
+                    hebrewText: sectionData.he,
+                    tokens: estimateTokens(JSON.stringify(sectionData))
+                }));
+
+                const fetched = bookData.sections.length - bookData.resumedSections;
+                if (fetched % 10 === 0) {
+                    console.log(`    → ${bookData.sections.length}/${schemaSections.length} sections extraites...`);
+                }
+            } else {
+                bookData.gaps.push(section.ref);
+            }
 
-    // Stratégie 2: Section par section
-    console.log(`  2️⃣ Tentative: Section par section`);
-    let sectionsFound = 0;
-    let consecutiveFailures = 0;
-    
-    for (let i = 1; i <= book.sections && consecutiveFailures < 10; i++) {
-        // Essayer différents formats d'URL
-        const urls = [
-            `${CONFIG.SEFARIA_API}/texts/${book.id}.${i}`,
-            `${CONFIG.SEFARIA_API}/texts/${book.id}:${i}`,
-            `${CONFIG.SEFARIA_API}/texts/${book.id}_${i}`,
-            `${CONFIG.SEFARIA_API}/v2/raw/text/${book.id}/${i}`
-        ];
-        
-        let sectionData = null;
-        for (const url of urls) {
-            sectionData = await fetchWithRetry(url, 1);
-            if (sectionData) break;
             await sleep(CONFIG.RATE_LIMIT_MS);
         }
-        
-        if (sectionData && (sectionData.text || sectionData.he)) {
-            bookData.sections.push({
-                id: `section_${i}`,
-                number: i,
-                text: sectionData.text,
-                hebrewText: sectionData.he,
-                ref: sectionData.ref || `${book.id}:${i}`,
-                tokens: estimateTokens(JSON.stringify(sectionData))
-            });
-            sectionsFound++;
-            consecutiveFailures = 0;
-            
-            if (sectionsFound % 10 === 0) {
-                console.log(`    → ${sectionsFound} sections extraites...`);
+
+        if (bookData.sections.length > 0) {
+            bookData.totalTokens = bookData.sections.reduce((sum, s) => sum + (s.tokens || 0), 0);
+            console.log(`  ✅ ${bookData.sections.length}/${schemaSections.length} sections extraites (${bookData.totalTokens} tokens)`);
+            if (bookData.resumedSections > 0) {
+                console.log(`  ♻️  ${bookData.resumedSections} sections reprises des checkpoints`);
             }
-        } else {
-            consecutiveFailures++;
+            if (bookData.gaps.length > 0) {
+                console.log(`  🕳️  ${bookData.gaps.length} sections manquantes: ${bookData.gaps.join(', ')}`);
+            }
+            return bookData;
         }
-        
-        await sleep(CONFIG.RATE_LIMIT_MS);
     }
-    
-    if (sectionsFound > 0) {
-        bookData.totalTokens = bookData.sections.reduce((sum, s) => sum + (s.tokens || 0), 0);
-        console.log(`  ✅ ${sectionsFound} sections extraites (${bookData.totalTokens} tokens)`);
+
+    // Stratégie 2: Texte complet (livre sans schéma exploitable)
+    const fullCheckpoint = resume ? await loadCheckpoint(book.id, 'full') : null;
+    if (fullCheckpoint) {
+        bookData.sections.push(fullCheckpoint);
+        bookData.resumedSections = 1;
+        bookData.totalTokens = fullCheckpoint.tokens || estimateTokens(JSON.stringify(fullCheckpoint.text));
+        console.log(`  ♻️  Texte complet repris du checkpoint (${bookData.totalTokens} tokens)`);
+        return bookData;
+    }
+
+    console.log(`  2️⃣ Tentative: Texte complet`);
+    const fullText = await fetchWithRetry(`${CONFIG.SEFARIA_API}/texts/${urlTitle}`);
+    await sleep(CONFIG.RATE_LIMIT_MS);
+
+    if (fullText && (fullText.text || fullText.he)) {
+        bookData.totalTokens = estimateTokens(JSON.stringify(fullText));
+        bookData.sections.push(await saveCheckpoint(book.id, 'full', {
+            id: 'full',
+            text: fullText.text,
+            hebrewText: fullText.he,
+            ref: fullText.ref,
+            tokens: bookData.totalTokens
+        }));
+        console.log(`  ✅ Texte complet récupéré (${bookData.totalTokens} tokens)`);
         return bookData;
     }
 
-    // Stratégie 3: Index seulement
-    console.log(`  3️⃣ Tentative: Index du livre`);
-    const index = await fetchWithRetry(`${CONFIG.SEFARIA_API}/index/${book.id}`);
+    // Index seulement
     if (index) {
         bookData.index = index;
         bookData.hasIndex = true;
+        bookData.gaps = schemaSections.map(section => section.ref);
         console.log(`  ⚠️  Index récupéré (pas de texte disponible)`);
         return bookData;
     }
@@ -248,48 +331,111 @@ async function extractBook(book) {
     return null;
 }
 
+// Options de la ligne de commande
+function parseArgs(argv) {
+    const options = { resume: false, books: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--resume') {
+            options.resume = true;
+        } else if (arg === '--books' || arg.startsWith('--books=')) {
+            const value = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[++i];
+            options.books = (value || '').split(',').map(name => name.trim()).filter(Boolean);
+        }
+    }
+
+    return options;
+}
+
+// Livres demandés par --books (identifiant exact ou titre reconnu par SefariaRef)
+function selectBooks(names) {
+    if (!names) return BRESLOV_BOOKS;
+
+    return BRESLOV_BOOKS.filter(book => names.some(name => {
+        if (name === book.id) return true;
+        const wanted = SefariaRef.resolveBook(name);
+        return wanted !== null && wanted === SefariaRef.resolveBook(book.id);
+    }));
+}
+
 // Fonction principale
 async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const books = selectBooks(options.books);
+
+    if (books.length === 0) {
+        console.error(`❌ Aucun livre ne correspond à --books ${options.books.join(',')}`);
+        console.error(`   Livres disponibles: ${BRESLOV_BOOKS.map(b => b.id).join(', ')}`);
+        process.exit(1);
+    }
+
     console.log('🚀 EXTRACTION DES TEXTES DE RABBI NACHMAN');
     console.log('=========================================');
     console.log(`📁 Dossier de données: ${CONFIG.DATA_DIR}`);
     console.log(`⏱️  Rate limit: ${CONFIG.RATE_LIMIT_MS}ms entre requêtes`);
-    console.log(`📚 Nombre de livres à extraire: ${BRESLOV_BOOKS.length}`);
+    console.log(`📚 Nombre de livres à extraire: ${books.length}`);
+    if (options.resume) {
+        console.log(`♻️  Mode reprise: checkpoints dans ${CONFIG.CHECKPOINT_DIR}`);
+    }
     
     // Créer les dossiers si nécessaire
     await fs.mkdir(path.join(CONFIG.DATA_DIR, 'raw'), { recursive: true });
     await fs.mkdir(path.join(CONFIG.DATA_DIR, 'indexes'), { recursive: true });
     await fs.mkdir(path.join(CONFIG.DATA_DIR, 'chunks'), { recursive: true });
+    await fs.mkdir(CONFIG.CHECKPOINT_DIR, { recursive: true });
     
     const results = {
         success: [],
         failed: [],
         partial: [],
-        totalBooks: BRESLOV_BOOKS.length,
+        totalBooks: books.length,
         totalTokens: 0,
-        extractedAt: new Date().toISOString()
+        extractedAt: new Date().toISOString(),
+        options,
+        books: {}
     };
 
     // Extraire chaque livre
-    for (const book of BRESLOV_BOOKS) {
-        const bookData = await extractBook(book);
+    for (const book of books) {
+        const bookData = await extractBook(book, options);
+        const bookReport = {
+            status: 'failed',
+            sections: 0,
+            resumedSections: 0,
+            expectedSections: 0,
+            gaps: []
+        };
         
         if (bookData) {
             // Sauvegarder les données brutes
             const filename = path.join(CONFIG.DATA_DIR, 'raw', `${book.id}.json`);
-            await fs.writeFile(filename, JSON.stringify(bookData, null, 2));
+            await writeJsonAtomic(filename, bookData);
             
             if (bookData.sections && bookData.sections.length > 0) {
                 results.success.push(book.id);
                 results.totalTokens += bookData.totalTokens;
+                Object.assign(bookReport, {
+                    status: bookData.gaps.length > 0 ? 'gaps' : 'complete',
+                    sections: bookData.sections.length,
+                    resumedSections: bookData.resumedSections,
+                    expectedSections: bookData.expectedSections,
+                    gaps: bookData.gaps
+                });
                 console.log(`  💾 Sauvegardé: ${filename}`);
             } else if (bookData.hasIndex) {
                 results.partial.push(book.id);
+                Object.assign(bookReport, {
+                    status: 'index-only',
+                    expectedSections: bookData.expectedSections,
+                    gaps: bookData.gaps
+                });
                 console.log(`  💾 Index sauvegardé: ${filename}`);
             }
         } else {
             results.failed.push(book.id);
         }
+        results.books[book.id] = bookReport;
         
         // Pause entre les livres
         console.log(`  ⏸️  Pause de 2 secondes...`);
@@ -318,6 +464,12 @@ async function main() {
         results.failed.forEach(id => console.log(`   - ${id}`));
     }
 
+    const booksWithGaps = Object.entries(results.books).filter(([, report]) => report.gaps.length > 0);
+    if (booksWithGaps.length > 0) {
+        console.log('\n🕳️  Sections manquantes (relancer avec --resume pour les récupérer):');
+        booksWithGaps.forEach(([id, report]) => console.log(`   - ${id}: ${report.gaps.join(', ')}`));
+    }
+
     console.log(`\n💾 Rapport sauvegardé: ${reportFile}`);
     console.log('\n✨ Extraction terminée!');
     
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+
+/**
+ * ÉVALUATION SUR LE JEU DE QUESTIONS DE RÉFÉRENCE - Rabbi Nachman Voice
+ *
+ * Passe chaque question du jeu de référence (fixtures/eval/golden-set.json, versionné) dans la
+ * recherche puis la génération, calcule recall@k, MRR, précision des citations et couverture des
+ * faits attendus, et compare le résultat à une exécution précédente : un changement de
+ * analyzeQuery, du découpage en chunks ou des prompts se mesure au lieu de se juger à l'œil.
+ *
+ * Usage : node evaluate.js [--pipeline=local|sefaria] [--k=5] [--golden=fichier.json]
+ *                          [--baseline=run.json] [--only=id1,id2] [--retrieval-only] [--fail-on-regression]
+ *   --pipeline  local : index de data/ (search-engine.js, construits par index-builder.js) ;
+ *               sefaria : recherche Sefaria de RAGSefariaSystem (SEFARIA_BASE_URL)
+ *   --baseline  exécution de référence (défaut : la dernière exécution du même pipeline)
+ *   --retrieval-only  sans génération (citations et faits non mesurés)
+ *
+ * Hors ligne : node sefaria-local-server.js, puis
+ *   SEFARIA_BASE_URL=http://localhost:8787 LLM_PROVIDER=mock node evaluate.js --pipeline=sefaria
+ * Rapports : data/eval/<date>-<pipeline>.json et .md
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execSync } = require('child_process');
+const RabbiNachmanSearchEngine = require('./search-engine');
+const RAGSefariaSystem = require('./lib/rag-sefaria-system');
+const TokenCounter = require('./lib/token-counter');
+const EvalMetrics = require('./lib/eval-metrics');
+
+// Configuration
+const CONFIG = {
+    GOLDEN_SET: path.join(__dirname, 'fixtures', 'eval', 'golden-set.json'),
+    OUTPUT_DIR: path.join(__dirname, 'data', 'eval'),
+    K: 5,
+    PIPELINES: ['local', 'sefaria']
+};
+
+function parseArgs(argv) {
+    const options = {
+        pipeline: 'local',
+        k: CONFIG.K,
+        golden: CONFIG.GOLDEN_SET,
+        baseline: null,
+        only: null,
+        retrievalOnly: false,
+        failOnRegression: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[++i];
+        if (arg === '--retrieval-only') {
+            options.retrievalOnly = true;
+        } else if (arg === '--fail-on-regression') {
+            options.failOnRegression = true;
+        } else if (arg === '--pipeline' || arg.startsWith('--pipeline=')) {
+            options.pipeline = value();
+        } else if (arg === '--k' || arg.startsWith('--k=')) {
+            options.k = parseInt(value(), 10) || CONFIG.K;
+        } else if (arg === '--golden' || arg.startsWith('--golden=')) {
+            options.golden = path.resolve(value());
+        } else if (arg === '--baseline' || arg.startsWith('--baseline=')) {
+            options.baseline = path.resolve(value());
+        } else if (arg === '--only' || arg.startsWith('--only=')) {
+            options.only = (value() || '').split(',').map(id => id.trim()).filter(Boolean);
+        }
+    }
+
+    return options;
+}
+
+// Commit courant, pour savoir ce qu'une exécution mesurait
+function currentCommit() {
+    try {
+        return execSync('git rev-parse --short HEAD', { cwd: __dirname, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Pipeline local : recherche hybride sur les index de data/ ; les résultats sont mis au format
+ * des passages Sefaria pour que la génération soit celle du serveur (RAGSefariaSystem.answer)
+ */
+async function localRetrieval(engine, question, k) {
+    const search = await engine.search(question, { maxResults: Math.max(k, 10), includeHebrew: false });
+
+    if (search.passage) {
+        const { passage } = search;
+        return {
+            query: question,
+            passage,
+            passages: [{
+                ref: passage.reference,
+                fullText: passage.translation || passage.hebrew || '',
+                fullHeText: passage.hebrew || '',
+                sections: [{ ref: passage.reference, text: passage.translation || '', heText: passage.hebrew || '' }]
+            }],
+            metadata: { ranking: search.ranking }
+        };
+    }
+
+    return {
+        query: question,
+        passages: (search.results || []).map(result => ({
+            ref: result.reference,
+            bookTitle: result.bookTitle,
+            fullText: result.fullText || result.excerpt || '',
+            fullHeText: '',
+            sections: [{ ref: result.reference, text: result.excerpt || result.fullText || '' }],
+            score: result.score
+        })),
+        metadata: { ranking: search.ranking }
+    };
+}
+
+// Pipeline Sefaria : même choix de stratégie que RAGSefariaSystem.answer
+async function sefariaRetrieval(rag, question) {
+    const intent = rag.intents.classify(question);
+    return intent.strategy === 'direct_fetch'
+        ? rag.fetchReference(question, intent)
+        : rag.search(question, { intent });
+}
+
+// Évalue une question : recherche, génération, métriques
+async function evaluateQuestion(item, pipeline, options) {
+    const started = Date.now();
+    const result = { id: item.id, question: item.question, language: item.language };
+
+    try {
+        const searchResults = options.pipeline === 'local'
+            ? await localRetrieval(pipeline.engine, item.question, options.k)
+            : await sefariaRetrieval(pipeline.rag, item.question);
+        const retrieved = searchResults.passages.map(p => p.ref);
+
+        let answer = null;
+        if (!options.retrievalOnly) {
+            answer = await pipeline.rag.answer(item.question, { searchResults });
+        }
+
+        const outcome = {
+            retrieved,
+            citations: answer ? (answer.citations || []).map(c => c.reference) : [],
+            answer: answer ? answer.response : ''
+        };
+        const { missingRefs, missingFacts, ...metrics } = EvalMetrics.score(item, outcome, options.k);
+
+        if (options.retrievalOnly) {
+            metrics.citationPrecision = null;
+            metrics.factCoverage = null;
+        }
+
+        Object.assign(result, {
+            retrieved: retrieved.slice(0, options.k),
+            ...(answer && {
+                mode: answer.mode,
+                answer: answer.response,
+                citations: outcome.citations
+            }),
+            metrics,
+            missingRefs,
+            ...(!options.retrievalOnly && { missingFacts })
+        });
+    } catch (error) {
+        result.error = error.message;
+        result.metrics = { recallAtK: 0, mrr: 0, citationPrecision: null, factCoverage: options.retrievalOnly ? null : 0 };
+    }
+
+    result.durationMs = Date.now() - started;
+    return result;
+}
+
+// Dernière exécution du même pipeline (les noms de fichier commencent par la date)
+async function latestRun(pipeline, exclude) {
+    const files = await fs.readdir(CONFIG.OUTPUT_DIR).catch(() => []);
+    const runs = files
+        .filter(file => file.endsWith(`-${pipeline}.json`) && path.join(CONFIG.OUTPUT_DIR, file) !== exclude)
+        .sort();
+    return runs.length > 0 ? path.join(CONFIG.OUTPUT_DIR, runs[runs.length - 1]) : null;
+}
+
+const percent = value => value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)} %`;
+const signed = value => value === null || value === undefined ? '—' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}`;
+
+const METRIC_LABELS = {
+    recallAtK: 'Recall@k',
+    mrr: 'MRR',
+    citationPrecision: 'Précision des citations',
+    factCoverage: 'Couverture des faits'
+};
+
+// Rapport Markdown de l'exécution (et de la comparaison)
+function markdownReport(run, comparison, baselineFile) {
+    const lines = [
+        `# Évaluation ${run.id}`,
+        '',
+        `- Jeu de référence : ${path.relative(__dirname, run.goldenSet.file)} (version ${run.goldenSet.version}, ${run.summary.questions} questions)`,
+        `- Pipeline : ${run.config.pipeline}, k = ${run.config.k}, LLM : ${run.config.llm || 'aucun'}, tokens : ${run.config.tokenizer}`,
+        `- Commit : ${run.config.commit || 'inconnu'}${run.summary.errors > 0 ? `, ${run.summary.errors} erreur(s)` : ''}`,
+        ''
+    ];
+
+    if (comparison) {
+        lines.push(`## Comparaison avec ${path.basename(baselineFile)}`, '', '| Métrique (questions communes) | Référence | Actuel | Écart (points) |', '| --- | --- | --- | --- |');
+        for (const [name, { baseline, current, delta }] of Object.entries(comparison.metrics)) {
+            lines.push(`| ${METRIC_LABELS[name]} | ${percent(baseline)} | ${percent(current)} | ${signed(delta)} |`);
+        }
+        lines.push('');
+        if (comparison.regressions.length > 0) {
+            lines.push('### Régressions', '');
+            comparison.regressions.forEach(r => lines.push(`- ${r.id} : ${METRIC_LABELS[r.metric]} ${percent(r.baseline)} → ${percent(r.current)}`));
+            lines.push('');
+        }
+        if (comparison.improvements.length > 0) {
+            lines.push('### Progrès', '');
+            comparison.improvements.forEach(r => lines.push(`- ${r.id} : ${METRIC_LABELS[r.metric]} ${percent(r.baseline)} → ${percent(r.current)}`));
+            lines.push('');
+        }
+        if (comparison.added.length > 0) lines.push(`Nouvelles questions : ${comparison.added.join(', ')}`, '');
+        if (comparison.removed.length > 0) lines.push(`Questions retirées : ${comparison.removed.join(', ')}`, '');
+    } else {
+        lines.push('## Résultats', '', '| Métrique | Valeur |', '| --- | --- |');
+        for (const name of EvalMetrics.METRICS) {
+            lines.push(`| ${METRIC_LABELS[name]} | ${percent(run.summary[name])} |`);
+        }
+        lines.push('');
+    }
+
+    lines.push('## Par langue', '', '| Langue | Recall@k | MRR | Citations | Faits |', '| --- | --- | --- | --- | --- |');
+    for (const [language, metrics] of Object.entries(run.summary.byLanguage)) {
+        lines.push(`| ${language} | ${EvalMetrics.METRICS.map(name => percent(metrics[name])).join(' | ')} |`);
+    }
+
+    lines.push('', '## Par question', '', '| Question | Recall@k | MRR | Citations | Faits | Manquants |', '| --- | --- | --- | --- | --- | --- |');
+    for (const result of run.results) {
+        const missing = result.error
+            ? `erreur : ${result.error}`
+            : [...(result.missingRefs || []), ...(result.missingFacts || []).map(fact => [].concat(fact)[0])].join(', ');
+        lines.push(`| ${result.id} | ${EvalMetrics.METRICS.map(name => percent(result.metrics[name])).join(' | ')} | ${missing} |`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// Fonction principale
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!CONFIG.PIPELINES.includes(options.pipeline)) {
+        console.error(`❌ Pipeline inconnu: ${options.pipeline} (${CONFIG.PIPELINES.join(' | ')})`);
+        process.exit(1);
+    }
+
+    const golden = JSON.parse(await fs.readFile(options.golden, 'utf8'));
+    const questions = options.only
+        ? golden.questions.filter(q => options.only.includes(q.id))
+        : golden.questions;
+
+    if (questions.length === 0) {
+        console.error(`❌ Aucune question ne correspond à --only ${options.only.join(',')}`);
+        process.exit(1);
+    }
+
+    console.log('🧪 ÉVALUATION SUR LE JEU DE RÉFÉRENCE');
+    console.log('====================================');
+    console.log(`📋 ${path.relative(__dirname, options.golden)} (version ${golden.version}) : ${questions.length} questions`);
+    console.log(`🔧 Pipeline: ${options.pipeline}, k = ${options.k}${options.retrievalOnly ? ', recherche seule' : ''}`);
+
+    const pipeline = { rag: new RAGSefariaSystem() };
+    if (options.pipeline === 'local') {
+        pipeline.engine = new RabbiNachmanSearchEngine();
+        await pipeline.engine.initialize();
+    }
+
+    const results = [];
+    for (const item of questions) {
+        const result = await evaluateQuestion(item, pipeline, options);
+        results.push(result);
+        const status = result.error ? `❌ ${result.error}` : `recall@${options.k} ${percent(result.metrics.recallAtK)}, MRR ${percent(result.metrics.mrr)}, faits ${percent(result.metrics.factCoverage)}`;
+        console.log(`  ${result.error ? '⚠️ ' : '✅'} ${item.id}: ${status}`);
+    }
+
+    const date = new Date();
+    const run = {
+        id: `${date.toISOString().replace(/[:.]/g, '-')}-${options.pipeline}`,
+        date: date.toISOString(),
+        goldenSet: { file: options.golden, version: golden.version },
+        config: {
+            pipeline: options.pipeline,
+            k: options.k,
+            llm: options.retrievalOnly ? null : `${pipeline.rag.llm.provider}/${pipeline.rag.llm.model}`,
+            tokenizer: TokenCounter.shared().name,
+            sefaria: options.pipeline === 'sefaria' ? pipeline.rag.sefaria.baseUrl.origin : null,
+            commit: currentCommit()
+        },
+        summary: EvalMetrics.summarize(results),
+        results
+    };
+
+    await fs.mkdir(CONFIG.OUTPUT_DIR, { recursive: true });
+    const runFile = path.join(CONFIG.OUTPUT_DIR, `${run.id}.json`);
+    const baselineFile = options.baseline || await latestRun(options.pipeline, runFile);
+
+    let comparison = null;
+    if (baselineFile) {
+        const baseline = JSON.parse(await fs.readFile(baselineFile, 'utf8'));
+        if (baseline.goldenSet.version !== golden.version) {
+            console.warn(`⚠️  Référence sur la version ${baseline.goldenSet.version} du jeu de questions, comparaison partielle`);
+        }
+        comparison = EvalMetrics.compare(run, baseline);
+        run.baseline = path.basename(baselineFile);
+    }
+
+    await fs.writeFile(runFile, JSON.stringify(run, null, 2));
+    const reportFile = runFile.replace(/\.json$/, '.md');
+    await fs.writeFile(reportFile, markdownReport(run, comparison, baselineFile));
+
+    // Afficher le résumé
+    console.log('\n📊 RÉSULTATS');
+    console.log('============');
+    for (const name of EvalMetrics.METRICS) {
+        const delta = comparison ? ` (${signed(comparison.metrics[name].delta)} pts)` : '';
+        console.log(`${METRIC_LABELS[name].padEnd(26)} ${percent(run.summary[name])}${delta}`);
+    }
+
+    if (comparison) {
+        console.log(`\n🔁 Comparé à ${path.basename(baselineFile)} : ${comparison.regressions.length} régression(s), ${comparison.improvements.length} progrès`);
+        comparison.regressions.forEach(r => console.log(`   📉 ${r.id}: ${METRIC_LABELS[r.metric]} ${percent(r.baseline)} → ${percent(r.current)}`));
+    }
+
+    console.log(`\n💾 Exécution: ${runFile}`);
+    console.log(`💾 Rapport: ${reportFile}`);
+
+    if (options.failOnRegression && comparison && comparison.regressions.length > 0) {
+        process.exit(1);
+    }
+}
+
+// Lancer l'évaluation
+main().catch(error => {
+    console.error('❌ Erreur fatale:', error);
+    process.exit(1);
+});
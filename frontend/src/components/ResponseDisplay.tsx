@@ -1,18 +1,20 @@
 import { motion } from 'framer-motion';
-import { Volume2, VolumeX, BookOpen, Quote } from 'lucide-react';
+import { Volume2, VolumeX, BookOpen, Quote, SearchX, Lightbulb } from 'lucide-react';
 
 interface ResponseDisplayProps {
   response: any;
   onSpeak: (text: string) => void;
   onStop: () => void;
   isSpeaking: boolean;
+  onSuggestion?: (query: string) => void;
 }
 
 export default function ResponseDisplay({
   response,
   onSpeak,
   onStop,
-  isSpeaking
+  isSpeaking,
+  onSuggestion
 }: ResponseDisplayProps) {
   if (!response) return null;
 
@@ -43,6 +45,13 @@ export default function ResponseDisplay({
           </button>
         </div>
         
+        {/* Follow-up question: what was actually searched */}
+        {response.rewrittenQuery && response.rewrittenQuery !== response.query && (
+          <p className="mb-3 text-sm text-gray-500">
+            Recherché : <span className="text-gray-400">{response.rewrittenQuery}</span>
+          </p>
+        )}
+        
         <div className="prose prose-invert max-w-none">
           <p className="text-gray-200 leading-relaxed whitespace-pre-wrap">
             {response.text}
@@ -110,6 +119,47 @@ export default function ResponseDisplay({
         </div>
       )}
 
+      {/* Abstention: nearest passages and suggested reformulations */}
+      {response.mode === 'abstained' && response.nearestPassages?.length > 0 && (
+        <div className="p-6 bg-gray-800/30 rounded-xl">
+          <div className="flex items-center gap-2 mb-3">
+            <SearchX className="w-5 h-5 text-amber-400" />
+            <h4 className="font-semibold text-gray-100">Passages les plus proches</h4>
+          </div>
+          
+          <div className="space-y-3">
+            {response.nearestPassages.map((passage: any, index: number) => (
+              <div key={index} className="text-sm">
+                <span className="text-gray-300">{passage.reference}</span>
+                <p className="text-gray-500 mt-1">{passage.text}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {response.mode === 'abstained' && response.suggestions?.length > 0 && (
+        <div className="p-6 bg-gray-800/30 rounded-xl">
+          <div className="flex items-center gap-2 mb-3">
+            <Lightbulb className="w-5 h-5 text-primary-400" />
+            <h4 className="font-semibold text-gray-100">Essayez plutôt</h4>
+          </div>
+          
+          <div className="flex flex-wrap gap-2">
+            {response.suggestions.map((suggestion: string, index: number) => (
+              <button
+                key={index}
+                onClick={() => onSuggestion?.(suggestion)}
+                disabled={!onSuggestion}
+                className="px-3 py-1.5 text-sm text-gray-300 bg-gray-700/50 rounded-lg hover:bg-gray-700 transition-colors"
+              >
+                {suggestion}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Metadata */}
       {response.metadata && (
         <div className="flex items-center justify-between text-xs text-gray-500">
@@ -1,11 +1,35 @@
 import { motion } from 'framer-motion';
-import { X, BookOpen, ExternalLink } from 'lucide-react';
+import { X, BookOpen, ExternalLink, CheckCircle2, AlertTriangle, Search } from 'lucide-react';
 
 interface SourcesPanelProps {
   sources: any[];
   onClose: () => void;
 }
 
+// Verification status returned by the backend for each citation
+const CITATION_STATUS: Record<string, { label: string; icon: typeof BookOpen; className: string }> = {
+  verified: {
+    label: 'Citation vérifiée',
+    icon: CheckCircle2,
+    className: 'text-emerald-400 bg-emerald-400/10'
+  },
+  cited: {
+    label: 'Source citée',
+    icon: BookOpen,
+    className: 'text-primary-400 bg-primary-400/10'
+  },
+  unsupported: {
+    label: 'Citation introuvable dans la source',
+    icon: AlertTriangle,
+    className: 'text-amber-400 bg-amber-400/10'
+  },
+  retrieved: {
+    label: 'Passage consulté, non cité',
+    icon: Search,
+    className: 'text-gray-400 bg-gray-400/10'
+  }
+};
+
 export default function SourcesPanel({ sources, onClose }: SourcesPanelProps) {
   return (
     <motion.div
@@ -71,6 +95,10 @@ export default function SourcesPanel({ sources, onClose }: SourcesPanelProps) {
                   </p>
                 )}
                 
+                {source.status && CITATION_STATUS[source.status] && (
+                  <StatusBadge status={source.status} />
+                )}
+                
                 {source.text && (
                   <p className="text-sm text-gray-300 italic">
                     "{source.text}"
@@ -98,6 +126,17 @@ export default function SourcesPanel({ sources, onClose }: SourcesPanelProps) {
   );
 }
 
+function StatusBadge({ status }: { status: string }) {
+  const { label, icon: Icon, className } = CITATION_STATUS[status];
+  
+  return (
+    <span className={`inline-flex items-center gap-1 px-2 py-0.5 mb-2 rounded-full text-xs ${className}`}>
+      <Icon className="w-3 h-3" />
+      {label}
+    </span>
+  );
+}
+
 function formatBookId(bookId: string): string {
   const bookNames: Record<string, string> = {
     'likutey_moharan_1': 'Likoutey Moharan I',
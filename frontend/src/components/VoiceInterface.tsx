@@ -43,7 +43,7 @@ export default function VoiceInterface() {
       const result = await submitQuery(query);
       
       if (result.success) {
-        setResponse(result.response);
+        setResponse({ ...result.response, query, rewrittenQuery: result.rewrittenQuery });
         
         // Auto-speak the response
         if (result.response.audioOptimized) {
@@ -229,6 +229,10 @@ export default function VoiceInterface() {
                   onSpeak={(text) => speak(text, 'fr-FR')}
                   onStop={stopSpeaking}
                   isSpeaking={isSpeaking}
+                  onSuggestion={(suggestion) => {
+                    setTranscript(suggestion);
+                    handleQuery(suggestion);
+                  }}
                 />
               )}
             </AnimatePresence>
@@ -7,7 +7,7 @@ const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 export function useQuery() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
-  const { addToHistory } = useStore();
+  const { addToHistory, sessionId, setSessionId } = useStore();
 
   const submitQuery = async (query: string, options = {}) => {
     setLoading(true);
@@ -17,9 +17,15 @@ export function useQuery() {
       const response = await axios.post(`${API_URL}/rag/query`, {
         query,
         language: 'french',
+        sessionId,
         ...options
       });
 
+      // Follow-up questions are resolved against this session's previous turns
+      if (response.data.sessionId) {
+        setSessionId(response.data.sessionId);
+      }
+
       // Add to history
       if (response.data.success) {
         addToHistory({
@@ -42,7 +48,15 @@ export function useQuery() {
   const streamQuery = async (
     query: string,
     onChunk: (chunk: string) => void,
-    options = {}
+    options = {},
+    onVerified?: (result: {
+      mode: 'grounded' | 'extractive';
+      text: string;
+      citations: any[];
+      verification: any;
+      sessionId?: string;
+      rewrittenQuery?: string;
+    }) => void
   ) => {
     setLoading(true);
     setError(null);
@@ -56,6 +70,7 @@ export function useQuery() {
         body: JSON.stringify({
           query,
           language: 'french',
+          sessionId,
           streamResponse: true,
           ...options
         })
@@ -89,6 +104,13 @@ export function useQuery() {
               const parsed = JSON.parse(data);
               if (parsed.chunk) {
                 onChunk(parsed.chunk);
+              } else if (parsed.citations) {
+                // Final event: whole verified text (passages themselves when no claim held),
+                // per-citation status and session
+                if (parsed.sessionId) {
+                  setSessionId(parsed.sessionId);
+                }
+                onVerified?.(parsed);
               }
             } catch (e) {
               console.error('Failed to parse chunk:', e);
@@ -17,6 +17,10 @@ interface Store {
   addToHistory: (item: HistoryItem) => void;
   clearHistory: () => void;
   
+  // Server-side conversation session (follow-up questions)
+  sessionId: string | null;
+  setSessionId: (sessionId: string | null) => void;
+  
   // Preferences
   preferences: {
     language: string;
@@ -39,7 +43,11 @@ export const useStore = create<Store>()(
       addToHistory: (item) => set((state) => ({
         history: [item, ...state.history].slice(0, 50) // Keep last 50 items
       })),
-      clearHistory: () => set({ history: [] }),
+      clearHistory: () => set({ history: [], sessionId: null }),
+      
+      // Conversation session
+      sessionId: null,
+      setSessionId: (sessionId) => set({ sessionId }),
       
       // Preferences
       preferences: {
@@ -57,6 +65,7 @@ export const useStore = create<Store>()(
       partialize: (state) => ({
         isDarkMode: state.isDarkMode,
         history: state.history,
+        sessionId: state.sessionId,
         preferences: state.preferences
       })
     }
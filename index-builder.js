@@ -7,164 +7,252 @@
  * 1. Master Index (< 100K tokens) - Routage vers les livres
  * 2. Book Indexes (< 200K tokens) - Routage vers les sections
  * 3. Chunks (75K tokens) - Contenu réel
+ *
+ * Construction incrémentale : data/index-manifest.json garde l'empreinte de chaque livre et de
+ * chaque section ; seules les sections modifiées sont redécoupées et seuls leurs chunks ré-encodés.
+ * Usage : node index-builder.js [--full] [--no-llm] [--data=data] (--full : tout reconstruire,
+ * --data : répertoire de data-extractor.js, défaut data/)
+ *
+ * Mots-clés des sections et des livres : TF-IDF sur tout le corpus (lib/keyphrase-extractor.js),
+ * recalculés à chaque construction puisqu'un livre ajouté change l'IDF de tous les autres.
+ * Résumés : extractifs (TextRank, lib/text-summarizer.js), traduction et hébreu ; si un fournisseur
+ * LLM est configuré (LLM_PROVIDER et sa clé, mock exclu), résumé abstractif en plus, gardé dans
+ * le manifeste tant que le texte et le modèle ne changent pas (--no-llm : pas d'appel au LLM).
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const BM25Index = require('./lib/bm25-index');
+const VectorIndex = require('./lib/vector-index');
+const EmbeddingClient = require('./lib/embedding-client');
+const HebrewNormalizer = require('./lib/hebrew-normalizer');
+const SefariaRef = require('./lib/sefaria-ref');
+const TokenCounter = require('./lib/token-counter');
+const KeyphraseExtractor = require('./lib/keyphrase-extractor');
+const TextSummarizer = require('./lib/text-summarizer');
+const LLMClient = require('./lib/llm-client');
 
 const CONFIG = {
     DATA_DIR: path.join(__dirname, 'data'),
     MAX_CHUNK_TOKENS: 75000,
     MAX_BOOK_INDEX_TOKENS: 200000,
     MAX_MASTER_INDEX_TOKENS: 100000,
-    OVERLAP_PERCENT: 0.1 // 10% d'overlap entre chunks
+    OVERLAP_PERCENT: 0.1, // 10% d'overlap entre chunks
+    SECTION_KEYWORDS: 10,
+    BOOK_KEYWORDS: 50,
+    ABSTRACT_EXCERPT: { maxSentences: 8, maxLength: 2000 }, // Extraits envoyés au LLM
+    MANIFEST_FILE: 'index-manifest.json'
 };
 
-// Fonction pour estimer les tokens
+// Compteur de tokens commun (vocabulaire BPE si TOKENIZER_VOCAB, sinon estimation par écriture)
+const tokenCounter = TokenCounter.shared();
+
 function estimateTokens(text) {
-    if (!text) return 0;
-    return Math.ceil(text.length / 4);
+    return tokenCounter.count(text);
 }
 
-// Extraire les mots-clés d'un texte
-function extractKeywords(text) {
-    if (!text) return [];
-    
-    // Mots-clés importants pour Rabbi Nachman
-    const importantTerms = [
-        'hitbodedout', 'hitbodédout', 'méditation', 'prière', 'prayer',
-        'simcha', 'simḥa', 'joie', 'joy', 'happiness',
-        'emunah', 'émounah', 'foi', 'faith',
-        'teshuva', 'téchouva', 'repentance', 'retour',
-        'tzaddik', 'tsaddik', 'juste', 'righteous',
-        'azamra', 'chanter', 'sing',
-        'tikkun', 'tikoun', 'réparation', 'repair',
-        'lemberg', 'למברג', 'voyage', 'travel', 'journey',
-        'uman', 'ouman', 'אומן',
-        'breslov', 'breslev', 'ברסלב',
-        'nachman', 'nahman', 'נחמן',
-        'torah', 'תורה', 'enseignement', 'teaching',
-        'story', 'histoire', 'conte', 'maasiyot'
-    ];
-    
-    const textLower = text.toLowerCase();
-    const found = [];
-    
-    for (const term of importantTerms) {
-        if (textLower.includes(term)) {
-            found.push(term);
+// Résumés extractifs ; le résumé d'un livre classe la meilleure phrase de chacune de ses sections
+const summarizer = new TextSummarizer();
+const bookSummarizer = new TextSummarizer({ maxCandidates: 1000 });
+
+// Référence Sefaria canonique d'une section ("Likutei Moharan, Part II 24")
+function sectionReference(section, bookId) {
+    const canonical = SefariaRef.normalize(section.ref);
+    if (canonical) return canonical;
+    if (section.ref) return section.ref; // Nœud du schéma ("Chayei Moharan, Introduction")
+    return section.number ? SefariaRef.segment(bookId, section.number) : SefariaRef.format(bookId);
+}
+
+// Fin de phrase latine ou hébraïque (même découpage que les résumés)
+const SENTENCE_BREAK = TextSummarizer.SENTENCE_BREAK;
+
+// Référence d'un intervalle de segments ("Likutei Moharan 1:3-5")
+function rangeReference(first, last) {
+    if (first === last) return first;
+    return SefariaRef.range(first, last) || `${first}-${String(last).split(/[.:]/).pop()}`;
+}
+
+// Segments Sefaria d'une section dans l'ordre, traduction et hébreu alignés : [{ ref, text, hebrew }]
+// (segments vides ignorés sans décaler la numérotation)
+function sectionSegments(section, reference) {
+    const segments = [];
+    const clean = value => (value || '').toString().replace(/\s+/g, ' ').trim();
+    
+    const walk = (text, hebrew, address) => {
+        if (Array.isArray(text) || Array.isArray(hebrew)) {
+            const translations = Array.isArray(text) ? text : [];
+            const originals = Array.isArray(hebrew) ? hebrew : [];
+            for (let i = 0; i < Math.max(translations.length, originals.length); i++) {
+                walk(translations[i], originals[i], [...address, i + 1]);
+            }
+            return;
         }
-    }
+        const translation = clean(text);
+        const original = clean(hebrew);
+        if (!translation && !original) return;
+        segments.push({
+            ref: address.length > 0 ? SefariaRef.segment(reference, ...address) : reference,
+            text: translation || original,
+            hebrew: original
+        });
+    };
     
-    // Ajouter aussi les années (pour les dates historiques)
-    const yearMatches = textLower.match(/\b(17\d{2}|18\d{2})\b/g);
-    if (yearMatches) {
-        found.push(...yearMatches);
-    }
+    walk(section.text, section.hebrewText, []);
+    return segments;
+}
+
+// Morceaux d'au plus maxTokens tokens, faits de phrases entières ;
+// une phrase trop longue est coupée au dernier espace qui tient
+function splitSentences(text, maxTokens) {
+    const pieces = [];
+    let current = '';
     
-    // Chercher les noms de villes
-    const cities = ['lemberg', 'lviv', 'lwów', 'istanbul', 'breslov', 'uman', 'medzhybizh', 'jerusalem'];
-    for (const city of cities) {
-        if (textLower.includes(city)) {
-            found.push(city);
+    for (let sentence of text.split(SENTENCE_BREAK).filter(Boolean)) {
+        while (estimateTokens(sentence) > maxTokens) {
+            const head = tokenCounter.truncate(sentence, maxTokens);
+            const cut = head.lastIndexOf(' ') > 0 ? head.lastIndexOf(' ') : Math.max(1, head.length);
+            if (current) pieces.push(current);
+            pieces.push(sentence.substring(0, cut).trim());
+            current = '';
+            sentence = sentence.substring(cut).trim();
+        }
+        const joined = current ? `${current} ${sentence}` : sentence;
+        if (current && estimateTokens(joined) > maxTokens) {
+            pieces.push(current);
+            current = sentence;
+        } else {
+            current = joined;
         }
     }
+    if (current) pieces.push(current);
     
-    return [...new Set(found)]; // Enlever les doublons
+    return pieces;
 }
 
-// Créer un résumé du texte
-function generateSummary(text, maxLength = 200) {
-    if (!text) return '';
+// Unités d'un segment : le segment entier s'il tient dans maxTokens, sinon des parties coupées
+// entre deux phrases ; l'hébreu et la traduction sont répartis proportionnellement sur les parties
+function segmentUnits(segment, maxTokens) {
+    const hebrew = segment.hebrew !== segment.text ? segment.hebrew : '';
+    const textTokens = estimateTokens(segment.text);
+    const hebrewTokens = estimateTokens(hebrew);
+    
+    if (textTokens + hebrewTokens <= maxTokens) {
+        return [{ ...segment, tokens: textTokens + hebrewTokens }];
+    }
     
-    const cleaned = text.replace(/\s+/g, ' ').trim();
-    if (cleaned.length <= maxLength) return cleaned;
+    // Budget de chaque langue au prorata de sa taille
+    const textBudget = Math.max(1, Math.floor(maxTokens * textTokens / (textTokens + hebrewTokens)));
+    const textPieces = splitSentences(segment.text, textBudget);
+    const hebrewPieces = hebrew ? splitSentences(hebrew, Math.max(1, maxTokens - textBudget)) : [];
     
-    return cleaned.substring(0, maxLength) + '...';
+    // La langue la plus découpée fixe le nombre de parties, l'autre s'y répartit
+    const parts = Math.max(textPieces.length, hebrewPieces.length);
+    const spread = pieces => {
+        const slots = new Array(parts).fill('');
+        pieces.forEach((piece, i) => { slots[Math.floor(i * parts / pieces.length)] = piece; });
+        return slots;
+    };
+    const texts = spread(textPieces);
+    const hebrews = hebrewPieces.length > 0 ? spread(hebrewPieces) : new Array(parts).fill('');
+    
+    return texts.map((text, i) => ({
+        ref: segment.ref,
+        text: text || hebrews[i],
+        hebrew: hebrews[i],
+        tokens: estimateTokens(text) + estimateTokens(hebrews[i]),
+        part: i + 1,
+        parts
+    }));
 }
 
-// Diviser une section en chunks
-function createChunks(section, bookId, sectionId) {
-    const chunks = [];
-    const text = section.text || section.hebrewText || '';
-    const textStr = Array.isArray(text) ? text.join(' ') : text.toString();
+// Diviser une section en chunks de segments entiers (au plus MAX_CHUNK_TOKENS tokens chacun) ;
+// le chunk suivant reprend les derniers segments du précédent, jusqu'à OVERLAP_PERCENT du budget
+function createChunks(section, bookId, sectionId, { maxTokens = CONFIG.MAX_CHUNK_TOKENS, overlapPercent = CONFIG.OVERLAP_PERCENT } = {}) {
+    const reference = sectionReference(section, bookId);
+    const segments = sectionSegments(section, reference);
+    const units = segments.flatMap(segment => segmentUnits(segment, maxTokens));
+    const overlapBudget = maxTokens * overlapPercent;
     
-    if (!textStr) return chunks;
+    const groups = [];
+    let current = [];
+    let size = 0;
+    let overlap = 0;
     
-    const tokens = estimateTokens(textStr);
-    
-    if (tokens <= CONFIG.MAX_CHUNK_TOKENS) {
-        // Pas besoin de diviser
-        chunks.push({
-            id: `${bookId}_${sectionId}_chunk_1`,
-            bookId: bookId,
-            sectionId: sectionId,
-            content: textStr,
-            hebrewText: section.hebrewText,
-            reference: section.ref || `${bookId}:${sectionId}`,
-            tokens: tokens,
-            keywords: extractKeywords(textStr),
-            position: 1
-        });
-    } else {
-        // Diviser en plusieurs chunks avec overlap
-        const charsPerChunk = Math.floor((CONFIG.MAX_CHUNK_TOKENS * 4) * (1 - CONFIG.OVERLAP_PERCENT));
-        const overlapChars = Math.floor(charsPerChunk * CONFIG.OVERLAP_PERCENT);
-        
-        let pos = 0;
-        let chunkNum = 1;
-        
-        while (pos < textStr.length) {
-            const start = Math.max(0, pos - overlapChars);
-            const end = Math.min(textStr.length, pos + charsPerChunk);
-            const chunkText = textStr.substring(start, end);
-            
-            chunks.push({
-                id: `${bookId}_${sectionId}_chunk_${chunkNum}`,
-                bookId: bookId,
-                sectionId: sectionId,
-                content: chunkText,
-                reference: `${section.ref || bookId + ':' + sectionId} (partie ${chunkNum})`,
-                tokens: estimateTokens(chunkText),
-                keywords: extractKeywords(chunkText),
-                position: chunkNum,
-                overlap: pos > 0
-            });
+    for (const unit of units) {
+        if (current.length > overlap && size + unit.tokens > maxTokens) {
+            groups.push({ units: current, overlap });
             
-            pos += charsPerChunk;
-            chunkNum++;
+            // Reprendre les dernières unités du chunk (jamais le chunk entier)
+            let kept = 0;
+            let keptTokens = 0;
+            while (kept < current.length - 1) {
+                const candidate = current[current.length - 1 - kept];
+                if (keptTokens + candidate.tokens > overlapBudget || keptTokens + candidate.tokens + unit.tokens > maxTokens) break;
+                keptTokens += candidate.tokens;
+                kept++;
+            }
+            current = kept > 0 ? current.slice(-kept) : [];
+            size = keptTokens;
+            overlap = kept;
         }
+        current.push(unit);
+        size += unit.tokens;
     }
+    if (current.length > overlap) groups.push({ units: current, overlap });
     
-    return chunks;
+    return groups.map((group, i) => {
+        const refs = group.units.map(unit => unit.ref);
+        const first = group.units[0];
+        const last = group.units[group.units.length - 1];
+        // Tous les segments de la section : la référence de la section ("Likutei Moharan 1")
+        const whole = groups.length === 1 && !first.part && !last.part;
+        const content = group.units.map(unit => unit.text).join('\n');
+        
+        return {
+            id: `${bookId}_${sectionId}_chunk_${i + 1}`,
+            bookId: bookId,
+            sectionId: sectionId,
+            content: content,
+            hebrewText: group.units.map(unit => unit.hebrew),
+            reference: whole ? reference : rangeReference(refs[0], refs[refs.length - 1]),
+            sectionReference: reference,
+            segments: refs,
+            ...(first.part && { firstPart: `${first.part}/${first.parts}` }),
+            ...(last.part && { lastPart: `${last.part}/${last.parts}` }),
+            tokens: group.units.reduce((sum, unit) => sum + unit.tokens, 0),
+            keywords: KeyphraseExtractor.lexiconTerms(content),
+            position: i + 1,
+            overlap: group.overlap > 0
+        };
+    });
 }
 
-// Construire l'index d'un livre
-function buildBookIndex(bookData, chunks) {
+// Construire l'index d'un livre ; describe(sectionId) : { keywords, summary, hebrewSummary, abstract? }
+function buildBookIndex(bookData, chunks, describe) {
     const bookChunks = chunks.filter(c => c.bookId === bookData.id);
     const sections = {};
     
     for (const chunk of bookChunks) {
         if (!sections[chunk.sectionId]) {
+            const { keywords, ...summaries } = describe(chunk.sectionId);
             sections[chunk.sectionId] = {
                 id: chunk.sectionId,
-                keywords: [],
+                keywords: keywords,
                 chunkIds: [],
-                summary: ''
+                ...summaries
             };
         }
         
         sections[chunk.sectionId].chunkIds.push(chunk.id);
-        sections[chunk.sectionId].keywords.push(...chunk.keywords);
     }
     
-    // Nettoyer et finaliser chaque section
+    // Finaliser chaque section
     for (const sectionId in sections) {
         const section = sections[sectionId];
-        section.keywords = [...new Set(section.keywords)]; // Enlever doublons
         
-        // Générer un résumé basé sur les mots-clés
-        if (section.keywords.length > 0) {
+        // Section sans phrase à résumer : résumé basé sur les mots-clés
+        if (!section.summary && !section.hebrewSummary && section.keywords.length > 0) {
             section.summary = `Section contenant: ${section.keywords.slice(0, 5).join(', ')}`;
         }
     }
@@ -180,27 +268,70 @@ function buildBookIndex(bookData, chunks) {
     };
 }
 
-// Construire le master index
-function buildMasterIndex(bookIndexes) {
+// Construire l'index inversé BM25 (terme -> postings) sur tous les chunks
+function buildInvertedIndex(chunks) {
+    const index = new BM25Index();
+    
+    for (const chunk of chunks) {
+        const hebrew = Array.isArray(chunk.hebrewText) ? chunk.hebrewText.join(' ') : (chunk.hebrewText || '');
+        index.addDocument(chunk.id, `${chunk.content} ${hebrew}`, {
+            bookId: chunk.bookId,
+            sectionId: chunk.sectionId,
+            reference: chunk.reference,
+            sectionReference: chunk.sectionReference
+        });
+    }
+    
+    return index;
+}
+
+// Construire l'index vectoriel (embeddings des chunks, EMBEDDING_PROVIDER : local par défaut, sans clé)
+// Les vecteurs de l'index précédent sont repris pour les chunks qui n'ont pas été recréés, s'ils
+// viennent du même modèle ; seuls les autres sont encodés
+async function buildVectorIndex(chunks, previous = null, created = new Set()) {
+    const embeddings = new EmbeddingClient();
+    const reusable = previous && previous.matches(embeddings.describe())
+        ? new Map(previous.ids.map((id, i) => [id, previous.vectors[i]]))
+        : new Map();
+    
+    const missing = chunks.filter(chunk => created.has(chunk.id) || !reusable.has(chunk.id));
+    const texts = missing.map(chunk => {
+        const hebrew = Array.isArray(chunk.hebrewText) ? chunk.hebrewText.join(' ') : (chunk.hebrewText || '');
+        return `${chunk.reference}\n${chunk.content} ${hebrew}`;
+    });
+    const vectors = texts.length > 0 ? await embeddings.embed(texts) : [];
+    const computed = new Map(missing.map((chunk, i) => [chunk.id, vectors[i]]));
+    
+    const index = new VectorIndex(embeddings.describe());
+    chunks.forEach(chunk => index.add(chunk.id, computed.get(chunk.id) || reusable.get(chunk.id), {
+        bookId: chunk.bookId,
+        sectionId: chunk.sectionId,
+        reference: chunk.reference
+    }));
+    
+    console.log(`🧭 ${missing.length} chunks encodés, ${chunks.length - missing.length} vecteurs repris`);
+    return index;
+}
+
+// Construire le master index ; describe(bookId) : mots-clés TF-IDF du livre (livres comme documents)
+// et résumés { keywords, summary, hebrewSummary, abstract? }
+function buildMasterIndex(bookIndexes, describe) {
     const books = {};
     
     for (const bookIndex of bookIndexes) {
-        // Collecter tous les mots-clés du livre
-        const allKeywords = [];
-        for (const section of bookIndex.sections) {
-            allKeywords.push(...section.keywords);
-        }
-        
+        const { keywords, summary, ...summaries } = describe(bookIndex.bookId);
         books[bookIndex.bookId] = {
             id: bookIndex.bookId,
             title: bookIndex.title,
             hebrewTitle: bookIndex.hebrewTitle,
             type: bookIndex.type,
-            keywords: [...new Set(allKeywords)].slice(0, 50), // Top 50 mots-clés
+            keywords: keywords,
             totalSections: bookIndex.sections.length,
             totalChunks: bookIndex.totalChunks,
             totalTokens: bookIndex.totalTokens,
-            summary: generateBookSummary(bookIndex)
+            description: generateBookSummary(bookIndex),
+            summary: summary || generateBookSummary(bookIndex),
+            ...summaries
         };
     }
     
@@ -214,7 +345,7 @@ function buildMasterIndex(bookIndexes) {
     };
 }
 
-// Générer un résumé pour un livre
+// Description d'un livre selon son type
 function generateBookSummary(bookIndex) {
     const summaries = {
         'teachings': 'Enseignements principaux de Rabbi Nachman',
@@ -232,20 +363,241 @@ function generateBookSummary(bookIndex) {
     return summaries[bookIndex.type] || 'Textes de Rabbi Nachman de Breslov';
 }
 
-// Fonction principale
-async function main() {
+// Empreinte SHA-256 d'une valeur sérialisée
+function hashJson(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+// Empreinte d'une section : sa référence et ses textes décident seuls de ses chunks
+function hashSection(section) {
+    return hashJson([section.ref || null, section.text || null, section.hebrewText || null]);
+}
+
+// Paramètres du découpage (et du lexique des chunks) : en changer oblige à tout redécouper
+function chunkingSettings() {
+    return {
+        maxChunkTokens: CONFIG.MAX_CHUNK_TOKENS,
+        overlapPercent: CONFIG.OVERLAP_PERCENT,
+        tokenizer: tokenCounter.name,
+        lexicon: hashJson(KeyphraseExtractor.LEXICON), // Mots-clés des chunks
+        hebrewPrefixes: 'vocabulary' // Préfixes retirés seulement vers un mot connu
+    };
+}
+
+// Écriture atomique (fichier temporaire puis renommage) : un moteur de recherche en cours
+// d'exécution ne lit jamais un index à moitié écrit
+async function writeFileAtomic(file, content) {
+    const tmpFile = `${file}.tmp`;
+    await fs.writeFile(tmpFile, content);
+    await fs.rename(tmpFile, file);
+}
+
+// Fichier JSON, null s'il est absent ou illisible
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Chunks déjà écrits, null s'il en manque un
+async function loadChunks(dataDir, chunkIds) {
+    const chunks = [];
+    for (const chunkId of chunkIds) {
+        const chunk = await readJson(path.join(dataDir, 'chunks', `${chunkId}.json`));
+        if (!chunk) return null;
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+// Supprime d'un répertoire les fichiers .json qui ne sont plus référencés et les fichiers
+// temporaires d'une construction interrompue
+async function removeStaleFiles(dir, liveNames) {
+    let removed = 0;
+    for (const file of await fs.readdir(dir)) {
+        if (file.endsWith('.tmp') || (file.endsWith('.json') && !liveNames.has(file))) {
+            await fs.rm(path.join(dir, file), { force: true });
+            removed++;
+        }
+    }
+    return removed;
+}
+
+// Créer les chunks des sections modifiées d'un livre, reprendre ceux des autres (et leurs résumés
+// abstractifs) ; les chunks créés sont ajoutés à createdChunks
+async function chunkBook(bookData, { dataDir, file, hash, sectionHashes, known, createdChunks }) {
+    console.log(`\n📖 Traitement de ${bookData.title}`);
+    console.log(`   Sections: ${bookData.sections.length}`);
+    
+    const entry = { file, hash, sections: {} };
+    const bookChunks = [];
+    let rebuiltSections = 0;
+    
+    for (const [i, section] of bookData.sections.entries()) {
+        const sectionId = section.id || section.number;
+        const before = known && known.sections[sectionId];
+        const unchanged = before && before.hash === sectionHashes[i];
+        let chunks = unchanged ? await loadChunks(dataDir, before.chunkIds) : null;
+        
+        if (!chunks) {
+            chunks = createChunks(section, bookData.id, sectionId);
+            for (const chunk of chunks) {
+                const chunkFile = path.join(dataDir, 'chunks', `${chunk.id}.json`);
+                await writeFileAtomic(chunkFile, JSON.stringify(chunk, null, 2));
+                createdChunks.add(chunk.id);
+            }
+            rebuiltSections++;
+        }
+        
+        entry.sections[sectionId] = {
+            hash: sectionHashes[i],
+            chunkIds: chunks.map(chunk => chunk.id),
+            ...(unchanged && before.abstract && { abstract: before.abstract })
+        };
+        bookChunks.push(...chunks);
+    }
+    
+    console.log(`   ✅ ${bookChunks.length} chunks (${rebuiltSections}/${bookData.sections.length} sections redécoupées)`);
+    return { entry, chunks: bookChunks };
+}
+
+// Résumés extractifs des sections et du livre, traduction et hébreu classés séparément ;
+// excerpt : extraits plus longs, matière de la passe abstractive
+function summarizeBook(sections) {
+    const result = { sections: {} };
+    const best = { text: [], hebrew: [] };
+    
+    for (const { id, reference, segments } of sections) {
+        const ranked = {
+            text: summarizer.rank(segments.filter(s => s.text !== s.hebrew).map(s => s.text).join(' ')),
+            hebrew: summarizer.rank(segments.map(s => s.hebrew).join(' '))
+        };
+        result.sections[id] = {
+            reference,
+            summary: summarizer.select(ranked.text),
+            hebrewSummary: summarizer.select(ranked.hebrew),
+            excerpt: {
+                text: summarizer.select(ranked.text, CONFIG.ABSTRACT_EXCERPT),
+                hebrewText: summarizer.select(ranked.hebrew, CONFIG.ABSTRACT_EXCERPT)
+            }
+        };
+        if (ranked.text[0]?.score > 0) best.text.push(ranked.text[0].text);
+        if (ranked.hebrew[0]?.score > 0) best.hebrew.push(ranked.hebrew[0].text);
+    }
+    
+    const ranked = { text: bookSummarizer.rank(best.text), hebrew: bookSummarizer.rank(best.hebrew) };
+    result.summary = bookSummarizer.select(ranked.text);
+    result.hebrewSummary = bookSummarizer.select(ranked.hebrew);
+    result.excerpt = {
+        text: bookSummarizer.select(ranked.text, CONFIG.ABSTRACT_EXCERPT),
+        hebrewText: bookSummarizer.select(ranked.hebrew, CONFIG.ABSTRACT_EXCERPT)
+    };
+    return result;
+}
+
+// Client LLM de la passe abstractive, null sans fournisseur configuré (mock exclu) ou avec --no-llm
+function abstractClient(options) {
+    if (options.noLlm) return null;
+    try {
+        const llm = new LLMClient();
+        return llm.isConfigured() && llm.provider !== 'mock' ? llm : null;
+    } catch (error) {
+        console.warn(`⚠️  Client LLM non créé (${error.message}), résumés extractifs seulement`);
+        return null;
+    }
+}
+
+// Passe abstractive : résumés LLM des sections et du livre qui n'en ont pas pour ce modèle,
+// rangés dans l'entrée du manifeste ; renvoie le nombre de résumés générés
+async function abstractBook(llm, title, entry, summaries) {
+    const model = `${llm.provider}/${llm.model}`;
+    let generated = 0;
+    
+    for (const [sectionId, section] of Object.entries(summaries.sections)) {
+        const target = entry.sections[sectionId];
+        if (!target || target.abstract?.model === model || (!section.excerpt.text && !section.excerpt.hebrewText)) continue;
+        const text = await TextSummarizer.abstract(llm, { reference: section.reference, ...section.excerpt });
+        if (text) {
+            target.abstract = { model, text };
+            generated++;
+        }
+    }
+    
+    if (entry.abstract?.model !== model) {
+        const text = await TextSummarizer.abstract(llm, { reference: title, ...summaries.excerpt });
+        if (text) {
+            entry.abstract = { model, text };
+            generated++;
+        }
+    }
+    
+    return generated;
+}
+
+// Options de la ligne de commande
+function parseArgs(argv) {
+    const options = { dataDir: CONFIG.DATA_DIR, full: false, noLlm: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--full') {
+            options.full = true;
+        } else if (arg === '--no-llm') {
+            options.noLlm = true;
+        } else if (arg === '--data' || arg.startsWith('--data=')) {
+            options.dataDir = path.resolve(arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[++i]);
+        }
+    }
+
+    return options;
+}
+
+// Fonction principale ; renvoie les chunks créés et repris et le nombre de fichiers supprimés
+async function main(argv = process.argv.slice(2)) {
+    const options = parseArgs(argv);
+    const dataDir = options.dataDir;
+    
     console.log('🏗️  CONSTRUCTION DES INDEX 3 COUCHES');
     console.log('=====================================');
     
     // Lire tous les fichiers extraits
-    const rawDir = path.join(CONFIG.DATA_DIR, 'raw');
+    const rawDir = path.join(dataDir, 'raw');
     const files = await fs.readdir(rawDir);
     const jsonFiles = files.filter(f => f.endsWith('.json') && f !== 'extraction-report.json');
     
     console.log(`📚 ${jsonFiles.length} livres à traiter`);
     
+    await fs.mkdir(path.join(dataDir, 'chunks'), { recursive: true });
+    await fs.mkdir(path.join(dataDir, 'indexes'), { recursive: true });
+    
+    // Manifeste de la construction précédente, ignoré avec --full ou si le découpage a changé
+    const manifestFile = path.join(dataDir, CONFIG.MANIFEST_FILE);
+    const settings = chunkingSettings();
+    const previous = options.full ? null : await readJson(manifestFile);
+    const incremental = Boolean(previous) && JSON.stringify(previous.settings) === JSON.stringify(settings);
+    const previousBooks = incremental ? previous.books || {} : {};
+    if (incremental) {
+        console.log('♻️  Construction incrémentale (manifeste précédent trouvé)');
+    } else if (previous) {
+        console.log('⚙️  Paramètres de découpage modifiés : reconstruction complète');
+    }
+    
+    const manifest = { version: 1, settings, updatedAt: new Date().toISOString(), books: {} };
     const allChunks = [];
-    const bookIndexes = [];
+    const books = []; // { meta, chunks, summaries, entry } : index des livres construits après le calcul de l'IDF
+    const createdChunks = new Set(); // Chunks (re)créés : à ré-encoder
+    
+    // Mots-clés : les sections, puis les livres, sont les documents du TF-IDF
+    const sectionKeyphrases = new KeyphraseExtractor();
+    const bookKeyphrases = new KeyphraseExtractor();
+    
+    // Passe abstractive des résumés, abandonnée au premier échec du fournisseur
+    let llm = abstractClient(options);
+    if (llm) {
+        console.log(`📝 Résumés abstractifs : ${llm.provider}/${llm.model}`);
+    }
     
     // Traiter chaque livre
     for (const file of jsonFiles) {
@@ -256,46 +608,127 @@ async function main() {
             continue;
         }
         
-        console.log(`\n📖 Traitement de ${bookData.title}`);
-        console.log(`   Sections: ${bookData.sections.length}`);
+        // Comptage des mots et expressions et résumés extractifs de chaque section, même pour un livre inchangé
+        const sectionTexts = bookData.sections.map(section => {
+            const reference = sectionReference(section, bookData.id);
+            return { id: section.id || section.number, reference, segments: sectionSegments(section, reference) };
+        });
+        const sectionCounts = sectionTexts.map(({ id, segments }) => sectionKeyphrases.addDocument(
+            `${bookData.id}/${id}`,
+            segments.map(segment => `${segment.text}\n${segment.hebrew}`).join('\n')
+        ));
+        bookKeyphrases.addDocument(bookData.id, KeyphraseExtractor.merge(sectionCounts));
+        const summaries = summarizeBook(sectionTexts);
         
-        // Créer les chunks pour ce livre
-        const bookChunks = [];
-        for (const section of bookData.sections) {
-            const chunks = createChunks(section, bookData.id, section.id || section.number);
-            bookChunks.push(...chunks);
-        }
+        const meta = { id: bookData.id, title: bookData.title, hebrewTitle: bookData.hebrewTitle, type: bookData.type };
+        const sectionHashes = bookData.sections.map(hashSection);
+        const hash = hashJson([bookData.id, bookData.title, bookData.hebrewTitle, bookData.type, sectionHashes]);
+        const known = previousBooks[bookData.id];
         
-        console.log(`   ✅ ${bookChunks.length} chunks créés`);
+        // Livre inchangé : chunks (et résumés abstractifs) repris tels quels
+        let entry = null;
+        let bookChunks = known && known.hash === hash
+            ? await loadChunks(dataDir, Object.values(known.sections).flatMap(section => section.chunkIds))
+            : null;
+        if (bookChunks) {
+            console.log(`\n♻️  ${bookData.title} inchangé (${bookChunks.length} chunks repris)`);
+            entry = known;
+        } else {
+            ({ entry, chunks: bookChunks } = await chunkBook(bookData, { dataDir, file, hash, sectionHashes, known, createdChunks }));
+        }
         
-        // Sauvegarder les chunks
-        for (const chunk of bookChunks) {
-            const chunkFile = path.join(CONFIG.DATA_DIR, 'chunks', `${chunk.id}.json`);
-            await fs.writeFile(chunkFile, JSON.stringify(chunk, null, 2));
-            allChunks.push(chunk);
+        if (llm) {
+            try {
+                const generated = await abstractBook(llm, bookData.title, entry, summaries);
+                if (generated > 0) console.log(`   📝 ${generated} résumés abstractifs`);
+            } catch (error) {
+                console.warn(`⚠️  Passe abstractive interrompue (${error.message}), résumés extractifs seulement`);
+                llm = null;
+            }
         }
         
-        // Créer l'index du livre
-        const bookIndex = buildBookIndex(bookData, bookChunks);
+        manifest.books[bookData.id] = entry;
+        books.push({ meta, chunks: bookChunks, summaries, entry });
+        allChunks.push(...bookChunks);
+    }
+    
+    // Créer les index des livres avec les mots-clés du corpus entier ; un index identique n'est pas réécrit
+    const bookIndexes = [];
+    let writtenIndexes = 0;
+    for (const { meta, chunks, summaries, entry } of books) {
+        const bookIndex = buildBookIndex(meta, chunks, sectionId => {
+            const { summary = '', hebrewSummary = '' } = summaries.sections[sectionId] || {};
+            const abstract = entry.sections[sectionId]?.abstract?.text;
+            return {
+                keywords: sectionKeyphrases.extract(`${meta.id}/${sectionId}`, CONFIG.SECTION_KEYWORDS).map(k => k.phrase),
+                summary,
+                hebrewSummary,
+                ...(abstract && { abstract })
+            };
+        });
         bookIndexes.push(bookIndex);
         
-        // Sauvegarder l'index du livre
-        const indexFile = path.join(CONFIG.DATA_DIR, 'indexes', `${bookData.id}.json`);
-        await fs.writeFile(indexFile, JSON.stringify(bookIndex, null, 2));
-        console.log(`   💾 Index sauvegardé: ${indexFile}`);
+        const indexFile = path.join(dataDir, 'indexes', `${meta.id}.json`);
+        const content = JSON.stringify(bookIndex, null, 2);
+        const existing = await fs.readFile(indexFile, 'utf8').catch(() => null);
+        if (content !== existing) {
+            await writeFileAtomic(indexFile, content);
+            writtenIndexes++;
+        }
+    }
+    console.log(`\n💾 ${writtenIndexes}/${bookIndexes.length} index de livres sauvegardés (${sectionKeyphrases.documentFrequency.size.toLocaleString()} termes candidats)`);
+    
+    // Ramasse-miettes : chunks et index de livres qui ne sont plus produits
+    const removed =
+        await removeStaleFiles(path.join(dataDir, 'chunks'), new Set(allChunks.map(chunk => `${chunk.id}.json`))) +
+        await removeStaleFiles(path.join(dataDir, 'indexes'), new Set(bookIndexes.map(index => `${index.bookId}.json`)));
+    if (removed > 0) {
+        console.log(`\n🧹 ${removed} fichiers obsolètes supprimés`);
     }
     
     // Créer et sauvegarder le master index
-    const masterIndex = buildMasterIndex(bookIndexes);
-    const masterFile = path.join(CONFIG.DATA_DIR, 'master-index.json');
-    await fs.writeFile(masterFile, JSON.stringify(masterIndex, null, 2));
+    const bookSummaries = new Map(books.map(({ meta, summaries, entry }) => [meta.id, { ...summaries, abstract: entry.abstract?.text }]));
+    const masterIndex = buildMasterIndex(bookIndexes, bookId => {
+        const { summary, hebrewSummary, abstract } = bookSummaries.get(bookId);
+        return {
+            keywords: bookKeyphrases.extract(bookId, CONFIG.BOOK_KEYWORDS).map(k => k.phrase),
+            summary,
+            hebrewSummary,
+            ...(abstract && { abstract })
+        };
+    });
+    const masterFile = path.join(dataDir, 'master-index.json');
+    await writeFileAtomic(masterFile, JSON.stringify(masterIndex, null, 2));
+    
+    // Créer et sauvegarder l'index inversé (à côté du master index)
+    const invertedIndex = buildInvertedIndex(allChunks);
+    const invertedFile = path.join(dataDir, 'inverted-index.json');
+    await writeFileAtomic(invertedFile, JSON.stringify(invertedIndex));
+    
+    // Embeddings précalculés pour la recherche sémantique (optionnels)
+    const vectorFile = path.join(dataDir, 'vector-index.json');
+    let vectorIndex = null;
+    try {
+        const previousVectors = await readJson(vectorFile);
+        vectorIndex = await buildVectorIndex(allChunks, previousVectors && VectorIndex.fromJSON(previousVectors), createdChunks);
+        await writeFileAtomic(vectorFile, JSON.stringify(vectorIndex));
+    } catch (error) {
+        console.warn(`⚠️  Index vectoriel non construit (${error.message}), recherche sémantique désactivée`);
+    }
+    
+    // Le manifeste en dernier : après une interruption, le précédent reste juste
+    await writeFileAtomic(manifestFile, JSON.stringify(manifest, null, 2));
     
     console.log('\n📊 RÉSUMÉ DE LA CONSTRUCTION');
     console.log('============================');
     console.log(`✅ Master index créé: ${masterIndex.totalBooks} livres`);
     console.log(`📚 Book indexes créés: ${bookIndexes.length}`);
-    console.log(`📄 Chunks créés: ${allChunks.length}`);
+    console.log(`📄 Chunks: ${allChunks.length} (${createdChunks.size} créés, ${allChunks.length - createdChunks.size} repris)`);
     console.log(`📏 Tokens totaux: ${allChunks.reduce((sum, c) => sum + c.tokens, 0).toLocaleString()}`);
+    console.log(`🔤 Index inversé: ${Object.keys(invertedIndex.postings).length.toLocaleString()} termes`);
+    if (vectorIndex) {
+        console.log(`🧭 Index vectoriel: ${vectorIndex.size.toLocaleString()} vecteurs (${vectorIndex.provider}/${vectorIndex.model}, ${vectorIndex.dimensions} dimensions)`);
+    }
     
     // Recherche spéciale pour Lemberg
     console.log('\n🔍 RECHERCHE LEMBERG DANS LES CHUNKS');
@@ -333,10 +766,17 @@ async function main() {
     
     console.log('\n✨ Construction des index terminée!');
     console.log(`💾 Master index: ${masterFile}`);
+    console.log(`💾 Index inversé: ${invertedFile}`);
+    
+    return { chunks: allChunks.map(chunk => chunk.id), created: [...createdChunks], removed };
 }
 
+module.exports = { main, createChunks, segmentUnits, splitSentences, removeStaleFiles, chunkingSettings };
+
 // Lancer la construction
-main().catch(error => {
-    console.error('❌ Erreur fatale:', error);
-    process.exit(1);
-});
\ No newline at end of file
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Erreur fatale:', error);
+        process.exit(1);
+    });
+}
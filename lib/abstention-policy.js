@@ -0,0 +1,196 @@
+/**
+ * Politique d'abstention
+ * Quand la recherche ne trouve rien d'assez pertinent, l'API ne génère pas de réponse libre :
+ * elle répond « pas trouvé dans les sources » avec les passages les plus proches
+ * et des reformulations possibles
+ * (portage TypeScript : backend/src/utils/abstentionPolicy.ts)
+ *
+ * Seuil de confiance : ABSTENTION_THRESHOLD (0 à 1, 0.35 par défaut)
+ */
+
+const HebrewNormalizer = require('./hebrew-normalizer');
+const TransliterationMatcher = require('./transliteration');
+
+const DEFAULT_THRESHOLD = 0.35;
+
+// Mode de réponse indiqué dans chaque réponse de l'API
+const MODES = {
+  GROUNDED: 'grounded',             // Réponse du LLM appuyée sur les passages retrouvés
+  EXTRACTIVE: 'extractive',         // Passages retrouvés, assemblés sans LLM
+  KNOWLEDGE_BASE: 'knowledge_base', // Enseignement de la base interne
+  ABSTAINED: 'abstained'            // Rien d'assez pertinent : pas de réponse générée
+};
+
+// Mots sans contenu des questions (français et anglais)
+const STOP_WORDS = new Set([
+  'les', 'des', 'une', 'est', 'que', 'qui', 'quoi', 'quel', 'quelle', 'quels', 'quelles',
+  'comment', 'pourquoi', 'dit', 'dire', 'enseigne', 'enseignement', 'enseignements', 'parle',
+  'selon', 'sur', 'dans', 'pour', 'par', 'avec', 'sans', 'son', 'ses', 'leur', 'nous', 'vous',
+  'mon', 'mes', 'moi', 'elle', 'ils', 'pas', 'plus', 'tout', 'tous', 'faut', 'peut', 'etre',
+  'avoir', 'fait', 'faire', 'cette', 'ces', 'aux', 'entre', 'rabbi', 'rav', 'rebbe', 'reb',
+  'the', 'and', 'what', 'how', 'why', 'does', 'did', 'say', 'says', 'about', 'teach', 'teaches',
+  'according', 'with', 'for', 'from', 'his', 'her', 'this', 'that', 'are', 'was', 'can'
+]);
+
+// Questions fréquentes, proposées pour compléter les reformulations
+const POPULAR_QUESTIONS = [
+  "Que dit Rabbi Nachman sur l'hitbodedout ?",
+  'Que dit Rabbi Nachman sur la joie ?',
+  'Que dit Rabbi Nachman sur la foi simple ?'
+];
+
+const MAX_SUGGESTIONS = 3;
+
+class AbstentionPolicy {
+  /**
+   * @param {Object} options - { threshold: confiance minimale pour répondre,
+   *   maxNearest: passages proches renvoyés (3), transliteration: TransliterationMatcher }
+   */
+  constructor(options = {}) {
+    const fromEnv = parseFloat(typeof process !== 'undefined' ? process.env.ABSTENTION_THRESHOLD : '');
+    this.threshold = options.threshold ?? (Number.isFinite(fromEnv) ? fromEnv : DEFAULT_THRESHOLD);
+    this.maxNearest = options.maxNearest || 3;
+    this.transliteration = options.transliteration || new TransliterationMatcher();
+  }
+
+  /**
+   * Texte comparable : hébreu normalisé, latin sans accents
+   */
+  static fold(text) {
+    return TransliterationMatcher.foldLatin(HebrewNormalizer.normalize(text));
+  }
+
+  /**
+   * Concepts de la requête : entrées du dictionnaire reconnues (avec toutes leurs formes)
+   * puis mots restants ; les personnes (Rabbi Nachman, Rabbi Natan) ne comptent pas
+   * @returns {Array} [{ label, entry, forms }]
+   */
+  concepts(query) {
+    const matches = this.transliteration.match(query);
+    const consumed = new Set(matches.flatMap(m => m.token.split(' ')));
+    const concepts = [];
+
+    for (const id of new Set(matches.map(m => m.id))) {
+      const entry = this.transliteration.entries.find(e => e.id === id);
+      if (!entry || entry.category === 'person') continue;
+
+      const forms = [...entry.hebrew, ...(entry.latin || []), ...(entry.synonyms || [])]
+        .map(AbstentionPolicy.fold)
+        .filter(form => form.length >= 3);
+      concepts.push({ label: id, entry, forms: [...new Set(forms)] });
+    }
+
+    const words = HebrewNormalizer.tokenize(query, { minLength: 3 }).map(TransliterationMatcher.foldLatin);
+    for (const word of new Set(words)) {
+      if (consumed.has(word) || STOP_WORDS.has(word)) continue;
+      concepts.push({ label: word, entry: null, forms: [word] });
+    }
+
+    return concepts;
+  }
+
+  /**
+   * Part des concepts de la requête retrouvés dans les textes (0 à 1)
+   */
+  coverage(query, texts) {
+    const haystack = AbstentionPolicy.fold(texts.filter(Boolean).join('\n'));
+    if (!haystack.trim()) return 0;
+
+    const concepts = this.concepts(query);
+    if (concepts.length === 0) return 1;
+
+    const found = concepts.filter(concept => concept.forms.some(form => haystack.includes(form)));
+    return found.length / concepts.length;
+  }
+
+  /**
+   * Confiance dans les passages retrouvés : couverture de la requête,
+   * moyennée avec le meilleur score de recherche quand il est calibré (0 à 1)
+   * @param {Array} candidates - [{ reference, text, score? }]
+   */
+  assess(query, candidates) {
+    if (candidates.length === 0) {
+      return { confidence: 0, coverage: 0, abstain: true, reason: 'no_results' };
+    }
+
+    const coverage = this.coverage(query, candidates.map(c => c.text));
+    const scores = candidates.map(c => c.score).filter(Number.isFinite);
+    const confidence = scores.length > 0 ? (coverage + Math.max(...scores)) / 2 : coverage;
+    const rounded = Math.round(confidence * 100) / 100;
+
+    return {
+      confidence: rounded,
+      coverage: Math.round(coverage * 100) / 100,
+      abstain: this.shouldAbstain(rounded),
+      reason: 'low_confidence'
+    };
+  }
+
+  /**
+   * Indique si la confiance est trop faible pour répondre
+   */
+  shouldAbstain(confidence) {
+    return !(confidence >= this.threshold);
+  }
+
+  /**
+   * Reformulations proposées : thèmes reconnus avec leur terme hébreu,
+   * passages proches, puis questions fréquentes
+   */
+  suggestions(query, nearest = []) {
+    const suggestions = [];
+
+    for (const { entry } of this.concepts(query)) {
+      if (!entry || !entry.latin) continue;
+      const name = (entry.synonyms || [])[0] || entry.latin[0];
+      suggestions.push(`Que dit Rabbi Nachman sur ${name} (${entry.hebrew[0]}) ?`);
+    }
+
+    for (const passage of nearest) {
+      if (passage.reference) suggestions.push(`Que dit ${passage.reference} ?`);
+    }
+
+    suggestions.push(...POPULAR_QUESTIONS);
+
+    return [...new Set(suggestions)].slice(0, MAX_SUGGESTIONS);
+  }
+
+  /**
+   * Réponse structurée « pas trouvé dans les sources »
+   * @param {Object} params - { query, confidence, candidates: [{ reference, text, score? }],
+   *   reason: 'no_results' | 'low_confidence' | 'unavailable' }
+   */
+  abstain({ query, confidence = 0, candidates = [], reason = 'low_confidence' }) {
+    const nearestPassages = candidates.slice(0, this.maxNearest).map(candidate => ({
+      reference: candidate.reference,
+      text: String(candidate.text || '').substring(0, 200),
+      ...(Number.isFinite(candidate.score) ? { score: Math.round(candidate.score * 100) / 100 } : {})
+    }));
+
+    let text = reason === 'unavailable'
+      ? "Les textes de Rabbi Nachman ne sont pas accessibles pour le moment, et je ne réponds pas sans m'appuyer sur eux."
+      : "Je n'ai pas trouvé de réponse à cette question dans les textes de Rabbi Nachman dont je dispose.";
+    if (nearestPassages.length > 0) {
+      text += ' Voici les passages les plus proches de votre question.';
+    }
+    text += ' Vous pouvez aussi essayer une de ces formulations.';
+
+    return {
+      mode: MODES.ABSTAINED,
+      text,
+      confidence,
+      threshold: this.threshold,
+      reason,
+      nearestPassages,
+      suggestions: this.suggestions(query, nearestPassages)
+    };
+  }
+}
+
+AbstentionPolicy.MODES = MODES;
+AbstentionPolicy.POPULAR_QUESTIONS = POPULAR_QUESTIONS;
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AbstentionPolicy;
+}
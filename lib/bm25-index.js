@@ -0,0 +1,204 @@
+/**
+ * Index inversé avec classement BM25 pour Rabbi Nachman Voice
+ * Construit par index-builder.js (inverted-index.json) et interrogé par search-engine.js
+ */
+
+const HebrewNormalizer = require('./hebrew-normalizer');
+
+class BM25Index {
+  constructor(options = {}) {
+    // Paramètres BM25 classiques
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+
+    // terme -> { chunkId: fréquence du terme }
+    this.postings = {};
+
+    // chunkId -> { length, bookId, sectionId, reference }
+    this.docs = {};
+
+    this.totalDocs = 0;
+    this.totalLength = 0;
+
+    // racine -> termes indexés qui s'y réduisent en retirant des préfixes (construit à la demande)
+    this.prefixedTerms = null;
+  }
+
+  /**
+   * Découpe un texte en termes indexables (même découpage à l'indexation et à la requête)
+   * Hébreu normalisé : sans niqqud, lettres finales repliées ; les formes avec préfixes sont
+   * indexées telles quelles et rapprochées à la requête (expand)
+   */
+  static tokenize(text) {
+    return HebrewNormalizer.tokenize(text);
+  }
+
+  /**
+   * Ajoute un document (chunk) à l'index
+   */
+  addDocument(id, text, metadata = {}) {
+    const terms = BM25Index.tokenize(text);
+    if (terms.length === 0) return;
+
+    const frequencies = {};
+    for (const term of terms) {
+      frequencies[term] = (frequencies[term] || 0) + 1;
+    }
+
+    for (const [term, tf] of Object.entries(frequencies)) {
+      if (!Object.prototype.hasOwnProperty.call(this.postings, term)) {
+        this.postings[term] = {};
+      }
+      this.postings[term][id] = tf;
+    }
+
+    this.docs[id] = {
+      length: terms.length,
+      ...metadata
+    };
+    this.totalDocs++;
+    this.totalLength += terms.length;
+    this.prefixedTerms = null;
+  }
+
+  /**
+   * Longueur moyenne des documents (en termes)
+   */
+  get avgDocLength() {
+    return this.totalDocs > 0 ? this.totalLength / this.totalDocs : 0;
+  }
+
+  /**
+   * Termes indexés équivalents à un terme de requête : le terme, ses formes sans préfixes qui
+   * sont elles-mêmes indexées (בשמחה → שמחה) et les formes indexées qui s'y réduisent
+   * (התבודדות → וההתבודדות) ; « שמחה » ne rejoint « מחה » que si ce mot figure dans l'index
+   */
+  expand(term) {
+    if (!this.prefixedTerms) {
+      this.prefixedTerms = new Map();
+      for (const indexed of Object.keys(this.postings)) {
+        for (const stem of HebrewNormalizer.prefixVariants(indexed).slice(1)) {
+          if (!this.prefixedTerms.has(stem)) this.prefixedTerms.set(stem, []);
+          this.prefixedTerms.get(stem).push(indexed);
+        }
+      }
+    }
+
+    const has = form => Object.prototype.hasOwnProperty.call(this.postings, form);
+    const stems = HebrewNormalizer.prefixVariants(term).filter((form, i) => i === 0 || has(form));
+    const forms = new Set();
+    for (const stem of stems) {
+      if (has(stem)) forms.add(stem);
+      for (const prefixed of this.prefixedTerms.get(stem) || []) forms.add(prefixed);
+    }
+    return [...forms];
+  }
+
+  /**
+   * Postings d'un terme de requête, ses formes équivalentes réunies (fréquences additionnées)
+   */
+  termPostings(term) {
+    const forms = this.expand(term);
+    if (forms.length === 1) return this.postings[forms[0]];
+    if (forms.length === 0) return undefined;
+
+    const merged = {};
+    for (const form of forms) {
+      for (const [docId, tf] of Object.entries(this.postings[form])) {
+        merged[docId] = (merged[docId] || 0) + tf;
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Nombre de documents contenant le terme (ou une forme équivalente)
+   */
+  documentFrequency(term) {
+    const postings = this.termPostings(term);
+    return postings ? Object.keys(postings).length : 0;
+  }
+
+  /**
+   * IDF BM25 (variante toujours positive)
+   */
+  idf(term, df = this.documentFrequency(term)) {
+    return Math.log(1 + (this.totalDocs - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Classe les documents pour une liste de termes
+   * Retourne le score total et la contribution de chaque terme
+   */
+  search(terms, options = {}) {
+    const { maxResults = 10 } = options;
+    const queryTerms = [...new Set(terms)];
+    const avgdl = this.avgDocLength || 1;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const postings = this.termPostings(term);
+      if (!postings) continue;
+
+      const idf = this.idf(term, Object.keys(postings).length);
+
+      for (const [docId, tf] of Object.entries(postings)) {
+        const doc = this.docs[docId];
+        const norm = this.k1 * (1 - this.b + this.b * (doc.length / avgdl));
+        const termScore = idf * (tf * (this.k1 + 1)) / (tf + norm);
+
+        if (!scores.has(docId)) {
+          scores.set(docId, { chunkId: docId, score: 0, termScores: {} });
+        }
+        const entry = scores.get(docId);
+        entry.score += termScore;
+        entry.termScores[term] = {
+          score: termScore,
+          tf,
+          idf,
+          docLength: doc.length
+        };
+      }
+    }
+
+    return Array.from(scores.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxResults);
+  }
+
+  /**
+   * Sérialisation pour inverted-index.json
+   */
+  toJSON() {
+    return {
+      version: '1.0',
+      algorithm: 'bm25',
+      k1: this.k1,
+      b: this.b,
+      totalDocs: this.totalDocs,
+      totalLength: this.totalLength,
+      avgDocLength: this.avgDocLength,
+      totalTerms: Object.keys(this.postings).length,
+      docs: this.docs,
+      postings: this.postings
+    };
+  }
+
+  /**
+   * Recharge un index sérialisé
+   */
+  static fromJSON(data) {
+    const index = new BM25Index({ k1: data.k1, b: data.b });
+    index.postings = data.postings || {};
+    index.docs = data.docs || {};
+    index.totalDocs = data.totalDocs || Object.keys(index.docs).length;
+    index.totalLength = data.totalLength ||
+      Object.values(index.docs).reduce((sum, doc) => sum + doc.length, 0);
+    return index;
+  }
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BM25Index;
+}
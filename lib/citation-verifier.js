@@ -0,0 +1,256 @@
+/**
+ * Vérification des citations d'une réponse générée
+ * Les passages du contexte reçoivent un identifiant ([P1], [P2]...) que le modèle cite après chaque affirmation ;
+ * chaque citation entre guillemets est recherchée (approximativement, après normalisation hébraïque)
+ * dans le passage cité, et les affirmations non étayées sont retirées ou signalées
+ * (portage TypeScript : backend/src/utils/citationVerifier.ts)
+ */
+
+const HebrewNormalizer = require('./hebrew-normalizer');
+
+const CITATION_INSTRUCTIONS = `CITATIONS :
+- Chaque passage est identifié par [P1], [P2]...
+- Après chaque affirmation, indique le ou les passages utilisés : [P1] ou [P1, P3]
+- Pour citer un texte, recopie-le mot pour mot entre « » et fais-le suivre de son identifiant
+- N'invente aucune citation : n'utilise que les passages fournis`;
+
+// [P1], [P1, P3], [P1; P2]
+const MARKER = /\s*\[(P\d+(?:\s*[,;]\s*P\d+)*)\]/g;
+
+// « ... », “ ... ” et " ... " (mais pas les guerchayim d'un acronyme hébreu : מוהר"ן)
+const QUOTE = /«\s*([^»]+?)\s*»|“([^”]+)”|(?<![\u05D0-\u05EA])"([^"]+)"/g;
+const GERSHAYIM = /[\u05D0-\u05EA]"[\u05D0-\u05EA]/;
+const OPENING_QUOTES = { '«': '»', '“': '”', '"': '"' };
+
+// Statuts d'une citation, du plus fiable au moins fiable
+const STATUS_ORDER = ['verified', 'cited', 'unsupported', 'retrieved'];
+
+class CitationVerifier {
+  /**
+   * @param {Object} options - { threshold: part des mots de la citation retrouvés (0.8),
+   *   minQuoteTokens: taille minimale d'une citation vérifiée (3), onUnsupported: 'drop' | 'flag' }
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? 0.8;
+    this.minQuoteTokens = options.minQuoteTokens ?? 3;
+    this.onUnsupported = options.onUnsupported || 'drop';
+  }
+
+  /**
+   * Identifiant du passage d'indice i
+   */
+  static label(index) {
+    return `P${index + 1}`;
+  }
+
+  /**
+   * Ajoute les identifiants aux passages et les consignes de citation au contexte RAG
+   */
+  static prepare(context) {
+    return {
+      ...context,
+      passages: context.passages.map((passage, i) => ({ ...passage, id: CitationVerifier.label(i) })),
+      instructions: [context.instructions, CITATION_INSTRUCTIONS].filter(Boolean).join('\n\n')
+    };
+  }
+
+  /**
+   * Termes comparables : hébreu normalisé, latin sans accents
+   */
+  static tokens(text) {
+    return HebrewNormalizer.tokenize(
+      String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, ''),
+      { minLength: 1 }
+    );
+  }
+
+  /**
+   * Part des termes de la citation présents dans la meilleure fenêtre du passage (0 à 1)
+   * « בשמחה » cité retrouve « שמחה » dans le passage, et l'inverse
+   */
+  static matchScore(quote, text) {
+    const quoteTerms = CitationVerifier.tokens(quote);
+    const textTerms = CitationVerifier.tokens(text);
+    const vocabulary = new Set([...quoteTerms, ...textTerms]);
+    const needle = quoteTerms.map(term => HebrewNormalizer.stripPrefixes(term, vocabulary));
+    const haystack = textTerms.map(term => HebrewNormalizer.stripPrefixes(term, vocabulary));
+    if (needle.length === 0 || haystack.length === 0) return 0;
+
+    const wanted = new Map();
+    needle.forEach(term => wanted.set(term, (wanted.get(term) || 0) + 1));
+
+    // Fenêtre glissante un peu plus large que la citation (mots omis ou ajoutés)
+    const size = Math.min(haystack.length, needle.length + 2);
+    const window = new Map();
+    let matched = 0;
+    let best = 0;
+
+    const add = (term, delta) => {
+      const before = window.get(term) || 0;
+      window.set(term, before + delta);
+      const need = wanted.get(term) || 0;
+      matched += Math.min(before + delta, need) - Math.min(before, need);
+    };
+
+    for (let i = 0; i < haystack.length; i++) {
+      add(haystack[i], 1);
+      if (i >= size) add(haystack[i - size], -1);
+      best = Math.max(best, matched);
+    }
+
+    return best / needle.length;
+  }
+
+  /**
+   * Découpe la réponse en affirmations (phrases) avec l'espace qui les suit,
+   * sans couper à l'intérieur d'une citation ; un identifiant placé après le point reste avec sa phrase
+   */
+  static claims(answer) {
+    const text = String(answer || '');
+    const claims = [];
+    const closers = [];
+    let start = 0;
+
+    const push = (sentence, separator) => {
+      const last = claims[claims.length - 1];
+      if (!sentence) {
+        if (last) last.separator += separator;
+      } else if (last && /^(\[P\d+(?:\s*[,;]\s*P\d+)*\]\s*)+[.!?…]?$/.test(sentence)) {
+        last.text += ` ${sentence}`;
+        last.separator = separator;
+      } else {
+        claims.push({ text: sentence, separator });
+      }
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"' && GERSHAYIM.test(text.slice(i - 1, i + 2))) {
+        continue;
+      } else if (char === closers[closers.length - 1]) {
+        closers.pop();
+      } else if (OPENING_QUOTES[char]) {
+        closers.push(OPENING_QUOTES[char]);
+      }
+      if (closers.length > 0 || !/\s/.test(char)) continue;
+
+      let end = i;
+      while (end < text.length && /\s/.test(text[end])) end++;
+      const separator = text.slice(i, end);
+      const sentence = text.slice(start, i).trim();
+
+      if (separator.includes('\n') || /[.!?…]["»”)]*$/.test(sentence)) {
+        push(sentence, separator);
+        start = end;
+      }
+      i = end - 1;
+    }
+    push(text.slice(start).trim(), '');
+
+    return claims;
+  }
+
+  /**
+   * Vérifie une réponse contre les passages ({ id, reference, text, ... }) du contexte
+   * Retourne { text, citations, claims, summary }
+   */
+  verify(answer, passages) {
+    const byId = new Map(passages.map(passage => [passage.id, passage]));
+    const cited = new Map();
+    const claims = [];
+
+    for (const { text: sentence, separator } of CitationVerifier.claims(answer)) {
+      const ids = [...sentence.matchAll(MARKER)].flatMap(m => m[1].split(/\s*[,;]\s*/));
+      const known = [...new Set(ids)].filter(id => byId.has(id));
+      const quotes = [...sentence.matchAll(QUOTE)]
+        .map(m => (m[1] || m[2] || m[3]).trim())
+        .filter(quote => CitationVerifier.tokens(quote).length >= this.minQuoteTokens);
+
+      // Sans identifiant, une citation doit se retrouver dans l'un des passages fournis
+      const candidates = ids.length === 0 ? [...byId.keys()] : known;
+      let status = 'uncited';
+      const checked = quotes.map(quote => {
+        const scores = candidates.map(id => ({ id, score: CitationVerifier.matchScore(quote, byId.get(id).text) }));
+        const best = scores.sort((a, b) => b.score - a.score)[0] || { id: null, score: 0 };
+        return { text: quote, passageId: best.id, score: Math.round(best.score * 100) / 100, found: best.score >= this.threshold };
+      });
+
+      if (ids.length > 0 && known.length === 0) {
+        status = 'unknown_source';
+      } else if (known.length > 0) {
+        status = checked.length === 0 ? 'cited' : checked.every(q => q.found) ? 'verified' : 'unsupported';
+      } else if (checked.some(q => !q.found)) {
+        status = 'unsupported';
+      }
+
+      for (const id of known) {
+        const citation = cited.get(id) || { passageId: id, statuses: [], quotes: [] };
+        const quotesForId = checked.filter(q => q.passageId === id);
+        citation.quotes.push(...quotesForId);
+        citation.statuses.push(quotesForId.some(q => !q.found) ? 'unsupported'
+          : quotesForId.length > 0 ? 'verified'
+            : 'cited');
+        cited.set(id, citation);
+      }
+
+      claims.push({
+        text: sentence,
+        status,
+        passageIds: known,
+        quotes: checked,
+        dropped: this.onUnsupported === 'drop' && (status === 'unsupported' || status === 'unknown_source'),
+        separator
+      });
+    }
+
+    // Texte final : affirmations conservées, identifiants remplacés par les références
+    const text = claims
+      .filter(claim => !claim.dropped)
+      .map(claim => claim.text.replace(MARKER, (match, list) => {
+        const refs = list.split(/\s*[,;]\s*/).filter(id => byId.has(id)).map(id => byId.get(id).reference);
+        return refs.length > 0 ? ` [${[...new Set(refs)].join(', ')}]` : '';
+      }) + claim.separator)
+      .join('')
+      .trim();
+
+    // Une citation par passage utilisé : "unsupported" dès qu'une citation qui lui est attribuée
+    // est introuvable, sinon le statut le plus fiable obtenu ;
+    // si la réponse ne cite rien, les passages retrouvés restent listés comme "retrieved"
+    const used = cited.size > 0
+      ? [...cited.values()]
+      : passages.map(passage => ({ passageId: passage.id, statuses: ['retrieved'], quotes: [] }));
+
+    const citations = used.map(({ passageId, statuses, quotes }) => {
+      const { id, text: passageText, ...passage } = byId.get(passageId);
+      return {
+        ...passage,
+        passageId: id,
+        status: statuses.includes('unsupported') ? 'unsupported' : STATUS_ORDER.find(s => statuses.includes(s)),
+        quotes,
+        excerpt: quotes.find(q => q.found)?.text || String(passageText || '').substring(0, 200)
+      };
+    });
+
+    const count = status => claims.filter(claim => claim.status === status).length;
+    return {
+      text,
+      citations,
+      claims: claims.map(({ separator, ...claim }) => claim),
+      summary: {
+        verified: count('verified'),
+        cited: count('cited'),
+        unsupported: count('unsupported'),
+        unknownSource: count('unknown_source'),
+        uncited: count('uncited'),
+        dropped: claims.filter(claim => claim.dropped).length
+      }
+    };
+  }
+}
+
+CitationVerifier.INSTRUCTIONS = CITATION_INSTRUCTIONS;
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CitationVerifier;
+}
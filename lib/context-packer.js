@@ -0,0 +1,249 @@
+/**
+ * Choix des passages du contexte du LLM par pertinence marginale maximale (MMR)
+ * Chaque passage retenu maximise λ·pertinence − (1 − λ)·similarité aux passages déjà retenus :
+ * les chunks qui se recouvrent, les doublons et les passages d'un même livre laissent la place
+ * à d'autres sources. Les segments voisins d'une même section sont recollés, les budgets de
+ * tokens (total et par livre) respectés, et chaque passage écarté est rapporté avec sa raison.
+ * (portage TypeScript : backend/src/utils/contextPacker.ts)
+ *
+ * Tokens comptés par lib/token-counter.js quand le candidat n'en fournit pas
+ *
+ * Configuration : CONTEXT_MMR_LAMBDA (0.7), CONTEXT_MAX_BOOK_SHARE (0.6 du budget total par livre)
+ */
+
+const HebrewNormalizer = require('./hebrew-normalizer');
+const TransliterationMatcher = require('./transliteration');
+const SefariaRef = require('./sefaria-ref');
+const TokenCounter = require('./token-counter');
+
+const DEFAULT_LAMBDA = 0.7;
+const DEFAULT_MAX_BOOK_SHARE = 0.6;
+
+// Au-delà, un passage est un doublon d'un passage retenu (chevauchement, même texte)
+const DUPLICATE_THRESHOLD = 0.85;
+
+// Similarité minimale entre deux passages d'un même livre, pour varier les sources
+const SAME_BOOK_SIMILARITY = 0.3;
+
+// En dessous, un passage tronqué n'apporte plus assez de contexte
+const MIN_TRUNCATED_TOKENS = 1000;
+
+/**
+ * Fréquences des termes normalisés d'un texte, avec leur norme ; les préfixes hébreux ne sont
+ * retirés que vers un mot présent dans les passages comparés (vocabulary)
+ */
+function termVector(text, vocabulary) {
+  const terms = new Map();
+  for (const term of HebrewNormalizer.tokenize(text, { vocabulary, minLength: 3 })) {
+    const folded = TransliterationMatcher.foldLatin(term);
+    terms.set(folded, (terms.get(folded) || 0) + 1);
+  }
+  const norm = Math.sqrt([...terms.values()].reduce((sum, count) => sum + count * count, 0));
+  return { terms, norm };
+}
+
+function cosine(a, b) {
+  if (a.norm === 0 || b.norm === 0) return 0;
+  const [small, large] = a.terms.size < b.terms.size ? [a.terms, b.terms] : [b.terms, a.terms];
+  let dot = 0;
+  for (const [term, count] of small) {
+    dot += count * (large.get(term) || 0);
+  }
+  return dot / (a.norm * b.norm);
+}
+
+class ContextPacker {
+  /**
+   * @param {Object} options - { maxTokens, maxTokensPerBook, lambda, maxPassages, tokenCounter }
+   *   maxTokensPerBook : CONTEXT_MAX_BOOK_SHARE × maxTokens par défaut
+   */
+  constructor(options = {}) {
+    const env = typeof process !== 'undefined' ? process.env : {};
+    this.maxTokens = options.maxTokens || 100000;
+    this.maxTokensPerBook = options.maxTokensPerBook || null;
+    this.maxBookShare = parseFloat(env.CONTEXT_MAX_BOOK_SHARE) || DEFAULT_MAX_BOOK_SHARE;
+    this.lambda = options.lambda ?? (parseFloat(env.CONTEXT_MMR_LAMBDA) || DEFAULT_LAMBDA);
+    this.maxPassages = options.maxPassages || null;
+    this.tokenCounter = options.tokenCounter || TokenCounter.shared();
+  }
+
+  /**
+   * Recolle deux parties consécutives d'un texte découpé avec chevauchement
+   */
+  static joinOverlapping(text, part) {
+    if (!text) return part;
+
+    const probe = part.substring(0, 20);
+    for (let at = text.indexOf(probe); probe && at > -1; at = text.indexOf(probe, at + 1)) {
+      if (part.startsWith(text.substring(at))) {
+        return text.substring(0, at) + part;
+      }
+    }
+    return `${text} ${part}`;
+  }
+
+  /**
+   * Similarité de deux passages : 1 si leurs références se recouvrent, sinon cosinus des termes,
+   * au moins SAME_BOOK_SIMILARITY dans un même livre
+   */
+  static similarity(a, b) {
+    if (a.reference && b.reference) {
+      const x = SefariaRef.parse(a.reference);
+      const y = SefariaRef.parse(b.reference);
+      if (x && y && x.sections.length > 0 && y.sections.length > 0 && SefariaRef.overlaps(x, y)) return 1;
+    }
+
+    const text = cosine(a.vector, b.vector);
+    return a.book && a.book === b.book ? Math.max(text, SAME_BOOK_SIMILARITY) : text;
+  }
+
+  /**
+   * Recolle les segments consécutifs (position n et n + 1) d'une même section
+   */
+  mergeAdjacent(units) {
+    const merged = [];
+    const sections = new Map();
+
+    for (const unit of units) {
+      const key = unit.section && Number.isFinite(unit.position) ? `${unit.book}|${unit.section}` : null;
+      const previous = key && (sections.get(key) || []).find(other => other.last === unit.position - 1 || other.first === unit.position + 1);
+
+      if (!previous) {
+        const copy = { ...unit, first: unit.position, last: unit.position };
+        merged.push(copy);
+        if (key) sections.set(key, [...(sections.get(key) || []), copy]);
+        continue;
+      }
+
+      // Texte dans l'ordre de lecture ; les tokens du chevauchement ne sont comptés qu'une fois
+      const after = unit.position > previous.last;
+      const text = after ? ContextPacker.joinOverlapping(previous.text, unit.text) : ContextPacker.joinOverlapping(unit.text, previous.text);
+      const added = Math.max(0, text.length - previous.text.length);
+      previous.tokens += Math.round(unit.tokens * Math.min(1, unit.text.length ? added / unit.text.length : 1));
+      previous.text = text;
+      previous.score = Math.max(previous.score, unit.score);
+      previous.ids = after ? [...previous.ids, ...unit.ids] : [...unit.ids, ...previous.ids];
+      previous.id = previous.ids[0];
+      previous.items = after ? [...previous.items, ...unit.items] : [...unit.items, ...previous.items];
+      previous.first = Math.min(previous.first, unit.position);
+      previous.last = Math.max(previous.last, unit.position);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Choisit les passages du contexte
+   * @param {Array} candidates - [{ id, text, tokens, score, book, section, position, reference, item }],
+   *   le plus pertinent en premier (score facultatif : le rang sert de pertinence)
+   * @param {Object} options - { maxTokens, maxTokensPerBook }
+   * @returns {Object} { passages: [{ id, ids, text, tokens, score, relevance, book, reference, truncated, items }],
+   *   dropped: [{ id, reference, book, tokens, reason: duplicate | book_budget | total_budget | max_passages, of }],
+   *   totalTokens, tokensByBook }
+   */
+  pack(candidates, options = {}) {
+    const maxTokens = options.maxTokens || this.maxTokens;
+    const units = this.mergeAdjacent(candidates.map((candidate, index) => ({
+      id: candidate.id,
+      ids: [candidate.id],
+      text: candidate.text || '',
+      tokens: candidate.tokens ?? this.tokenCounter.count(candidate.text),
+      score: candidate.score ?? 1 - index / candidates.length,
+      book: candidate.book || null,
+      section: candidate.section ?? null,
+      position: candidate.position,
+      reference: candidate.reference || null,
+      items: [candidate.item ?? candidate]
+    })));
+
+    const topScore = Math.max(...units.map(unit => unit.score), 0) || 1;
+    const vocabulary = new Set(units.flatMap(unit => HebrewNormalizer.tokenize(unit.text, { minLength: 3 })));
+    for (const unit of units) {
+      unit.relevance = unit.score / topScore;
+      unit.vector = termVector(unit.text, vocabulary);
+    }
+
+    // Un plafond par livre n'a de sens que si plusieurs livres sont en concurrence
+    const books = new Set(units.map(unit => unit.book));
+    const perBook = books.size > 1
+      ? options.maxTokensPerBook || this.maxTokensPerBook || Math.floor(maxTokens * this.maxBookShare)
+      : Infinity;
+
+    const selected = [];
+    const dropped = [];
+    const tokensByBook = {};
+    let totalTokens = 0;
+    const remaining = [...units];
+
+    while (remaining.length > 0) {
+      // Meilleur compromis pertinence / nouveauté par rapport au contexte déjà retenu
+      let best = null;
+      for (const [index, unit] of remaining.entries()) {
+        let similarity = 0;
+        let of = null;
+        for (const chosen of selected) {
+          const value = ContextPacker.similarity(unit, chosen);
+          if (value > similarity) {
+            similarity = value;
+            of = chosen.id;
+          }
+        }
+        const mmr = this.lambda * unit.relevance - (1 - this.lambda) * similarity;
+        if (!best || mmr > best.mmr) best = { index, unit, mmr, similarity, of };
+      }
+
+      const { unit, similarity, of } = best;
+      remaining.splice(best.index, 1);
+      const drop = (reason, extra = {}) => dropped.push({
+        id: unit.id,
+        reference: unit.reference,
+        book: unit.book,
+        tokens: unit.tokens,
+        reason,
+        ...extra
+      });
+
+      if (similarity >= DUPLICATE_THRESHOLD) {
+        drop('duplicate', { of });
+        continue;
+      }
+      if (this.maxPassages && selected.length >= this.maxPassages) {
+        drop('max_passages');
+        continue;
+      }
+
+      const bookLeft = perBook - (tokensByBook[unit.book] || 0);
+      const totalLeft = maxTokens - totalTokens;
+      const allowed = Math.min(bookLeft, totalLeft);
+
+      if (unit.tokens > allowed) {
+        if (allowed < MIN_TRUNCATED_TOKENS) {
+          drop(bookLeft < totalLeft ? 'book_budget' : 'total_budget');
+          continue;
+        }
+        unit.text = `${this.tokenCounter.truncate(unit.text, allowed)}...`;
+        unit.tokens = allowed;
+        unit.truncated = true;
+      }
+
+      selected.push(unit);
+      totalTokens += unit.tokens;
+      tokensByBook[unit.book] = (tokensByBook[unit.book] || 0) + unit.tokens;
+    }
+
+    return {
+      passages: selected.map(({ vector, first, last, section, position, ...passage }) => ({
+        ...passage,
+        truncated: Boolean(passage.truncated)
+      })),
+      dropped,
+      totalTokens,
+      tokensByBook
+    };
+  }
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContextPacker;
+}
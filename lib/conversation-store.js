@@ -0,0 +1,148 @@
+/**
+ * Historique des conversations par session, pour les questions de suivi
+ * Stockage interchangeable, partagé avec le cache Sefaria (mémoire, fichiers, Redis) :
+ * CONVERSATION_STORE, CONVERSATION_TTL_MINUTES (120), CONVERSATION_MAX_TURNS (10)
+ * Les ajouts à une même session sont sérialisés : file de promesses par session en mémoire et
+ * sur fichiers, liste Redis allongée et tronquée dans une seule transaction (RPUSH + LTRIM)
+ * (équivalent backend : table user_sessions, backend/src/utils/conversationStore.ts)
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const SefariaCache = require('./sefaria-cache');
+
+const MINUTE = 60 * 1000;
+
+// Taille maximale de la réponse conservée dans un tour (contexte de réécriture)
+const MAX_ANSWER_LENGTH = 500;
+
+class ConversationStore {
+  /**
+   * @param {Object} options - { store: 'memory' | 'fs' | 'redis', dir, url, client, ttlMinutes, maxTurns }
+   */
+  constructor(options = {}) {
+    const type = options.store || process.env.CONVERSATION_STORE || 'memory';
+    const storeOptions = {
+      dir: options.dir || process.env.CONVERSATION_DIR || path.join(process.cwd(), 'data', 'sessions'),
+      url: options.url,
+      client: options.client,
+      prefix: 'conversation:',
+      maxEntries: options.maxSessions || 1000
+    };
+
+    if (type === 'fs') {
+      this.store = new SefariaCache.FileStore(storeOptions);
+    } else if (type === 'redis') {
+      this.store = new SefariaCache.RedisStore(storeOptions);
+    } else {
+      this.store = new SefariaCache.MemoryStore(storeOptions);
+    }
+
+    this.ttl = (options.ttlMinutes || parseInt(process.env.CONVERSATION_TTL_MINUTES, 10) || 120) * MINUTE;
+    this.maxTurns = options.maxTurns || parseInt(process.env.CONVERSATION_MAX_TURNS, 10) || 10;
+
+    // Redis : une liste de tours par session ; ailleurs, dernier ajout en cours par session
+    this.redis = type === 'redis' ? this.store.redis : null;
+    this.pending = new Map();
+  }
+
+  /**
+   * Clé de la liste Redis des tours d'une session
+   */
+  turnsKey(sessionId) {
+    return `conversation:turns:${sessionId}`;
+  }
+
+  /**
+   * Nouvel identifiant de session
+   */
+  static createId() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Identifiant de session valide fourni par le client, sinon un nouveau
+   */
+  static resolveId(sessionId) {
+    return typeof sessionId === 'string' && /^[\w-]{8,64}$/.test(sessionId)
+      ? sessionId
+      : ConversationStore.createId();
+  }
+
+  /**
+   * Tours précédents d'une session, du plus ancien au plus récent
+   */
+  async history(sessionId) {
+    if (!sessionId) return [];
+    if (this.redis) {
+      return (await this.redis.lrange(this.turnsKey(sessionId), 0, -1)).map(turn => JSON.parse(turn));
+    }
+
+    const entry = await this.store.get(sessionId);
+    if (!entry || entry.staleUntil < Date.now()) return [];
+    return entry.turns;
+  }
+
+  /**
+   * Ajoute un tour : { query, rewrittenQuery, answer, mode, references }
+   * Retourne les tours de la session après l'ajout
+   */
+  async append(sessionId, turn) {
+    const entry = {
+      query: turn.query,
+      rewrittenQuery: turn.rewrittenQuery || turn.query,
+      answer: String(turn.answer || '').substring(0, MAX_ANSWER_LENGTH),
+      mode: turn.mode,
+      references: turn.references || [],
+      timestamp: new Date().toISOString()
+    };
+
+    if (this.redis) {
+      // La session expire ttl après son dernier tour
+      const key = this.turnsKey(sessionId);
+      const results = await this.redis.multi()
+        .rpush(key, JSON.stringify(entry))
+        .ltrim(key, -this.maxTurns, -1)
+        .pexpire(key, this.ttl)
+        .lrange(key, 0, -1)
+        .exec();
+      const [error, turns] = results[results.length - 1];
+      if (error) throw error;
+      return turns.map(item => JSON.parse(item));
+    }
+
+    // Chaque ajout attend le précédent de la même session, même s'il a échoué
+    const previous = this.pending.get(sessionId) || Promise.resolve();
+    const appended = previous.catch(() => {}).then(async () => {
+      const turns = [...await this.history(sessionId), entry].slice(-this.maxTurns);
+      // staleUntil : fin de la session
+      await this.store.set(sessionId, { turns, staleUntil: Date.now() + this.ttl });
+      return turns;
+    });
+    this.pending.set(sessionId, appended);
+
+    const done = () => {
+      if (this.pending.get(sessionId) === appended) this.pending.delete(sessionId);
+    };
+    appended.then(done, done);
+    return appended;
+  }
+
+  /**
+   * Oublie une session
+   */
+  async clear(sessionId) {
+    if (this.redis) {
+      await this.redis.del(this.turnsKey(sessionId));
+      return;
+    }
+    await this.store.delete(sessionId);
+  }
+}
+
+ConversationStore.MAX_ANSWER_LENGTH = MAX_ANSWER_LENGTH;
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConversationStore;
+}
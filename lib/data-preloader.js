@@ -4,8 +4,17 @@
  * pour un accès rapide et offline
  */
 
+const HebrewNormalizer = require('./hebrew-normalizer');
+const SefariaRef = require('./sefaria-ref');
+
 class DataPreloader {
-  constructor() {
+  /**
+   * @param {Object} options - { sefariaBaseUrl } (défaut : SEFARIA_BASE_URL, sinon https://www.sefaria.org)
+   */
+  constructor(options = {}) {
+    this.sefariaBaseUrl = options.sefariaBaseUrl ||
+      (typeof process !== 'undefined' && process.env && process.env.SEFARIA_BASE_URL) ||
+      'https://www.sefaria.org';
     this.dbName = 'RabbiNachmanVoiceDB';
     this.dbVersion = 2;
     this.db = null;
@@ -208,7 +217,7 @@ class DataPreloader {
    */
   async preloadBookMetadata(bookId) {
     try {
-      const response = await fetch(`https://www.sefaria.org/api/v3/index/${bookId}`);
+      const response = await fetch(`${this.sefariaBaseUrl}/api/v3/index/${bookId}`);
       const data = await response.json();
 
       const transaction = this.db.transaction(['books'], 'readwrite');
@@ -238,8 +247,8 @@ class DataPreloader {
    */
   async preloadChapter(bookId, chapter) {
     try {
-      const ref = `${bookId}.${chapter}`;
-      const response = await fetch(`https://www.sefaria.org/api/texts/${ref}`);
+      const ref = SefariaRef.toUrl(SefariaRef.segment(bookId, chapter));
+      const response = await fetch(`${this.sefariaBaseUrl}/api/texts/${encodeURIComponent(ref)}`);
       const data = await response.json();
 
       if (data.text && data.text.length > 0) {
@@ -306,7 +315,7 @@ class DataPreloader {
                     id: indexId++,
                     word: word.toLowerCase(),
                     bookId: text.bookId,
-                    ref: `${text.ref}.${index + 1}`,
+                    ref: SefariaRef.segment(text.ref, index + 1),
                     snippet: paragraph.substring(0, 200)
                   });
                 });
@@ -334,12 +343,9 @@ class DataPreloader {
       'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had'
     ]);
 
-    // Nettoyer et diviser le texte
-    const words = text
-      .toLowerCase()
-      .replace(/[.,;:!?'"()[\]{}]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 2 && !stopWords.has(word));
+    // Normaliser (hébreu sans niqqud, lettres finales repliées) et diviser le texte
+    const words = HebrewNormalizer.tokenize(text, { minLength: 3 })
+      .filter(word => !stopWords.has(word));
 
     // Retourner les mots uniques
     return [...new Set(words)];
@@ -374,7 +380,7 @@ class DataPreloader {
   async searchOffline(query) {
     if (!this.db) await this.initDB();
 
-    const queryWords = query.toLowerCase().split(/\s+/);
+    const queryWords = HebrewNormalizer.tokenize(query);
     const results = new Map();
 
     const transaction = this.db.transaction(['searchIndex', 'texts'], 'readonly');
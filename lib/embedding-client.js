@@ -0,0 +1,305 @@
+/**
+ * Client d'embeddings indépendant du fournisseur pour Rabbi Nachman Voice
+ * Fournisseurs : local (n-grammes de caractères hachés, CPU seul, sans clé ni réseau),
+ * OpenAI (text-embedding-3-small) et Gemini (text-embedding-004)
+ * Même interface pour tous : embed(textes) -> vecteurs normalisés
+ * (portage TypeScript : backend/src/utils/embeddingClient.ts)
+ *
+ * Configuration : EMBEDDING_PROVIDER (local | openai | gemini), EMBEDDING_MODEL, EMBEDDING_DIMENSIONS,
+ * EMBEDDING_MIN_SCORE (similarité minimale d'un passage retrouvé, propre à chaque modèle)
+ * Clés : OPENAI_API_KEY, GEMINI_API_KEY
+ */
+
+const HebrewNormalizer = require('./hebrew-normalizer');
+const TransliterationMatcher = require('./transliteration');
+const { LLMError } = require('./llm-client');
+
+const PROVIDERS = {
+  local: {
+    model: 'hashed-ngrams-v2',
+    dimensions: 512,
+    minScore: 0.1
+  },
+  openai: {
+    model: 'text-embedding-3-small',
+    baseUrl: 'https://api.openai.com/v1',
+    keyEnv: 'OPENAI_API_KEY',
+    minScore: 0.3
+  },
+  gemini: {
+    model: 'text-embedding-004',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    keyEnv: 'GEMINI_API_KEY',
+    minScore: 0.3
+  }
+};
+
+// Mots outils (français, anglais, hébreu) : ils rapprocheraient des textes sans rapport
+const STOP_WORDS = new Set([
+  'le', 'la', 'les', 'de', 'du', 'des', 'un', 'une', 'et', 'ou', 'en', 'au', 'aux', 'que', 'qui',
+  'ce', 'se', 'sa', 'son', 'ses', 'il', 'ne', 'pas', 'est', 'sur', 'dans', 'pour', 'par', 'avec',
+  'the', 'of', 'and', 'to', 'in', 'is', 'it', 'that', 'for', 'on', 'as', 'be', 'he', 'his', 'this',
+  'את', 'של', 'על', 'זה', 'כי', 'לא', 'הוא', 'גמ', 'אל', 'אשר'
+]);
+
+// Longueurs des n-grammes de caractères (robustes aux variantes : hitbodedout, hisbodedus)
+const NGRAM_SIZES = [3, 4];
+
+/**
+ * Hachage FNV-1a 32 bits
+ */
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Vecteur de norme 1 (inchangé s'il est nul)
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * Requête HTTP JSON ; les erreurs deviennent des LLMError comme pour le client LLM
+ */
+async function postJson(provider, url, headers, body, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw LLMError.fromStatus(provider, response.status, detail.substring(0, 200));
+    }
+    return await response.json();
+  } catch (error) {
+    if (error instanceof LLMError) throw error;
+    const timedOut = error.name === 'AbortError';
+    throw new LLMError(timedOut ? `${provider} timed out after ${timeoutMs}ms` : `${provider} unreachable: ${error.message}`, {
+      code: timedOut ? 'timeout' : 'network',
+      provider,
+      retryable: true,
+      cause: error
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Modèle local : chaque mot et ses n-grammes de caractères sont hachés dans un vecteur
+ * de taille fixe (signe tiré du hachage), fréquences amorties par le logarithme
+ */
+class HashedNgramProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Traits d'un texte : mots normalisés (sans niqqud ni accents) et leurs n-grammes ; un mot hébreu
+   * apporte aussi ses formes sans préfixes (בשמחה → שמחה), le mot lui-même restant un trait
+   */
+  static features(text) {
+    const features = new Map();
+    const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+    for (const word of HebrewNormalizer.tokenize(text).map(TransliterationMatcher.foldLatin)) {
+      if (STOP_WORDS.has(word)) continue;
+      const forms = HebrewNormalizer.prefixVariants(word);
+      for (const form of forms) {
+        add(`w:${form}`, 1 / forms.length);
+
+        const padded = `<${form}>`;
+        const ngrams = [];
+        for (const size of NGRAM_SIZES) {
+          for (let i = 0; i + size <= padded.length; i++) {
+            ngrams.push(padded.substring(i, i + size));
+          }
+        }
+        for (const ngram of ngrams) add(`g:${ngram}`, 1 / (ngrams.length * forms.length));
+      }
+    }
+
+    return features;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.config.dimensions).fill(0);
+
+    for (const [feature, count] of HashedNgramProvider.features(text)) {
+      const h = hash(feature);
+      const sign = h & 0x80000000 ? -1 : 1;
+      vector[h % this.config.dimensions] += sign * (1 + Math.log(1 + count));
+    }
+
+    return normalize(vector);
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+}
+
+/**
+ * API compatibles OpenAI : /embeddings
+ */
+class OpenAIEmbeddingProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async embed(texts) {
+    const data = await postJson(this.config.provider, `${this.config.baseUrl}/embeddings`, {
+      Authorization: `Bearer ${this.config.apiKey}`
+    }, {
+      model: this.config.model,
+      input: texts,
+      ...(this.config.dimensions && { dimensions: this.config.dimensions })
+    }, this.config.timeoutMs);
+
+    return data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => normalize(item.embedding));
+  }
+}
+
+/**
+ * Gemini : batchEmbedContents
+ */
+class GeminiEmbeddingProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async embed(texts) {
+    const model = `models/${this.config.model}`;
+    const data = await postJson(this.config.provider, `${this.config.baseUrl}/${model}:batchEmbedContents?key=${this.config.apiKey}`, {}, {
+      requests: texts.map(text => ({
+        model,
+        content: { parts: [{ text }] },
+        ...(this.config.dimensions && { outputDimensionality: this.config.dimensions })
+      }))
+    }, this.config.timeoutMs);
+
+    return data.embeddings.map(embedding => normalize(embedding.values));
+  }
+}
+
+class EmbeddingClient {
+  /**
+   * @param {Object} options - { provider, model, dimensions, minScore, apiKey, baseUrl, batchSize, timeoutMs }
+   */
+  constructor(options = {}) {
+    const env = typeof process !== 'undefined' ? process.env : {};
+    this.provider = (options.provider || env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+
+    const defaults = PROVIDERS[this.provider];
+    if (!defaults) {
+      throw new LLMError(`Unknown embedding provider "${this.provider}"`, { code: 'config', provider: this.provider });
+    }
+
+    this.config = {
+      ...defaults,
+      provider: this.provider,
+      model: options.model || env.EMBEDDING_MODEL || defaults.model,
+      dimensions: options.dimensions || parseInt(env.EMBEDDING_DIMENSIONS, 10) || defaults.dimensions || null,
+      apiKey: options.apiKey || (defaults.keyEnv && env[defaults.keyEnv]),
+      baseUrl: (options.baseUrl || defaults.baseUrl || '').replace(/\/$/, ''),
+      timeoutMs: options.timeoutMs || 30000
+    };
+
+    this.model = this.config.model;
+    this.minScore = options.minScore ?? (parseFloat(env.EMBEDDING_MIN_SCORE) || defaults.minScore);
+    this.batchSize = options.batchSize || (this.provider === 'local' ? 1000 : 64);
+
+    const Provider = this.provider === 'local' ? HashedNgramProvider
+      : this.provider === 'gemini' ? GeminiEmbeddingProvider
+        : OpenAIEmbeddingProvider;
+    this.adapter = new Provider(this.config);
+  }
+
+  /**
+   * Taille des vecteurs (connue après le premier appel pour un fournisseur distant sans dimensions fixées)
+   */
+  get dimensions() {
+    return this.config.dimensions;
+  }
+
+  /**
+   * Fournisseur, modèle et taille, enregistrés avec les vecteurs précalculés
+   */
+  describe() {
+    return { provider: this.provider, model: this.model, dimensions: this.dimensions };
+  }
+
+  /**
+   * Le modèle local n'a pas besoin de clé
+   */
+  isConfigured() {
+    return this.provider === 'local' || Boolean(this.config.apiKey);
+  }
+
+  /**
+   * Vecteurs normalisés des textes, par lots
+   */
+  async embed(texts) {
+    if (!this.isConfigured()) {
+      throw new LLMError(`No API key for ${this.provider} embeddings (${PROVIDERS[this.provider].keyEnv})`, {
+        code: 'config',
+        provider: this.provider
+      });
+    }
+
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      vectors.push(...await this.adapter.embed(texts.slice(start, start + this.batchSize)));
+    }
+
+    if (!this.config.dimensions && vectors.length > 0) {
+      this.config.dimensions = vectors[0].length;
+    }
+    return vectors;
+  }
+
+  async embedOne(text) {
+    const [vector] = await this.embed([text]);
+    return vector;
+  }
+
+  /**
+   * Similarité cosinus (0 si les tailles diffèrent)
+   */
+  static cosine(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+  }
+}
+
+EmbeddingClient.PROVIDERS = Object.keys(PROVIDERS);
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EmbeddingClient;
+}
@@ -0,0 +1,152 @@
+/**
+ * Métriques d'évaluation sur un jeu de questions de référence (evaluate.js)
+ * Recherche : recall@k et MRR des références attendues parmi les passages retrouvés ;
+ * génération : précision des citations (citations qui pointent vers une référence attendue)
+ * et couverture des faits attendus dans la réponse. Comparaison de deux exécutions.
+ */
+
+const SefariaRef = require('./sefaria-ref');
+const AbstentionPolicy = require('./abstention-policy');
+
+const METRICS = ['recallAtK', 'mrr', 'citationPrecision', 'factCoverage'];
+
+// Écart en dessous duquel une métrique est considérée inchangée
+const EPSILON = 0.005;
+
+const mean = values => {
+  const defined = values.filter(value => value !== null && value !== undefined);
+  return defined.length > 0 ? defined.reduce((sum, value) => sum + value, 0) / defined.length : null;
+};
+
+class EvalMetrics {
+  /**
+   * Vrai si une référence retrouvée correspond à une référence attendue : même livre, passages
+   * qui se recouvrent ("Likutei Moharan 282:2" pour "Likutei Moharan 282") ; un livre entier
+   * ne correspond qu'à une référence attendue au niveau du livre
+   */
+  static refMatches(retrieved, expected) {
+    const x = SefariaRef.parse(retrieved);
+    const y = SefariaRef.parse(expected);
+    if (!x || !y) return String(retrieved || '').trim() === String(expected || '').trim();
+    if (x.sections.length === 0 && y.sections.length > 0) return false;
+    return SefariaRef.overlaps(x, y);
+  }
+
+  /**
+   * Part des références attendues présentes dans les k premiers passages (null sans référence attendue)
+   */
+  static recallAtK(retrieved, expected, k) {
+    if (expected.length === 0) return null;
+    const top = retrieved.slice(0, k);
+    return expected.filter(ref => top.some(candidate => EvalMetrics.refMatches(candidate, ref))).length / expected.length;
+  }
+
+  /**
+   * Inverse du rang du premier passage pertinent (0 s'il n'y en a pas)
+   */
+  static reciprocalRank(retrieved, expected) {
+    if (expected.length === 0) return null;
+    const rank = retrieved.findIndex(candidate => expected.some(ref => EvalMetrics.refMatches(candidate, ref)));
+    return rank < 0 ? 0 : 1 / (rank + 1);
+  }
+
+  /**
+   * Part des citations de la réponse qui pointent vers une référence attendue (null sans citation)
+   */
+  static citationPrecision(citations, expected) {
+    if (citations.length === 0 || expected.length === 0) return null;
+    return citations.filter(ref => expected.some(expectedRef => EvalMetrics.refMatches(ref, expectedRef))).length / citations.length;
+  }
+
+  /**
+   * Faits attendus présents dans la réponse ; un fait est une chaîne ou une liste de formes
+   * équivalentes (["Lemberg", "Lviv"]), comparées sans accents ni niqqud
+   * @returns {Object} { coverage, missing }
+   */
+  static factCoverage(answer, facts) {
+    if (facts.length === 0) return { coverage: null, missing: [] };
+    const text = AbstentionPolicy.fold(String(answer || '')).toLowerCase();
+    const missing = facts.filter(fact => ![].concat(fact)
+      .some(form => text.includes(AbstentionPolicy.fold(String(form)).toLowerCase())));
+    return { coverage: (facts.length - missing.length) / facts.length, missing };
+  }
+
+  /**
+   * Métriques d'une question
+   * @param {Object} item - { expectedRefs, expectedFacts }
+   * @param {Object} outcome - { retrieved: [ref], citations: [ref], answer }
+   */
+  static score(item, outcome, k) {
+    const expectedRefs = item.expectedRefs || [];
+    const facts = EvalMetrics.factCoverage(outcome.answer, item.expectedFacts || []);
+    return {
+      recallAtK: EvalMetrics.recallAtK(outcome.retrieved, expectedRefs, k),
+      mrr: EvalMetrics.reciprocalRank(outcome.retrieved, expectedRefs),
+      citationPrecision: EvalMetrics.citationPrecision(outcome.citations, expectedRefs),
+      factCoverage: facts.coverage,
+      missingRefs: expectedRefs.filter(ref => !outcome.retrieved.slice(0, k).some(candidate => EvalMetrics.refMatches(candidate, ref))),
+      missingFacts: facts.missing
+    };
+  }
+
+  /**
+   * Moyennes sur toutes les questions et par langue (les métriques non définies sont ignorées)
+   * @param {Array} results - [{ language, metrics, error }]
+   */
+  static summarize(results) {
+    const average = list => Object.fromEntries(METRICS.map(name => [name, mean(list.map(r => r.metrics?.[name]))]));
+    const languages = [...new Set(results.map(r => r.language).filter(Boolean))];
+
+    return {
+      questions: results.length,
+      errors: results.filter(r => r.error).length,
+      ...average(results),
+      byLanguage: Object.fromEntries(languages.map(language => [language, average(results.filter(r => r.language === language))]))
+    };
+  }
+
+  /**
+   * Écarts entre deux exécutions, sur les questions communes : métriques moyennes, puis questions
+   * qui régressent ou progressent
+   * @returns {Object} { metrics: { name: { baseline, current, delta } }, regressions, improvements, added, removed }
+   */
+  static compare(current, baseline) {
+    const previous = new Map(baseline.results.map(r => [r.id, r]));
+    const shared = current.results.filter(r => previous.has(r.id));
+
+    const metrics = Object.fromEntries(METRICS.map(name => {
+      const before = mean(shared.map(r => previous.get(r.id).metrics?.[name]));
+      const after = mean(shared.map(r => r.metrics?.[name]));
+      return [name, { baseline: before, current: after, delta: before === null || after === null ? null : after - before }];
+    }));
+
+    const regressions = [];
+    const improvements = [];
+    for (const result of current.results) {
+      const before = previous.get(result.id);
+      if (!before) continue;
+      for (const name of METRICS) {
+        const a = before.metrics?.[name];
+        const b = result.metrics?.[name];
+        if (a === null || a === undefined || b === null || b === undefined || Math.abs(b - a) < EPSILON) continue;
+        (b < a ? regressions : improvements).push({ id: result.id, metric: name, baseline: a, current: b });
+      }
+    }
+
+    const ids = new Set(current.results.map(r => r.id));
+    return {
+      metrics,
+      regressions,
+      improvements,
+      added: current.results.filter(r => !previous.has(r.id)).map(r => r.id),
+      removed: baseline.results.filter(r => !ids.has(r.id)).map(r => r.id)
+    };
+  }
+}
+
+EvalMetrics.METRICS = METRICS;
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EvalMetrics;
+}
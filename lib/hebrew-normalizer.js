@@ -0,0 +1,164 @@
+/**
+ * Normalisation du texte hébreu pour l'indexation et la recherche
+ * Partagée par index-builder.js, search-engine.js et les systèmes RAG de lib/
+ * (portage TypeScript : backend/src/utils/hebrewNormalizer.ts)
+ */
+
+// Voyelles (niqqud), signes de cantillation et points diacritiques
+const HEBREW_MARKS = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]/g;
+
+// Maqaf, paseq et sof pasuq séparent des mots
+const HEBREW_SEPARATORS = /[\u05BE\u05C0\u05C3]/g;
+
+// Gershayim (״, ", “, ”) et geresh (׳, ', ‘, ’) à l'intérieur ou à la fin d'un mot hébreu
+const GERSHAYIM = /([\u05D0-\u05EA])["\u05F4\u201C\u201D]+(?=[\u05D0-\u05EA])/g;
+const GERESH = /([\u05D0-\u05EA])['\u05F3\u2018\u2019]+/g;
+
+// Apostrophe à l'intérieur d'un mot latin translittéré (na'hman, Yissa'har) : retirée avant le
+// découpage ; gardée comme séparateur après une élision française (l'hitbodedout, qu'il)
+// et devant le "s" du génitif anglais (Nachman's)
+const LATIN_APOSTROPHE = /(?<=\p{Script=Latin})(?<!(?<!\p{L})(?:[cdjlmnst]|qu|jusqu|lorsqu|puisqu|quoiqu))['\u2019\u02BC](?=\p{Script=Latin})(?!s(?!\p{L}))/gu;
+
+const FINAL_LETTERS = {
+  'ך': 'כ',
+  'ם': 'מ',
+  'ן': 'נ',
+  'ף': 'פ',
+  'ץ': 'צ'
+};
+
+// Préfixes grammaticaux : ו ה ב כ ל מ ש
+const PREFIX_LETTERS = new Set(['ו', 'ה', 'ב', 'כ', 'ל', 'מ', 'ש']);
+const MAX_PREFIX_LENGTH = 2;
+const MIN_STEM_LENGTH = 3;
+
+class HebrewNormalizer {
+  /**
+   * Normalise un texte (hébreu et latin) sans changer le découpage en mots
+   */
+  static normalize(text, options = {}) {
+    if (!text) return '';
+
+    const { foldFinals = true } = options;
+
+    let normalized = String(text)
+      .normalize('NFD') // Décomposer les formes de présentation (שׁ, בּ...)
+      .replace(HEBREW_MARKS, '')
+      .normalize('NFC')
+      .replace(HEBREW_SEPARATORS, ' ')
+      .replace(GERSHAYIM, '$1')
+      .replace(GERESH, '$1')
+      .toLowerCase();
+
+    if (foldFinals) {
+      normalized = normalized.replace(/[\u05DA\u05DD\u05DF\u05E3\u05E5]/g, letter => FINAL_LETTERS[letter]);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Normalise un texte en gardant, pour chaque caractère normalisé, sa position dans l'original
+   * (offsets[i] ; offsets[text.length] = longueur de l'original) : un passage trouvé dans le
+   * texte normalisé peut ainsi être cité tel qu'écrit, avec niqqud et majuscules
+   */
+  static normalizeWithOffsets(text, options = {}) {
+    const original = String(text || '');
+    const normalized = HebrewNormalizer.normalize(original, options);
+    const offsets = [];
+
+    // Une lettre et ses signes combinants se normalisent ensemble ; un caractère dont la forme
+    // ne se retrouve pas à cet endroit (gershayim retiré) est sauté
+    const units = /\P{M}\p{M}*|\p{M}+/gu;
+    let match;
+    while ((match = units.exec(original)) && offsets.length < normalized.length) {
+      const piece = HebrewNormalizer.normalize(match[0], options);
+      if (piece && normalized.startsWith(piece, offsets.length)) {
+        for (let i = 0; i < piece.length; i++) offsets.push(match.index);
+      }
+    }
+    while (offsets.length < normalized.length) offsets.push(original.length);
+    offsets.push(original.length);
+
+    return { text: normalized, offsets };
+  }
+
+  /**
+   * Découpe un texte normalisé en termes
+   * @param {Object} options - { foldFinals, minLength (2), expandPrefixes: chaque mot hébreu suivi
+   *   de ses formes sans préfixes, vocabulary: préfixes retirés seulement vers un mot connu (stripPrefixes) }
+   */
+  static tokenize(text, options = {}) {
+    const { expandPrefixes = false, vocabulary = null, minLength = 2 } = options;
+
+    const words = HebrewNormalizer.normalize(text, options)
+      .replace(LATIN_APOSTROPHE, '')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ') // Garder lettres (latin et hébreu) et chiffres
+      .split(/\s+/);
+
+    let terms = words;
+    if (expandPrefixes) {
+      terms = words.flatMap(word => HebrewNormalizer.prefixVariants(word));
+    } else if (vocabulary) {
+      terms = words.map(word => HebrewNormalizer.stripPrefixes(word, vocabulary));
+    }
+
+    return terms.filter(term => term.length >= minLength);
+  }
+
+  /**
+   * Formes d'un mot hébreu normalisé : le mot lui-même, puis sans un et deux préfixes
+   * (ו ה ב כ ל מ ש), chaque forme gardant une racine d'au moins trois lettres
+   */
+  static prefixVariants(word) {
+    const variants = [word];
+    let stem = word;
+
+    while (
+      variants.length <= MAX_PREFIX_LENGTH &&
+      stem.length - 1 >= MIN_STEM_LENGTH &&
+      PREFIX_LETTERS.has(stem[0])
+    ) {
+      stem = stem.slice(1);
+      variants.push(stem);
+    }
+
+    return variants;
+  }
+
+  /**
+   * Retire les préfixes d'un mot seulement vers une forme du vocabulaire (mots de l'index, du
+   * dictionnaire ou des textes comparés) : une lettre initiale peut appartenir à la racine
+   * (שמחה, ליקוטי), elle n'est retirée que si le reste est lui-même un mot connu
+   * @param {Set|Map} vocabulary - formes normalisées connues
+   * @returns {string} la forme connue la plus courte, sinon le mot inchangé
+   */
+  static stripPrefixes(word, vocabulary) {
+    const variants = HebrewNormalizer.prefixVariants(word);
+    for (let i = variants.length - 1; i > 0; i--) {
+      if (vocabulary.has(variants[i])) return variants[i];
+    }
+    return word;
+  }
+
+  /**
+   * Indique si le texte contient de l'hébreu
+   */
+  static isHebrew(text) {
+    return /[\u05D0-\u05EA]/.test(text || '');
+  }
+
+  /**
+   * Vérifie si un texte contient un terme après normalisation des deux côtés
+   */
+  static includes(text, term, options = {}) {
+    const needle = HebrewNormalizer.normalize(term, options).trim();
+    if (!needle) return false;
+    return HebrewNormalizer.normalize(text, options).includes(needle);
+  }
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HebrewNormalizer;
+}
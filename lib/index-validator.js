@@ -0,0 +1,320 @@
+/**
+ * Vérification des index de data/ avant un déploiement (validate-indexes.js)
+ * Schéma de chaque fichier JSON (zod), intégrité référentielle entre master index, index des livres,
+ * chunks, index inversé, index vectoriel et manifeste ; sections vides, identifiants de chunks en
+ * double et budgets de tokens dépassés.
+ */
+
+const { z } = require('zod');
+const TokenCounter = require('./token-counter');
+
+// Budgets de index-builder.js ; la taille maximale d'un chunk est lue dans le master index (chunkSize)
+const DEFAULT_BUDGETS = {
+  chunk: 75000,
+  bookIndex: 200000,
+  masterIndex: 100000
+};
+
+const count = z.number().int().nonnegative();
+const sectionId = z.union([z.string().min(1), z.number().int()]);
+
+const SCHEMAS = {
+  master: z.object({
+    version: z.string(),
+    createdAt: z.string(),
+    books: z.array(z.object({
+      id: z.string().min(1),
+      title: z.string(),
+      hebrewTitle: z.string().optional(),
+      type: z.string().optional(),
+      keywords: z.array(z.string()),
+      totalSections: count,
+      totalChunks: count,
+      totalTokens: count,
+      description: z.string().optional(),
+      summary: z.string(),
+      hebrewSummary: z.string().optional(),
+      abstract: z.string().optional()
+    }).passthrough()),
+    totalBooks: count,
+    chunkSize: z.number().int().positive().optional()
+  }).passthrough(),
+
+  bookIndex: z.object({
+    bookId: z.string().min(1),
+    title: z.string(),
+    sections: z.array(z.object({
+      id: sectionId,
+      keywords: z.array(z.string()),
+      chunkIds: z.array(z.string().min(1)),
+      summary: z.string(),
+      hebrewSummary: z.string().optional(),
+      abstract: z.string().optional()
+    }).passthrough()),
+    totalChunks: count,
+    totalTokens: count
+  }).passthrough(),
+
+  chunk: z.object({
+    id: z.string().min(1),
+    bookId: z.string().min(1),
+    sectionId,
+    content: z.string(),
+    hebrewText: z.union([z.string(), z.array(z.unknown())]).nullable().optional(),
+    reference: z.string().min(1),
+    sectionReference: z.string().optional(),
+    segments: z.array(z.string()).optional(),
+    tokens: count,
+    keywords: z.array(z.string()),
+    position: z.number().int().positive(),
+    overlap: z.boolean().optional()
+  }).passthrough(),
+
+  inverted: z.object({
+    algorithm: z.literal('bm25'),
+    totalDocs: count,
+    docs: z.record(z.object({ length: count, bookId: z.string() }).passthrough()),
+    postings: z.record(z.record(z.number().positive()))
+  }).passthrough(),
+
+  vector: z.object({
+    provider: z.string().nullable(),
+    model: z.string().nullable(),
+    dimensions: z.number().int().positive().nullable(),
+    totalDocs: count,
+    ids: z.array(z.string()),
+    docs: z.record(z.object({}).passthrough()),
+    vectors: z.string()
+  }).passthrough(),
+
+  manifest: z.object({
+    version: z.number().int(),
+    settings: z.object({}).passthrough(),
+    books: z.record(z.object({
+      hash: z.string(),
+      sections: z.record(z.object({ hash: z.string(), chunkIds: z.array(z.string()) }))
+    }).passthrough())
+  }).passthrough()
+};
+
+// Exemples affichés par type de problème
+const MAX_EXAMPLES = 10;
+
+class IndexValidator {
+  /**
+   * @param {Object} options - { budgets: { chunk, bookIndex, masterIndex }, tokenCounter }
+   */
+  constructor(options = {}) {
+    this.budgets = { ...DEFAULT_BUDGETS, ...(options.budgets || {}) };
+    this.tokenCounter = options.tokenCounter || TokenCounter.shared();
+  }
+
+  /**
+   * Vérifie un répertoire de données déjà lu ; un fichier absent vaut null
+   * @param {Object} data - { master, bookIndexes: { fichier: json }, chunks: { fichier: json },
+   *   inverted, vector, manifest, unreadable: [{ file, message }] }
+   * @returns {Object} { valid, errors: [{ code, file, message }], warnings, stats }
+   */
+  validate(data) {
+    const errors = [];
+    const warnings = [];
+    const error = (code, file, message) => errors.push({ code, file, message });
+    const warn = (code, file, message) => warnings.push({ code, file, message });
+
+    for (const { file, message } of data.unreadable || []) {
+      error('unreadable', file, message);
+    }
+
+    // Schémas : un fichier invalide n'entre pas dans les vérifications suivantes
+    const valid = (schema, file, value) => {
+      if (value === null || value === undefined) return null;
+      const result = SCHEMAS[schema].safeParse(value);
+      if (result.success) return value;
+      const details = result.error.issues.slice(0, 3)
+        .map(issue => `${issue.path.join('.') || '(racine)'}: ${issue.message}`);
+      error('schema', file, details.join(' ; '));
+      return null;
+    };
+
+    const master = valid('master', 'master-index.json', data.master);
+    const bookIndexes = Object.entries(data.bookIndexes || {})
+      .map(([file, index]) => ({ file: `indexes/${file}`, index: valid('bookIndex', `indexes/${file}`, index) }))
+      .filter(entry => entry.index);
+    const inverted = valid('inverted', 'inverted-index.json', data.inverted);
+    const vector = valid('vector', 'vector-index.json', data.vector);
+    const manifest = valid('manifest', 'index-manifest.json', data.manifest);
+
+    // Chunks par identifiant ; le nom du fichier doit être l'identifiant
+    const chunks = new Map();
+    for (const [file, value] of Object.entries(data.chunks || {})) {
+      const chunk = valid('chunk', `chunks/${file}`, value);
+      if (!chunk) continue;
+      if (`${chunk.id}.json` !== file) {
+        error('chunk_id_mismatch', `chunks/${file}`, `identifiant ${chunk.id} différent du nom du fichier`);
+      }
+      if (chunks.has(chunk.id)) {
+        error('duplicate_chunk_id', `chunks/${file}`, `chunk ${chunk.id} déjà défini par chunks/${chunks.get(chunk.id).file}`);
+        continue;
+      }
+      chunks.set(chunk.id, { file, chunk });
+    }
+
+    // Master index -> index des livres
+    const booksById = new Map(bookIndexes.map(entry => [entry.index.bookId, entry]));
+    if (data.master === null || data.master === undefined) {
+      error('missing_master', 'master-index.json', 'master index absent (lancer index-builder.js)');
+    } else if (master) {
+      if (master.totalBooks !== master.books.length) {
+        warn('count_mismatch', 'master-index.json', `totalBooks ${master.totalBooks} pour ${master.books.length} livres`);
+      }
+      for (const book of master.books) {
+        const entry = booksById.get(book.id);
+        if (!entry) {
+          error('missing_book_index', 'master-index.json', `livre ${book.id} sans index (indexes/${book.id}.json)`);
+          continue;
+        }
+        if (book.totalChunks !== entry.index.totalChunks || book.totalSections !== entry.index.sections.length) {
+          warn('count_mismatch', entry.file, `master index : ${book.totalSections} sections, ${book.totalChunks} chunks ; index du livre : ${entry.index.sections.length} sections, ${entry.index.totalChunks} chunks`);
+        }
+      }
+      const listed = new Set(master.books.map(book => book.id));
+      for (const entry of bookIndexes) {
+        if (!listed.has(entry.index.bookId)) {
+          warn('unlisted_book_index', entry.file, `livre ${entry.index.bookId} absent du master index`);
+        }
+      }
+    }
+
+    // Index des livres -> chunks
+    const owners = new Map();
+    let sections = 0;
+    for (const { file, index } of bookIndexes) {
+      if (`${index.bookId}.json` !== file.replace(/^indexes\//, '')) {
+        warn('book_id_mismatch', file, `bookId ${index.bookId} différent du nom du fichier`);
+      }
+      for (const section of index.sections) {
+        sections++;
+        if (section.chunkIds.length === 0) {
+          warn('empty_section', file, `section ${section.id} sans chunk`);
+        }
+        for (const chunkId of section.chunkIds) {
+          const owner = `${index.bookId}/${section.id}`;
+          if (owners.has(chunkId)) {
+            error('duplicate_chunk_id', file, `chunk ${chunkId} listé par ${owners.get(chunkId)} et ${owner}`);
+            continue;
+          }
+          owners.set(chunkId, owner);
+
+          const entry = chunks.get(chunkId);
+          if (!entry) {
+            error('missing_chunk', file, `section ${section.id} : chunk ${chunkId} introuvable`);
+          } else if (entry.chunk.bookId !== index.bookId || String(entry.chunk.sectionId) !== String(section.id)) {
+            error('chunk_owner_mismatch', `chunks/${entry.file}`, `chunk de ${entry.chunk.bookId}/${entry.chunk.sectionId}, listé par ${owner}`);
+          }
+        }
+      }
+    }
+
+    // Chunks : orphelins, contenu vide, budget de tokens
+    const chunkBudget = (master && master.chunkSize) || this.budgets.chunk;
+    let tokens = 0;
+    for (const [chunkId, { file, chunk }] of chunks) {
+      tokens += chunk.tokens;
+      if (!owners.has(chunkId)) {
+        warn('orphan_chunk', `chunks/${file}`, `chunk ${chunkId} listé par aucun index de livre`);
+      }
+      if (!chunk.content.trim()) {
+        warn('empty_chunk', `chunks/${file}`, `chunk ${chunkId} sans contenu`);
+      }
+      const size = Math.max(chunk.tokens, this.tokenCounter.count(chunk.content));
+      if (size > chunkBudget) {
+        error('chunk_budget', `chunks/${file}`, `${size} tokens pour un budget de ${chunkBudget}`);
+      }
+    }
+
+    // Budgets des index eux-mêmes
+    if (master) {
+      const size = this.tokenCounter.count(master);
+      if (size > this.budgets.masterIndex) {
+        error('master_index_budget', 'master-index.json', `${size} tokens pour un budget de ${this.budgets.masterIndex}`);
+      }
+    }
+    for (const { file, index } of bookIndexes) {
+      const size = this.tokenCounter.count(index);
+      if (size > this.budgets.bookIndex) {
+        error('book_index_budget', file, `${size} tokens pour un budget de ${this.budgets.bookIndex}`);
+      }
+    }
+
+    // Index inversé et index vectoriel : uniquement des chunks existants
+    if (data.inverted === null || data.inverted === undefined) {
+      warn('missing_inverted_index', 'inverted-index.json', 'index inversé absent : recherche par couches seulement');
+    } else if (inverted) {
+      const docIds = Object.keys(inverted.docs);
+      if (inverted.totalDocs !== docIds.length) {
+        error('count_mismatch', 'inverted-index.json', `totalDocs ${inverted.totalDocs} pour ${docIds.length} documents`);
+      }
+      for (const docId of docIds.filter(id => !chunks.has(id))) {
+        error('inverted_missing_chunk', 'inverted-index.json', `document ${docId} sans chunk`);
+      }
+      for (const chunkId of [...chunks.keys()].filter(id => !inverted.docs[id] && chunks.get(id).chunk.content.trim())) {
+        warn('not_indexed', 'inverted-index.json', `chunk ${chunkId} absent de l'index inversé`);
+      }
+    }
+
+    if (data.vector === null || data.vector === undefined) {
+      warn('missing_vector_index', 'vector-index.json', 'index vectoriel absent : recherche sans embeddings');
+    } else if (vector) {
+      const bytes = Buffer.from(vector.vectors, 'base64').length;
+      if (vector.totalDocs !== vector.ids.length || bytes !== vector.ids.length * (vector.dimensions || 0) * 4) {
+        error('vector_size', 'vector-index.json', `${vector.ids.length} identifiants, totalDocs ${vector.totalDocs}, ${bytes} octets de vecteurs (${vector.dimensions} dimensions)`);
+      }
+      for (const chunkId of vector.ids.filter(id => !chunks.has(id))) {
+        error('vector_missing_chunk', 'vector-index.json', `vecteur du chunk ${chunkId} introuvable`);
+      }
+    }
+
+    // Manifeste de la construction incrémentale (optionnel)
+    if (manifest) {
+      for (const [bookId, book] of Object.entries(manifest.books)) {
+        if (!booksById.has(bookId)) {
+          warn('manifest_unknown_book', 'index-manifest.json', `livre ${bookId} sans index`);
+        }
+        for (const [id, section] of Object.entries(book.sections)) {
+          for (const chunkId of section.chunkIds.filter(chunkId => !chunks.has(chunkId))) {
+            error('manifest_missing_chunk', 'index-manifest.json', `${bookId}/${id} : chunk ${chunkId} introuvable`);
+          }
+        }
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      stats: { books: bookIndexes.length, sections, chunks: chunks.size, tokens }
+    };
+  }
+
+  /**
+   * Problèmes regroupés par code, avec quelques exemples : [{ code, count, examples }]
+   */
+  static group(issues) {
+    const groups = new Map();
+    for (const issue of issues) {
+      if (!groups.has(issue.code)) groups.set(issue.code, { code: issue.code, count: 0, examples: [] });
+      const group = groups.get(issue.code);
+      group.count++;
+      if (group.examples.length < MAX_EXAMPLES) group.examples.push(issue);
+    }
+    return [...groups.values()];
+  }
+}
+
+IndexValidator.SCHEMAS = SCHEMAS;
+IndexValidator.DEFAULT_BUDGETS = DEFAULT_BUDGETS;
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IndexValidator;
+}
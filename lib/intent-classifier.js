@@ -0,0 +1,281 @@
+/**
+ * Classification de l'intention d'une question, pour choisir la stratégie de recherche
+ * et les livres à privilégier : date ou événement de la vie de Rabbi Nachman (Chayei Moharan),
+ * enseignement, conseil pratique, demande de prière (Likoutey Tefilot), conte,
+ * référence exacte ("Likoutey Moharan 282" : lecture directe), définition d'un terme
+ * (portage TypeScript : backend/src/utils/intentClassifier.ts)
+ */
+
+const TransliterationMatcher = require('./transliteration');
+const AbstentionPolicy = require('./abstention-policy');
+const SefariaRef = require('./sefaria-ref');
+
+const INTENTS = {
+  HISTORICAL: 'historical',
+  TEACHING: 'teaching',
+  PRACTICAL: 'practical',
+  PRAYER: 'prayer',
+  STORY: 'story',
+  REFERENCE: 'reference',
+  DEFINITION: 'definition'
+};
+
+// Stratégie de recherche et livres privilégiés (titres Sefaria, poids de 0 à 1) par intention
+const STRATEGIES = {
+  historical: {
+    strategy: 'date_extraction',
+    books: [['Chayei Moharan', 1], ['Shivchei HaRan', 0.8], ['Yemey Moharnat', 0.5]],
+    maxResults: 10,
+    contextLength: 400,
+    instruction: "Donne la date ou l'époque précise et le lieu quand les textes les mentionnent"
+  },
+  teaching: {
+    strategy: 'search',
+    books: [['Likutei Moharan', 1], ['Likutei Moharan, Part II', 1], ['Kitzur Likutei Moharan', 0.5]],
+    maxResults: 5,
+    contextLength: 200,
+    instruction: "Explique l'enseignement et son raisonnement"
+  },
+  practical: {
+    strategy: 'search',
+    books: [['Sichot HaRan', 1], ['Likutei Etzot', 1], ['Sefer HaMiddot', 0.6]],
+    maxResults: 5,
+    contextLength: 200,
+    instruction: "Donne des conseils concrets et applicables, tirés des textes"
+  },
+  prayer: {
+    strategy: 'search',
+    books: [['Likutei Tefilot', 1], ['Hishtapchut HaNefesh', 0.8]],
+    maxResults: 5,
+    contextLength: 300,
+    instruction: "Propose la prière telle qu'elle figure dans les textes, en hébreu puis traduite"
+  },
+  story: {
+    strategy: 'search',
+    books: [['Sippurei Maasiyot', 1]],
+    maxResults: 5,
+    contextLength: 300,
+    instruction: "Raconte le conte en suivant le texte, puis donne son sens"
+  },
+  reference: {
+    strategy: 'direct_fetch',
+    books: [],
+    maxResults: 1,
+    contextLength: 400,
+    instruction: "Présente ce passage : son contenu et son enseignement principal"
+  },
+  definition: {
+    strategy: 'search',
+    books: [['Likutei Etzot', 0.8], ['Kitzur Likutei Moharan', 0.6]],
+    maxResults: 3,
+    contextLength: 200,
+    instruction: "Commence par une définition courte du terme, puis ce qu'en dit Rabbi Nachman"
+  }
+};
+
+// Indices par intention, sur la question sans accents ni majuscules (poids entre crochets)
+const PATTERNS = {
+  historical: [
+    [/\b(en quelle annee|quelle annee|a quelle date|what year|which year|how old)\b/, 2],
+    [/\b(ou (a-t-il|est-il|etait-il)|where did he|where was he)\b/, 1],
+    [/מתי|באיזו שנה/, 1]
+  ],
+  prayer: [
+    [/\b(une|la|a|the) (priere|prayer|tefila|tefilah) (pour|for|contre|against|sur|about)\b/, 2],
+    [/\b(prier pour|pray for|prier sur|prier contre)\b/, 2],
+    [/\b(donne|donnez|give|dis|lis|recite|read)[- ]?(moi|me)? (une|a) (priere|prayer|tefila)\b/, 2],
+    [/\blikout[a-z]* tefil+ot\b/, 1],
+    [/תפילה (על|ל)/, 2]
+  ],
+  story: [
+    [/\b(conte|contes|maasse|maase|maasiyot|tale|tales|parabole|parable)\b/, 2],
+    [/\b(histoire|story|recit) (du|de la|des|of the|about the)\b/, 2],
+    [/\b(raconte|raconte-moi|tell me the story)\b/, 1],
+    [/מעשה/, 2]
+  ],
+  practical: [
+    [/\b(comment (faire|puis-je|peut-on|pourrais-je|dois-je|devrais-je|surmonter|sortir|lutter|arriver|trouver|gerer))\b/, 2],
+    [/\b(que faire|que dois-je|quoi faire|how (can|do|should) (i|we|one)|how to|what should i|what can i)\b/, 2],
+    [/\b(conseil|conseils|astuce|pratique|advice|tips|overcome|deal with)\b/, 1],
+    [/\b(je me sens|je suis|j'ai du mal|i feel|i am|i'm|i struggle)\b/, 1]
+  ],
+  definition: [
+    [/^(qu'est-ce que|qu'est ce que|c'est quoi|que veut dire|que signifie|what is|what's|what are|define|meaning of)\b/, 2],
+    [/\b(definition|signification|signifie|veut dire|c'est quoi|mean|means)\b/, 1],
+    [/^מה (זה|זו|פירוש)/, 2]
+  ],
+  teaching: [
+    [/\b(dit|disait|enseigne|enseignement|enseignements|pense|selon|d'apres|say|says|said|teach|teaches|teaching|according to)\b/, 2]
+  ]
+};
+
+// Thèmes du dictionnaire qui signalent une question historique (dates, voyages, biographie)
+const HISTORICAL_TOPICS = new Set(['date', 'voyage', 'histoire', 'mort', 'naissance']);
+
+// Ordre de départage à score égal (la plus spécifique d'abord)
+const PRIORITY = ['reference', 'prayer', 'story', 'historical', 'practical', 'definition', 'teaching'];
+
+// Années : grégoriennes (1807), hébraïques en chiffres (5568) ou en lettres avec guerchayim,
+// milliers omis ou notés ה' (תקס״ח, ה'תקס"ח)
+const YEAR = /(?<![\p{L}\p{N}])(1[789]\d{2}|5\d{3}|(?:ה['׳])?ת[\u05D0-\u05EA]{0,2}["״][\u05D0-\u05EA])(?![\p{L}\p{N}])/gu;
+
+// Écart entre les calendriers : l'année hébraïque 5568 commence à l'automne 1807
+const HEBREW_EPOCH = 3761;
+
+/**
+ * Années mentionnées dans un texte, dans l'ordre : [{ year, gregorian, token, index }]
+ * Une année hébraïque est rendue en chiffres (5568) avec ses années grégoriennes (1807-1808)
+ */
+const findYears = text => [...String(text || '').matchAll(YEAR)].flatMap(match => {
+  const token = match[1];
+  let hebrew;
+  if (/^1\d{3}$/.test(token)) {
+    return [{ year: token, token, index: match.index }];
+  } else if (/^\d+$/.test(token)) {
+    hebrew = parseInt(token, 10);
+  } else {
+    const value = SefariaRef.parseHebrewNumeral(token.replace(/^ה['׳]/, ''));
+    if (!value) return [];
+    hebrew = 5000 + value;
+  }
+  const gregorian = hebrew - HEBREW_EPOCH;
+  return [{ year: String(hebrew), gregorian: `${gregorian}-${gregorian + 1}`, token, index: match.index }];
+});
+
+const round = value => Math.round(value * 100) / 100;
+
+class IntentClassifier {
+  /**
+   * @param {Object} options - { transliteration: TransliterationMatcher }
+   */
+  constructor(options = {}) {
+    this.transliteration = options.transliteration || new TransliterationMatcher();
+  }
+
+  /**
+   * Indices trouvés dans la question : [{ intent, signal, weight }]
+   */
+  signals(query) {
+    const text = AbstentionPolicy.fold(query).toLowerCase().replace(/’/g, "'");
+    const signals = [];
+
+    for (const [intent, patterns] of Object.entries(PATTERNS)) {
+      for (const [pattern, weight] of patterns) {
+        const match = text.match(pattern);
+        if (match) signals.push({ intent, signal: match[0].trim(), weight });
+      }
+    }
+
+    // Dates, lieux et événements reconnus par le dictionnaire
+    const [year] = findYears(query);
+    if (year) signals.push({ intent: INTENTS.HISTORICAL, signal: year.token, weight: 2 });
+
+    for (const match of this.transliteration.match(query)) {
+      if (match.category === 'location' || (match.category === 'topic' && HISTORICAL_TOPICS.has(match.id))) {
+        signals.push({ intent: INTENTS.HISTORICAL, signal: match.token, weight: 1 });
+      }
+    }
+
+    return signals;
+  }
+
+  /**
+   * Intention de la question et stratégie de recherche
+   * @returns {Object} { intent, confidence, strategy, bookPriors: [{ book, weight }],
+   *   reference (référence canonique pour une lecture directe), lookup (simple lecture du
+   *   passage, sans question), maxResults, contextLength, instruction (consigne pour le LLM), signals }
+   */
+  classify(query) {
+    const cited = SefariaRef.find(query);
+
+    // Référence exacte : lecture directe du passage ; sans autre indice ("lis-moi Sichot HaRan 52"),
+    // le passage lui-même est la réponse
+    if (cited && cited.sections.length > 0) {
+      const lookup = this.signals(query).length === 0;
+      return this.result(INTENTS.REFERENCE, 0.95, [{ intent: INTENTS.REFERENCE, signal: SefariaRef.format(cited), weight: 3 }], cited, lookup);
+    }
+
+    const signals = this.signals(query);
+    const scores = {};
+    for (const { intent, weight } of signals) {
+      scores[intent] = (scores[intent] || 0) + weight;
+    }
+
+    const ranked = Object.keys(scores)
+      .sort((a, b) => scores[b] - scores[a] || PRIORITY.indexOf(a) - PRIORITY.indexOf(b));
+
+    // Sans indice : question d'enseignement, la plus courante
+    if (ranked.length === 0) {
+      return this.result(INTENTS.TEACHING, 0.4, [], cited);
+    }
+
+    const intent = ranked[0];
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    const confidence = Math.min(0.9, 0.4 + 0.1 * scores[intent]) * (scores[intent] / total);
+
+    return this.result(intent, round(Math.max(confidence, 0.3)), signals, cited);
+  }
+
+  /**
+   * Résultat de classification ; un livre cité sans numéro passe en tête des livres privilégiés
+   */
+  result(intent, confidence, signals, cited, lookup = false) {
+    const { strategy, books, maxResults, contextLength, instruction } = STRATEGIES[intent];
+    const bookPriors = books.map(([book, weight]) => ({ book, weight }));
+
+    if (cited) {
+      const named = bookPriors.findIndex(prior => prior.book === cited.book);
+      if (named > -1) bookPriors.splice(named, 1);
+      bookPriors.unshift({ book: cited.book, weight: 1 });
+    }
+
+    return {
+      intent,
+      confidence,
+      strategy,
+      bookPriors,
+      reference: intent === INTENTS.REFERENCE ? SefariaRef.format(cited) : null,
+      lookup,
+      maxResults,
+      contextLength,
+      instruction,
+      signals
+    };
+  }
+
+  /**
+   * Poids d'un livre pour une classification (0 si le livre n'est pas privilégié)
+   * @param {string} book - titre, identifiant du projet ou variante ("Chayei_Moharan")
+   */
+  static prior(classification, book) {
+    const resolved = SefariaRef.resolveBook(book);
+    const title = resolved ? resolved.title : book;
+    const found = classification.bookPriors.find(prior => prior.book === title);
+    return found ? found.weight : 0;
+  }
+
+  /**
+   * Première année mentionnée dans des textes (stratégie date_extraction)
+   * @param {Array} texts - [{ reference, text }]
+   * @returns {Object|null} { year, gregorian (années hébraïques), reference, context }
+   */
+  static extractDate(texts) {
+    for (const { reference, text } of texts) {
+      const [found] = findYears(text);
+      if (found) {
+        const { token, index, ...year } = found;
+        const start = Math.max(0, index - 150);
+        return { ...year, reference, context: text.substring(start, index + 150).trim() };
+      }
+    }
+    return null;
+  }
+}
+
+IntentClassifier.INTENTS = INTENTS;
+IntentClassifier.STRATEGIES = STRATEGIES;
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IntentClassifier;
+}
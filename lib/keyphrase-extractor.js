@@ -0,0 +1,264 @@
+/**
+ * Extraction de mots-clés par TF-IDF sur tout le corpus (index-builder.js)
+ * Chaque section, puis chaque livre, est un document ; les candidats sont des mots et des expressions
+ * de 2 ou 3 mots qui ne traversent ni ponctuation ni mot outil (hébreu, français, anglais).
+ * Hébreu : sans niqqud, lettres finales repliées, préfixes (ו ה ב כ ל מ ש) retirés pour compter
+ * ensemble les formes d'un même mot ; la forme affichée est la plus fréquente dans le document.
+ * Le lexique des termes de Breslov n'est plus la seule source : ses termes sont favorisés (× lexiconBoost).
+ */
+
+const HebrewNormalizer = require('./hebrew-normalizer');
+
+// Termes de Breslov et lieux de la vie de Rabbi Nachman
+const LEXICON = [
+  'hitbodedout', 'hitbodédout', 'méditation', 'prière', 'prayer',
+  'simcha', 'simḥa', 'joie', 'joy', 'happiness',
+  'emunah', 'émounah', 'foi', 'faith',
+  'teshuva', 'téchouva', 'repentance', 'retour',
+  'tzaddik', 'tsaddik', 'juste', 'righteous',
+  'azamra', 'chanter', 'sing',
+  'tikkun', 'tikoun', 'réparation', 'repair',
+  'lemberg', 'למברג', 'voyage', 'travel', 'journey',
+  'uman', 'ouman', 'אומן',
+  'breslov', 'breslev', 'ברסלב',
+  'nachman', 'nahman', 'נחמן',
+  'torah', 'תורה', 'enseignement', 'teaching',
+  'story', 'histoire', 'conte', 'maasiyot',
+  'lviv', 'lwów', 'istanbul', 'medzhybizh', 'jerusalem'
+];
+
+// Mots outils : jamais candidats, ils coupent aussi les expressions
+const STOP_WORDS = {
+  he: [
+    'את', 'של', 'על', 'אל', 'מן', 'עם', 'הוא', 'היא', 'הם', 'הן', 'זה', 'זו', 'זאת', 'אלו', 'אלה',
+    'כי', 'לא', 'אם', 'גם', 'כן', 'אשר', 'או', 'אבל', 'רק', 'כל', 'כמו', 'אין', 'יש', 'היה', 'היתה',
+    'היו', 'יהיה', 'להיות', 'אני', 'אנחנו', 'אנו', 'אתה', 'אתם', 'לו', 'לה', 'להם', 'בו', 'בה', 'בהם',
+    'שם', 'אז', 'עוד', 'כך', 'כמה', 'מה', 'מי', 'איך', 'למה', 'אחר', 'אחרי', 'לפני', 'בין', 'עד',
+    'אותו', 'אותה', 'אותם', 'שלו', 'שלה', 'שלהם', 'הזה', 'הזאת', 'ההוא', 'ההיא', 'אמר', 'וכו', 'גמ׳'
+  ],
+  fr: [
+    'le', 'la', 'les', 'de', 'du', 'des', 'un', 'une', 'et', 'ou', 'en', 'au', 'aux', 'à', 'ce', 'ces',
+    'cet', 'cette', 'se', 'sa', 'son', 'ses', 'il', 'ils', 'elle', 'elles', 'on', 'ne', 'pas', 'plus',
+    'que', 'qui', 'quoi', 'dont', 'où', 'est', 'sont', 'été', 'être', 'avoir', 'a', 'ont', 'fait',
+    'faire', 'sur', 'sous', 'dans', 'pour', 'par', 'avec', 'sans', 'mais', 'donc', 'car', 'comme',
+    'si', 'tout', 'tous', 'toute', 'toutes', 'leur', 'leurs', 'lui', 'nous', 'vous', 'je', 'tu', 'me',
+    'te', 'mon', 'ma', 'mes', 'ton', 'ta', 'tes', 'notre', 'votre', 'même', 'aussi', 'très', 'ainsi',
+    'entre', 'vers', 'chez', 'y', 'c', 'd', 'l', 'j', 'n', 's', 'qu'
+  ],
+  en: [
+    'the', 'a', 'an', 'of', 'and', 'or', 'to', 'in', 'on', 'at', 'by', 'for', 'from', 'with', 'as',
+    'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its', 'that', 'this', 'these', 'those',
+    'he', 'him', 'his', 'she', 'her', 'they', 'them', 'their', 'we', 'us', 'our', 'you', 'your', 'i',
+    'me', 'my', 'not', 'no', 'but', 'if', 'so', 'than', 'then', 'there', 'which', 'who', 'whom', 'what',
+    'when', 'where', 'why', 'how', 'all', 'any', 'each', 'also', 'very', 'can', 'will', 'would',
+    'should', 'could', 'may', 'must', 'has', 'have', 'had', 'do', 'does', 'did', 'said', 'says',
+    'one', 'into', 'upon', 'about', 'even', 'such', 'only', 'etc'
+  ]
+};
+
+// Formes normalisées (niqqud retiré, lettres finales repliées), toutes langues confondues
+const STOP_SET = new Set(Object.values(STOP_WORDS).flat().map(word => HebrewNormalizer.normalize(word)));
+
+// Ponctuation qui termine une expression (l'apostrophe sépare seulement deux mots : « l'hitbodedout »)
+const CLAUSE_BREAK = /[^\p{L}\p{N}\s'’]+/u;
+const WORD_BREAK = /[\s'’]+/u;
+
+// Préfixes grammaticaux devant un mot outil hébreu (וכל, שהוא, ובזה)
+const HEBREW_PREFIX = /^[והבכלמש]/;
+
+// Années (dates historiques) : seuls nombres retenus
+const YEAR = /^1[78]\d{2}$/;
+
+// Clés des termes du lexique : un mot préfixé du texte (בשמחה) s'y ramène même seul
+const LEXICON_KEYS = new Set(LEXICON.map(term => HebrewNormalizer.normalize(term)));
+
+/**
+ * Clé de comptage d'un mot affiché : forme normalisée ; pour l'hébreu, sans préfixes si le reste
+ * est un mot du vocabulaire (mots du texte, lexique), sinon entière (שמחה, ליקוטי)
+ */
+function wordKey(word, vocabulary = null) {
+  const normalized = HebrewNormalizer.normalize(word);
+  return vocabulary && HebrewNormalizer.isHebrew(normalized)
+    ? HebrewNormalizer.stripPrefixes(normalized, vocabulary)
+    : normalized;
+}
+
+/**
+ * Mot candidat : assez long, ni mot outil ni nombre (sauf une année)
+ */
+function isContentWord(word, key) {
+  if (key.length < 2 || STOP_SET.has(key)) return false;
+
+  let stem = HebrewNormalizer.normalize(word);
+  for (let i = 0; i <= 2 && stem.length >= 2; i++) {
+    if (STOP_SET.has(stem)) return false;
+    if (!HEBREW_PREFIX.test(stem)) break;
+    stem = stem.slice(1);
+  }
+  return !/^\p{N}+$/u.test(key) || YEAR.test(key);
+}
+
+class KeyphraseExtractor {
+  /**
+   * @param {Object} options - { maxLength: mots par expression (3), minPhraseCount: occurrences
+   *   minimales d'une expression dans un document (2), lexicon: termes favorisés (LEXICON),
+   *   lexiconBoost: multiplicateur de leur score (2) }
+   */
+  constructor(options = {}) {
+    this.maxLength = options.maxLength || 3;
+    this.minPhraseCount = options.minPhraseCount || 2;
+    this.lexiconBoost = options.lexiconBoost ?? 2;
+    this.lexicon = new Set((options.lexicon || LEXICON).map(term => KeyphraseExtractor.key(term)));
+
+    // id -> Map clé -> { count, forms: Map forme affichée -> occurrences }
+    this.documents = new Map();
+    // clé -> nombre de documents qui la contiennent
+    this.documentFrequency = new Map();
+  }
+
+  /**
+   * Clé de comptage d'un terme ou d'une expression
+   */
+  static key(phrase) {
+    return String(phrase).split(WORD_BREAK).filter(Boolean).map(word => wordKey(word)).join(' ');
+  }
+
+  /**
+   * Occurrences des mots et expressions candidats d'un texte
+   * @returns {Map} clé -> { count, forms }
+   */
+  static count(text, maxLength = 3) {
+    const counts = new Map();
+    const clauses = HebrewNormalizer.normalize(text, { foldFinals: false }).split(CLAUSE_BREAK);
+    const vocabulary = new Set([...LEXICON_KEYS, ...HebrewNormalizer.tokenize(text)]);
+
+    for (const clause of clauses) {
+      // Suites de mots candidats, coupées par les mots outils
+      const runs = [[]];
+      for (const word of clause.split(WORD_BREAK)) {
+        const key = wordKey(word, vocabulary);
+        if (isContentWord(word, key)) {
+          runs[runs.length - 1].push({ word, key });
+        } else if (runs[runs.length - 1].length > 0) {
+          runs.push([]);
+        }
+      }
+
+      for (const run of runs) {
+        for (let start = 0; start < run.length; start++) {
+          for (let length = 1; length <= maxLength && start + length <= run.length; length++) {
+            const words = run.slice(start, start + length);
+            const key = words.map(w => w.key).join(' ');
+            const form = words.map(w => w.word).join(' ');
+            const entry = counts.get(key) || { count: 0, forms: new Map() };
+            entry.count++;
+            entry.forms.set(form, (entry.forms.get(form) || 0) + 1);
+            counts.set(key, entry);
+          }
+        }
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Somme de plusieurs comptages (un livre à partir de ses sections)
+   */
+  static merge(countsList) {
+    const merged = new Map();
+    for (const counts of countsList) {
+      for (const [key, { count, forms }] of counts) {
+        const entry = merged.get(key) || { count: 0, forms: new Map() };
+        entry.count += count;
+        for (const [form, n] of forms) {
+          entry.forms.set(form, (entry.forms.get(form) || 0) + n);
+        }
+        merged.set(key, entry);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Termes du lexique présents dans un texte (forme du lexique) et années mentionnées
+   */
+  static lexiconTerms(text, lexicon = LEXICON) {
+    if (!text) return [];
+    const counts = KeyphraseExtractor.count(text, 1);
+    const found = lexicon.filter(term => counts.has(KeyphraseExtractor.key(term)));
+    const years = [...counts.keys()].filter(key => YEAR.test(key));
+    return [...new Set([...found, ...years])];
+  }
+
+  /**
+   * Ajoute un document (texte ou comptage déjà fait) ; les expressions trop rares sont oubliées
+   * @returns {Map} comptage retenu pour le document
+   */
+  addDocument(id, input) {
+    const counts = input instanceof Map ? input : KeyphraseExtractor.count(input, this.maxLength);
+    const kept = new Map([...counts].filter(([key, entry]) => !key.includes(' ') || entry.count >= this.minPhraseCount));
+
+    if (this.documents.has(id)) this.removeDocument(id);
+    this.documents.set(id, kept);
+    for (const key of kept.keys()) {
+      this.documentFrequency.set(key, (this.documentFrequency.get(key) || 0) + 1);
+    }
+    return kept;
+  }
+
+  removeDocument(id) {
+    const counts = this.documents.get(id);
+    if (!counts) return;
+    for (const key of counts.keys()) {
+      const df = this.documentFrequency.get(key) - 1;
+      if (df > 0) this.documentFrequency.set(key, df);
+      else this.documentFrequency.delete(key);
+    }
+    this.documents.delete(id);
+  }
+
+  /**
+   * IDF lissé : un terme présent partout garde un poids faible mais non nul (corpus d'un seul livre)
+   */
+  idf(key) {
+    const df = this.documentFrequency.get(key) || 0;
+    return df > 0 ? Math.log(1 + this.documents.size / df) : 0;
+  }
+
+  /**
+   * Mots-clés d'un document par score TF-IDF décroissant (fréquence amortie, lexique favorisé,
+   * à score égal l'expression la plus longue) ; un mot déjà couvert par une expression retenue (ou l'inverse) est écarté
+   * @returns {Array} [{ phrase, score }]
+   */
+  extract(id, limit = 10) {
+    const counts = this.documents.get(id);
+    if (!counts) return [];
+
+    const ranked = [...counts].map(([key, entry]) => {
+      const boost = this.lexicon.has(key) ? this.lexiconBoost : 1;
+      return { key, entry, score: (1 + Math.log(entry.count)) * this.idf(key) * boost };
+    }).sort((a, b) => b.score - a.score || b.key.split(' ').length - a.key.split(' ').length || a.key.localeCompare(b.key));
+
+    const selected = [];
+    for (const candidate of ranked) {
+      if (selected.length >= limit) break;
+      const padded = ` ${candidate.key} `;
+      if (selected.some(s => ` ${s.key} `.includes(padded) || padded.includes(` ${s.key} `))) continue;
+      selected.push(candidate);
+    }
+
+    return selected.map(({ key, entry, score }) => ({
+      phrase: [...entry.forms].sort((a, b) => b[1] - a[1])[0]?.[0] || key,
+      score: Math.round(score * 1000) / 1000
+    }));
+  }
+}
+
+KeyphraseExtractor.LEXICON = LEXICON;
+KeyphraseExtractor.STOP_WORDS = STOP_WORDS;
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyphraseExtractor;
+}
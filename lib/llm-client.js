@@ -0,0 +1,471 @@
+/**
+ * Client LLM indépendant du fournisseur pour Rabbi Nachman Voice
+ * Adaptateurs : Gemini, API compatibles OpenAI (OpenAI, OpenRouter) et mock déterministe (tests hors réseau)
+ * Même interface pour tous : generate(), stream(), relances et erreurs LLMError
+ * (portage TypeScript : backend/src/utils/llmClient.ts)
+ *
+ * Configuration : LLM_PROVIDER (gemini | openrouter | openai | mock), LLM_MODEL, LLM_API_KEY, LLM_BASE_URL
+ * Clés par fournisseur : GEMINI_API_KEY, OPENROUTER_API_KEY, OPENAI_API_KEY
+ */
+
+const TokenCounter = require('./token-counter');
+
+const PROVIDERS = {
+  gemini: {
+    model: 'gemini-1.5-flash',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    keyEnv: 'GEMINI_API_KEY'
+  },
+  openrouter: {
+    model: 'anthropic/claude-3.5-sonnet',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    keyEnv: 'OPENROUTER_API_KEY'
+  },
+  openai: {
+    model: 'gpt-4o-mini',
+    baseUrl: 'https://api.openai.com/v1',
+    keyEnv: 'OPENAI_API_KEY'
+  },
+  mock: {
+    model: 'mock-1'
+  }
+};
+
+/**
+ * Erreur uniforme des fournisseurs
+ * code : config | auth | rate_limit | bad_request | server | timeout | network | empty_response
+ */
+class LLMError extends Error {
+  constructor(message, { code, provider, status = null, retryable = false, cause } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+
+  static fromStatus(provider, status, detail) {
+    const code = status === 401 || status === 403 ? 'auth'
+      : status === 429 ? 'rate_limit'
+        : status >= 500 ? 'server'
+          : 'bad_request';
+    return new LLMError(`${provider} HTTP ${status}${detail ? `: ${detail}` : ''}`, {
+      code,
+      provider,
+      status,
+      retryable: code === 'rate_limit' || code === 'server'
+    });
+  }
+}
+
+/**
+ * Requête HTTP JSON avec délai maximal ; les erreurs réseau deviennent des LLMError
+ */
+async function postJson(provider, url, headers, body, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw LLMError.fromStatus(provider, response.status, detail.substring(0, 200));
+    }
+    return response;
+  } catch (error) {
+    if (error instanceof LLMError) throw error;
+    if (error.name === 'AbortError') {
+      throw new LLMError(`${provider}: no response after ${timeoutMs}ms`, { code: 'timeout', provider, retryable: true });
+    }
+    throw new LLMError(`${provider}: ${error.message}`, { code: 'network', provider, retryable: true, cause: error });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Lit un flux Server-Sent Events et renvoie les charges utiles "data:"
+ */
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+  }
+  if (buffer.startsWith('data:')) yield buffer.slice(5).trim();
+}
+
+// Usage simulé du fournisseur mock
+function estimateTokens(text) {
+  return TokenCounter.shared().count(text);
+}
+
+/**
+ * Gemini (API REST generativelanguage)
+ */
+class GeminiProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  body(request) {
+    const body = {
+      contents: request.messages
+        .filter(m => m.role !== 'system')
+        .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+      generationConfig: {
+        temperature: request.temperature,
+        maxOutputTokens: request.maxTokens,
+        topK: 40,
+        topP: 0.95
+      },
+      safetySettings: [
+        'HARM_CATEGORY_HARASSMENT',
+        'HARM_CATEGORY_HATE_SPEECH',
+        'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+        'HARM_CATEGORY_DANGEROUS_CONTENT'
+      ].map(category => ({ category, threshold: 'BLOCK_NONE' }))
+    };
+
+    const system = request.messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+    return body;
+  }
+
+  extractText(data) {
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+  }
+
+  async complete(request) {
+    const { baseUrl, model, apiKey, timeoutMs } = this.config;
+    const response = await postJson('gemini', `${baseUrl}/models/${model}:generateContent`,
+      { 'x-goog-api-key': apiKey }, this.body(request), timeoutMs);
+    const data = await response.json();
+
+    return {
+      text: this.extractText(data),
+      finishReason: data.candidates?.[0]?.finishReason || data.promptFeedback?.blockReason || null,
+      usage: {
+        promptTokens: data.usageMetadata?.promptTokenCount || 0,
+        completionTokens: data.usageMetadata?.candidatesTokenCount || 0,
+        totalTokens: data.usageMetadata?.totalTokenCount || 0
+      }
+    };
+  }
+
+  async* stream(request) {
+    const { baseUrl, model, apiKey, timeoutMs } = this.config;
+    const response = await postJson('gemini', `${baseUrl}/models/${model}:streamGenerateContent?alt=sse`,
+      { 'x-goog-api-key': apiKey }, this.body(request), timeoutMs);
+
+    for await (const payload of readServerSentEvents(response)) {
+      try {
+        const text = this.extractText(JSON.parse(payload));
+        if (text) yield text;
+      } catch (error) {
+        // Ligne incomplète : ignorée
+      }
+    }
+  }
+}
+
+/**
+ * API compatibles OpenAI : /chat/completions (OpenAI, OpenRouter, serveurs locaux)
+ */
+class OpenAICompatibleProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  headers() {
+    const headers = { Authorization: `Bearer ${this.config.apiKey}` };
+    if (this.config.provider === 'openrouter') {
+      headers['HTTP-Referer'] = process.env.URL || 'https://rabbi-nachman-voice.netlify.app';
+      headers['X-Title'] = 'Rabbi Nachman Voice Assistant';
+    }
+    return headers;
+  }
+
+  body(request, stream) {
+    return {
+      model: this.config.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      stream
+    };
+  }
+
+  async complete(request) {
+    const { provider, baseUrl, timeoutMs } = this.config;
+    const response = await postJson(provider, `${baseUrl}/chat/completions`,
+      this.headers(), this.body(request, false), timeoutMs);
+    const data = await response.json();
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      finishReason: data.choices?.[0]?.finish_reason || null,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      }
+    };
+  }
+
+  async* stream(request) {
+    const { provider, baseUrl, timeoutMs } = this.config;
+    const response = await postJson(provider, `${baseUrl}/chat/completions`,
+      this.headers(), this.body(request, true), timeoutMs);
+
+    for await (const payload of readServerSentEvents(response)) {
+      if (payload === '[DONE]') break;
+      try {
+        const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (text) yield text;
+      } catch (error) {
+        // Commentaire SSE ou ligne incomplète : ignoré
+      }
+    }
+  }
+}
+
+/**
+ * Fournisseur déterministe, sans réseau : même requête, même réponse
+ * options.mock : { response: string | (request) => string, failures: nombre d'échecs simulés }
+ */
+class MockProvider {
+  constructor(config) {
+    this.config = config;
+    this.failuresLeft = config.failures || 0;
+  }
+
+  respond(request) {
+    if (typeof this.config.response === 'function') return this.config.response(request);
+    if (typeof this.config.response === 'string') return this.config.response;
+
+    // Par défaut : reprend la question et cite les sources présentes dans le contexte
+    const user = [...request.messages].reverse().find(m => m.role === 'user')?.content || '';
+    const question = (user.split('=== QUESTION ===')[1] || user).trim().split('\n')[0].substring(0, 160);
+
+    // Passages identifiés ([P1] Source: ...) : citation exacte du premier, avec son identifiant
+    const marked = user.match(/^\[(P\d+)\] Source: .+\n(.+)/m);
+    if (marked) {
+      const words = marked[2].trim().split(/\s+/).slice(0, 8).join(' ');
+      return `Réponse simulée à « ${question} ». Rabbi Nachman enseigne : « ${words} » [${marked[1]}].`;
+    }
+
+    const sources = [...new Set([...user.matchAll(/\[(?:Source:\s*)?([^\]\n]{3,80})\]/g)].map(m => m[1].trim()))];
+
+    return sources.length > 0
+      ? `Réponse simulée à « ${question} » d'après ${sources.slice(0, 3).map(s => `[${s}]`).join(', ')}.`
+      : `Réponse simulée à « ${question} ».`;
+  }
+
+  failIfScheduled() {
+    if (this.failuresLeft > 0) {
+      this.failuresLeft--;
+      throw new LLMError('mock: simulated failure', { code: 'server', provider: 'mock', status: 503, retryable: true });
+    }
+  }
+
+  async complete(request) {
+    this.failIfScheduled();
+    const text = this.respond(request);
+    const promptTokens = estimateTokens(request.messages.map(m => m.content).join('\n'));
+    const completionTokens = estimateTokens(text);
+    return {
+      text,
+      finishReason: 'stop',
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  async* stream(request) {
+    this.failIfScheduled();
+    for (const word of this.respond(request).split(/(?<= )/)) {
+      yield word;
+    }
+  }
+}
+
+class LLMClient {
+  /**
+   * @param {Object} options - { provider, model, apiKey, baseUrl, temperature, maxTokens, maxRetries, timeoutMs }
+   *   plus des réglages par fournisseur : { gemini: { apiKey, model }, openrouter: {...}, mock: { response } }
+   */
+  constructor(options = {}) {
+    const env = typeof process !== 'undefined' ? process.env : {};
+    this.provider = (options.provider || env.LLM_PROVIDER || 'gemini').toLowerCase();
+
+    const defaults = PROVIDERS[this.provider];
+    if (!defaults) {
+      throw new LLMError(`Unknown LLM provider "${this.provider}"`, { code: 'config', provider: this.provider });
+    }
+    const settings = { ...defaults, ...(options[this.provider] || {}) };
+
+    this.config = {
+      ...settings,
+      provider: this.provider,
+      model: options.model || env.LLM_MODEL || settings.model,
+      apiKey: options.apiKey || env.LLM_API_KEY || (defaults.keyEnv && env[defaults.keyEnv]) || settings.apiKey,
+      baseUrl: (options.baseUrl || env.LLM_BASE_URL || settings.baseUrl || '').replace(/\/$/, ''),
+      timeoutMs: options.timeoutMs || parseInt(env.LLM_TIMEOUT_MS, 10) || 60000
+    };
+
+    this.model = this.config.model;
+    this.temperature = options.temperature ?? 0.7;
+    this.maxTokens = options.maxTokens || 2048;
+    this.maxRetries = options.maxRetries ?? (parseInt(env.LLM_MAX_RETRIES, 10) || 2);
+    this.retryDelayMs = options.retryDelayMs ?? 500;
+
+    const Provider = this.provider === 'gemini' ? GeminiProvider
+      : this.provider === 'mock' ? MockProvider
+        : OpenAICompatibleProvider;
+    this.adapter = new Provider(this.config);
+  }
+
+  /**
+   * Messages à partir d'un prompt ("texte") ou d'un objet { system, prompt, messages }
+   */
+  static toMessages(input) {
+    if (typeof input === 'string') return [{ role: 'user', content: input }];
+
+    const messages = [...(input.messages || [])];
+    if (input.prompt) messages.push({ role: 'user', content: input.prompt });
+    if (input.system) messages.unshift({ role: 'system', content: input.system });
+    return messages;
+  }
+
+  /**
+   * Messages d'une requête RAG : { systemPrompt, passages: [{ id, reference, text }], query, instructions }
+   * Les passages identifiés (voir lib/citation-verifier.js) sont annoncés par "[P1] Source: ..."
+   */
+  static ragMessages(context) {
+    let prompt = "=== PASSAGES DES ENSEIGNEMENTS DE RABBI NACHMAN ===\n\n";
+    for (const passage of context.passages) {
+      const header = passage.id ? `[${passage.id}] Source: ${passage.reference}` : `[Source: ${passage.reference}]`;
+      prompt += `${header}\n${passage.text}\n\n---\n\n`;
+    }
+    prompt += `=== QUESTION ===\n${context.query}\n\n`;
+    if (context.instructions) prompt += `=== INSTRUCTIONS ===\n${context.instructions}`;
+
+    return LLMClient.toMessages({ system: context.systemPrompt, prompt });
+  }
+
+  request(input, options = {}) {
+    return {
+      messages: LLMClient.toMessages(input),
+      temperature: options.temperature ?? this.temperature,
+      maxTokens: options.maxTokens || this.maxTokens
+    };
+  }
+
+  /**
+   * Le fournisseur mock n'a pas besoin de clé
+   */
+  isConfigured() {
+    return this.provider === 'mock' || Boolean(this.config.apiKey);
+  }
+
+  checkConfig() {
+    if (!this.isConfigured()) {
+      throw new LLMError(`No API key for ${this.provider} (LLM_API_KEY or ${PROVIDERS[this.provider].keyEnv})`, {
+        code: 'config',
+        provider: this.provider
+      });
+    }
+  }
+
+  async backoff(attempt) {
+    const delay = this.retryDelayMs * Math.pow(2, attempt);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  /**
+   * Réponse complète : { text, provider, model, usage, finishReason }
+   * Les erreurs temporaires (429, 5xx, réseau, délai) sont relancées avec backoff exponentiel
+   */
+  async generate(input, options = {}) {
+    this.checkConfig();
+    const request = this.request(input, options);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this.adapter.complete(request);
+        if (!result.text) {
+          throw new LLMError(`${this.provider}: empty response (${result.finishReason || 'no candidate'})`, {
+            code: 'empty_response',
+            provider: this.provider
+          });
+        }
+        return { ...result, provider: this.provider, model: this.model };
+      } catch (error) {
+        if (!(error instanceof LLMError) || !error.retryable || attempt >= this.maxRetries) throw error;
+        await this.backoff(attempt);
+      }
+    }
+  }
+
+  /**
+   * Flux de fragments de texte ; relancé seulement si rien n'a encore été émis
+   */
+  async* stream(input, options = {}) {
+    this.checkConfig();
+    const request = this.request(input, options);
+
+    for (let attempt = 0; ; attempt++) {
+      let emitted = false;
+      try {
+        for await (const text of this.adapter.stream(request)) {
+          emitted = true;
+          yield text;
+        }
+        return;
+      } catch (error) {
+        if (emitted || !(error instanceof LLMError) || !error.retryable || attempt >= this.maxRetries) throw error;
+        await this.backoff(attempt);
+      }
+    }
+  }
+
+  /**
+   * Flux avec rappel par fragment ; retourne le texte complet
+   */
+  async streamText(input, onChunk, options = {}) {
+    let text = '';
+    for await (const chunk of this.stream(input, options)) {
+      text += chunk;
+      if (onChunk) onChunk(chunk);
+    }
+    return { text, provider: this.provider, model: this.model };
+  }
+}
+
+LLMClient.LLMError = LLMError;
+LLMClient.providers = Object.keys(PROVIDERS);
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LLMClient;
+}
@@ -0,0 +1,221 @@
+/**
+ * Réécriture des questions de suivi en requêtes autonomes pour la recherche
+ * « et où est-il allé après ça ? » après une question sur Lemberg
+ * devient « Où Rabbi Nachman est-il allé après Lemberg ? »
+ * Règles : pronoms remplacés par les personnes, lieux et thèmes des tours précédents,
+ * ellipses complétées par la question précédente ; LLM en option (QUERY_REWRITER=llm)
+ * (portage TypeScript : backend/src/utils/queryRewriter.ts)
+ */
+
+const TransliterationMatcher = require('./transliteration');
+const AbstentionPolicy = require('./abstention-policy');
+
+// Inversion française (est-il allé, y est-il resté, va-t-elle) : le nom se place devant
+// le verbe et ses pronoms, le pronom inversé reste (« Où Rabbi Nachman est-il allé ? »)
+const INVERTED_PRONOUN = /(?<![\p{L}'’-])(?<!(?:^|[\s'’])(?:y|en|ne|se|le|la|les)\s+)((?:(?:ne|y|en|se|le|la|les)\s+|[nsl]['’])*\p{L}+-(?:t-)?(?:il|elle))(?![\p{L}'’-])/giu;
+
+// Pronoms désignant une personne (il est allé, he went, lui, him)
+const PERSON_PRONOUNS = /(?<![\p{L}'’-])(il|elle|lui|he|him|she)(?![\p{L}'’-])/giu;
+
+// Pronoms désignant un thème (après ça, after that)
+const THING_PRONOUNS = /(?<![\p{L}'’-])(cela|ça|ca|that|this|it)(?![\p{L}'’-])/giu;
+
+// Adverbes de lieu, remplacés par le dernier lieu cité (là-bas → à Lemberg, from there → from Lemberg)
+const PLACE_ADVERBS = /(?<![\p{L}'’-])(?:(de|d['’]|depuis|par|vers|from|to|near)\s*)?(là-bas|là|there)(?![\p{L}'’-])/giu;
+
+// Pronom « y » devant un verbe (y est-il resté, n'y est-il pas allé), sauf « il y a »
+const PLACE_CLITIC = /(?<![\p{L}-])y\s+(?!(?:a|avait|aura|eut)(?![\p{L}'’]))/iu;
+
+// Question réduite à un interrogatif (« et pourquoi ? »), qui remplace celui de la question précédente
+const INTERROGATIVES = {
+  fr: /^(pourquoi|quand|où|comment|combien de temps)(?![\p{L}'’-])/iu,
+  en: /^(why|when|where|how|how long)(?![\p{L}'’-])/iu
+};
+
+// Début de relance : « et en hébreu ? », « and then? »
+const FOLLOW_UP_OPENER = /^\s*(et|and|mais|but|puis|alors|so|also|aussi|then)(?![\p{L}'’])[\s,]*/iu;
+
+// Nombre de tours précédents examinés pour trouver les antécédents
+const LOOKBACK_TURNS = 3;
+
+const REWRITE_PROMPT = `Réécris la dernière question de l'utilisateur en une requête de recherche autonome,
+compréhensible sans la conversation : remplace les pronoms par les personnes, lieux ou thèmes
+dont ils parlent et complète les phrases elliptiques. Garde la langue de la question.
+Réponds uniquement par la requête réécrite, sur une seule ligne.`;
+
+class QueryRewriter {
+  /**
+   * @param {Object} options - { mode: 'rules' | 'llm' (QUERY_REWRITER), llm: LLMClient pour le mode llm,
+   *   transliteration: TransliterationMatcher }
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || process.env.QUERY_REWRITER || 'rules';
+    this.llm = options.llm || null;
+    this.transliteration = options.transliteration || new TransliterationMatcher();
+    this.policy = new AbstentionPolicy({ transliteration: this.transliteration });
+  }
+
+  /**
+   * Nom affichable d'une entrée du dictionnaire (« Rabbi Nachman », « Lemberg », « joie »)
+   */
+  static label(entry) {
+    const name = entry.category === 'concept' || entry.category === 'topic'
+      ? (entry.synonyms || [])[0] || entry.latin[0]
+      : entry.latin[0].charAt(0).toUpperCase() + entry.latin[0].slice(1);
+    return entry.category === 'person' && entry.id !== 'moharan' ? `Rabbi ${name}` : name;
+  }
+
+  /**
+   * Personne et thème (lieu, concept) les plus récents des tours précédents
+   * @param {Array} history - tours { query, rewrittenQuery }, du plus ancien au plus récent
+   */
+  antecedents(history) {
+    const found = { person: null, thing: null, place: null };
+
+    for (const turn of history.slice(-LOOKBACK_TURNS).reverse()) {
+      const matches = this.transliteration.match(turn.rewrittenQuery || turn.query || '');
+      for (const match of matches) {
+        const entry = this.transliteration.entries.find(e => e.id === match.id);
+        if (!entry || !entry.latin) continue;
+        const slot = entry.category === 'person' ? 'person' : 'thing';
+        if (!found[slot]) found[slot] = QueryRewriter.label(entry);
+        if (entry.category === 'location' && !found.place) found.place = QueryRewriter.label(entry);
+      }
+      if (found.person && found.thing && found.place) break;
+    }
+
+    return found;
+  }
+
+  /**
+   * « Pourquoi ? » après « Quand Rabbi Nachman est-il allé à Lemberg ? » :
+   * la question précédente avec le nouvel interrogatif, null si elle n'en commence pas par un
+   */
+  static swapInterrogative(question, previous) {
+    const bare = question.replace(/[\s?!.…]+$/, '');
+    for (const pattern of Object.values(INTERROGATIVES)) {
+      const asked = bare.match(pattern);
+      const before = previous.match(pattern);
+      if (asked && asked[0].length === bare.length && before) {
+        return asked[0] + previous.slice(before[0].length);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Réécriture par règles
+   * @returns {Object} { query, rewritten, antecedents }
+   */
+  rewriteWithRules(query, history) {
+    const previous = history[history.length - 1];
+    const antecedents = this.antecedents(history);
+    let replaced = false;
+
+    let standalone = query.trim();
+    const opener = FOLLOW_UP_OPENER.test(standalone);
+    standalone = standalone.replace(FOLLOW_UP_OPENER, '');
+
+    // Lieux : « là-bas », « there » et « y » seulement vers un lieu cité, jamais vers un thème
+    let placeClitic = false;
+    if (antecedents.place) {
+      standalone = standalone.replace(PLACE_ADVERBS, (match, preposition, adverb) => {
+        replaced = true;
+        if (preposition) return `${/^d['’]$/i.test(preposition) ? 'de' : preposition} ${antecedents.place}`;
+        return `${adverb === 'there' ? 'in' : 'à'} ${antecedents.place}`;
+      });
+      standalone = standalone.replace(PLACE_CLITIC, () => {
+        replaced = placeClitic = true;
+        return '';
+      });
+    }
+
+    if (antecedents.person) {
+      // Pronom inversé seul à désigner la personne : le nom devant le verbe
+      if (standalone.search(PERSON_PRONOUNS) < 0) {
+        standalone = standalone.replace(INVERTED_PRONOUN, (match, verb, offset) => {
+          replaced = true;
+          return `${antecedents.person} ${offset === 0 ? verb.charAt(0).toLowerCase() + verb.slice(1) : verb}`;
+        });
+      }
+      standalone = standalone.replace(PERSON_PRONOUNS, () => {
+        replaced = true;
+        return antecedents.person;
+      });
+    }
+    if (antecedents.thing) {
+      standalone = standalone.replace(THING_PRONOUNS, () => {
+        replaced = true;
+        return antecedents.thing;
+      });
+    }
+    if (placeClitic) {
+      standalone = standalone.replace(/(\s*[?!.…]*)$/, ` à ${antecedents.place}$1`);
+    }
+
+    // Ellipse : « et pourquoi ? » reprend la question précédente avec son propre interrogatif,
+    // « pourquoi ? » après une autre question la reprend entre parenthèses,
+    // « et sur la tristesse ? » garde son thème et reprend la personne
+    const ownContent = this.policy.concepts(standalone).length > 0;
+    if (!replaced && (opener || !ownContent)) {
+      const previousQuery = previous.rewrittenQuery || previous.query;
+      const swapped = QueryRewriter.swapInterrogative(standalone, previousQuery);
+      const context = ownContent ? antecedents.person : previousQuery;
+      if (swapped) standalone = swapped;
+      else if (context) standalone = `${standalone} (${context})`;
+      replaced = Boolean(swapped || context);
+    }
+
+    if (!replaced) {
+      return { query, rewritten: false, antecedents };
+    }
+
+    standalone = standalone.charAt(0).toUpperCase() + standalone.slice(1);
+    return { query: standalone, rewritten: true, antecedents };
+  }
+
+  /**
+   * Requête autonome pour la recherche, à partir de la question et des tours précédents
+   * @returns {Promise<Object>} { query, original, rewritten, method: 'none' | 'rules' | 'llm' }
+   */
+  async rewrite(query, history = []) {
+    if (!history.length) {
+      return { query, original: query, rewritten: false, method: 'none' };
+    }
+
+    const rules = this.rewriteWithRules(query, history);
+
+    if (this.mode === 'llm' && this.llm && this.llm.isConfigured()) {
+      try {
+        const conversation = history.slice(-LOOKBACK_TURNS)
+          .map(turn => `Utilisateur : ${turn.query}\nAssistant : ${String(turn.answer || '').substring(0, 300)}`)
+          .join('\n');
+        const completion = await this.llm.generate({
+          messages: [
+            { role: 'system', content: REWRITE_PROMPT },
+            { role: 'user', content: `${conversation}\n\nDernière question : ${query}` }
+          ]
+        }, { temperature: 0, maxTokens: 100 });
+
+        const rewritten = completion.text.split('\n')[0].replace(/^["«\s]+|["»\s]+$/g, '').trim();
+        if (rewritten && rewritten.length <= 300) {
+          return { query: rewritten, original: query, rewritten: rewritten !== query, method: 'llm' };
+        }
+      } catch (error) {
+        console.error('Query rewriting error:', error.message);
+      }
+    }
+
+    return {
+      query: rules.query,
+      original: query,
+      rewritten: rules.rewritten,
+      method: rules.rewritten ? 'rules' : 'none'
+    };
+  }
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryRewriter;
+}
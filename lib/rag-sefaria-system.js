@@ -4,20 +4,44 @@
  */
 
 const SefariaService = require('./sefaria-service');
-const GeminiIntegration = require('./gemini-integration');
+const LLMClient = require('./llm-client');
+const CitationVerifier = require('./citation-verifier');
+const AbstentionPolicy = require('./abstention-policy');
+const IntentClassifier = require('./intent-classifier');
+const HebrewNormalizer = require('./hebrew-normalizer');
+const TransliterationMatcher = require('./transliteration');
+const SefariaRef = require('./sefaria-ref');
+const ContextPacker = require('./context-packer');
+const TokenCounter = require('./token-counter');
+
+// Texte lisible d'un paragraphe Sefaria (balises <b>, <i>, <br> retirées)
+const stripMarkup = text => String(text || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').trim();
 
 class RAGSefariaSystem {
-  constructor(geminiApiKey) {
+  /**
+   * @param {Object} llmOptions - options du client LLM (fournisseur, modèle, clés), voir lib/llm-client.js
+   */
+  constructor(llmOptions = {}) {
     this.sefaria = new SefariaService();
-    this.gemini = new GeminiIntegration(geminiApiKey);
+    this.llm = new LLMClient(llmOptions);
+    this.verifier = new CitationVerifier();
+    this.transliteration = new TransliterationMatcher();
+    this.abstention = new AbstentionPolicy({ transliteration: this.transliteration });
+    this.intents = new IntentClassifier({ transliteration: this.transliteration });
     
     // Configuration du chunking
     this.chunkConfig = {
       maxTokensPerChunk: 8000,
       overlapTokens: 500,
-      contextWindow: 100000, // Fenêtre de contexte Gemini
+      contextWindow: 100000, // Fenêtre de contexte du LLM
       maxChunksPerQuery: 15
     };
+    this.tokenCounter = TokenCounter.shared();
+    this.packer = new ContextPacker({
+      maxTokens: this.chunkConfig.contextWindow,
+      maxPassages: this.chunkConfig.maxChunksPerQuery,
+      tokenCounter: this.tokenCounter
+    });
 
     // Cache des métadonnées des livres
     this.booksMetadata = new Map();
@@ -49,15 +73,17 @@ class RAGSefariaSystem {
 
   /**
    * Recherche RAG à 3 niveaux avec données Sefaria dynamiques
+   * @param {Object} options - { intent: classification de IntentClassifier (calculée sinon) }
    */
   async search(query, options = {}) {
     // S'assurer que les métadonnées sont chargées
     await this.initializeMetadata();
 
-    console.log(`RAG Search: "${query}"`);
+    const intent = options.intent || this.intents.classify(query);
+    console.log(`RAG Search: "${query}" (${intent.intent})`);
 
     // Niveau 1 : Identifier les livres pertinents
-    const relevantBooks = await this.searchLevel1(query);
+    const relevantBooks = await this.searchLevel1(query, intent);
     console.log(`Level 1: Found ${relevantBooks.length} relevant books`);
 
     // Niveau 2 : Rechercher dans Sefaria
@@ -68,30 +94,98 @@ class RAGSefariaSystem {
     const detailedPassages = await this.searchLevel3(searchResults, query);
     console.log(`Level 3: Retrieved ${detailedPassages.length} detailed passages`);
 
-    // Optimiser les chunks pour Gemini
-    const optimizedChunks = this.optimizeChunks(detailedPassages);
+    // Choisir les passages du contexte du LLM (pertinence, diversité, budgets de tokens)
+    const packing = this.optimizeChunks(detailedPassages);
+    const optimizedChunks = packing.passages;
 
     return {
       query,
+      intent,
       books: relevantBooks,
       searchResults: searchResults.total,
       passages: optimizedChunks,
       totalTokens: this.calculateTokens(optimizedChunks),
       metadata: {
         searchTimestamp: new Date().toISOString(),
+        intent: intent.intent,
+        strategy: intent.strategy,
         levelsSearched: 3,
         booksSearched: relevantBooks.length,
         passagesFound: detailedPassages.length,
-        chunksOptimized: optimizedChunks.length
+        chunksOptimized: optimizedChunks.length,
+        dropped: packing.dropped // Passages écartés du contexte et raison (duplicate, book_budget...)
+      }
+    };
+  }
+
+  /**
+   * Lecture directe d'une référence citée ("Likoutey Moharan 282"), sous la forme d'un résultat de recherche
+   * passage : { reference, heReference, hebrew, translation, previous, next, source } pour la navigation
+   */
+  async fetchReference(query, intent) {
+    const passages = [];
+    let passage = null;
+
+    try {
+      const text = await this.sefaria.getText(intent.reference);
+      const paragraphs = Array.isArray(text.text) ? text.text : [text.text].filter(Boolean);
+      const heParagraphs = Array.isArray(text.heText) ? text.heText : [text.heText].filter(Boolean);
+
+      if (paragraphs.length > 0) {
+        passages.push({
+          ref: text.ref || intent.reference,
+          bookTitle: text.bookTitle,
+          sections: paragraphs.map((paragraph, index) => ({
+            ref: paragraphs.length > 1 ? SefariaRef.segment(text.ref || intent.reference, index + 1) : text.ref,
+            text: paragraph,
+            heText: heParagraphs[index] || '',
+            index
+          })),
+          fullText: paragraphs.join('\n'),
+          fullHeText: heParagraphs.join('\n'),
+          tokens: this.estimateTokens(paragraphs.join(' '))
+        });
+
+        passage = {
+          reference: SefariaRef.normalize(text.ref) || text.ref || intent.reference,
+          requested: intent.reference,
+          heReference: text.heRef || SefariaRef.format(intent.reference, 'he'),
+          hebrew: heParagraphs.flat(Infinity).map(stripMarkup).filter(Boolean).join('\n') || null,
+          translation: paragraphs.flat(Infinity).map(stripMarkup).filter(Boolean).join('\n') || null,
+          previous: text.prev ? SefariaRef.normalize(text.prev) || text.prev : null,
+          next: text.next ? SefariaRef.normalize(text.next) || text.next : null,
+          source: 'sefaria'
+        };
+      }
+    } catch (error) {
+      console.error(`Direct fetch of ${intent.reference} failed:`, error.message);
+    }
+
+    return {
+      query,
+      intent,
+      books: [],
+      searchResults: passages.length,
+      passages,
+      passage,
+      totalTokens: this.calculateTokens(passages),
+      metadata: {
+        searchTimestamp: new Date().toISOString(),
+        intent: intent.intent,
+        strategy: intent.strategy,
+        reference: intent.reference,
+        passagesFound: passages.length
       }
     };
   }
 
   /**
    * Niveau 1 : Identifier les livres pertinents basé sur la requête
+   * Les livres privilégiés par l'intention (Chayei Moharan pour une date...) gagnent jusqu'à 0.6
    */
-  async searchLevel1(query) {
-    const queryLower = query.toLowerCase();
+  async searchLevel1(query, intent = this.intents.classify(query)) {
+    // Requête étendue : "hisbodedus" ou "התבודדות" activent aussi "hitbodedout"
+    const queryLower = HebrewNormalizer.normalize(this.transliteration.expandQuery(query));
     const relevantBooks = [];
 
     // Mots-clés pour chaque livre
@@ -141,6 +235,8 @@ class RAGSefariaSystem {
         score = 0.3;
       }
 
+      score += 0.6 * IntentClassifier.prior(intent, bookId);
+
       if (score > 0.2) {
         relevantBooks.push({
           bookId,
@@ -191,7 +287,10 @@ class RAGSefariaSystem {
     // Collecter les références uniques
     for (const result of searchResults.results.slice(0, 15)) {
       // Extraire la référence principale (sans le numéro de paragraphe)
-      const baseRef = result.ref.replace(/\.\d+$/, '');
+      const parsed = SefariaRef.parse(result.ref);
+      const baseRef = parsed && parsed.sections.length > 1
+        ? SefariaRef.toUrl(SefariaRef.parent(parsed))
+        : SefariaRef.toUrl(result.ref);
       refsToFetch.add(baseRef);
     }
 
@@ -209,6 +308,7 @@ class RAGSefariaSystem {
         text.text.forEach((paragraph, index) => {
           if (paragraph && this.isRelevant(paragraph, query)) {
             relevantSections.push({
+              ref: SefariaRef.segment(text.ref, index + 1),
               text: paragraph,
               heText: text.heText?.[index] || '',
               index
@@ -236,47 +336,62 @@ class RAGSefariaSystem {
    * Vérifie si un texte est pertinent pour la requête
    */
   isRelevant(text, query) {
-    const textLower = text.toLowerCase();
-    const queryWords = query.toLowerCase().split(/\s+/);
+    const textLower = HebrewNormalizer.normalize(text);
+    const queryWords = HebrewNormalizer.tokenize(query);
     
     // Vérifier si au moins un mot de la requête est présent
     return queryWords.some(word => textLower.includes(word));
   }
 
   /**
-   * Optimise les chunks pour respecter les limites de tokens
+   * Choisit les passages du contexte (lib/context-packer.js) dans l'ordre de pertinence de Sefaria :
+   * doublons et passages qui se recouvrent écartés, livres variés, segments consécutifs recollés,
+   * budgets total et par livre
+   * @returns {Object} { passages, dropped: [{ id, reference, reason, ... }] }
    */
   optimizeChunks(passages) {
-    let totalTokens = 0;
-    const optimized = [];
-
-    for (const passage of passages) {
-      if (totalTokens + passage.tokens <= this.chunkConfig.contextWindow) {
-        optimized.push(passage);
-        totalTokens += passage.tokens;
-      } else {
-        // Tronquer si nécessaire
-        const remainingTokens = this.chunkConfig.contextWindow - totalTokens;
-        if (remainingTokens > 1000) {
-          const truncated = {
-            ...passage,
-            fullText: this.truncateText(passage.fullText, remainingTokens),
-            tokens: remainingTokens,
-            truncated: true
-          };
-          optimized.push(truncated);
-        }
-        break;
-      }
-    }
-
-    return optimized;
+    const { passages: packed, dropped } = this.packer.pack(passages.map(passage => {
+      const parsed = SefariaRef.parse(passage.ref);
+      const segment = parsed && parsed.sections.length > 1;
+      return {
+        id: passage.ref,
+        reference: passage.ref,
+        text: passage.fullText,
+        tokens: passage.tokens,
+        book: passage.bookTitle || parsed?.book,
+        section: segment ? SefariaRef.parent(parsed) : null,
+        position: segment ? parsed.sections[parsed.sections.length - 1] : undefined,
+        item: passage
+      };
+    }));
+
+    const optimized = packed.map(packedPassage => ({
+      ...packedPassage.items[0],
+      fullText: packedPassage.text,
+      tokens: packedPassage.tokens,
+      ...(packedPassage.items.length > 1 && {
+        // Segments recollés : la référence couvre le premier et le dernier
+        ref: SefariaRef.range(packedPassage.items[0].ref, packedPassage.items[packedPassage.items.length - 1].ref) ||
+          packedPassage.items[0].ref,
+        fullHeText: packedPassage.items.map(item => item.fullHeText).filter(Boolean).join('\n'),
+        sections: packedPassage.items.flatMap(item => item.sections || []),
+        merged: packedPassage.ids.slice(1)
+      }),
+      ...(packedPassage.truncated && { truncated: true })
+    }));
+
+    return { passages: optimized, dropped };
   }
 
   /**
-   * Prépare le contexte pour Gemini avec les vrais textes Sefaria
+   * Prépare le contexte pour le LLM avec les vrais textes Sefaria
    */
-  prepareGeminiContext(searchResults) {
+  prepareLLMContext(searchResults, history = []) {
+    const conversation = history.slice(-3)
+      .map(turn => `Utilisateur : ${turn.query}\nAssistant : ${turn.answer}`)
+      .join('\n');
+    const intent = searchResults.intent;
+
     const context = {
       systemPrompt: `Tu es un expert des enseignements de Rabbi Nachman de Breslov.
       Tu as accès aux textes RÉELS de Sefaria.
@@ -286,7 +401,7 @@ class RAGSefariaSystem {
       Base-toi UNIQUEMENT sur les textes fournis, ne pas inventer.`,
       
       passages: searchResults.passages.map(p => ({
-        reference: p.ref,
+        reference: SefariaRef.normalize(p.ref) || p.ref,
         bookTitle: p.bookTitle,
         text: p.fullText,
         hebrewText: p.fullHeText,
@@ -295,58 +410,118 @@ class RAGSefariaSystem {
       
       query: searchResults.query,
       
-      instructions: `Basé sur ces textes RÉELS de Rabbi Nachman provenant de Sefaria, réponds à: "${searchResults.query}"
+      instructions: `${conversation ? `Conversation précédente :\n${conversation}\n\n      ` : ''}Basé sur ces textes RÉELS de Rabbi Nachman provenant de Sefaria, réponds à: "${searchResults.query}"
       
       IMPORTANT:
       1. Utilise UNIQUEMENT les informations des textes fournis
       2. Cite les références exactes (ex: Likutei Moharan I:54)
       3. Si l'information n'est pas dans les textes, dis-le clairement
       4. Inclus des citations en hébreu quand c'est pertinent
-      5. Structure ta réponse de manière claire et pédagogique`
+      5. Structure ta réponse de manière claire et pédagogique${intent ? `
+      6. ${intent.instruction}` : ''}`
     };
     
     return context;
   }
 
   /**
-   * Génère une réponse avec Gemini basée sur les textes Sefaria
+   * Répond à une question : classification de l'intention, recherche selon la stratégie
+   * (lecture directe d'une référence, recherche avec les livres privilégiés, extraction de date),
+   * abstention si les passages ne couvrent pas la question, puis réponse du LLM configuré
+   * @param {Object} options - { history: tours précédents de la conversation [{ query, answer }],
+   *   searchResults: passages déjà retrouvés par un autre moteur (évaluation), recherche alors omise }
    */
-  async generateResponse(query) {
+  async answer(query, options = {}) {
+    const { history = [] } = options;
+
     try {
-      // Recherche RAG
-      const searchResults = await this.search(query);
+      const intent = this.intents.classify(query);
+      const searchResults = options.searchResults || (intent.strategy === 'direct_fetch'
+        ? await this.fetchReference(query, intent)
+        : await this.search(query, { intent }));
       
-      if (searchResults.passages.length === 0) {
-        return {
-          response: "Je n'ai pas trouvé de passages spécifiques dans les textes de Rabbi Nachman pour répondre à votre question. Pourriez-vous reformuler ou être plus précis ?",
-          citations: [],
-          metadata: searchResults.metadata
-        };
+      // Pas de réponse générée si les passages ne couvrent pas la question ;
+      // un passage lu directement est la réponse même si la question le cite sans autres mots
+      const assessment = intent.strategy === 'direct_fetch' && searchResults.passages.length > 0
+        ? { confidence: intent.confidence, abstain: false }
+        : this.assess(searchResults);
+      if (assessment.abstain) {
+        return { ...this.abstainedResponse(searchResults, assessment), intent: this.describeIntent(intent) };
+      }
+
+      // "Lis-moi Sichot HaRan 52" : le texte du passage, sans LLM
+      const { passage } = searchResults;
+      if (intent.lookup && passage) {
+        return this.passageResponse(passage, intent, searchResults);
       }
 
-      // Préparer le contexte pour Gemini
-      const context = this.prepareGeminiContext(searchResults);
+      // Questions historiques : première date trouvée dans les passages
+      const date = intent.strategy === 'date_extraction'
+        ? IntentClassifier.extractDate(searchResults.passages.flatMap(p =>
+          (p.sections || []).map(s => ({ reference: SefariaRef.normalize(s.ref) || s.ref, text: s.text }))))
+        : null;
+
+      // Préparer le contexte pour le LLM (passages identifiés [P1], [P2]... pour les citations)
+      const context = CitationVerifier.prepare(this.prepareLLMContext(searchResults, history));
       
-      // Générer la réponse avec Gemini
-      const geminiResponse = await this.gemini.generateResponse(context);
+      let completion;
+      try {
+        completion = await this.llm.generate({ messages: LLMClient.ragMessages(context) });
+      } catch (error) {
+        if (!(error instanceof LLMClient.LLMError)) throw error;
+
+        // Fallback : construire une réponse à partir des textes
+        console.error(`LLM error (${error.code}):`, error.message);
+        const fallback = this.constructFallbackResponse(searchResults);
+        return {
+          ...fallback,
+          intent: this.describeIntent(intent),
+          ...(passage && { passage }),
+          ...(date && { date }),
+          metadata: { ...fallback.metadata, fallbackReason: error.message }
+        };
+      }
       
-      if (geminiResponse.success) {
+      // Vérifier chaque citation contre le passage cité
+      const verification = this.verifier.verify(completion.text, context.passages);
+
+      // Aucune affirmation n'a résisté à la vérification : les passages eux-mêmes
+      if (!verification.text.trim()) {
+        const fallback = this.constructFallbackResponse(searchResults);
         return {
-          response: geminiResponse.text,
-          citations: searchResults.passages.map(p => ({
-            source: `${p.bookTitle} - ${p.ref}`,
-            text: p.sections?.[0]?.text?.substring(0, 200) + '...'
-          })),
-          metadata: {
-            ...searchResults.metadata,
-            geminiTokensUsed: geminiResponse.tokensUsed
-          }
+          ...fallback,
+          intent: this.describeIntent(intent),
+          ...(passage && { passage }),
+          ...(date && { date }),
+          metadata: { ...fallback.metadata, fallbackReason: 'unverified', verification: verification.summary }
         };
-      } else {
-        // Fallback : construire une réponse à partir des textes
-        return this.constructFallbackResponse(searchResults);
       }
       
+      return {
+        response: verification.text,
+        mode: AbstentionPolicy.MODES.GROUNDED,
+        confidence: assessment.confidence,
+        intent: this.describeIntent(intent),
+        ...(passage && { passage }),
+        ...(date && { date }),
+        citations: verification.citations.map(c => ({
+          source: this.formatReference({ ref: c.reference, bookTitle: c.bookTitle }),
+          reference: c.reference,
+          text: c.excerpt.substring(0, 200) + '...',
+          status: c.status,
+          quotes: c.quotes
+        })),
+        metadata: {
+          ...searchResults.metadata,
+          llm: {
+            provider: completion.provider,
+            model: completion.model,
+            tokensUsed: completion.usage.totalTokens
+          },
+          verification: verification.summary
+        }
+      };
+      
     } catch (error) {
       console.error('Error generating response:', error);
       throw error;
@@ -354,15 +529,95 @@ class RAGSefariaSystem {
   }
 
   /**
-   * Construit une réponse de secours sans Gemini
+   * Réponse à une simple lecture de référence : le texte traduit (ou hébreu) du passage,
+   * avec le passage précédent et suivant pour la navigation
+   */
+  passageResponse(passage, intent, searchResults) {
+    return {
+      response: passage.translation || passage.hebrew,
+      mode: AbstentionPolicy.MODES.EXTRACTIVE,
+      confidence: intent.confidence,
+      intent: this.describeIntent(intent),
+      passage,
+      citations: [{
+        source: SefariaRef.format(passage.reference, 'fr'),
+        reference: passage.reference,
+        text: (passage.translation || passage.hebrew).substring(0, 200) + '...'
+      }],
+      metadata: searchResults.metadata
+    };
+  }
+
+  /**
+   * Intention renvoyée avec la réponse : { intent, confidence, strategy, books, reference }
+   */
+  describeIntent(intent) {
+    return {
+      intent: intent.intent,
+      confidence: intent.confidence,
+      strategy: intent.strategy,
+      books: intent.bookPriors.map(prior => prior.book),
+      ...(intent.reference && { reference: intent.reference })
+    };
+  }
+
+  /**
+   * Confiance dans les passages retrouvés (part de la question couverte par les sections pertinentes)
+   */
+  assess(searchResults) {
+    return this.abstention.assess(searchResults.query, this.candidates(searchResults));
+  }
+
+  /**
+   * Passages retrouvés sous forme de candidats { reference, text } pour la politique d'abstention
+   */
+  candidates(searchResults) {
+    return searchResults.passages.map(p => ({
+      reference: this.formatReference(p),
+      text: (p.sections || []).map(s => [s.text, s.heText].filter(Boolean).join('\n')).join('\n') || p.fullText
+    }));
+  }
+
+  /**
+   * Réponse « pas trouvé dans les sources » avec les passages les plus proches
+   */
+  abstainedResponse(searchResults, assessment = this.assess(searchResults)) {
+    const abstained = this.abstention.abstain({
+      query: searchResults.query,
+      confidence: assessment.confidence,
+      candidates: this.candidates(searchResults),
+      reason: assessment.reason
+    });
+
+    return {
+      response: abstained.text,
+      mode: abstained.mode,
+      confidence: abstained.confidence,
+      citations: [],
+      nearestPassages: abstained.nearestPassages,
+      suggestions: abstained.suggestions,
+      metadata: {
+        ...searchResults.metadata,
+        abstention: { reason: abstained.reason, threshold: abstained.threshold }
+      }
+    };
+  }
+
+  /**
+   * Référence d'un passage pour les citations ("Likoutey Moharan II 24")
+   */
+  formatReference(passage) {
+    return SefariaRef.parse(passage.ref)
+      ? SefariaRef.format(passage.ref, 'fr')
+      : `${passage.bookTitle} - ${passage.ref}`;
+  }
+
+  /**
+   * Construit une réponse de secours sans LLM
    */
   constructFallbackResponse(searchResults) {
     if (searchResults.passages.length === 0) {
-      return {
-        response: "Aucun passage trouvé pour cette requête.",
-        citations: [],
-        metadata: searchResults.metadata
-      };
+      return this.abstainedResponse(searchResults);
     }
 
     let response = `D'après les textes de Rabbi Nachman sur Sefaria:\n\n`;
@@ -371,7 +626,7 @@ class RAGSefariaSystem {
     const topPassages = searchResults.passages.slice(0, 3);
     
     for (const passage of topPassages) {
-      response += `**${passage.bookTitle} (${passage.ref})**\n`;
+      response += `**${this.formatReference(passage)}**\n`;
       
       if (passage.sections && passage.sections.length > 0) {
         const section = passage.sections[0];
@@ -388,8 +643,11 @@ class RAGSefariaSystem {
 
     return {
       response,
+      mode: AbstentionPolicy.MODES.EXTRACTIVE,
+      confidence: this.assess(searchResults).confidence,
       citations: topPassages.map(p => ({
         source: `${p.bookTitle} - ${p.ref}`,
+        reference: SefariaRef.normalize(p.ref) || p.ref,
         text: p.sections?.[0]?.text?.substring(0, 200) + '...'
       })),
       metadata: searchResults.metadata,
@@ -398,20 +656,18 @@ class RAGSefariaSystem {
   }
 
   /**
-   * Estime le nombre de tokens dans un texte
+   * Nombre de tokens d'un texte (lib/token-counter.js)
    */
   estimateTokens(text) {
-    // Approximation : 1 token ≈ 4 caractères
-    return Math.ceil(text.length / 4);
+    return this.tokenCounter.count(text);
   }
 
   /**
    * Tronque un texte pour respecter une limite de tokens
    */
   truncateText(text, maxTokens) {
-    const maxChars = maxTokens * 4;
-    if (text.length <= maxChars) return text;
-    return text.substring(0, maxChars) + '...';
+    const truncated = this.tokenCounter.truncate(text, maxTokens);
+    return truncated.length < text.length ? truncated + '...' : text;
   }
 
   /**
@@ -422,7 +678,7 @@ class RAGSefariaSystem {
   }
 
   /**
-   * Teste la connexion complète (Sefaria + Gemini)
+   * Teste la connexion complète (Sefaria + recherche)
    */
   async testSystem() {
     console.log('Testing RAG Sefaria System...');
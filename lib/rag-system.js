@@ -3,6 +3,12 @@
  * Pour gérer des millions de tokens dans la limite de 1M de Gemini
  */
 
+const HebrewNormalizer = require('./hebrew-normalizer');
+const TransliterationMatcher = require('./transliteration');
+const SefariaRef = require('./sefaria-ref');
+const ContextPacker = require('./context-packer');
+const TokenCounter = require('./token-counter');
+
 class RAGSystem {
   constructor() {
     // Niveau 1: Index principal - Résumés et métadonnées
@@ -54,6 +60,13 @@ class RAGSystem {
     this.level3Passages = new Map();
     this.initializeLevel3();
 
+    // Variantes de translittération (hisbodedus, hitbodedout, התבודדות...)
+    this.transliteration = new TransliterationMatcher();
+
+    // Choix des passages du contexte : pertinence, diversité des livres, budgets de tokens
+    this.tokenCounter = TokenCounter.shared();
+    this.packer = new ContextPacker({ tokenCounter: this.tokenCounter });
+
     // Configuration du chunking
     this.chunkConfig = {
       maxTokensPerChunk: 8000,    // Taille max par chunk
@@ -67,7 +80,7 @@ class RAGSystem {
     // Likoutey Moharan - Chapitres principaux
     this.level2Chapters.set('lm_joy', {
       book: 'likoutey_moharan',
-      reference: 'II:24',
+      reference: 'Likutei Moharan, Part II 24',
       title: 'La Joie',
       summary: "La joie est une mitzvah constante qui brise toutes les barrières spirituelles. Rabbi Nachman enseigne que même dans les moments les plus difficiles, il faut chercher un point positif pour s'en réjouir.",
       keywords: ['simcha', 'joie', 'bonheur', 'tristesse', 'dépression'],
@@ -76,7 +89,7 @@ class RAGSystem {
 
     this.level2Chapters.set('lm_hitbodedout', {
       book: 'likoutey_moharan',
-      reference: 'II:25',
+      reference: 'Likutei Moharan, Part II 25',
       title: "L'Hitbodedout",
       summary: "La pratique de la méditation solitaire et de la conversation avec Dieu dans sa langue maternelle. C'est la pratique spirituelle la plus élevée selon Rabbi Nachman.",
       keywords: ['hitbodedout', 'méditation', 'prière', 'solitude', 'parler à Dieu'],
@@ -85,7 +98,7 @@ class RAGSystem {
 
     this.level2Chapters.set('lm_faith', {
       book: 'likoutey_moharan',
-      reference: 'I:7',
+      reference: 'Likutei Moharan 7',
       title: 'La Foi Simple',
       summary: "La foi transcende l'intellect. Là où la compréhension s'arrête, la foi commence. C'est le fondement de toute vie spirituelle.",
       keywords: ['emunah', 'foi', 'croire', 'confiance', 'doute'],
@@ -94,7 +107,7 @@ class RAGSystem {
 
     this.level2Chapters.set('lm_teshuva', {
       book: 'likoutey_moharan',
-      reference: 'I:6',
+      reference: 'Likutei Moharan 6',
       title: 'Le Retour',
       summary: "Si tu crois que tu peux détruire, crois que tu peux réparer. Il n'y a pas de désespoir dans le monde.",
       keywords: ['teshuva', 'repentir', 'retour', 'pardon', 'espoir'],
@@ -103,7 +116,7 @@ class RAGSystem {
 
     this.level2Chapters.set('sh_conversations', {
       book: 'sichot_haran',
-      reference: 'Conversations 1-50',
+      reference: 'Sichot HaRan 1-50',
       title: 'Conseils Pratiques',
       summary: "Conversations directes de Rabbi Nachman sur la pratique spirituelle quotidienne, l'hitbodedout, et comment surmonter les obstacles.",
       keywords: ['conseil', 'pratique', 'quotidien', 'obstacle'],
@@ -183,20 +196,25 @@ class RAGSystem {
    * Recherche sémantique à travers les 3 niveaux
    */
   async search(query, context = {}) {
+    // Étendre la requête avec les variantes translittérées et hébraïques
+    const expandedQuery = this.transliteration.expandQuery(query);
+    
     // Étape 1: Recherche au niveau 1 pour identifier les livres pertinents
-    const relevantBooks = this.searchLevel1(query);
+    const relevantBooks = this.searchLevel1(expandedQuery);
     
     // Étape 2: Recherche au niveau 2 pour identifier les chapitres pertinents
-    const relevantChapters = this.searchLevel2(query, relevantBooks);
+    const relevantChapters = this.searchLevel2(expandedQuery, relevantBooks);
     
     // Étape 3: Recherche au niveau 3 pour récupérer les passages spécifiques
-    const relevantPassages = await this.searchLevel3(query, relevantChapters);
+    const relevantPassages = await this.searchLevel3(expandedQuery, relevantChapters);
     
-    // Étape 4: Chunking intelligent pour respecter la limite de tokens
-    const optimizedChunks = this.optimizeChunks(relevantPassages, this.chunkConfig.contextWindow);
+    // Étape 4: Choix des passages (MMR) dans la limite de tokens
+    const packing = this.optimizeChunks(relevantPassages, this.chunkConfig.contextWindow);
+    const optimizedChunks = packing.passages;
     
     return {
       query,
+      expandedQuery,
       books: relevantBooks,
       chapters: relevantChapters,
       passages: optimizedChunks,
@@ -204,13 +222,14 @@ class RAGSystem {
       metadata: {
         searchTimestamp: new Date().toISOString(),
         levelsSearched: 3,
-        documentsScanned: relevantBooks.length + relevantChapters.length + relevantPassages.length
+        documentsScanned: relevantBooks.length + relevantChapters.length + relevantPassages.length,
+        dropped: packing.dropped // Passages écartés du contexte et raison (duplicate, book_budget...)
       }
     };
   }
 
   searchLevel1(query) {
-    const queryLower = query.toLowerCase();
+    const queryLower = HebrewNormalizer.normalize(query);
     const relevant = [];
     
     for (const [bookId, bookData] of Object.entries(this.level1Index.books)) {
@@ -220,14 +239,15 @@ class RAGSystem {
       // Augmenter le score si des topics correspondent
       if (bookData.topics && Array.isArray(bookData.topics)) {
         for (const topic of bookData.topics) {
-          if (queryLower.includes(topic) || topic.includes(queryLower)) {
+          const topicNormalized = HebrewNormalizer.normalize(topic);
+          if (queryLower.includes(topicNormalized) || topicNormalized.includes(queryLower)) {
             score += 0.3;
           }
         }
       }
       
       // Vérifier dans le résumé
-      if (bookData.summary && bookData.summary.toLowerCase().includes(queryLower)) {
+      if (bookData.summary && HebrewNormalizer.normalize(bookData.summary).includes(queryLower)) {
         score += 0.2;
       }
       
@@ -250,7 +270,7 @@ class RAGSystem {
   }
 
   searchLevel2(query, relevantBooks) {
-    const queryLower = query.toLowerCase();
+    const queryLower = HebrewNormalizer.normalize(query);
     const bookIds = relevantBooks.map(b => b.bookId);
     const relevant = [];
     
@@ -262,19 +282,20 @@ class RAGSystem {
         // Vérifier les mots-clés
         if (chapterData.keywords && Array.isArray(chapterData.keywords)) {
           for (const keyword of chapterData.keywords) {
-            if (queryLower.includes(keyword.toLowerCase()) || keyword.toLowerCase().includes(queryLower)) {
+            const keywordNormalized = HebrewNormalizer.normalize(keyword);
+            if (queryLower.includes(keywordNormalized) || keywordNormalized.includes(queryLower)) {
               score += 0.4;
             }
           }
         }
         
         // Vérifier le titre
-        if (chapterData.title && chapterData.title.toLowerCase().includes(queryLower)) {
+        if (chapterData.title && HebrewNormalizer.normalize(chapterData.title).includes(queryLower)) {
           score += 0.5;
         }
         
         // Vérifier le résumé
-        if (chapterData.summary && chapterData.summary.toLowerCase().includes(queryLower)) {
+        if (chapterData.summary && HebrewNormalizer.normalize(chapterData.summary).includes(queryLower)) {
           score += 0.3;
         }
         
@@ -326,7 +347,7 @@ class RAGSystem {
     // Score pour les mots-clés
     if (keywords && Array.isArray(keywords)) {
       for (const keyword of keywords) {
-        if (query.includes(keyword.toLowerCase())) {
+        if (HebrewNormalizer.includes(query, keyword)) {
           score += 0.3;
         }
       }
@@ -335,7 +356,7 @@ class RAGSystem {
     // Score pour le texte
     if (text) {
       for (const word of queryWords) {
-        if (text.toLowerCase().includes(word)) {
+        if (HebrewNormalizer.includes(text, word)) {
           score += 0.1;
         }
       }
@@ -346,8 +367,8 @@ class RAGSystem {
 
   calculateTextSimilarity(query, text) {
     // Implémentation simple - pourrait être remplacée par des embeddings
-    const queryWords = new Set(query.toLowerCase().split(/\s+/));
-    const textWords = new Set(text.toLowerCase().split(/\s+/));
+    const queryWords = new Set(HebrewNormalizer.tokenize(query));
+    const textWords = new Set(HebrewNormalizer.tokenize(text));
     
     const intersection = new Set([...queryWords].filter(x => textWords.has(x)));
     const union = new Set([...queryWords, ...textWords]);
@@ -355,39 +376,37 @@ class RAGSystem {
     return intersection.size / union.size;
   }
 
+  /**
+   * Choisit les passages du contexte (lib/context-packer.js) : pertinence et diversité,
+   * passages consécutifs d'un chapitre recollés, budgets total et par livre
+   * @returns {Object} { passages, dropped: [{ id, reason, ... }] }
+   */
   optimizeChunks(passages, maxTokens) {
-    let totalTokens = 0;
-    const optimized = [];
-    
-    for (const passage of passages) {
-      if (totalTokens + passage.tokens <= maxTokens) {
-        optimized.push(passage);
-        totalTokens += passage.tokens;
-      } else {
-        // Tronquer le passage si nécessaire
-        const remainingTokens = maxTokens - totalTokens;
-        if (remainingTokens > 1000) {
-          const truncated = {
-            ...passage,
-            text: this.truncateText(passage.text, remainingTokens),
-            tokens: remainingTokens,
-            truncated: true
-          };
-          optimized.push(truncated);
-        }
-        break;
-      }
-    }
-    
-    return optimized;
+    const { passages: packed, dropped } = this.packer.pack(passages.map(passage => ({
+      id: passage.passageId,
+      text: passage.text,
+      tokens: passage.tokens,
+      score: passage.relevanceScore,
+      book: this.level2Chapters.get(passage.chapterId)?.book,
+      section: passage.chapterId,
+      position: parseInt((passage.passageId.match(/_(\d+)$/) || [])[1], 10),
+      item: passage
+    })), { maxTokens });
+
+    const optimized = packed.map(packedPassage => ({
+      ...packedPassage.items[0],
+      text: packedPassage.text,
+      tokens: packedPassage.tokens,
+      ...(packedPassage.ids.length > 1 && { merged: packedPassage.ids.slice(1) }),
+      ...(packedPassage.truncated && { truncated: true })
+    }));
+
+    return { passages: optimized, dropped };
   }
 
   truncateText(text, maxTokens) {
-    // Approximation: 1 token ≈ 4 caractères
-    const maxChars = maxTokens * 4;
-    if (text.length <= maxChars) return text;
-    
-    return text.substring(0, maxChars) + '...';
+    const truncated = this.tokenCounter.truncate(text, maxTokens);
+    return truncated.length < text.length ? truncated + '...' : text;
   }
 
   calculateTokens(chunks) {
@@ -395,19 +414,24 @@ class RAGSystem {
   }
 
   /**
-   * Prépare le contexte pour Gemini
+   * Prépare le contexte pour le LLM
    */
-  prepareGeminiContext(searchResults) {
+  prepareLLMContext(searchResults) {
     const context = {
       systemPrompt: `Tu es un expert des enseignements de Rabbi Nachman de Breslov. 
       Utilise les passages suivants pour répondre à la question de manière précise et profonde.
       Cite toujours les sources (livre, chapitre, référence).
       Réponds en français sauf pour les termes hébraïques importants.`,
       
-      passages: searchResults.passages.map(p => ({
-        reference: `${p.chapterId} - ${this.level2Chapters.get(p.chapterId)?.reference || ''}`,
-        text: p.text
-      })),
+      passages: searchResults.passages.map(p => {
+        const reference = this.level2Chapters.get(p.chapterId)?.reference || '';
+        return {
+          reference: SefariaRef.parse(reference)
+            ? SefariaRef.format(reference, 'fr')
+            : `${p.chapterId} - ${reference}`,
+          text: p.text
+        };
+      }),
       
       query: searchResults.query,
       
@@ -0,0 +1,120 @@
+/**
+ * Fusion des classements de plusieurs moteurs de recherche (reciprocal rank fusion)
+ * Chaque moteur (BM25, vecteurs, titres et références) classe les chunks ; un chunk reçoit
+ * poids / (k + rang) de chaque moteur qui le retrouve. Seuls les rangs comptent : les scores
+ * BM25 et les similarités cosinus ne sont pas comparables entre eux.
+ * (portage TypeScript : backend/src/utils/rankFusion.ts)
+ */
+
+const SefariaRef = require('./sefaria-ref');
+
+// Lissage des rangs : au-delà des premiers rangs, l'écart de score entre deux rangs devient faible
+const DEFAULT_K = 60;
+
+// Parties d'une même section dans les index construits avant le découpage par segments ("Likutei Moharan 282 (partie 2)")
+const PART_SUFFIX = / \(partie \d+\)$/;
+
+class RankFusion {
+  /**
+   * @param {Object} options - { k, weights: { bm25: 1, vector: 1, reference: 1 } }
+   *   par défaut RRF_K et RRF_WEIGHTS ("bm25:1,vector:0.8,reference:1.5") ; poids 1 si absent
+   */
+  constructor(options = {}) {
+    this.k = options.k || parseInt(process.env.RRF_K || String(DEFAULT_K));
+    this.weights = options.weights || RankFusion.parseWeights(process.env.RRF_WEIGHTS);
+  }
+
+  /**
+   * Poids par moteur depuis "bm25:1,vector:0.8" (valeurs invalides ignorées)
+   */
+  static parseWeights(spec) {
+    const weights = {};
+    for (const pair of String(spec || '').split(',')) {
+      const [name, value] = pair.split(':').map(part => part.trim());
+      const weight = parseFloat(value);
+      if (name && !isNaN(weight)) weights[name] = weight;
+    }
+    return weights;
+  }
+
+  /**
+   * Poids d'un moteur (0 le désactive)
+   */
+  weight(retriever) {
+    return this.weights[retriever] ?? 1;
+  }
+
+  /**
+   * Vrai si deux chunks se chevauchent : même chunk, parties d'une même section
+   * ou références qui partagent un passage ("Likutei Moharan 282:1-5" et "Likutei Moharan 282:3")
+   */
+  static overlaps(a, b) {
+    if (a.id === b.id) return true;
+
+    const x = String(a.reference || '').replace(PART_SUFFIX, '');
+    const y = String(b.reference || '').replace(PART_SUFFIX, '');
+    if (!x || !y) return false;
+    if (x === y) return true;
+
+    // Une référence de livre entier ne dédoublonne pas tout le livre
+    const px = SefariaRef.parse(x);
+    const py = SefariaRef.parse(y);
+    return Boolean(px && py && px.sections.length > 0 && py.sections.length > 0 && SefariaRef.overlaps(px, py));
+  }
+
+  /**
+   * Fusionne les classements des moteurs
+   * @param {Object} rankings - { moteur: [{ id, reference, score }] }, le meilleur en premier
+   * @param {Object} options - { limit }
+   * @returns {Object} { results: [{ id, reference, score, ranks, scores, merged, item }],
+   *   debug: { k, weights, retrievers: { moteur: [{ rank, id, reference, score }] } } }
+   */
+  fuse(rankings, options = {}) {
+    const fused = new Map();
+    const retrievers = {};
+    const weights = {};
+
+    for (const [retriever, ranking] of Object.entries(rankings)) {
+      const weight = this.weight(retriever);
+      weights[retriever] = weight;
+      retrievers[retriever] = [];
+
+      ranking.forEach((item, index) => {
+        const rank = index + 1;
+        retrievers[retriever].push({ rank, id: item.id, reference: item.reference || null, score: item.score ?? null });
+        if (weight <= 0) return;
+
+        if (!fused.has(item.id)) {
+          fused.set(item.id, { id: item.id, reference: item.reference || null, score: 0, ranks: {}, scores: {}, merged: [], item });
+        }
+        const entry = fused.get(item.id);
+        if (entry.ranks[retriever]) return; // Doublon dans un même classement : seul le meilleur rang compte
+
+        entry.ranks[retriever] = rank;
+        entry.scores[retriever] = item.score ?? null;
+        entry.score += weight / (this.k + rank);
+      });
+    }
+
+    // Chunks qui se chevauchent : le mieux classé reste, les autres lui sont rattachés
+    const results = [];
+    for (const entry of [...fused.values()].sort((a, b) => b.score - a.score)) {
+      const kept = results.find(result => RankFusion.overlaps(result, entry));
+      if (kept) {
+        kept.merged.push(entry.id);
+      } else {
+        results.push(entry);
+      }
+    }
+
+    return {
+      results: options.limit ? results.slice(0, options.limit) : results,
+      debug: { k: this.k, weights, retrievers }
+    };
+  }
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RankFusion;
+}
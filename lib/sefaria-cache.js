@@ -0,0 +1,543 @@
+/**
+ * Cache des réponses de l'API Sefaria pour SefariaService
+ * Stockage interchangeable (mémoire, fichiers, Redis), durée de vie par endpoint,
+ * stale-while-revalidate, revalidation ETag/Last-Modified, éviction LRU et statistiques
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Durées par préfixe d'endpoint : ttl = frais, stale = servi périmé pendant la revalidation
+const DEFAULT_POLICIES = {
+  '/api/index/': { ttl: 7 * DAY, stale: 30 * DAY },
+  '/api/v2/index/': { ttl: 7 * DAY, stale: 30 * DAY },
+  '/api/v3/index/': { ttl: 7 * DAY, stale: 30 * DAY },
+  '/api/texts/': { ttl: DAY, stale: 7 * DAY },
+  '/api/v3/texts/': { ttl: DAY, stale: 7 * DAY },
+  '/api/related/': { ttl: DAY, stale: 7 * DAY },
+  '/api/search/': { ttl: 10 * MINUTE, stale: HOUR },
+  default: { ttl: 30 * MINUTE, stale: 2 * HOUR }
+};
+
+// Intervalle de relecture du disque par FileStore (entrées écrites par d'autres processus)
+const RESCAN_INTERVAL = 10 * MINUTE;
+
+const STAT_FIELDS = ['hits', 'staleHits', 'misses', 'revalidated', 'refreshed', 'errors', 'evictions'];
+
+function emptyStats() {
+  return Object.fromEntries(STAT_FIELDS.map(field => [field, 0]));
+}
+
+function entrySize(entry) {
+  return Buffer.byteLength(JSON.stringify(entry));
+}
+
+/**
+ * Stockage en mémoire : Map dans l'ordre d'accès (le premier élément est le moins récent)
+ */
+class MemoryStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.stats = emptyStats();
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) return null;
+
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  async set(key, entry) {
+    await this.delete(key);
+    const size = entrySize(entry);
+    this.entries.set(key, { entry, size });
+    this.bytes += size;
+    return this.evict();
+  }
+
+  async delete(key) {
+    const item = this.entries.get(key);
+    if (!item) return;
+    this.entries.delete(key);
+    this.bytes -= item.size;
+  }
+
+  async keys(prefix = '') {
+    return [...this.entries.keys()].filter(key => key.startsWith(prefix));
+  }
+
+  // Retire les entrées les moins récemment utilisées ; retourne le nombre d'évictions
+  async evict() {
+    let evicted = 0;
+    while (this.entries.size > this.maxEntries || (this.bytes > this.maxBytes && this.entries.size > 1)) {
+      const [oldest] = this.entries.keys();
+      await this.delete(oldest);
+      evicted++;
+    }
+    return evicted;
+  }
+
+  async recordStats(delta) {
+    for (const [field, value] of Object.entries(delta)) {
+      this.stats[field] += value;
+    }
+  }
+
+  async info() {
+    return { store: 'memory', entries: this.entries.size, bytes: this.bytes, stats: { ...this.stats } };
+  }
+}
+
+/**
+ * Stockage sur disque : un fichier JSON par entrée, survit aux redémarrages
+ * La date de modification sert d'horodatage d'accès pour l'éviction LRU
+ * Taille et nombre d'entrées sont tenus à jour à chaque écriture ; le dossier n'est relu
+ * qu'au premier accès, pour évincer, et toutes les RESCAN_INTERVAL
+ */
+class FileStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), 'data', 'cache', 'sefaria');
+    this.maxEntries = options.maxEntries || 5000;
+    this.maxBytes = options.maxBytes || 200 * 1024 * 1024;
+    this.statsFile = path.join(this.dir, '_stats.json');
+    this.pendingStats = emptyStats();
+    this.flushTimer = null;
+    this.sizes = null; // nom de fichier -> octets
+    this.bytes = 0;
+    this.scannedAt = 0;
+  }
+
+  file(key) {
+    return path.join(this.dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    try {
+      const file = this.file(key);
+      const { entry } = JSON.parse(await fs.readFile(file, 'utf8'));
+      const now = new Date();
+      await fs.utimes(file, now, now);
+      return entry;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    const sizes = await this.usage();
+    await fs.mkdir(this.dir, { recursive: true });
+    const file = this.file(key);
+    const content = JSON.stringify({ key, entry });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, content);
+    await fs.rename(tmp, file);
+
+    const name = path.basename(file);
+    const size = Buffer.byteLength(content);
+    this.bytes += size - (sizes.get(name) || 0);
+    sizes.set(name, size);
+    return this.evict();
+  }
+
+  async delete(key) {
+    const sizes = await this.usage();
+    const file = this.file(key);
+    await fs.rm(file, { force: true });
+
+    const name = path.basename(file);
+    this.bytes -= sizes.get(name) || 0;
+    sizes.delete(name);
+  }
+
+  // Tailles des entrées, relues sur disque au premier appel puis toutes les RESCAN_INTERVAL
+  async usage() {
+    if (!this.sizes || Date.now() - this.scannedAt > RESCAN_INTERVAL) {
+      this.remember(await this.list());
+    }
+    return this.sizes;
+  }
+
+  remember(files) {
+    this.sizes = new Map(files.map(f => [f.name, f.size]));
+    this.bytes = files.reduce((sum, f) => sum + f.size, 0);
+    this.scannedAt = Date.now();
+  }
+
+  async list() {
+    let names;
+    try {
+      names = await fs.readdir(this.dir);
+    } catch (error) {
+      return [];
+    }
+
+    const files = [];
+    for (const name of names.filter(n => n.endsWith('.json') && !n.startsWith('_'))) {
+      try {
+        const stat = await fs.stat(path.join(this.dir, name));
+        files.push({ name, size: stat.size, accessed: stat.mtimeMs });
+      } catch (error) {
+        // Supprimé entre-temps par un autre processus
+      }
+    }
+    return files;
+  }
+
+  async keys(prefix = '') {
+    const keys = [];
+    for (const { name } of await this.list()) {
+      try {
+        const { key } = JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8'));
+        if (key.startsWith(prefix)) keys.push(key);
+      } catch (error) {
+        // Fichier illisible : ignoré, il sera évincé
+      }
+    }
+    return keys;
+  }
+
+  async evict() {
+    const sizes = await this.usage();
+    if (sizes.size <= this.maxEntries && this.bytes <= this.maxBytes) return 0;
+
+    // Au-delà des limites : dates d'accès relues sur disque pour l'ordre LRU
+    const files = await this.list();
+    let bytes = files.reduce((sum, f) => sum + f.size, 0);
+    files.sort((a, b) => a.accessed - b.accessed);
+    let count = files.length;
+    let evicted = 0;
+    for (const file of files) {
+      if (count <= this.maxEntries && bytes <= this.maxBytes) break;
+      await fs.rm(path.join(this.dir, file.name), { force: true });
+      count--;
+      bytes -= file.size;
+      evicted++;
+    }
+    this.remember(files.slice(evicted));
+    return evicted;
+  }
+
+  // Les compteurs sont regroupés et écrits au plus une fois par seconde
+  async recordStats(delta) {
+    for (const [field, value] of Object.entries(delta)) {
+      this.pendingStats[field] += value;
+    }
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flushStats().catch(() => {}), 1000);
+      if (this.flushTimer.unref) this.flushTimer.unref();
+    }
+  }
+
+  async readStats() {
+    try {
+      return { ...emptyStats(), ...JSON.parse(await fs.readFile(this.statsFile, 'utf8')) };
+    } catch (error) {
+      return emptyStats();
+    }
+  }
+
+  async flushStats() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const pending = this.pendingStats;
+    this.pendingStats = emptyStats();
+    const stats = await this.readStats();
+    for (const field of STAT_FIELDS) {
+      stats[field] += pending[field];
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    const tmp = `${this.statsFile}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(stats));
+    await fs.rename(tmp, this.statsFile);
+  }
+
+  async info() {
+    const sizes = await this.usage();
+    const stats = await this.readStats();
+    for (const field of STAT_FIELDS) {
+      stats[field] += this.pendingStats[field];
+    }
+    return {
+      store: 'fs',
+      dir: this.dir,
+      entries: sizes.size,
+      bytes: this.bytes,
+      stats
+    };
+  }
+}
+
+/**
+ * Stockage Redis (ioredis) : partagé entre instances et démarrages à froid
+ * Un ensemble trié garde l'ordre d'accès pour l'éviction LRU, un hash la taille de chaque
+ * entrée et un compteur leur total (maxBytes)
+ */
+class RedisStore {
+  constructor(options = {}) {
+    // Chargé à la demande : ioredis n'est requis que pour ce stockage
+    const Redis = require('ioredis');
+    this.redis = options.client || new Redis(options.url || process.env.REDIS_URL || 'redis://localhost:6379', {
+      lazyConnect: true,
+      maxRetriesPerRequest: 1
+    });
+    this.prefix = options.prefix || 'sefaria:cache:';
+    this.maxEntries = options.maxEntries || 5000;
+    this.maxBytes = options.maxBytes || 200 * 1024 * 1024;
+    this.lruKey = `${this.prefix}_lru`;
+    this.sizesKey = `${this.prefix}_sizes`;
+    this.bytesKey = `${this.prefix}_bytes`;
+    this.statsKey = `${this.prefix}_stats`;
+  }
+
+  async get(key) {
+    const raw = await this.redis.get(this.prefix + key);
+    if (!raw) {
+      // Expirée par Redis : retirer aussi son rang LRU et sa taille
+      await this.deleteMany([key]);
+      return null;
+    }
+    await this.redis.zadd(this.lruKey, Date.now(), key);
+    return JSON.parse(raw);
+  }
+
+  async set(key, entry) {
+    // Redis expire l'entrée à la fin de sa période stale
+    const ttl = Math.max(entry.staleUntil - Date.now(), 1000);
+    const content = JSON.stringify(entry);
+    const size = Buffer.byteLength(content);
+    const previous = parseInt(await this.redis.hget(this.sizesKey, key), 10) || 0;
+    await this.redis.multi()
+      .set(this.prefix + key, content, 'PX', ttl)
+      .zadd(this.lruKey, Date.now(), key)
+      .hset(this.sizesKey, key, size)
+      .incrby(this.bytesKey, size - previous)
+      .exec();
+    return this.evict();
+  }
+
+  async delete(key) {
+    await this.deleteMany([key]);
+  }
+
+  async deleteMany(keys) {
+    if (keys.length === 0) return;
+    const sizes = await this.redis.hmget(this.sizesKey, ...keys);
+    const bytes = sizes.reduce((sum, size) => sum + (parseInt(size, 10) || 0), 0);
+    await this.redis.multi()
+      .del(...keys.map(key => this.prefix + key))
+      .zrem(this.lruKey, ...keys)
+      .hdel(this.sizesKey, ...keys)
+      .decrby(this.bytesKey, bytes)
+      .exec();
+  }
+
+  async keys(prefix = '') {
+    const keys = await this.redis.zrange(this.lruKey, 0, -1);
+    return keys.filter(key => key.startsWith(prefix));
+  }
+
+  // Retire les entrées les moins récemment utilisées au-delà de maxEntries, puis de maxBytes
+  async evict() {
+    let evicted = 0;
+    for (;;) {
+      const count = await this.redis.zcard(this.lruKey);
+      const bytes = parseInt(await this.redis.get(this.bytesKey), 10) || 0;
+      const overflow = count > this.maxEntries ? count - this.maxEntries : bytes > this.maxBytes && count > 1 ? 1 : 0;
+      if (overflow === 0) return evicted;
+
+      const oldest = await this.redis.zrange(this.lruKey, 0, overflow - 1);
+      if (oldest.length === 0) return evicted;
+      await this.deleteMany(oldest);
+      evicted += oldest.length;
+    }
+  }
+
+  async recordStats(delta) {
+    const multi = this.redis.multi();
+    for (const [field, value] of Object.entries(delta)) {
+      multi.hincrby(this.statsKey, field, value);
+    }
+    await multi.exec();
+  }
+
+  async info() {
+    const raw = await this.redis.hgetall(this.statsKey);
+    const stats = emptyStats();
+    for (const field of STAT_FIELDS) {
+      stats[field] = parseInt(raw[field], 10) || 0;
+    }
+    return {
+      store: 'redis',
+      entries: await this.redis.zcard(this.lruKey),
+      bytes: parseInt(await this.redis.get(this.bytesKey), 10) || 0,
+      stats
+    };
+  }
+}
+
+let sharedCache = null;
+
+class SefariaCache {
+  /**
+   * Instance commune du processus (configuration SEFARIA_CACHE_*) : SefariaService l'utilise
+   * par défaut et l'endpoint de santé en lit les statistiques
+   */
+  static shared() {
+    if (!sharedCache) sharedCache = new SefariaCache();
+    return sharedCache;
+  }
+
+  /**
+   * @param {Object} options - { store: 'memory' | 'fs' | 'redis', dir, url, maxEntries, maxBytes, policies }
+   * Par défaut : SEFARIA_CACHE_STORE, SEFARIA_CACHE_DIR, REDIS_URL, SEFARIA_CACHE_MAX_ENTRIES
+   */
+  constructor(options = {}) {
+    const type = options.store || process.env.SEFARIA_CACHE_STORE || 'memory';
+    const storeOptions = {
+      dir: options.dir || process.env.SEFARIA_CACHE_DIR,
+      url: options.url,
+      client: options.client,
+      maxEntries: options.maxEntries || parseInt(process.env.SEFARIA_CACHE_MAX_ENTRIES, 10) || undefined,
+      maxBytes: options.maxBytes || parseInt(process.env.SEFARIA_CACHE_MAX_BYTES, 10) || undefined
+    };
+
+    if (type === 'fs') {
+      this.store = new FileStore(storeOptions);
+    } else if (type === 'redis') {
+      this.store = new RedisStore(storeOptions);
+    } else {
+      this.store = new MemoryStore(storeOptions);
+    }
+
+    this.policies = { ...DEFAULT_POLICIES, ...(options.policies || {}) };
+  }
+
+  /**
+   * Durées applicables à un chemin d'API (préfixe le plus long)
+   */
+  policyFor(key) {
+    const prefix = Object.keys(this.policies)
+      .filter(p => p !== 'default' && key.startsWith(p))
+      .sort((a, b) => b.length - a.length)[0];
+    return this.policies[prefix] || this.policies.default;
+  }
+
+  /**
+   * Entrée en cache et son état : 'fresh', 'stale' (à revalider) ou 'expired' (validateurs seuls)
+   */
+  async lookup(key) {
+    let entry = null;
+    try {
+      entry = await this.store.get(key);
+    } catch (error) {
+      console.error(`Sefaria cache read error for ${key}:`, error.message);
+    }
+    if (!entry) return { entry: null, state: 'missing' };
+
+    // L'âge est comparé à la politique actuelle : changer une durée s'applique aux entrées existantes
+    const policy = this.policyFor(key);
+    const age = Date.now() - entry.storedAt;
+    const state = age < policy.ttl ? 'fresh' : age < policy.ttl + policy.stale ? 'stale' : 'expired';
+    return { entry, state };
+  }
+
+  /**
+   * Enregistre une réponse avec ses validateurs (ETag, Last-Modified)
+   */
+  async set(key, data, validators = {}) {
+    const policy = this.policyFor(key);
+    const now = Date.now();
+    const entry = {
+      data,
+      etag: validators.etag || null,
+      lastModified: validators.lastModified || null,
+      storedAt: now,
+      staleUntil: now + policy.ttl + policy.stale
+    };
+
+    try {
+      const evicted = await this.store.set(key, entry);
+      if (evicted > 0) await this.record('evictions', evicted);
+    } catch (error) {
+      console.error(`Sefaria cache write error for ${key}:`, error.message);
+    }
+    return entry;
+  }
+
+  /**
+   * Réponse 304 : les données restent valides pour une nouvelle période
+   */
+  async touch(key, entry) {
+    return this.set(key, entry.data, entry);
+  }
+
+  /**
+   * Vide le cache, ou seulement les chemins commençant par prefix ("/api/search/")
+   */
+  async clear(prefix = '') {
+    const keys = await this.store.keys(prefix);
+    for (const key of keys) {
+      await this.store.delete(key);
+    }
+    return keys.length;
+  }
+
+  /**
+   * Entrées dont le chemin commence par prefix (recherche de secours)
+   */
+  async entries(prefix = '') {
+    const entries = [];
+    try {
+      for (const key of await this.store.keys(prefix)) {
+        const entry = await this.store.get(key);
+        if (entry) entries.push([key, entry]);
+      }
+    } catch (error) {
+      console.error('Sefaria cache scan error:', error.message);
+    }
+    return entries;
+  }
+
+  async record(field, count = 1) {
+    try {
+      await this.store.recordStats({ [field]: count });
+    } catch (error) {
+      // Les statistiques ne doivent jamais faire échouer une requête
+    }
+  }
+
+  /**
+   * Statistiques pour l'endpoint de santé
+   */
+  async stats() {
+    const info = await this.store.info();
+    const { hits, staleHits, misses } = info.stats;
+    const lookups = hits + staleHits + misses;
+    return {
+      ...info,
+      hitRate: lookups > 0 ? Math.round(((hits + staleHits) / lookups) * 1000) / 1000 : null
+    };
+  }
+}
+
+SefariaCache.MemoryStore = MemoryStore;
+SefariaCache.FileStore = FileStore;
+SefariaCache.RedisStore = RedisStore;
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SefariaCache;
+}
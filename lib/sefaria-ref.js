@@ -0,0 +1,548 @@
+/**
+ * Références Sefaria : analyse, forme canonique et affichage par langue
+ * "Likutey Moharan II:24", "ליקוטי מוהר"ן תנינא כ"ד", "Likutei_Moharan.1.1" -> "Likutei Moharan, Part II 24"
+ * Nœuds nommés du schéma : "Chayei Moharan, Introduction 1", "Likutei Halakhot, Orach Chaim, <halakha> 1:1"
+ * Catalogue des livres : lib/sefaria-books.json
+ * (portage TypeScript : backend/src/utils/sefariaRef.ts)
+ */
+
+const HebrewNormalizer = require('./hebrew-normalizer');
+const CATALOG = require('./sefaria-books.json');
+
+// Valeurs numériques des lettres (guematria), lettres finales déjà ramenées à leur forme simple
+const HEBREW_NUMERALS = {
+  'א': 1, 'ב': 2, 'ג': 3, 'ד': 4, 'ה': 5, 'ו': 6, 'ז': 7, 'ח': 8, 'ט': 9,
+  'י': 10, 'כ': 20, 'ל': 30, 'מ': 40, 'נ': 50, 'ס': 60, 'ע': 70, 'פ': 80, 'צ': 90,
+  'ק': 100, 'ר': 200, 'ש': 300, 'ת': 400
+};
+
+// Marqueurs de partie : "II", "Tinyana", "תנינא", "ח"ב" ou "Part 2", "tome 2", "חלק ב"
+const NAMED_PART = /^[\s,]*(ii|i|tinyana|tanina|kama|\u05EA\u05E0\u05D9\u05E0\u05D0|\u05E7\u05DE\u05D0|\u05D7\u05D1|\u05D7\u05D0)(?![\p{L}\p{N}])/u;
+const NUMBERED_PART = /^[\s,]*(?:part|partie|tome|volume|vol|\u05D7\u05DC\u05E7)\s*(ii|i|2|1|\u05D1|\u05D0)(?![\p{L}\p{N}])/u;
+const PART_NUMBERS = {
+  i: 1, ii: 2, 1: 1, 2: 2, tinyana: 2, tanina: 2, kama: 1,
+  'תנינא': 2, 'קמא': 1, 'חב': 2, 'חא': 1, 'ב': 2, 'א': 1
+};
+
+// Mots ignorés devant ou entre les numéros ("Torah 5", "סימן ה", "5 אות ג")
+const SKIP_WORDS = new Set([
+  'torah', 'tora', 'teaching', 'enseignement', 'siman', 'chapitre', 'chapter', 'section',
+  'sicha', 'conte', 'story', 'os', 'ot', 'n', 'no', 'lecon', 'lesson', 'numero', 'number',
+  'paragraphe', 'paragraph',
+  'תורה', 'סימנ', 'סי', 'שיחה', 'מעשה', 'אות'
+]);
+
+// Noms des lettres prononcés ("torah resh pe beit" = 282, "rech pé beth" en français)
+const SPOKEN_LETTERS = {
+  alef: 'א', aleph: 'א',
+  bet: 'ב', beit: 'ב', beth: 'ב', beis: 'ב', vet: 'ב',
+  gimel: 'ג', guimel: 'ג',
+  dalet: 'ד', daled: 'ד', daleth: 'ד',
+  he: 'ה', hei: 'ה', hey: 'ה', heh: 'ה',
+  vav: 'ו', vov: 'ו',
+  zayin: 'ז', zain: 'ז',
+  chet: 'ח', het: 'ח', heth: 'ח', ches: 'ח',
+  tet: 'ט', teth: 'ט', tes: 'ט',
+  yud: 'י', yod: 'י', youd: 'י',
+  kaf: 'כ', khaf: 'כ', chaf: 'כ',
+  lamed: 'ל', lamedh: 'ל',
+  mem: 'מ',
+  nun: 'נ', noun: 'נ',
+  samech: 'ס', samekh: 'ס',
+  ayin: 'ע',
+  pe: 'פ', pei: 'פ', peh: 'פ', fe: 'פ',
+  tsadi: 'צ', tzadi: 'צ', tsade: 'צ', tzadik: 'צ',
+  kuf: 'ק', kof: 'ק', qof: 'ק', kouf: 'ק',
+  resh: 'ר', reish: 'ר', rech: 'ר',
+  shin: 'ש', chin: 'ש', sin: 'ש',
+  tav: 'ת', taf: 'ת', sav: 'ת'
+};
+
+const RANGE_SEPARATOR = /\s*[-\u2013\u2014]\s*/;
+
+// Liaison entre un numéro et le livre cité après lui ("torah 282 du Likoutey Moharan", "teaching 5 of ...")
+const BOOK_AFTER_ADDRESS = /(?:^|\s)(?:du|de la|de|des|of|from|in|dans)\s*$/i;
+const ADDRESS_SEPARATORS = /[\s:.,;#\u00A7\u00B0()[\]]+/;
+
+/**
+ * Forme de comparaison : hébreu normalisé, accents latins retirés, "_" et "," en espaces
+ */
+function matchForm(text) {
+  return HebrewNormalizer.normalize(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036F]/g, '')
+    .replace(/['\u2019]/g, '')
+    .replace(/[_,]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Index du catalogue : titres et identifiants exacts, puis variantes (la plus longue d'abord)
+const BOOKS = new Map();
+const BOOK_IDS = new Map();
+const BOOK_ALIASES = [];
+
+for (const book of CATALOG.books) {
+  BOOKS.set(book.title, book);
+  for (const id of book.ids || []) {
+    BOOK_IDS.set(id, book);
+  }
+  for (const alias of [book.title, ...(book.aliases || [])]) {
+    BOOK_ALIASES.push({ form: matchForm(alias), book });
+  }
+}
+BOOK_ALIASES.sort((a, b) => b.form.length - a.form.length);
+
+// Nœuds nommés de chaque livre (introduction, sections de Likutei Halakhot), la variante la plus longue d'abord
+const NODE_ALIASES = new Map();
+for (const book of CATALOG.books) {
+  const aliases = (book.nodes || []).flatMap(node =>
+    [node.title, node.hebrew, ...(node.aliases || [])].map(alias => ({ form: matchForm(alias), node })));
+  NODE_ALIASES.set(book.title, aliases.sort((a, b) => b.form.length - a.form.length));
+}
+
+/**
+ * Fin du texte original dont la forme de comparaison est rest (noms cités avec leur casse)
+ */
+function originalTail(text, rest) {
+  const target = rest.trim();
+  for (let i = 0; i < text.length; i++) {
+    if (matchForm(text.slice(i)) === target) return text.slice(i);
+  }
+  return rest;
+}
+
+/**
+ * Vrai si le chemin de nœuds de a commence celui de b (le livre sans nœud commence tout chemin)
+ */
+function startsWithNode(a, b) {
+  const x = a.node || [];
+  const y = b.node || [];
+  return x.length <= y.length && x.every((name, i) => name === y[i]);
+}
+
+class SefariaRef {
+  /**
+   * Livre du catalogue correspondant à un titre, un identifiant ou une variante
+   */
+  static resolveBook(name) {
+    if (!name) return null;
+    if (BOOKS.has(name)) return BOOKS.get(name);
+    if (BOOK_IDS.has(name)) return BOOK_IDS.get(name);
+
+    const found = SefariaRef.matchBook(matchForm(name));
+    return found && !found.rest.trim() ? found.book : null;
+  }
+
+  /**
+   * Variante de titre la plus longue au début d'un texte normalisé
+   */
+  static matchBook(form) {
+    for (const { form: alias, book } of BOOK_ALIASES) {
+      if (form.startsWith(alias) && !/^[\p{L}\p{N}]/u.test(form.slice(alias.length))) {
+        return { book, rest: form.slice(alias.length) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Analyse une référence en { book, node, sections, toSections }
+   * book est le titre canonique Sefaria ; node le chemin des nœuds nommés ([] pour le nœud
+   * par défaut) ; toSections est null hors intervalle
+   * Retourne null si le livre n'est pas reconnu ou si l'intervalle est à rebours ("2:5-3")
+   */
+  static parse(ref) {
+    if (!ref) return null;
+    if (typeof ref === 'object') return ref.book ? ref : null;
+
+    const text = String(ref).trim();
+    let found = null;
+
+    // Identifiants du projet ("likutey_moharan_2", "Likutei_Moharan.1.1") avant les variantes libres
+    for (const [id, book] of BOOK_IDS) {
+      if (text.startsWith(id) && /^(?:[.:\s]|$)/.test(text.slice(id.length))) {
+        found = { book, rest: matchForm(text.slice(id.length)) };
+        break;
+      }
+    }
+
+    found = found || SefariaRef.matchBook(matchForm(text));
+    if (!found) return null;
+
+    let { book, rest } = found;
+
+    // Partie d'un livre en plusieurs parties (Likoutey Moharan II, תנינא...)
+    if (book.parts) {
+      const part = rest.match(NUMBERED_PART) || rest.match(NAMED_PART);
+      if (part) {
+        const number = PART_NUMBERS[part[1]];
+        if (number && number !== 1 && book.parts[number]) {
+          book = BOOKS.get(book.parts[number]) || book;
+        }
+        rest = rest.slice(part[0].length);
+      }
+    }
+
+    // Nœud nommé du schéma ("Chayei Moharan, Introduction 1")
+    const named = SefariaRef.parseNode(book, rest, text);
+    rest = named.rest;
+
+    const [start, end = ''] = rest.split(RANGE_SEPARATOR);
+    const sections = SefariaRef.parseAddress(start);
+    const endSections = sections.length > 0 ? SefariaRef.parseAddress(end) : [];
+
+    // Texte inconnu après le titre ("Likutei Tefilot II", "Likutei Moharan, he said") : livre non reconnu
+    if (sections.length === 0 && /[\p{L}\p{N}]/u.test(rest)) return null;
+
+    // Fin d'intervalle partielle : "1:2-5" = 1:2 à 1:5
+    let toSections = null;
+    if (endSections.length > 0 && endSections.length <= sections.length) {
+      toSections = [...sections.slice(0, sections.length - endSections.length), ...endSections];
+      if (toSections.join(':') === sections.join(':')) toSections = null;
+    }
+
+    // Intervalle à rebours : aucune référence Sefaria
+    if (toSections) {
+      const level = toSections.findIndex((n, i) => n !== sections[i]);
+      if (toSections[level] < sections[level]) return null;
+    }
+
+    return { book: book.title, node: named.node, sections, toSections };
+  }
+
+  /**
+   * Nœud nommé au début de rest (forme de comparaison) : un nœud du catalogue, puis pour un
+   * nœud named les subdivisions nommées qui suivent, reprises du texte original
+   * ("Orach Chaim, Laws of Morning Conduct 1:1")
+   * Retourne { node, rest } ; node est vide si aucun nœud n'est cité
+   */
+  static parseNode(book, rest, text) {
+    const form = rest.replace(/^[\s,]+/, '');
+    const found = (NODE_ALIASES.get(book.title) || []).find(({ form: alias }) =>
+      form.startsWith(alias) && !/^[\p{L}\p{N}]/u.test(form.slice(alias.length)));
+    if (!found) return { node: [], rest };
+
+    const node = [found.node.title];
+    const after = form.slice(found.form.length);
+    if (!found.node.named || !/\p{L}/u.test(after)) return { node, rest: after };
+
+    const subnodes = [];
+    let address = '';
+    for (const segment of originalTail(text, after).replace(/_/g, ' ').split(',').filter(part => part.trim())) {
+      const split = SefariaRef.splitAddress(segment);
+      if (!split.name) {
+        address = split.address;
+        break;
+      }
+      subnodes.push(split.name);
+      address = split.address;
+      if (address) break;
+    }
+
+    return subnodes.length > 0
+      ? { node: [...node, ...subnodes], rest: matchForm(address) }
+      : { node, rest: after };
+  }
+
+  /**
+   * Sépare un nom de subdivision de l'adresse qui le suit ("Laws of Tzitzit 3:2", "הלכות ציצית ג")
+   */
+  static splitAddress(segment) {
+    const words = segment.replace(/\.(?=\d)/g, ' ').split(/\s+/).filter(Boolean);
+    const at = words.findIndex(word => SefariaRef.isAddress(matchForm(word)));
+    if (at === -1) return { name: words.join(' '), address: '' };
+    return { name: words.slice(0, at).join(' '), address: words.slice(at).join(' ') };
+  }
+
+  /**
+   * Vrai si un mot n'est fait que de numéros ("3:2", "1-4", "ג")
+   */
+  static isAddress(form) {
+    const tokens = form.split(RANGE_SEPARATOR).join(' ').split(ADDRESS_SEPARATORS).filter(Boolean);
+    return tokens.length > 0 &&
+      tokens.every(token => /^\d+$/.test(token) || SefariaRef.parseHebrewNumeral(token) !== null);
+  }
+
+  /**
+   * Référence couvrant deux références du même livre et du même nœud
+   * range("Likutei Moharan 1:2", "Likutei Moharan 1:5") = "Likutei Moharan 1:2-5" ; null sinon
+   */
+  static range(first, last) {
+    const from = SefariaRef.parse(first);
+    const to = SefariaRef.parse(last);
+    if (!from || !to || from.book !== to.book || (from.node || []).join(',') !== (to.node || []).join(',')) return null;
+    if (from.sections.length === 0 || from.sections.length !== to.sections.length) return null;
+
+    const same = from.sections.join(':') === to.sections.join(':');
+    return SefariaRef.normalize(SefariaRef.format({ ...from, toSections: same ? null : to.sections }));
+  }
+
+  /**
+   * Première référence citée dans un texte libre ("lis-moi Likoutey Moharan 282 ?"), le numéro
+   * pouvant précéder le livre ("lis-moi torah resh pe beit du Likoutey Moharan")
+   * sections est vide quand seul le livre est nommé ("que dit Likoutey Tefilot sur la joie")
+   * Retourne null si aucun livre du catalogue n'est cité
+   */
+  static find(text) {
+    const source = String(text || '');
+
+    for (const word of source.matchAll(/\S+/g)) {
+      const rest = source.slice(word.index);
+      let parsed = SefariaRef.parse(rest);
+      if (!parsed) {
+        const found = SefariaRef.matchBook(matchForm(rest));
+        if (!found) continue;
+        parsed = { book: found.book.title, node: [], sections: [], toSections: null };
+      }
+
+      if (parsed.sections.length === 0) {
+        const sections = SefariaRef.addressBefore(source.slice(0, word.index));
+        if (sections.length > 0) return { ...parsed, sections };
+      }
+      return parsed;
+    }
+
+    return null;
+  }
+
+  /**
+   * Numéros cités juste avant un livre et sa liaison ("torah resh pe beit du", "Torah 282 of") ; [] sinon
+   */
+  static addressBefore(text) {
+    const connector = text.match(BOOK_AFTER_ADDRESS);
+    if (!connector) return [];
+
+    const tokens = matchForm(text.slice(0, connector.index)).split(ADDRESS_SEPARATORS).filter(Boolean);
+    let start = tokens.length;
+    while (start > 0 && (SKIP_WORDS.has(tokens[start - 1]) || SPOKEN_LETTERS[tokens[start - 1]] ||
+      /^\d+$/.test(tokens[start - 1]) || SefariaRef.parseHebrewNumeral(tokens[start - 1]) !== null)) {
+      start--;
+    }
+    return SefariaRef.parseAddress(tokens.slice(start).join(' '));
+  }
+
+  /**
+   * Numéros d'une adresse ("24:3", "ל"ד", "Torah 5 אות ג", "torah resh pe beit"),
+   * jusqu'au premier mot inconnu
+   */
+  static parseAddress(text) {
+    const numbers = [];
+    const tokens = text.split(ADDRESS_SEPARATORS).filter(Boolean);
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (SKIP_WORDS.has(token)) continue;
+
+      // Lettres prononcées : après "torah", "ot"... ou au moins deux lettres ("he said" n'est pas un numéro)
+      if (SPOKEN_LETTERS[token]) {
+        let letters = '';
+        while (i < tokens.length && SPOKEN_LETTERS[tokens[i]]) {
+          letters += SPOKEN_LETTERS[tokens[i++]];
+        }
+        i--;
+
+        const spoken = (letters.length > 1 || SKIP_WORDS.has(tokens[i - letters.length])) &&
+          SefariaRef.parseHebrewNumeral(letters);
+        if (!spoken) break;
+        numbers.push(spoken);
+        continue;
+      }
+
+      const number = /^\d+$/.test(token) ? parseInt(token, 10) : SefariaRef.parseHebrewNumeral(token);
+      if (!number) break;
+      numbers.push(number);
+    }
+
+    return numbers;
+  }
+
+  /**
+   * Valeur d'un nombre hébreu ("לד" = 34, "טו" = 15) ; null si ce n'est pas un nombre
+   * Les lettres doivent être en ordre décroissant, ce qui écarte les mots ordinaires
+   */
+  static parseHebrewNumeral(token) {
+    const normalized = HebrewNormalizer.normalize(token);
+    const values = [...normalized].map(letter => HEBREW_NUMERALS[letter]);
+    if (values.length === 0 || values.length > 5 || values.some(v => !v)) return null;
+
+    // 15 et 16 s'écrivent ט"ו et ט"ז pour éviter le Nom divin
+    const special = /\u05D8[\u05D5\u05D6]$/.test(normalized) ? values.splice(-2) : [];
+    for (let i = 1; i < values.length; i++) {
+      if (values[i] > values[i - 1]) return null;
+    }
+    if (special.length > 0 && values.length > 0 && values[values.length - 1] < 100) return null;
+
+    return [...values, ...special].reduce((sum, v) => sum + v, 0);
+  }
+
+  /**
+   * Écrit un nombre en lettres hébraïques avec geresh/gershayim (34 -> ל״ד)
+   */
+  static toHebrewNumeral(number) {
+    const letters = Object.entries(HEBREW_NUMERALS).sort((a, b) => b[1] - a[1]);
+    let rest = number;
+    let result = '';
+
+    while (rest >= 400) {
+      result += 'ת';
+      rest -= 400;
+    }
+    for (const [letter, value] of letters) {
+      if (rest === 15 || rest === 16) {
+        result += rest === 15 ? 'טו' : 'טז';
+        rest = 0;
+      }
+      if (rest >= value && value < 400) {
+        result += letter;
+        rest -= value;
+      }
+    }
+
+    return result.length === 1
+      ? `${result}׳`
+      : `${result.slice(0, -1)}״${result.slice(-1)}`;
+  }
+
+  /**
+   * Forme canonique Sefaria ("Likutei Moharan 1:2-5") ; null si la référence n'est pas reconnue
+   */
+  static normalize(ref) {
+    const parsed = SefariaRef.parse(ref);
+    return parsed ? SefariaRef.format(parsed) : null;
+  }
+
+  /**
+   * Affiche une référence en anglais (forme canonique), français ou hébreu
+   * Une référence non reconnue est rendue telle quelle
+   */
+  static format(ref, language = 'en') {
+    const parsed = SefariaRef.parse(ref);
+    if (!parsed) return ref ? String(ref) : '';
+
+    const book = BOOKS.get(parsed.book);
+    const lang = String(language).slice(0, 2).toLowerCase();
+    const title = lang === 'he' ? book.hebrew : lang === 'fr' ? book.french : book.title;
+    const number = lang === 'he' ? SefariaRef.toHebrewNumeral : String;
+
+    // Nœuds du catalogue traduits, subdivisions nommées telles quelles
+    const nodes = (parsed.node || []).map(name => {
+      const known = (book.nodes || []).find(node => node.title === name);
+      if (!known) return name;
+      return lang === 'he' ? known.hebrew : lang === 'fr' ? known.french : known.title;
+    });
+    const heading = [title, ...nodes].join(', ');
+
+    if (parsed.sections.length === 0) return heading;
+
+    let address = parsed.sections.map(number).join(':');
+    if (parsed.toSections) {
+      // Ne répéter que les niveaux qui changent : 1:2-5, 1:2-3:4
+      const from = parsed.sections.findIndex((n, i) => n !== parsed.toSections[i]);
+      address += `-${parsed.toSections.slice(Math.max(from, 0)).map(number).join(':')}`;
+    }
+
+    return `${heading} ${address}`;
+  }
+
+  /**
+   * Référence pour les URL de l'API Sefaria ("Likutei_Moharan,_Part_II.24")
+   */
+  static toUrl(ref) {
+    const canonical = SefariaRef.normalize(ref);
+    if (!canonical) return String(ref).trim().replace(/ /g, '_');
+    return canonical.replace(/ (?=[\d-])/g, '.').replace(/:/g, '.').replace(/ /g, '_');
+  }
+
+  /**
+   * Référence d'un sous-niveau : segment("Likutei Moharan 5", 3) = "Likutei Moharan 5:3"
+   */
+  static segment(ref, ...numbers) {
+    const parsed = SefariaRef.parse(ref);
+    if (!parsed) return `${ref}.${numbers.join('.')}`;
+    return SefariaRef.format({ ...parsed, sections: [...parsed.sections, ...numbers], toSections: null });
+  }
+
+  /**
+   * Référence du niveau supérieur : parent("Likutei Moharan 5:3") = "Likutei Moharan 5",
+   * parent("Chayei Moharan, Introduction") = "Chayei Moharan"
+   */
+  static parent(ref) {
+    const parsed = SefariaRef.parse(ref);
+    if (!parsed) return String(ref).replace(/[.:]\d+$/, '');
+    const node = parsed.node || [];
+    if (parsed.sections.length === 0) {
+      return SefariaRef.format({ book: parsed.book, node: node.slice(0, -1), sections: [], toSections: null });
+    }
+    return SefariaRef.format({ book: parsed.book, node, sections: parsed.sections.slice(0, -1), toSections: null });
+  }
+
+  /**
+   * Vrai si la référence inner est comprise dans outer (même livre, même passage ou sous-passage)
+   */
+  static contains(outer, inner) {
+    const a = SefariaRef.parse(outer);
+    const b = SefariaRef.parse(inner);
+    if (!a || !b || a.book !== b.book || !startsWithNode(a, b)) return false;
+
+    // Un nœud plus profond n'est compris que dans un nœud cité en entier
+    if ((b.node || []).length > (a.node || []).length) return a.sections.length === 0;
+
+    const depth = a.sections.length;
+    if (depth === 0) return true;
+    if (b.sections.length < depth) return false;
+
+    const compare = (x, y) => {
+      for (let i = 0; i < depth; i++) {
+        if (x[i] !== y[i]) return x[i] - y[i];
+      }
+      return 0;
+    };
+
+    const innerEnd = (b.toSections || b.sections).slice(0, depth);
+    return compare(b.sections, a.sections) >= 0 &&
+      compare(innerEnd, a.toSections || a.sections) <= 0;
+  }
+
+  /**
+   * Vrai si deux références ont au moins un passage en commun, comparées à leur profondeur commune
+   * ("Likutei Moharan 280:1-284:3" et "Likutei Moharan 282")
+   */
+  static overlaps(a, b) {
+    const x = SefariaRef.parse(a);
+    const y = SefariaRef.parse(b);
+    if (!x || !y || x.book !== y.book) return false;
+
+    // Nœuds différents : recouvrement seulement si l'un des deux est un nœud parent cité en entier
+    if ((x.node || []).join(',') !== (y.node || []).join(',')) {
+      if (startsWithNode(x, y)) return x.sections.length === 0;
+      if (startsWithNode(y, x)) return y.sections.length === 0;
+      return false;
+    }
+
+    const depth = Math.min(x.sections.length, y.sections.length);
+    if (depth === 0) return true;
+
+    const compare = (p, q) => {
+      for (let i = 0; i < depth; i++) {
+        if (p[i] !== q[i]) return p[i] - q[i];
+      }
+      return 0;
+    };
+
+    return compare(x.sections, y.toSections || y.sections) <= 0 &&
+      compare(y.sections, x.toSections || x.sections) <= 0;
+  }
+
+  /**
+   * Livres du catalogue
+   */
+  static get books() {
+    return CATALOG.books;
+  }
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SefariaRef;
+}
@@ -0,0 +1,150 @@
+/**
+ * Parcours du schéma d'index Sefaria (/api/index/<titre>?with_content_counts=1)
+ * Énumère exactement les références qui existent : nœuds complexes (introductions,
+ * parties, volumes), nœud par défaut et structures alternatives
+ * (portage TypeScript : backend/src/utils/sefariaSchema.ts)
+ */
+
+const SefariaRef = require('./sefaria-ref');
+
+class SefariaSchema {
+  /**
+   * Titre d'un nœud dans une langue ("en" ou "he")
+   */
+  static nodeTitle(node, lang = 'en') {
+    if (lang === 'en' && node.title) return node.title;
+    if (lang === 'he' && node.heTitle) return node.heTitle;
+
+    const titles = (node.titles || []).filter(t => t.lang === lang);
+    const primary = titles.find(t => t.primary) || titles[0];
+    return primary ? primary.text : (lang === 'en' ? node.key || '' : '');
+  }
+
+  /**
+   * Sections à récupérer, une requête chacune
+   * Un texte de profondeur N est récupéré par adresses de N-1 niveaux (chapitres d'un texte chapitre:paragraphe)
+   * Retourne [{ ref, heRef, node, heNode, address, sectionNames, segments }]
+   */
+  static enumerate(index) {
+    const title = index.title || SefariaSchema.nodeTitle(index.schema || {});
+    const heTitle = index.heTitle || SefariaSchema.nodeTitle(index.schema || {}, 'he');
+    const sections = [];
+
+    const walk = (node, path, hePath) => {
+      if (node.nodes) {
+        for (const child of node.nodes) {
+          // Le nœud par défaut n'ajoute pas de titre à la référence
+          const childPath = child.default ? path : [...path, SefariaSchema.nodeTitle(child)];
+          const childHePath = child.default ? hePath : [...hePath, SefariaSchema.nodeTitle(child, 'he')];
+          walk(child, childPath, childHePath);
+        }
+        return;
+      }
+
+      const base = [title, ...path].join(', ');
+      const heBase = [heTitle, ...hePath].filter(Boolean).join(', ');
+      const depth = node.depth || 1;
+
+      for (const { address, segments } of SefariaSchema.sectionAddresses(node.content_counts, depth)) {
+        sections.push({
+          ref: address.length > 0 ? `${base} ${address.join(':')}` : base,
+          heRef: address.length > 0
+            ? `${heBase} ${address.map(SefariaRef.toHebrewNumeral).join(':')}`
+            : heBase,
+          node: path,
+          heNode: hePath,
+          address,
+          sectionNames: node.sectionNames || [],
+          segments
+        });
+      }
+    };
+
+    if (index.schema) {
+      walk(index.schema, [], []);
+    }
+    return sections;
+  }
+
+  /**
+   * Adresses (N-1 niveaux) qui contiennent au moins un segment, d'après content_counts
+   * Sans comptes, le nœud entier est une seule section de taille inconnue
+   */
+  static sectionAddresses(counts, depth) {
+    if (counts === undefined || counts === null) {
+      return [{ address: [], segments: null }];
+    }
+    if (depth <= 1) {
+      const segments = Array.isArray(counts) ? counts.length : counts;
+      return segments > 0 ? [{ address: [], segments }] : [];
+    }
+
+    const addresses = [];
+    const visit = (value, address) => {
+      if (address.length === depth - 1) {
+        const segments = SefariaSchema.countSegments(value);
+        if (segments > 0) addresses.push({ address, segments });
+        return;
+      }
+      if (Array.isArray(value)) {
+        value.forEach((child, i) => visit(child, [...address, i + 1]));
+      }
+    };
+
+    visit(counts, []);
+    return addresses;
+  }
+
+  static countSegments(value) {
+    if (Array.isArray(value)) {
+      return value.reduce((sum, child) => sum + SefariaSchema.countSegments(child), 0);
+    }
+    return typeof value === 'number' ? value : 0;
+  }
+
+  /**
+   * Structure du livre à conserver dans le JSON brut : nœuds et structures alternatives
+   */
+  static structure(index) {
+    const nodes = [];
+    const walk = (node, path) => {
+      if (node.nodes) {
+        node.nodes.forEach(child => walk(child, child.default ? path : [...path, SefariaSchema.nodeTitle(child)]));
+        return;
+      }
+      nodes.push({
+        path,
+        heTitle: SefariaSchema.nodeTitle(node, 'he'),
+        depth: node.depth || 1,
+        sectionNames: node.sectionNames || [],
+        sections: SefariaSchema.sectionAddresses(node.content_counts, node.depth || 1).length,
+        default: Boolean(node.default)
+      });
+    };
+    if (index.schema) walk(index.schema, []);
+
+    // Structures alternatives (ex. titres des enseignements) : des renvois, pas du contenu
+    const alts = Object.entries(index.alts || {}).map(([name, alt]) => ({
+      name,
+      nodes: (alt.nodes || []).map(node => ({
+        title: SefariaSchema.nodeTitle(node),
+        heTitle: SefariaSchema.nodeTitle(node, 'he'),
+        wholeRef: node.wholeRef || null,
+        refs: node.refs || []
+      }))
+    }));
+
+    return {
+      title: index.title || SefariaSchema.nodeTitle(index.schema || {}),
+      heTitle: index.heTitle || SefariaSchema.nodeTitle(index.schema || {}, 'he'),
+      categories: index.categories || [],
+      nodes,
+      alts
+    };
+  }
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SefariaSchema;
+}
@@ -3,13 +3,27 @@
  * Accès RÉEL à tous les textes de Rabbi Nachman depuis Sefaria
  */
 
+const http = require('http');
 const https = require('https');
+const HebrewNormalizer = require('./hebrew-normalizer');
+const SefariaRef = require('./sefaria-ref');
+const SefariaCache = require('./sefaria-cache');
 
 class SefariaService {
-  constructor() {
-    this.baseUrl = 'www.sefaria.org';
-    this.cache = new Map();
-    this.cacheTimeout = 1000 * 60 * 30; // 30 minutes
+  /**
+   * @param {Object} options - { baseUrl, cache }
+   *   baseUrl : défaut SEFARIA_BASE_URL, sinon https://www.sefaria.org
+   *   cache : options de SefariaCache ({ store: 'memory' | 'fs' | 'redis', ... }) ou instance,
+   *   par défaut l'instance commune SefariaCache.shared()
+   */
+  constructor(options = {}) {
+    this.baseUrl = new URL(options.baseUrl || process.env.SEFARIA_BASE_URL || 'https://www.sefaria.org');
+    if (options.cache instanceof SefariaCache) {
+      this.cache = options.cache;
+    } else {
+      this.cache = options.cache ? new SefariaCache(options.cache) : SefariaCache.shared();
+    }
+    this.inflight = new Map();
     
     // Liste complète des livres de Rabbi Nachman sur Sefaria
     this.rabbiNachmanBooks = [
@@ -51,30 +65,89 @@ class SefariaService {
   }
 
   /**
-   * Effectue une requête HTTP vers l'API Sefaria
+   * Effectue une requête vers l'API Sefaria, à travers le cache
+   * Frais : servi directement. Périmé : servi et revalidé en arrière-plan.
+   * Expiré ou absent : requête conditionnelle (If-None-Match / If-Modified-Since)
    */
   async makeRequest(path) {
-    // Vérifier le cache d'abord
-    const cacheKey = path;
-    const cached = this.cache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-      console.log(`Cache hit for: ${path}`);
-      return cached.data;
+    const { entry, state } = await this.cache.lookup(path);
+
+    if (state === 'fresh') {
+      await this.cache.record('hits');
+      return entry.data;
     }
 
+    if (state === 'stale') {
+      await this.cache.record('staleHits');
+      this.revalidate(path, entry).catch(() => {});
+      return entry.data;
+    }
+
+    await this.cache.record('misses');
+    return this.revalidate(path, entry);
+  }
+
+  /**
+   * Récupère un chemin (une seule requête en vol par chemin) et met le cache à jour
+   */
+  revalidate(path, entry = null) {
+    if (this.inflight.has(path)) {
+      return this.inflight.get(path);
+    }
+
+    const request = (async () => {
+      try {
+        const response = await this.fetchFromSefaria(path, entry);
+
+        if (response.status === 304 && entry) {
+          await this.cache.touch(path, entry);
+          await this.cache.record('revalidated');
+          return entry.data;
+        }
+
+        // Les erreurs (404, { error }) ne sont pas mises en cache
+        if (response.status === 200 && !response.data.error) {
+          await this.cache.set(path, response.data, response.validators);
+          await this.cache.record('refreshed');
+        }
+        return response.data;
+      } catch (error) {
+        await this.cache.record('errors');
+        // Sefaria injoignable : une copie expirée vaut mieux qu'aucune
+        if (entry) return entry.data;
+        throw error;
+      } finally {
+        this.inflight.delete(path);
+      }
+    })();
+
+    this.inflight.set(path, request);
+    return request;
+  }
+
+  /**
+   * Requête HTTP brute, avec les validateurs d'une entrée en cache
+   * Retourne { status, data, validators: { etag, lastModified } }
+   */
+  fetchFromSefaria(path, entry = null) {
     return new Promise((resolve, reject) => {
+      const headers = {
+        'Accept': 'application/json',
+        'User-Agent': 'Rabbi-Nachman-Voice/1.0'
+      };
+      if (entry?.etag) headers['If-None-Match'] = entry.etag;
+      if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
       const options = {
-        hostname: this.baseUrl,
+        hostname: this.baseUrl.hostname,
+        port: this.baseUrl.port || undefined,
         path: path,
         method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'Rabbi-Nachman-Voice/1.0'
-        }
+        headers
       };
 
-      const req = https.request(options, (res) => {
+      const client = this.baseUrl.protocol === 'http:' ? http : https;
+      const req = client.request(options, (res) => {
         let data = '';
 
         res.on('data', (chunk) => {
@@ -82,16 +155,18 @@ class SefariaService {
         });
 
         res.on('end', () => {
+          const validators = {
+            etag: res.headers.etag || null,
+            lastModified: res.headers['last-modified'] || null
+          };
+
+          if (res.statusCode === 304) {
+            resolve({ status: 304, data: null, validators });
+            return;
+          }
+
           try {
-            const parsed = JSON.parse(data);
-            
-            // Mettre en cache
-            this.cache.set(cacheKey, {
-              data: parsed,
-              timestamp: Date.now()
-            });
-            
-            resolve(parsed);
+            resolve({ status: res.statusCode, data: JSON.parse(data), validators });
           } catch (error) {
             reject(new Error(`Failed to parse Sefaria response: ${error.message}`));
           }
@@ -152,12 +227,12 @@ class SefariaService {
 
   /**
    * Récupère un texte spécifique
-   * @param {string} ref - Référence du texte (ex: "Likutei_Moharan.1.1")
+   * @param {string} ref - Référence du texte (ex: "Likutei_Moharan.1.1", "Likutey Moharan II:24")
    * @param {boolean} withCommentary - Inclure les commentaires
    */
   async getText(ref, withCommentary = false) {
     try {
-      const path = `/api/texts/${ref}?commentary=${withCommentary ? 1 : 0}`;
+      const path = `/api/texts/${encodeURIComponent(SefariaRef.toUrl(ref))}?commentary=${withCommentary ? 1 : 0}`;
       const response = await this.makeRequest(path);
       
       return {
@@ -240,25 +315,23 @@ class SefariaService {
    */
   async fallbackSearch(query) {
     const results = [];
-    const queryLower = query.toLowerCase();
+    const queryLower = HebrewNormalizer.normalize(query);
     
-    // Rechercher dans le cache
-    for (const [key, cached] of this.cache.entries()) {
-      if (key.includes('/api/texts/')) {
-        const data = cached.data;
-        
-        if (data.text && Array.isArray(data.text)) {
-          data.text.forEach((paragraph, index) => {
-            if (paragraph && paragraph.toLowerCase().includes(queryLower)) {
-              results.push({
-                ref: `${data.ref}.${index + 1}`,
-                text: paragraph,
-                heText: data.he?.[index] || '',
-                score: 1.0
-              });
-            }
-          });
-        }
+    // Rechercher dans les textes en cache
+    for (const [, cached] of await this.cache.entries('/api/texts/')) {
+      const data = cached.data;
+      
+      if (data.text && Array.isArray(data.text)) {
+        data.text.forEach((paragraph, index) => {
+          if (paragraph && HebrewNormalizer.normalize(paragraph).includes(queryLower)) {
+            results.push({
+              ref: SefariaRef.segment(data.ref, index + 1),
+              text: paragraph,
+              heText: data.he?.[index] || '',
+              score: 1.0
+            });
+          }
+        });
       }
     }
     
@@ -276,8 +349,7 @@ class SefariaService {
    * Récupère un chapitre entier
    */
   async getChapter(bookId, chapter) {
-    const ref = `${bookId}.${chapter}`;
-    return await this.getText(ref);
+    return await this.getText(SefariaRef.segment(bookId, chapter));
   }
 
   /**
@@ -366,11 +438,19 @@ class SefariaService {
   }
 
   /**
-   * Nettoie le cache
+   * Nettoie le cache, ou seulement un endpoint (ex. clearCache('/api/search/'))
+   */
+  async clearCache(prefix = '') {
+    const removed = await this.cache.clear(prefix);
+    console.log(`Sefaria cache cleared${prefix ? ` for ${prefix}` : ''} (${removed} entries)`);
+    return removed;
+  }
+
+  /**
+   * Statistiques du cache (hits, misses, revalidations, évictions, taille)
    */
-  clearCache() {
-    this.cache.clear();
-    console.log('Sefaria cache cleared');
+  async getCacheStats() {
+    return this.cache.stats();
   }
 }
 
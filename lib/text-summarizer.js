@@ -0,0 +1,150 @@
+/**
+ * Résumés extractifs des sections et des livres (index-builder.js), façon TextRank :
+ * les phrases forment un graphe pondéré par leurs mots communs (mots outils exclus, hébreu
+ * normalisé comme pour les mots-clés), classé par PageRank ; les phrases les mieux classées
+ * sont reprises dans leur ordre d'origine. Passe abstractive optionnelle avec un client LLM.
+ */
+
+const KeyphraseExtractor = require('./keyphrase-extractor');
+
+// Phrases d'un texte : fin de phrase latine (. ! ? …) ou hébraïque (: ׃) suivie d'un espace
+const SENTENCE_BREAK = /(?<=[.!?…׃]["'”»)\]]*|[א-ת֑-ׇ]:)\s+/u;
+
+const DEFAULTS = {
+  maxSentences: 3,
+  maxLength: 400,      // Caractères
+  damping: 0.85,
+  iterations: 30,
+  tolerance: 1e-4,
+  maxCandidates: 300   // Au-delà, seules les premières phrases sont classées (coût quadratique)
+};
+
+const ABSTRACT_SYSTEM_PROMPT = `Tu résumes des textes de Rabbi Nachman de Breslov pour l'index d'un moteur de recherche.
+Écris deux phrases au plus, en français, avec les notions et les noms propres du texte.
+N'ajoute rien qui ne soit pas dans les extraits.`;
+
+class TextSummarizer {
+  /**
+   * @param {Object} options - { maxSentences, maxLength, damping, iterations, tolerance, maxCandidates }
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+  }
+
+  /**
+   * Phrases non vides d'un texte
+   */
+  static sentences(text) {
+    return String(text || '').split(SENTENCE_BREAK).map(sentence => sentence.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+
+  /**
+   * Similarité TextRank : mots communs, rapportés à la longueur des deux phrases
+   */
+  static similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const word of a) {
+      if (b.has(word)) shared++;
+    }
+    return shared / (Math.log(1 + a.size) + Math.log(1 + b.size));
+  }
+
+  /**
+   * Phrases classées par score décroissant
+   * @param {string|Array} input - texte ou liste de phrases
+   * @returns {Array} [{ text, index, score }]
+   */
+  rank(input) {
+    const { damping, iterations, tolerance, maxCandidates } = this.options;
+    const sentences = (Array.isArray(input) ? input : TextSummarizer.sentences(input)).slice(0, maxCandidates);
+    const words = sentences.map(sentence => new Set(KeyphraseExtractor.count(sentence, 1).keys()));
+    const n = sentences.length;
+
+    // Graphe : poids des arêtes et poids sortant de chaque phrase
+    const weights = sentences.map(() => new Array(n).fill(0));
+    const outgoing = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const weight = TextSummarizer.similarity(words[i], words[j]);
+        weights[i][j] = weights[j][i] = weight;
+        outgoing[i] += weight;
+        outgoing[j] += weight;
+      }
+    }
+
+    let scores = new Array(n).fill(1);
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      const next = scores.map((_, i) => {
+        let incoming = 0;
+        for (let j = 0; j < n; j++) {
+          if (weights[j][i] > 0) incoming += (weights[j][i] / outgoing[j]) * scores[j];
+        }
+        return (1 - damping) + damping * incoming;
+      });
+      const delta = next.reduce((sum, score, i) => sum + Math.abs(score - scores[i]), 0);
+      scores = next;
+      if (delta < tolerance) break;
+    }
+
+    // Une phrase sans mot plein (« So it is. ») ne résume rien
+    return sentences
+      .map((text, index) => ({ text, index, score: words[index].size > 0 ? scores[index] : 0 }))
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+  }
+
+  /**
+   * Meilleures phrases dans leur ordre d'origine, dans la limite de maxSentences et maxLength ;
+   * une première phrase trop longue est coupée à un espace
+   */
+  select(ranked, limits = {}) {
+    const { maxSentences, maxLength } = { ...this.options, ...limits };
+    const chosen = [];
+    let length = 0;
+
+    for (const sentence of ranked) {
+      if (chosen.length >= maxSentences || sentence.score === 0) break;
+      if (chosen.length > 0 && length + 1 + sentence.text.length > maxLength) continue;
+      chosen.push(sentence);
+      length += (chosen.length > 1 ? 1 : 0) + sentence.text.length;
+    }
+
+    const summary = chosen.sort((a, b) => a.index - b.index).map(sentence => sentence.text).join(' ');
+    if (summary.length <= maxLength) return summary;
+    const head = summary.substring(0, maxLength);
+    return `${head.substring(0, head.lastIndexOf(' ') > 0 ? head.lastIndexOf(' ') : maxLength)}…`;
+  }
+
+  /**
+   * Résumé extractif d'un texte (ou d'une liste de phrases)
+   */
+  summarize(input, limits = {}) {
+    return this.select(this.rank(input), limits);
+  }
+
+  /**
+   * Résumé abstractif à partir d'extraits (lib/llm-client.js), null si le modèle ne répond pas
+   * @param {LLMClient} llm
+   * @param {Object} source - { reference, text, hebrewText }
+   */
+  static async abstract(llm, source) {
+    const prompt = [
+      `Référence : ${source.reference}`,
+      source.text && `Extraits (traduction) :\n${source.text}`,
+      source.hebrewText && `Extraits (hébreu) :\n${source.hebrewText}`,
+      'Résumé :'
+    ].filter(Boolean).join('\n\n');
+
+    const result = await llm.generate({ system: ABSTRACT_SYSTEM_PROMPT, prompt }, { temperature: 0.2, maxTokens: 200 });
+    const text = (result.text || '').replace(/\s+/g, ' ').trim();
+    return text || null;
+  }
+}
+
+TextSummarizer.SENTENCE_BREAK = SENTENCE_BREAK;
+TextSummarizer.DEFAULTS = DEFAULTS;
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextSummarizer;
+}
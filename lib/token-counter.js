@@ -0,0 +1,237 @@
+/**
+ * Comptage des tokens pour le découpage en chunks, le choix du contexte et les métriques totalTokens
+ * Tokeniseur interchangeable : vocabulaire BPE au format tiktoken (lignes "base64 rang", hors ligne),
+ * sinon estimation par écriture : l'hébreu, et plus encore l'hébreu vocalisé, produit bien plus de
+ * tokens par caractère que le français ou l'anglais, ce que l'ancienne règle « 4 caractères par
+ * token » ignorait.
+ * (portage TypeScript : backend/src/utils/tokenCounter.ts)
+ *
+ * Configuration : TOKENIZER_VOCAB (fichier .tiktoken, ex. cl100k_base.tiktoken),
+ * TOKEN_RATIOS ("hebrew:0.85,marks:0.5,latin:4", caractères par token)
+ */
+
+// Caractères par token selon l'écriture, étalonnés sur cl100k_base (textes hébreux des fixtures,
+// vocalisés ou non, à ±3 % ; français surestimé d'environ 4 %). Les tokeniseurs plus récents
+// (o200k, Gemini) découpent l'hébreu en moins de tokens : l'estimation reste alors prudente
+const DEFAULT_RATIOS = {
+  hebrew: 0.85,  // Lettres hébraïques : un ou deux tokens par lettre (deux octets UTF-8)
+  marks: 0.5,    // Niqqud et signes de cantillation : environ deux tokens par signe
+  latin: 4,      // Français, anglais, translittérations
+  digit: 3,      // Les tokeniseurs BPE découpent les nombres par groupes de 3 chiffres
+  symbol: 2,     // Ponctuation et symboles
+  other: 1       // Autres écritures
+};
+
+// Mots (avec leurs signes diacritiques), nombres, ponctuation, espaces
+const WORD_PATTERN = /[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{M}\p{N}]+|\s+/gu;
+
+// Pré-découpage des tokeniseurs BPE de type cl100k, avant fusion des paires d'octets
+const BPE_PATTERN = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+// Au-delà, le cache des morceaux déjà encodés est vidé
+const MAX_CACHED_PIECES = 50000;
+
+// Vocabulaires déjà chargés, par fichier
+const VOCABS = new Map();
+
+/**
+ * Écriture d'un caractère
+ */
+function script(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x80) {
+    if (/[A-Za-z]/.test(char)) return 'latin';
+    return /[0-9]/.test(char) ? 'digit' : 'symbol';
+  }
+  if (code >= 0x0591 && code <= 0x05C7) return 'marks';
+  if ((code >= 0x05D0 && code <= 0x05F4) || (code >= 0xFB1D && code <= 0xFB4F)) return 'hebrew';
+  if (/[A-Za-zÀ-ɏ]/.test(char)) return 'latin';
+  if (/\p{N}/u.test(char)) return 'digit';
+  if (/[\p{P}\p{S}]/u.test(char)) return 'symbol';
+  return /\p{M}/u.test(char) ? 'marks' : 'other';
+}
+
+/**
+ * Estimation par écriture : chaque mot compte au moins un token
+ */
+class ScriptTokenizer {
+  /**
+   * @param {Object} ratios - caractères par token ({ hebrew, marks, latin, digit, symbol, other })
+   */
+  constructor(ratios = {}) {
+    this.ratios = { ...DEFAULT_RATIOS, ...ratios };
+    this.name = 'script-ratios';
+  }
+
+  count(text) {
+    let tokens = 0;
+    for (const [piece] of text.matchAll(WORD_PATTERN)) {
+      if (/^\s+$/.test(piece)) {
+        // Les espaces simples se fondent dans le mot suivant, pas les retours à la ligne
+        if (/\n/.test(piece) || piece.length > 1) tokens++;
+        continue;
+      }
+      let estimate = 0;
+      for (const char of piece) {
+        estimate += 1 / this.ratios[script(char)];
+      }
+      tokens += Math.max(1, Math.round(estimate));
+    }
+    return tokens;
+  }
+}
+
+/**
+ * Tokeniseur BPE sur octets (rangs des fusions au format tiktoken) : décompte exact pour le
+ * modèle dont le vocabulaire est chargé
+ */
+class BpeTokenizer {
+  /**
+   * @param {Map} ranks - séquence d'octets (chaîne latin1) -> rang
+   * @param {string} name
+   */
+  constructor(ranks, name = 'bpe') {
+    this.ranks = ranks;
+    this.name = name;
+    this.cache = new Map();
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Charge un fichier .tiktoken (une ligne "base64 rang" par token)
+   */
+  static load(file) {
+    if (!VOCABS.has(file)) {
+      const fs = require('fs');
+      const path = require('path');
+      const ranks = new Map();
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        const [token, rank] = line.trim().split(/\s+/);
+        if (token && rank !== undefined) {
+          ranks.set(Buffer.from(token, 'base64').toString('latin1'), parseInt(rank, 10));
+        }
+      }
+      VOCABS.set(file, new BpeTokenizer(ranks, path.basename(file, path.extname(file))));
+    }
+    return VOCABS.get(file);
+  }
+
+  /**
+   * Nombre de tokens d'un morceau : fusion répétée de la paire de rang le plus faible
+   */
+  countPiece(piece) {
+    const cached = this.cache.get(piece);
+    if (cached !== undefined) return cached;
+
+    const parts = Array.from(this.encoder.encode(piece), byte => String.fromCharCode(byte));
+    if (this.ranks.has(parts.join(''))) parts.splice(0, parts.length, parts.join(''));
+    while (parts.length > 1) {
+      let best = -1;
+      let bestRank = Infinity;
+      for (let i = 0; i < parts.length - 1; i++) {
+        const rank = this.ranks.get(parts[i] + parts[i + 1]);
+        if (rank !== undefined && rank < bestRank) {
+          best = i;
+          bestRank = rank;
+        }
+      }
+      if (best < 0) break;
+      parts.splice(best, 2, parts[best] + parts[best + 1]);
+    }
+
+    if (this.cache.size >= MAX_CACHED_PIECES) this.cache.clear();
+    this.cache.set(piece, parts.length);
+    return parts.length;
+  }
+
+  count(text) {
+    let tokens = 0;
+    for (const [piece] of text.matchAll(BPE_PATTERN)) {
+      tokens += this.countPiece(piece);
+    }
+    return tokens;
+  }
+}
+
+class TokenCounter {
+  /**
+   * @param {Object} options - { tokenizer: { name, count(text) }, vocab, ratios }
+   */
+  constructor(options = {}) {
+    const env = typeof process !== 'undefined' ? process.env : {};
+    const vocab = options.vocab ?? env.TOKENIZER_VOCAB;
+
+    this.tokenizer = options.tokenizer || null;
+    if (!this.tokenizer && vocab) {
+      try {
+        this.tokenizer = BpeTokenizer.load(vocab);
+      } catch (error) {
+        console.warn(`⚠️ Vocabulaire ${vocab} illisible (${error.message}), estimation par écriture`);
+      }
+    }
+    if (!this.tokenizer) {
+      this.tokenizer = new ScriptTokenizer(options.ratios || TokenCounter.parseRatios(env.TOKEN_RATIOS));
+    }
+  }
+
+  /**
+   * Compteur commun (le vocabulaire n'est chargé qu'une fois)
+   */
+  static shared() {
+    if (!TokenCounter.instance) TokenCounter.instance = new TokenCounter();
+    return TokenCounter.instance;
+  }
+
+  /**
+   * Ratios depuis "hebrew:0.85,latin:4" (valeurs invalides ignorées)
+   */
+  static parseRatios(spec) {
+    const ratios = {};
+    for (const pair of String(spec || '').split(',')) {
+      const [name, value] = pair.split(':').map(part => part.trim());
+      const ratio = parseFloat(value);
+      if (name in DEFAULT_RATIOS && ratio > 0) ratios[name] = ratio;
+    }
+    return ratios;
+  }
+
+  get name() {
+    return this.tokenizer.name;
+  }
+
+  /**
+   * Nombre de tokens d'un texte (les objets sont comptés sérialisés en JSON)
+   */
+  count(text) {
+    if (text === null || text === undefined || text === '') return 0;
+    return this.tokenizer.count(typeof text === 'string' ? text : JSON.stringify(text));
+  }
+
+  /**
+   * Plus long début du texte qui tient en maxTokens tokens
+   */
+  truncate(text, maxTokens) {
+    if (this.count(text) <= maxTokens) return text;
+
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.count(text.substring(0, middle)) <= maxTokens) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return text.substring(0, low);
+  }
+}
+
+TokenCounter.ScriptTokenizer = ScriptTokenizer;
+TokenCounter.BpeTokenizer = BpeTokenizer;
+TokenCounter.DEFAULT_RATIOS = DEFAULT_RATIOS;
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TokenCounter;
+}
@@ -0,0 +1,260 @@
+/**
+ * Expansion des requêtes par translittération (hitbodedout / hisbodedus / התבודדות)
+ * Dictionnaire : lib/transliterations.json
+ * (portage TypeScript : backend/src/utils/transliteration.ts)
+ */
+
+const HebrewNormalizer = require('./hebrew-normalizer');
+const DEFAULT_DICTIONARY = require('./transliterations.json');
+
+// Unités phonétiques latines (digrammes avant lettres simples)
+const PHONETIC_UNITS = /dzh|sch|tz|ts|sh|ch|kh|zh|dj|ph|th|ck|[a-z]/g;
+
+// Classes de sons : les variantes ashkénazes/séfarades/françaises tombent dans la même classe
+// (tav/sav : t, s, th — vet/bet : b, v, w — pe/fe : p, f, ph — ch : het ou shin français)
+const PHONETIC_CODES = {
+  tz: ['C'], ts: ['C'],
+  sch: ['S'], sh: ['S'], ch: ['H', 'S'], kh: ['H'], h: ['H'],
+  zh: ['Z'], z: ['Z'],
+  dzh: ['J'], dj: ['J'], j: ['J'],
+  ph: ['P'], p: ['P'], f: ['P'],
+  th: ['T'], t: ['T'], s: ['T'],
+  ck: ['K'], k: ['K'], c: ['K'], q: ['K'], x: ['K'],
+  b: ['B'], v: ['B'], w: ['B'],
+  d: ['D'], g: ['G'], l: ['L'], m: ['M'], n: ['N'], r: ['R'],
+  a: ['V'], e: ['V'], i: ['V'], o: ['V'], u: ['V'], y: ['V']
+};
+
+const MAX_PHONETIC_KEYS = 4;
+const MIN_PHONETIC_LENGTH = 4;
+const MIN_PHONETIC_CONSONANTS = 3;
+const FUZZY_KEY_LENGTH = 6;
+
+class TransliterationMatcher {
+  constructor(dictionary = DEFAULT_DICTIONARY) {
+    this.entries = dictionary.entries || [];
+
+    this.exactIndex = new Map();    // variante latine ou synonyme -> entrées
+    this.hebrewIndex = new Map();   // forme hébraïque normalisée -> entrées
+    this.phoneticIndex = new Map(); // clé phonétique -> entrées
+    this.phrases = [];              // expressions de plusieurs mots
+
+    for (const entry of this.entries) {
+      this.indexEntry(entry);
+    }
+  }
+
+  /**
+   * Indexe les formes latines, hébraïques et les synonymes d'une entrée
+   */
+  indexEntry(entry) {
+    const forms = [
+      ...(entry.latin || []).map(form => ({ form, via: 'exact' })),
+      ...(entry.synonyms || []).map(form => ({ form, via: 'synonym' })),
+      ...(entry.hebrew || []).map(form => ({ form, via: 'hebrew' }))
+    ];
+
+    for (const { form, via } of forms) {
+      const tokens = HebrewNormalizer.tokenize(form, { minLength: 1 }).map(TransliterationMatcher.foldLatin);
+      if (tokens.length === 0) continue;
+
+      if (tokens.length > 1) {
+        this.phrases.push({ tokens, entry, via });
+        continue;
+      }
+
+      const [token] = tokens;
+      if (via === 'hebrew') {
+        this.addToIndex(this.hebrewIndex, token, entry);
+      } else {
+        this.addToIndex(this.exactIndex, token, { entry, via });
+      }
+
+      if (via === 'exact') {
+        for (const key of TransliterationMatcher.phoneticKeys(token)) {
+          this.addToIndex(this.phoneticIndex, key, entry);
+        }
+      }
+    }
+  }
+
+  addToIndex(index, key, value) {
+    if (!index.has(key)) {
+      index.set(key, []);
+    }
+    if (!index.get(key).includes(value)) {
+      index.get(key).push(value);
+    }
+  }
+
+  /**
+   * Retire les accents latins (é, ḥ, ł...) sans toucher à l'hébreu
+   */
+  static foldLatin(token) {
+    if (HebrewNormalizer.isHebrew(token)) return token;
+    return token
+      .replace(/\u0142/g, 'l')
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .normalize('NFC');
+  }
+
+  /**
+   * Clés phonétiques d'un mot latin (plusieurs si "ch" est ambigu)
+   */
+  static phoneticKeys(word) {
+    const letters = TransliterationMatcher.foldLatin(word.toLowerCase()).replace(/[^a-z]/g, '');
+    const units = letters.match(PHONETIC_UNITS) || [];
+
+    let keys = [''];
+    for (const unit of units) {
+      const codes = PHONETIC_CODES[unit] || [];
+      const next = [];
+      for (const key of keys) {
+        for (const code of codes) {
+          // Fusionner les sons répétés (dd, kk, voyelles successives)
+          next.push(key.endsWith(code) ? key : key + code);
+        }
+      }
+      keys = next.slice(0, MAX_PHONETIC_KEYS);
+    }
+
+    // Le hé final après une voyelle ne se prononce pas (emunah = emuna)
+    return [...new Set(keys.map(key => key.replace(/VH$/, 'V')))].filter(Boolean);
+  }
+
+  /**
+   * Distance d'édition entre deux clés phonétiques
+   */
+  static editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        diagonal = current;
+      }
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Recherche phonétique d'un mot latin inconnu du dictionnaire
+   */
+  matchPhonetic(token) {
+    if (token.length < MIN_PHONETIC_LENGTH) return [];
+
+    const keys = TransliterationMatcher.phoneticKeys(token)
+      .filter(key => key.replace(/V/g, '').length >= MIN_PHONETIC_CONSONANTS);
+    const found = new Set();
+
+    for (const key of keys) {
+      for (const entry of this.phoneticIndex.get(key) || []) {
+        found.add(entry);
+      }
+    }
+
+    // Tolérer une différence pour les mots longs (tfila / tefila)
+    if (found.size === 0) {
+      for (const key of keys.filter(k => k.length >= FUZZY_KEY_LENGTH)) {
+        for (const [candidate, entries] of this.phoneticIndex) {
+          if (Math.abs(candidate.length - key.length) <= 1 &&
+              TransliterationMatcher.editDistance(key, candidate) <= 1) {
+            entries.forEach(entry => found.add(entry));
+          }
+        }
+      }
+    }
+
+    return [...found];
+  }
+
+  /**
+   * Identifie les entrées du dictionnaire présentes dans la requête
+   */
+  match(query) {
+    const tokens = HebrewNormalizer.tokenize(query, { minLength: 1 }).map(TransliterationMatcher.foldLatin);
+    const padded = ` ${tokens.join(' ')} `;
+    const matches = [];
+
+    const addMatch = (token, entry, via) => {
+      if (!matches.some(m => m.id === entry.id && m.token === token)) {
+        matches.push({ token, id: entry.id, category: entry.category, via });
+      }
+    };
+
+    // Expressions de plusieurs mots (tikkun haklali, ארץ ישראל...)
+    for (const phrase of this.phrases) {
+      const text = phrase.tokens.join(' ');
+      if (padded.includes(` ${text} `)) {
+        addMatch(text, phrase.entry, phrase.via);
+      }
+    }
+
+    for (const token of tokens) {
+      if (HebrewNormalizer.isHebrew(token)) {
+        // Préfixes retirés seulement vers une forme du dictionnaire (ההתבודדות → התבודדות)
+        const entries = this.hebrewIndex.get(token) ||
+          this.hebrewIndex.get(HebrewNormalizer.stripPrefixes(token, this.hebrewIndex)) || [];
+        entries.forEach(entry => addMatch(token, entry, 'hebrew'));
+        continue;
+      }
+
+      const exact = this.exactIndex.get(token);
+      if (exact) {
+        exact.forEach(({ entry, via }) => addMatch(token, entry, via));
+        continue;
+      }
+
+      this.matchPhonetic(token).forEach(entry => addMatch(token, entry, 'phonetic'));
+    }
+
+    return matches;
+  }
+
+  /**
+   * Étend une requête avec les formes hébraïques et latines des entrées reconnues
+   * Les thèmes (catégorie "topic") servent au routage mais n'étendent pas la requête
+   */
+  expand(query) {
+    const matches = this.match(query);
+    const ids = [...new Set(matches.map(m => m.id))];
+    const terms = new Set();
+
+    for (const id of ids) {
+      const entry = this.entries.find(e => e.id === id);
+      if (!entry || !entry.latin) continue;
+
+      for (const form of [...entry.hebrew, ...entry.latin]) {
+        terms.add(form);
+      }
+    }
+
+    return {
+      matches,
+      ids,
+      terms: [...terms]
+    };
+  }
+
+  /**
+   * Requête enrichie sous forme de texte (pour les recherches par sous-chaîne)
+   */
+  expandQuery(query) {
+    const { terms } = this.expand(query);
+    return terms.length > 0 ? `${query} ${terms.join(' ')}` : query;
+  }
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TransliterationMatcher;
+}
@@ -0,0 +1,115 @@
+/**
+ * Index vectoriel des chunks (embeddings précalculés) pour Rabbi Nachman Voice
+ * Construit par index-builder.js (vector-index.json) et interrogé par search-engine.js :
+ * similarité cosinus exhaustive, suffisante pour quelques dizaines de milliers de chunks
+ * Les vecteurs sont stockés en Float32 encodés en base64 avec le fournisseur et le modèle
+ * qui les ont produits : une requête doit être encodée par le même modèle
+ */
+
+class VectorIndex {
+  /**
+   * @param {Object} model - { provider, model, dimensions } (EmbeddingClient.describe())
+   */
+  constructor(model = {}) {
+    this.provider = model.provider || null;
+    this.model = model.model || null;
+    this.dimensions = model.dimensions || null;
+
+    // chunkId -> { bookId, sectionId, reference }
+    this.docs = {};
+    this.ids = [];
+    this.vectors = [];
+  }
+
+  get size() {
+    return this.ids.length;
+  }
+
+  /**
+   * Ajoute le vecteur d'un chunk (normalisé pour que le produit scalaire soit le cosinus)
+   */
+  add(id, vector, metadata = {}) {
+    if (!this.dimensions) this.dimensions = vector.length;
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector of ${id} has ${vector.length} dimensions, index expects ${this.dimensions}`);
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    this.ids.push(id);
+    this.vectors.push(Float32Array.from(vector, value => value / norm));
+    this.docs[id] = { ...metadata };
+  }
+
+  /**
+   * Vrai si les vecteurs de l'index viennent du modèle décrit
+   */
+  matches(model) {
+    return model.provider === this.provider && model.model === this.model &&
+      (!model.dimensions || model.dimensions === this.dimensions);
+  }
+
+  /**
+   * Chunks les plus proches d'un vecteur de requête
+   * @returns {Array} [{ chunkId, score, ...métadonnées }], le plus proche en premier
+   */
+  search(query, options = {}) {
+    const { maxResults = 10, minScore = 0 } = options;
+    if (!query || query.length !== this.dimensions) return [];
+
+    const norm = Math.sqrt(query.reduce((sum, value) => sum + value * value, 0)) || 1;
+    const hits = [];
+
+    for (let i = 0; i < this.vectors.length; i++) {
+      const vector = this.vectors[i];
+      let dot = 0;
+      for (let d = 0; d < vector.length; d++) {
+        dot += vector[d] * query[d];
+      }
+      const score = dot / norm;
+      if (score > minScore) hits.push({ chunkId: this.ids[i], score });
+    }
+
+    return hits
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxResults)
+      .map(hit => ({ ...hit, ...this.docs[hit.chunkId] }));
+  }
+
+  /**
+   * Sérialisation pour vector-index.json
+   */
+  toJSON() {
+    const packed = new Float32Array(this.ids.length * (this.dimensions || 0));
+    this.vectors.forEach((vector, i) => packed.set(vector, i * this.dimensions));
+
+    return {
+      version: '1.0',
+      provider: this.provider,
+      model: this.model,
+      dimensions: this.dimensions,
+      totalDocs: this.ids.length,
+      ids: this.ids,
+      docs: this.docs,
+      vectors: Buffer.from(packed.buffer).toString('base64')
+    };
+  }
+
+  /**
+   * Recharge un index sérialisé
+   */
+  static fromJSON(data) {
+    const index = new VectorIndex(data);
+    const buffer = Buffer.from(data.vectors || '', 'base64');
+    const packed = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+
+    index.ids = data.ids || [];
+    index.docs = data.docs || {};
+    index.vectors = index.ids.map((id, i) => packed.slice(i * index.dimensions, (i + 1) * index.dimensions));
+    return index;
+  }
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VectorIndex;
+}
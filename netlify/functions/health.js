@@ -1,4 +1,11 @@
 // Fonction de santé pour vérifier que l'API fonctionne
+const SefariaCache = require('../../lib/sefaria-cache');
+
+// Instance commune du processus, celle de SefariaService ; chaque fonction Netlify a son
+// propre processus : seuls les stockages fs ou redis (SEFARIA_CACHE_STORE) partagent leurs
+// statistiques entre fonctions, le stockage mémoire ne compte que cette instance
+const sefariaCache = SefariaCache.shared();
+
 exports.handler = async (event, context) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
@@ -15,6 +22,13 @@ exports.handler = async (event, context) => {
     };
   }
 
+  let cache;
+  try {
+    cache = await sefariaCache.stats();
+  } catch (error) {
+    cache = { error: error.message };
+  }
+
   return {
     statusCode: 200,
     headers,
@@ -27,7 +41,8 @@ exports.handler = async (event, context) => {
         gemini: !!process.env.GEMINI_API_KEY,
         teachings: true,
         multilingual: true
-      }
+      },
+      sefariaCache: cache
     })
   };
 };
\ No newline at end of file
@@ -1,14 +1,18 @@
 // Netlify Function to fetch from Sefaria API - NO MOCK DATA
+const http = require('http');
 const https = require('https');
 
+// Sefaria API (or the local stand-in: SEFARIA_BASE_URL=http://localhost:8787)
+const SEFARIA_BASE_URL = process.env.SEFARIA_BASE_URL || 'https://www.sefaria.org';
+
 async function fetchFromSefaria(bookName) {
   const strategies = [
     // Strategy 1: API v3
-    () => fetchFromUrl(`https://www.sefaria.org/api/v3/texts/${encodeURIComponent(bookName)}`),
+    () => fetchFromUrl(`${SEFARIA_BASE_URL}/api/v3/texts/${encodeURIComponent(bookName)}`),
     // Strategy 2: API v2
-    () => fetchFromUrl(`https://www.sefaria.org/api/texts/${encodeURIComponent(bookName)}?context=1`),
+    () => fetchFromUrl(`${SEFARIA_BASE_URL}/api/texts/${encodeURIComponent(bookName)}?context=1`),
     // Strategy 3: Index API
-    () => fetchFromUrl(`https://www.sefaria.org/api/index/${encodeURIComponent(bookName)}`),
+    () => fetchFromUrl(`${SEFARIA_BASE_URL}/api/index/${encodeURIComponent(bookName)}`),
   ];
 
   for (const strategy of strategies) {
@@ -27,7 +31,8 @@ async function fetchFromSefaria(bookName) {
 
 function fetchFromUrl(url) {
   return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
+    const client = url.startsWith('http:') ? http : https;
+    client.get(url, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
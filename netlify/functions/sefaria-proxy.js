@@ -3,8 +3,12 @@
  * Permet d'accéder à Sefaria depuis le client sans problèmes CORS
  */
 
+const http = require('http');
 const https = require('https');
 
+// API Sefaria (ou le serveur local : SEFARIA_BASE_URL=http://localhost:8787)
+const SEFARIA_BASE_URL = new URL(process.env.SEFARIA_BASE_URL || 'https://www.sefaria.org');
+
 exports.handler = async (event, context) => {
   // Headers CORS
   const headers = {
@@ -67,7 +71,8 @@ exports.handler = async (event, context) => {
 function makeSefariaRequest(path, method, body) {
   return new Promise((resolve, reject) => {
     const options = {
-      hostname: 'www.sefaria.org',
+      hostname: SEFARIA_BASE_URL.hostname,
+      port: SEFARIA_BASE_URL.port || undefined,
       path: path.startsWith('/') ? path : `/${path}`,
       method: method,
       headers: {
@@ -81,7 +86,8 @@ function makeSefariaRequest(path, method, body) {
       options.headers['Content-Length'] = Buffer.byteLength(body);
     }
 
-    const req = https.request(options, (res) => {
+    const client = SEFARIA_BASE_URL.protocol === 'http:' ? http : https;
+    const req = client.request(options, (res) => {
       let data = '';
 
       res.on('data', (chunk) => {
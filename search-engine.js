@@ -7,6 +7,15 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const BM25Index = require('./lib/bm25-index');
+const HebrewNormalizer = require('./lib/hebrew-normalizer');
+const TransliterationMatcher = require('./lib/transliteration');
+const IntentClassifier = require('./lib/intent-classifier');
+const SefariaRef = require('./lib/sefaria-ref');
+const RankFusion = require('./lib/rank-fusion');
+const VectorIndex = require('./lib/vector-index');
+const EmbeddingClient = require('./lib/embedding-client');
+const ContextPacker = require('./lib/context-packer');
 
 class RabbiNachmanSearchEngine {
     constructor(dataDir = path.join(__dirname, 'data')) {
@@ -14,6 +23,13 @@ class RabbiNachmanSearchEngine {
         this.masterIndex = null;
         this.bookIndexes = {};
         this.chunksCache = {};
+        this.bm25Index = null;
+        this.vectorIndex = null;
+        this.embeddings = null;
+        this.referenceTables = {};
+        this.fusion = new RankFusion();
+        this.transliteration = new TransliterationMatcher();
+        this.intents = new IntentClassifier({ transliteration: this.transliteration });
         this.initialized = false;
     }
 
@@ -43,6 +59,32 @@ class RabbiNachmanSearchEngine {
             }
             console.log(`✅ ${Object.keys(this.bookIndexes).length} book indexes chargés`);
             
+            // Charger l'index inversé BM25 (optionnel : sinon recherche par couches)
+            try {
+                const invertedPath = path.join(this.dataDir, 'inverted-index.json');
+                this.bm25Index = BM25Index.fromJSON(JSON.parse(await fs.readFile(invertedPath, 'utf8')));
+                console.log(`✅ Index inversé chargé: ${Object.keys(this.bm25Index.postings).length} termes, ${this.bm25Index.totalDocs} chunks`);
+            } catch (error) {
+                this.bm25Index = null;
+                console.warn('⚠️  Index inversé absent, recherche par couches utilisée (relancer index-builder.js)');
+            }
+            
+            // Charger l'index vectoriel (optionnel) ; les requêtes sont encodées par le modèle qui l'a construit
+            try {
+                const vectorPath = path.join(this.dataDir, 'vector-index.json');
+                this.vectorIndex = VectorIndex.fromJSON(JSON.parse(await fs.readFile(vectorPath, 'utf8')));
+                this.embeddings = new EmbeddingClient({
+                    provider: this.vectorIndex.provider,
+                    model: this.vectorIndex.model,
+                    dimensions: this.vectorIndex.dimensions
+                });
+                console.log(`✅ Index vectoriel chargé: ${this.vectorIndex.size} vecteurs (${this.vectorIndex.provider}/${this.vectorIndex.model})`);
+            } catch (error) {
+                this.vectorIndex = null;
+                this.embeddings = null;
+                console.warn(`⚠️  Index vectoriel indisponible (${error.code === 'ENOENT' ? 'relancer index-builder.js' : error.message}), recherche sans embeddings`);
+            }
+            
             this.initialized = true;
             return true;
         } catch (error) {
@@ -53,23 +95,63 @@ class RabbiNachmanSearchEngine {
 
     /**
      * Recherche principale - Point d'entrée
+     * L'intention de la question (date, prière, conte...) fixe les livres privilégiés
+     * et, sauf options contraires, le nombre de résultats et la taille des contextes
      */
     async search(query, options = {}) {
         if (!this.initialized) {
             await this.initialize();
         }
 
-        const {
-            maxResults = 5,
-            includeHebrew = true,
-            contextLength = 200
-        } = options;
-
         console.log(`\n🔍 Recherche: "${query}"`);
         
         // Étape 1: Analyser la requête
         const queryAnalysis = this.analyzeQuery(query);
-        console.log(`📝 Analyse: ${JSON.stringify(queryAnalysis.keywords)}`);
+        const { intent } = queryAnalysis;
+        console.log(`📝 Analyse: ${JSON.stringify(queryAnalysis.keywords)} (intention : ${intent.intent})`);
+        
+        // Référence exacte ("Likoutey Moharan 282") : le passage lui-même, avec ses voisins
+        if (intent.strategy === 'direct_fetch') {
+            const passage = await this.lookupReference(intent.reference);
+            if (passage) {
+                return {
+                    success: true,
+                    query: query,
+                    ranking: 'reference',
+                    ...this.describeStrategy(intent, []),
+                    passage: passage,
+                    results: [],
+                    totalResults: 1
+                };
+            }
+            console.log(`📭 ${intent.reference} absent des chunks locaux, recherche classique`);
+        }
+        
+        const {
+            maxResults = intent.maxResults,
+            includeHebrew = true,
+            contextLength = intent.contextLength
+        } = options;
+        
+        // Recherche hybride sur l'index inversé ou vectoriel si disponible (options.debug : rangs de chaque moteur)
+        if (this.bm25Index || this.vectorIndex) {
+            const { results, debug } = await this.searchHybrid(queryAnalysis, {
+                maxResults,
+                includeHebrew,
+                contextLength
+            });
+            
+            return {
+                success: results.length > 0,
+                query: query,
+                ranking: 'rrf',
+                ...this.describeStrategy(intent, results),
+                results: results,
+                totalResults: results.length,
+                ...(options.debug && { fusion: debug }),
+                ...(results.length === 0 && { message: 'Aucun passage pertinent trouvé' })
+            };
+        }
         
         // Étape 2: Rechercher dans le master index
         const relevantBooks = this.searchMasterIndex(queryAnalysis);
@@ -105,16 +187,225 @@ class RabbiNachmanSearchEngine {
         return {
             success: true,
             query: query,
+            ranking: 'layers',
+            ...this.describeStrategy(intent, results),
             results: results,
             totalResults: results.length
         };
     }
 
+    /**
+     * Intention et stratégie renvoyées avec les résultats ;
+     * questions historiques : première date trouvée dans les passages
+     */
+    describeStrategy(intent, results) {
+        const date = intent.strategy === 'date_extraction' ? this.extractDate(results) : null;
+        
+        return {
+            intent: intent.intent,
+            strategy: intent.strategy,
+            books: intent.bookPriors.map(prior => prior.book),
+            ...(date && { date })
+        };
+    }
+
+    /**
+     * Première date mentionnée dans les contextes des résultats
+     */
+    extractDate(results) {
+        return IntentClassifier.extractDate(results.flatMap(result =>
+            result.contexts.map(c => ({ reference: c.reference || result.reference, text: c.context }))
+        ));
+    }
+
+    /**
+     * Passage d'une référence depuis les chunks locaux, avec le passage précédent et suivant du livre
+     * au même niveau : sections voisines pour une section, segments voisins pour un segment
+     * ("Likutei Moharan 1:3") ou un intervalle de segments ("Likutei Moharan 1:2-3:4")
+     * @returns {Object|null} { reference, requested, heReference, hebrew, translation, previous, next, source }
+     */
+    async lookupReference(reference) {
+        const parsed = SefariaRef.parse(reference);
+        if (!parsed) return null;
+        
+        for (const bookId of Object.keys(this.bookIndexes)) {
+            const book = SefariaRef.resolveBook(bookId);
+            if (!book || book.title !== parsed.book) continue;
+            
+            const table = await this.referenceTable(bookId);
+            const matches = table
+                .map((entry, position) => ({ ...entry, position }))
+                .filter(entry => SefariaRef.overlaps(entry.reference, parsed));
+            if (matches.length === 0) continue;
+            
+            // Une partie de section seulement : les segments demandés, si l'index les connaît
+            const partial = matches.some(entry => !SefariaRef.contains(parsed, entry.reference));
+            const passage = partial
+                ? await this.lookupSegments(table, matches, parsed)
+                : await this.lookupSections(table, matches, parsed);
+            if (passage) return passage;
+        }
+        
+        return null;
+    }
+
+    /**
+     * Passage fait de sections entières, avec les sections voisines (lookupReference)
+     * Sert aussi aux index construits sans segments, pour une partie de section
+     */
+    async lookupSections(table, matches, parsed) {
+        // Segments sans les reprises d'un chunk à l'autre ; sans segments, chunks recollés
+        const segments = [];
+        for (const entry of matches) {
+            const units = await this.sectionSegments(entry);
+            if (!units) {
+                segments.length = 0;
+                break;
+            }
+            segments.push(...units);
+        }
+        
+        let hebrew = segments.map(unit => unit.hebrew).filter(Boolean).join('\n');
+        let translation = segments.map(unit => unit.text).filter(Boolean).join('\n');
+        if (segments.length === 0) {
+            const chunks = [];
+            for (const entry of matches) {
+                for (const chunkId of entry.chunkIds) {
+                    const chunk = await this.loadChunk(chunkId);
+                    if (chunk) chunks.push(chunk);
+                }
+            }
+            if (chunks.length === 0) return null;
+            
+            hebrew = chunks
+                .map(chunk => Array.isArray(chunk.hebrewText) ? chunk.hebrewText.join('\n') : chunk.hebrewText)
+                .filter(Boolean)
+                .join('\n');
+            translation = chunks.map(chunk => chunk.content || '').reduce(ContextPacker.joinOverlapping, '');
+        }
+        
+        const first = matches[0].position;
+        const last = matches[matches.length - 1].position;
+        const passageRef = matches.length === 1 ? matches[0].reference : SefariaRef.format(parsed);
+        
+        return {
+            reference: passageRef,
+            requested: SefariaRef.format(parsed),
+            heReference: SefariaRef.format(passageRef, 'he'),
+            hebrew: hebrew || null,
+            translation: translation || null,
+            previous: first > 0 ? table[first - 1].reference : null,
+            next: last < table.length - 1 ? table[last + 1].reference : null,
+            source: 'local'
+        };
+    }
+
+    /**
+     * Passage fait des segments demandés, avec les segments voisins, pris au besoin
+     * dans la section précédente ou suivante (lookupReference)
+     */
+    async lookupSegments(table, matches, parsed) {
+        const segments = [];
+        for (const entry of matches) {
+            const units = await this.sectionSegments(entry);
+            if (!units) return this.lookupSections(table, matches, parsed);
+            segments.push(...units);
+        }
+        
+        const firstKept = segments.findIndex(unit => SefariaRef.contains(parsed, unit.reference));
+        if (firstKept < 0) return null;
+        const kept = segments.filter(unit => SefariaRef.contains(parsed, unit.reference));
+        const lastKept = segments.indexOf(kept[kept.length - 1]);
+        
+        // Voisins : segment hors de la demande le plus proche, dans la section voisine en bord de section
+        const first = matches[0].position;
+        const last = matches[matches.length - 1].position;
+        let previous = firstKept > 0 ? segments[firstKept - 1] : null;
+        if (!previous && first > 0) {
+            previous = ((await this.sectionSegments(table[first - 1])) || []).pop() || null;
+        }
+        let next = lastKept < segments.length - 1 ? segments[lastKept + 1] : null;
+        if (!next && last < table.length - 1) {
+            next = ((await this.sectionSegments(table[last + 1])) || [])[0] || null;
+        }
+        
+        const firstRef = kept[0].reference;
+        const lastRef = kept[kept.length - 1].reference;
+        const passageRef = firstRef === lastRef ? firstRef : SefariaRef.range(firstRef, lastRef) || SefariaRef.format(parsed);
+        const hebrew = kept.map(unit => unit.hebrew).filter(Boolean).join('\n');
+        
+        return {
+            reference: passageRef,
+            requested: SefariaRef.format(parsed),
+            heReference: SefariaRef.format(passageRef, 'he'),
+            hebrew: hebrew || null,
+            translation: kept.map(unit => unit.text).filter(Boolean).join('\n') || null,
+            previous: previous ? previous.reference : null,
+            next: next ? next.reference : null,
+            source: 'local'
+        };
+    }
+
+    /**
+     * Segments d'une section dans l'ordre : [{ reference, text, hebrew }], d'après les chunks
+     * (une ligne de content et une entrée de hebrewText par segment ou partie de segment),
+     * sans les segments repris d'un chunk à l'autre ; null pour un index construit sans segments
+     */
+    async sectionSegments(entry) {
+        const units = [];
+        const seen = new Set();
+        
+        for (const chunkId of entry.chunkIds) {
+            const chunk = await this.loadChunk(chunkId);
+            if (!chunk || !Array.isArray(chunk.segments)) return null;
+            
+            const lines = String(chunk.content || '').split('\n');
+            const hebrew = Array.isArray(chunk.hebrewText) ? chunk.hebrewText : [];
+            chunk.segments.forEach((reference, i) => {
+                const key = [reference, lines[i], hebrew[i]].join('\n');
+                if (seen.has(key)) return;
+                seen.add(key);
+                units.push({ reference, text: lines[i] || '', hebrew: hebrew[i] || '' });
+            });
+        }
+        
+        return units;
+    }
+
+    /**
+     * Références des sections d'un livre dans l'ordre du livre : [{ reference, chunkIds }]
+     * Lues dans l'index inversé, sinon dans le premier chunk de chaque section
+     */
+    async referenceTable(bookId) {
+        if (this.referenceTables[bookId]) {
+            return this.referenceTables[bookId];
+        }
+        
+        const table = [];
+        for (const section of this.bookIndexes[bookId].sections) {
+            const [chunkId] = section.chunkIds;
+            if (!chunkId) continue;
+            
+            const doc = this.bm25Index && this.bm25Index.docs[chunkId];
+            const chunk = doc ? doc : await this.loadChunk(chunkId);
+            if (!chunk || !chunk.reference) continue;
+            
+            table.push({
+                reference: chunk.sectionReference || chunk.reference.replace(/ \(partie \d+\)$/, ''),
+                chunkIds: section.chunkIds
+            });
+        }
+        
+        this.referenceTables[bookId] = table;
+        return table;
+    }
+
     /**
      * Analyser la requête pour extraire les concepts clés
      */
     analyzeQuery(query) {
-        const queryLower = query.toLowerCase();
+        // Requête normalisée : sans niqqud, gershayim ni lettres finales
+        const queryLower = HebrewNormalizer.normalize(query);
         
         // Mots-clés pour dates et lieux
         const dateKeywords = [];
@@ -127,57 +418,40 @@ class RabbiNachmanSearchEngine {
             dateKeywords.push(...yearMatches);
         }
         
-        // Détecter les villes importantes
-        const cities = {
-            'lemberg': ['lemberg', 'lwów', 'lviv', 'למברג', 'לבוב'],
-            'uman': ['uman', 'ouman', 'אומן', 'אומאן'],
-            'breslov': ['breslov', 'breslev', 'bratslav', 'ברסלב'],
-            'jerusalem': ['jerusalem', 'jérusalem', 'ירושלים'],
-            'istanbul': ['istanbul', 'constantinople', 'קושטא'],
-            'medzhybizh': ['medzhybizh', 'מעזיבוז'],
-            'złoczów': ['złoczów', 'zolochiv', 'זלאטשוב']
-        };
-        
-        for (const [mainName, variants] of Object.entries(cities)) {
-            for (const variant of variants) {
-                if (queryLower.includes(variant)) {
-                    locationKeywords.push(mainName);
-                    break;
-                }
+        // Détecter lieux et thèmes via le dictionnaire de translittérations
+        const transliteration = this.transliteration.expand(query);
+        for (const match of transliteration.matches) {
+            if (match.category === 'location' && !locationKeywords.includes(match.id)) {
+                locationKeywords.push(match.id);
+            }
+            if (match.category === 'topic' && !conceptKeywords.includes(match.id)) {
+                conceptKeywords.push(match.id);
             }
         }
         
-        // Détecter les concepts clés
-        const concepts = {
-            'voyage': ['voyage', 'voyager', 'partir', 'aller', 'travel', 'journey', 'נסיעה', 'מסע'],
-            'date': ['quand', 'when', 'date', 'année', 'year', 'מתי', 'שנה'],
-            'histoire': ['histoire', 'history', 'biographie', 'biography', 'vie', 'life', 'חיים'],
-            'mort': ['mort', 'décès', 'death', 'פטירה', 'נפטר'],
-            'naissance': ['naissance', 'né', 'birth', 'born', 'לידה', 'נולד']
-        };
+        // Extraire tous les mots significatifs, plus les variantes translittérées
+        const words = HebrewNormalizer.tokenize(query, { minLength: 3 });
+        const expandedWords = HebrewNormalizer.tokenize(transliteration.terms.join(' '), { minLength: 3 });
         
-        for (const [concept, keywords] of Object.entries(concepts)) {
-            for (const keyword of keywords) {
-                if (queryLower.includes(keyword)) {
-                    conceptKeywords.push(concept);
-                    break;
-                }
-            }
-        }
+        // Termes pour l'index inversé (même découpage qu'à l'indexation)
+        const terms = [...new Set([
+            ...BM25Index.tokenize(query),
+            ...BM25Index.tokenize(transliteration.terms.join(' ')),
+            ...locationKeywords
+        ])];
         
-        // Extraire tous les mots significatifs
-        const words = queryLower
-            .replace(/[^\w\s\u0590-\u05FF]/g, ' ') // Garder lettres et hébreu
-            .split(/\s+/)
-            .filter(word => word.length > 2);
+        const intent = this.intents.classify(query);
         
         return {
             original: query,
-            keywords: [...new Set([...words, ...dateKeywords, ...locationKeywords, ...conceptKeywords])],
+            intent,
+            terms,
+            keywords: [...new Set([...words, ...expandedWords, ...dateKeywords, ...locationKeywords, ...conceptKeywords])],
+            transliterations: transliteration.matches,
             dateKeywords,
             locationKeywords,
             conceptKeywords,
-            isHistoricalQuery: dateKeywords.length > 0 || locationKeywords.length > 0,
+            isHistoricalQuery: dateKeywords.length > 0 || locationKeywords.length > 0 || intent.intent === 'historical',
             isBiographicalQuery: conceptKeywords.includes('histoire') || conceptKeywords.includes('voyage')
         };
     }
@@ -190,23 +464,26 @@ class RabbiNachmanSearchEngine {
         
         for (const book of this.masterIndex.books) {
             let score = 0;
+            const summaries = HebrewNormalizer.normalize([book.description, book.summary, book.hebrewSummary, book.abstract].filter(Boolean).join(' '));
+            
+            // Bonus pour les livres privilégiés par l'intention
+            // (Chayei Moharan pour une date, Likoutey Tefilot pour une prière...)
+            score += 10 * IntentClassifier.prior(queryAnalysis.intent, book.id);
             
             // Bonus pour les livres biographiques si c'est une question historique
-            if (queryAnalysis.isHistoricalQuery || queryAnalysis.isBiographicalQuery) {
-                if (book.type === 'biography' || book.id.includes('Chayei') || book.id.includes('Shivchei')) {
-                    score += 10;
-                }
+            if ((queryAnalysis.isHistoricalQuery || queryAnalysis.isBiographicalQuery) && book.type === 'biography') {
+                score += 5;
             }
             
             // Chercher les mots-clés dans les mots-clés du livre
             for (const keyword of queryAnalysis.keywords) {
-                if (book.keywords && book.keywords.some(k => k.includes(keyword))) {
+                if (book.keywords && book.keywords.some(k => HebrewNormalizer.normalize(k).includes(keyword))) {
                     score += 5;
                 }
                 if (book.title && book.title.toLowerCase().includes(keyword)) {
                     score += 3;
                 }
-                if (book.summary && book.summary.toLowerCase().includes(keyword)) {
+                if (summaries.includes(keyword)) {
                     score += 2;
                 }
             }
@@ -232,13 +509,14 @@ class RabbiNachmanSearchEngine {
             
             for (const section of bookIndex.sections) {
                 let sectionScore = book.score; // Hériter du score du livre
+                const summaries = HebrewNormalizer.normalize([section.summary, section.hebrewSummary, section.abstract].filter(Boolean).join(' '));
                 
                 // Chercher les mots-clés dans la section
                 for (const keyword of queryAnalysis.keywords) {
-                    if (section.keywords && section.keywords.some(k => k.includes(keyword))) {
+                    if (section.keywords && section.keywords.some(k => HebrewNormalizer.normalize(k).includes(keyword))) {
                         sectionScore += 3;
                     }
-                    if (section.summary && section.summary.toLowerCase().includes(keyword)) {
+                    if (summaries.includes(keyword)) {
                         sectionScore += 2;
                     }
                 }
@@ -268,6 +546,154 @@ class RabbiNachmanSearchEngine {
             .slice(0, 20); // Top 20 sections
     }
 
+    /**
+     * Recherche hybride : chaque moteur (BM25, vecteurs, titres et références) classe les chunks,
+     * les classements sont fusionnés par rangs réciproques (lib/rank-fusion.js, poids RRF_WEIGHTS)
+     * Seuls les chunks retenus sont chargés depuis le disque ; un moteur en échec est ignoré
+     */
+    async searchHybrid(queryAnalysis, options) {
+        const candidates = options.maxResults * 3;
+        const retrievers = {
+            ...(this.bm25Index && {
+                bm25: () => this.retrieveBM25(queryAnalysis, candidates),
+                reference: () => this.retrieveReferences(queryAnalysis, candidates)
+            }),
+            ...(this.vectorIndex && {
+                vector: () => this.retrieveVectors(queryAnalysis, candidates)
+            })
+        };
+        
+        const rankings = {};
+        await Promise.all(Object.entries(retrievers).map(async ([name, retrieve]) => {
+            try {
+                rankings[name] = await retrieve();
+            } catch (error) {
+                console.warn(`⚠️  Moteur ${name} en échec, ignoré: ${error.message}`);
+                rankings[name] = [];
+            }
+        }));
+        
+        const fusion = this.fusion.fuse(rankings, { limit: options.maxResults });
+        const termScores = new Map((rankings.bm25 || []).map(hit => [hit.id, hit.termScores]));
+        const results = [];
+        
+        for (const fused of fusion.results) {
+            const chunk = await this.loadChunk(fused.id);
+            if (!chunk) continue;
+            
+            const content = chunk.content || '';
+            const normalized = HebrewNormalizer.normalize(content);
+            const matchedTerms = termScores.has(fused.id)
+                ? Object.keys(termScores.get(fused.id))
+                : queryAnalysis.keywords.filter(keyword => normalized.includes(keyword));
+            const contexts = this.extractContexts(content, matchedTerms, options.contextLength, chunk.segments);
+            const book = this.masterIndex.books.find(b => b.id === chunk.bookId);
+            
+            results.push({
+                chunkId: chunk.id,
+                bookTitle: book ? book.title : chunk.bookId,
+                reference: chunk.reference,
+                score: fused.score,
+                ranks: fused.ranks,
+                ...(fused.merged.length > 0 && { merged: fused.merged }),
+                scoreBreakdown: termScores.get(fused.id) || {},
+                matchedKeywords: matchedTerms,
+                contexts: contexts.slice(0, 3), // Top 3 contextes
+                fullText: options.includeHebrew && chunk.hebrewText ? chunk.hebrewText : chunk.content,
+                excerpt: contexts.length > 0 ? contexts[0].context : content.substring(0, 300) + '...'
+            });
+        }
+        
+        return { results, debug: fusion.debug };
+    }
+
+    /**
+     * Classement BM25 de l'index inversé ;
+     * les livres privilégiés par l'intention remontent jusqu'à +50 % de score
+     */
+    async retrieveBM25(queryAnalysis, limit) {
+        return this.bm25Index.search(queryAnalysis.terms, { maxResults: limit })
+            .map(hit => {
+                const doc = this.bm25Index.docs[hit.chunkId];
+                return {
+                    id: hit.chunkId,
+                    reference: doc.reference,
+                    score: hit.score * (1 + 0.5 * IntentClassifier.prior(queryAnalysis.intent, doc.bookId)),
+                    termScores: hit.termScores
+                };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Classement sémantique : chunks les plus proches de la question (cosinus sur les embeddings précalculés)
+     */
+    async retrieveVectors(queryAnalysis, limit) {
+        const query = await this.embeddings.embedOne(queryAnalysis.original);
+        return this.vectorIndex.search(query, { maxResults: limit, minScore: this.embeddings.minScore })
+            .map(hit => ({ id: hit.chunkId, reference: hit.reference, score: hit.score }));
+    }
+
+    /**
+     * Classement par titre et référence : chunks du livre cité dans la question,
+     * le passage cité d'abord ("Likoutey Moharan 282"), puis par score BM25 dans le livre
+     */
+    async retrieveReferences(queryAnalysis, limit) {
+        const cited = SefariaRef.find(queryAnalysis.original);
+        if (!cited) return [];
+        
+        const bookIds = Object.keys(this.bookIndexes)
+            .filter(bookId => (SefariaRef.resolveBook(bookId) || {}).title === cited.book);
+        const ranked = [];
+        
+        if (cited.sections.length > 0) {
+            for (const bookId of bookIds) {
+                for (const entry of await this.referenceTable(bookId)) {
+                    if (!SefariaRef.overlaps(entry.reference, cited)) continue;
+                    ranked.push(...entry.chunkIds.map(id => ({ id, reference: entry.reference, score: 1 })));
+                }
+            }
+        }
+        
+        const inBook = new Set(bookIds);
+        for (const hit of this.bm25Index.search(queryAnalysis.terms, { maxResults: this.bm25Index.totalDocs })) {
+            const doc = this.bm25Index.docs[hit.chunkId];
+            if (inBook.has(doc.bookId) && !ranked.some(item => item.id === hit.chunkId)) {
+                ranked.push({ id: hit.chunkId, reference: doc.reference, score: hit.score });
+            }
+        }
+        
+        return ranked.slice(0, limit);
+    }
+
+    /**
+     * Extraire le contexte autour de chaque mot-clé trouvé ; avec les segments du chunk
+     * (une ligne de content par segment), chaque contexte cite son segment ("Likutei Moharan 1:3")
+     */
+    extractContexts(content, keywords, contextLength, segments = null) {
+        // Chercher dans le texte normalisé, citer le texte original (niqqud, majuscules)
+        const { text: contentLower, offsets } = HebrewNormalizer.normalizeWithOffsets(content);
+        const contexts = [];
+        
+        for (const keyword of keywords) {
+            const index = contentLower.indexOf(keyword);
+            if (index > -1) {
+                const start = Math.max(0, index - Math.floor(contextLength / 2));
+                const end = Math.min(contentLower.length, index + keyword.length + Math.floor(contextLength / 2));
+                const context = content.substring(offsets[start], offsets[end]);
+                const line = contentLower.substring(0, index).split('\n').length - 1;
+                contexts.push({
+                    keyword: keyword,
+                    context: '...' + context.trim() + '...',
+                    position: offsets[index],
+                    ...(segments && segments[line] && { reference: segments[line] })
+                });
+            }
+        }
+        
+        return contexts;
+    }
+
     /**
      * Rechercher dans les chunks
      */
@@ -302,33 +728,22 @@ class RabbiNachmanSearchEngine {
      */
     searchInChunk(chunk, queryAnalysis, options) {
         const content = chunk.content || '';
-        const contentLower = content.toLowerCase();
+        const contentLower = HebrewNormalizer.normalize(content);
         
         let score = options.baseScore || 0;
         let matchedKeywords = [];
-        let contexts = [];
         
         // Rechercher chaque mot-clé
         for (const keyword of queryAnalysis.keywords) {
             if (contentLower.includes(keyword)) {
                 score += 2;
                 matchedKeywords.push(keyword);
-                
-                // Extraire le contexte autour du mot-clé
-                const index = contentLower.indexOf(keyword);
-                if (index > -1) {
-                    const start = Math.max(0, index - options.contextLength / 2);
-                    const end = Math.min(content.length, index + keyword.length + options.contextLength / 2);
-                    const context = content.substring(start, end);
-                    contexts.push({
-                        keyword: keyword,
-                        context: '...' + context.trim() + '...',
-                        position: index
-                    });
-                }
             }
         }
         
+        // Extraire le contexte autour des mots-clés trouvés
+        const contexts = this.extractContexts(content, matchedKeywords, options.contextLength, chunk.segments);
+        
         // Bonus pour correspondances de dates
         for (const date of queryAnalysis.dateKeywords) {
             if (contentLower.includes(date)) {
@@ -383,13 +798,14 @@ class RabbiNachmanSearchEngine {
             
             return chunk;
         } catch (error) {
-            console.error(`❌ Erreur chargement chunk ${chunkId}:`, error.message);
+            console.error(`❌ Erreur chargement chunk ${chunkId}:`, error.message, '(vérifier les index : node validate-indexes.js)');
             return null;
         }
     }
 
     /**
      * Recherche spéciale pour des questions historiques
+     * (la stratégie date_extraction s'applique aussi directement dans search)
      */
     async searchHistorical(query) {
         // Optimisé pour les questions comme "Quand Rabbi Nachman est parti à Lemberg?"
@@ -406,23 +822,18 @@ class RabbiNachmanSearchEngine {
             };
         }
         
-        // Essayer d'extraire une date précise des résultats
-        for (const result of results.results) {
-            for (const context of result.contexts) {
-                // Chercher des patterns de date
-                const datePattern = /\b(17\d{2}|18\d{2})\b/g;
-                const dates = context.context.match(datePattern);
-                
-                if (dates && dates.length > 0) {
-                    return {
-                        success: true,
-                        answer: context.context,
-                        date: dates[0],
-                        source: result.reference,
-                        confidence: 'high'
-                    };
-                }
-            }
+        // Date précise trouvée dans les résultats
+        const date = results.date || this.extractDate(results.results);
+        
+        if (date) {
+            return {
+                success: true,
+                answer: date.context,
+                date: date.year,
+                ...(date.gregorian && { gregorian: date.gregorian }),
+                source: date.reference,
+                confidence: 'high'
+            };
         }
         
         // Si pas de date trouvée, retourner le meilleur résultat
@@ -451,8 +862,9 @@ if (require.main === module) {
         
         // Test 1: Question sur Lemberg
         console.log('\n📝 Test 1: "Quand est-ce que Rabbi Nachman est parti à Lemberg?"');
-        const result1 = await engine.searchHistorical("Quand est-ce que Rabbi Nachman est parti à Lemberg?");
-        console.log('Résultat:', result1);
+        const result1 = await engine.search("Quand est-ce que Rabbi Nachman est parti à Lemberg?");
+        console.log(`Intention: ${result1.intent} (${result1.strategy}), livres: ${result1.books.join(', ')}`);
+        console.log('Date:', result1.date || 'aucune');
         
         // Test 2: Recherche sur l'hitbodedout
         console.log('\n📝 Test 2: "Qu\'est-ce que l\'hitbodedout?"');
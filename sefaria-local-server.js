@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+
+/**
+ * SERVEUR SEFARIA LOCAL - Rabbi Nachman Voice
+ *
+ * Remplaçant hors ligne de l'API Sefaria, servi depuis les fixtures de fixtures/sefaria/
+ * (extraits de Likoutey Moharan I et II, Si'hot HaRan et 'Hayé Moharan).
+ * Seul le sous-ensemble de l'API utilisé par le projet est implémenté :
+ *   GET  /api/texts/<ref>          (context, pad)
+ *   GET  /api/v3/texts/<ref>       (versions hébreu et anglais)
+ *   GET  /api/index/<titre>        (with_content_counts)
+ *   GET  /api/search/text          (q, size, from, filters) et POST avec le même corps JSON
+ *   GET  /api/related/<ref>        (liens des fixtures)
+ *
+ * Usage : node sefaria-local-server.js [--port=8787]
+ * Puis, pour tous les clients : SEFARIA_BASE_URL=http://localhost:8787
+ *   SEFARIA_BASE_URL=http://localhost:8787 node data-extractor.js --books=Chayei_Moharan
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const SefariaRef = require('./lib/sefaria-ref');
+const SefariaSchema = require('./lib/sefaria-schema');
+const HebrewNormalizer = require('./lib/hebrew-normalizer');
+
+// Configuration
+const CONFIG = {
+    PORT: parseInt(process.env.SEFARIA_LOCAL_PORT, 10) || 8787,
+    FIXTURES_DIR: path.join(__dirname, 'fixtures', 'sefaria'),
+    SEARCH_SIZE: 20
+};
+
+// Clé de comparaison des références : forme URL Sefaria ("Likutei_Moharan.1", "Chayei_Moharan,_Introduction")
+function refKey(ref) {
+    return SefariaRef.toUrl(ref.replace(/_/g, ' '));
+}
+
+/**
+ * Charge les fixtures : un fichier par livre { index, texts, links }
+ * Les sections sont énumérées depuis le schéma, comme le fait l'extracteur
+ */
+function loadFixtures(dir = CONFIG.FIXTURES_DIR) {
+    const books = [];
+    const sections = new Map();
+
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+        const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        const book = {
+            title: fixture.index.title,
+            index: fixture.index,
+            links: fixture.links || [],
+            sections: []
+        };
+
+        for (const schemaSection of SefariaSchema.enumerate(fixture.index)) {
+            const content = fixture.texts[schemaSection.ref];
+            if (!content) continue;
+
+            const section = { ...schemaSection, book, text: content.text || [], he: content.he || [] };
+            book.sections.push(section);
+            sections.set(refKey(section.ref), section);
+        }
+
+        books.push(book);
+    }
+
+    return { books, sections };
+}
+
+function findBook(fixtures, title) {
+    const name = title.replace(/_/g, ' ');
+    const canonical = SefariaRef.resolveBook(name);
+    return fixtures.books.find(b => b.title === name || (canonical && b.title === canonical.title)) || null;
+}
+
+/**
+ * Section et segments demandés : "Likutei_Moharan.1", "Likutei_Moharan.1.2", "Likutei_Moharan.1.1-2"
+ * Un titre seul renvoie la première section, comme Sefaria
+ */
+function resolveText(fixtures, ref) {
+    const key = refKey(ref);
+    const section = fixtures.sections.get(key);
+    if (section) return { section, from: null, to: null };
+
+    const segment = key.match(/^(.*)\.(\d+)(?:-(\d+))?$/);
+    if (segment && fixtures.sections.has(segment[1])) {
+        const from = parseInt(segment[2], 10);
+        const to = segment[3] ? parseInt(segment[3], 10) : from;
+        const parent = fixtures.sections.get(segment[1]);
+        if (from >= 1 && to >= from && to <= parent.he.length) {
+            return { section: parent, from, to };
+        }
+        return null;
+    }
+
+    const book = findBook(fixtures, ref);
+    return book && book.sections.length > 0 ? { section: book.sections[0], from: null, to: null } : null;
+}
+
+function neighbours(section) {
+    const list = section.book.sections;
+    const i = list.indexOf(section);
+    return {
+        next: i < list.length - 1 ? list[i + 1].ref : null,
+        prev: i > 0 ? list[i - 1].ref : null
+    };
+}
+
+/**
+ * Réponse /api/texts (v1) : section entière avec context=1 (défaut), segments seuls avec context=0
+ */
+function textResponse({ section, from, to }, params) {
+    const index = section.book.index;
+    const segmentOnly = from !== null && params.get('context') === '0';
+    const slice = list => {
+        if (!segmentOnly) return list;
+        return from === to ? list[from - 1] : list.slice(from - 1, to);
+    };
+
+    const segments = numeral => from === null ? ''
+        : from === to ? numeral(from) : `${numeral(from)}-${numeral(to)}`;
+    const withSegments = (base, numeral) => from === null ? base
+        : `${base}${section.address.length > 0 ? ':' : ' '}${segments(numeral)}`;
+
+    return {
+        ref: withSegments(section.ref, String),
+        heRef: withSegments(section.heRef, SefariaRef.toHebrewNumeral),
+        sectionRef: section.ref,
+        heSectionRef: section.heRef,
+        book: index.title,
+        indexTitle: index.title,
+        heIndexTitle: index.heTitle,
+        categories: index.categories || [],
+        isComplex: section.node.length > 0,
+        sectionNames: section.sectionNames,
+        sections: from === null ? section.address : [...section.address, from],
+        toSections: from === null ? section.address : [...section.address, to],
+        text: slice(section.text),
+        he: slice(section.he),
+        ...neighbours(section)
+    };
+}
+
+/**
+ * Réponse /api/v3/texts : le texte est porté par les versions
+ */
+function textResponseV3(resolved, params) {
+    const v1 = textResponse(resolved, params);
+    const { text, he, ...rest } = v1;
+
+    return {
+        ...rest,
+        versions: [
+            { language: 'he', languageFamilyName: 'hebrew', versionTitle: 'Fixture', text: he },
+            { language: 'en', languageFamilyName: 'english', versionTitle: 'Fixture', text }
+        ],
+        available_versions: [
+            { language: 'he', versionTitle: 'Fixture' },
+            { language: 'en', versionTitle: 'Fixture' }
+        ]
+    };
+}
+
+// Index sans content_counts, sauf si with_content_counts=1
+function indexResponse(book, params) {
+    const index = JSON.parse(JSON.stringify(book.index));
+    if (params.get('with_content_counts') !== '1') {
+        const strip = node => {
+            delete node.content_counts;
+            (node.nodes || []).forEach(strip);
+        };
+        if (index.schema) strip(index.schema);
+    }
+    return index;
+}
+
+/**
+ * Recherche plein texte : hébreu normalisé (nikoud, finales) et anglais sans casse
+ * Filtres au format Sefaria : path:"Likutei Moharan" OR path:"Sichot HaRan"
+ */
+function searchResponse(fixtures, { query = '', size = CONFIG.SEARCH_SIZE, from = 0, filters = [] }) {
+    const filterText = Array.isArray(filters) ? filters.join(' OR ') : String(filters || '');
+    const paths = [...filterText.matchAll(/path:"([^"]+)"/g)]
+        .map(m => SefariaRef.resolveBook(m[1]))
+        .filter(Boolean)
+        .map(b => b.title);
+
+    const heTerms = HebrewNormalizer.normalize(query).split(/\s+/).filter(Boolean);
+    const enTerms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const hits = [];
+
+    for (const book of fixtures.books) {
+        if (paths.length > 0 && !paths.includes(book.title)) continue;
+
+        for (const section of book.sections) {
+            section.he.forEach((he, i) => {
+                const heText = HebrewNormalizer.normalize(he);
+                const enText = (section.text[i] || '').toLowerCase();
+                const score = heTerms.filter(t => heText.includes(t)).length +
+                    enTerms.filter(t => enText.includes(t)).length;
+                if (score === 0) return;
+
+                const ref = section.address.length > 0 ? `${section.ref}:${i + 1}` : `${section.ref} ${i + 1}`;
+                hits.push({
+                    _index: 'text',
+                    _id: `${ref} (Fixture)`,
+                    _score: score,
+                    _source: {
+                        ref,
+                        heRef: section.heRef,
+                        path: [...(book.index.categories || []), book.title].join('/'),
+                        version: 'Fixture',
+                        exact: section.text[i] || '',
+                        he
+                    }
+                });
+            });
+        }
+    }
+
+    hits.sort((a, b) => b._score - a._score);
+    const start = parseInt(from, 10) || 0;
+
+    return {
+        hits: {
+            total: { value: hits.length, relation: 'eq' },
+            max_score: hits.length > 0 ? hits[0]._score : null,
+            hits: hits.slice(start, start + (parseInt(size, 10) || CONFIG.SEARCH_SIZE))
+        }
+    };
+}
+
+// Liens dont l'ancre tombe dans la référence demandée
+function relatedResponse(fixtures, ref) {
+    const text = ref.replace(/_/g, ' ');
+    const canonical = SefariaRef.normalize(text);
+    const links = [];
+
+    for (const book of fixtures.books) {
+        for (const link of book.links) {
+            const inside = canonical
+                ? SefariaRef.contains(canonical, link.anchorRef)
+                : link.anchorRef.startsWith(text);
+            if (inside) {
+                links.push({ ...link, sourceRef: link.ref, index_title: link.ref.replace(/\s+[\d:.-]+$/, '') });
+            }
+        }
+    }
+
+    return { links, sheets: [], notes: [], webpages: [], topics: [], manuscripts: [], media: [] };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new Error(`Corps JSON invalide: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Crée le serveur (sans l'écouter), pour l'utiliser aussi depuis un script de test
+ */
+function createServer(fixtures = loadFixtures()) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const params = url.searchParams;
+        const route = decodeURIComponent(url.pathname);
+
+        const send = (status, data) => {
+            const body = JSON.stringify(data);
+            const headers = {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            };
+
+            // ETag sur le contenu : les fixtures ne changent pas, les requêtes conditionnelles reçoivent 304
+            if (status === 200 && req.method === 'GET') {
+                headers.ETag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+                if (req.headers['if-none-match'] === headers.ETag) {
+                    status = 304;
+                }
+            }
+
+            res.writeHead(status, headers);
+            res.end(status === 304 ? undefined : body);
+            console.log(`  ${status < 400 ? '✓' : '✗'} ${req.method} ${route} (${status})`);
+        };
+
+        if (req.method === 'OPTIONS') {
+            return send(200, {});
+        }
+
+        try {
+            let match;
+
+            if ((match = route.match(/^\/api\/(v3\/)?texts\/(.+)$/))) {
+                const resolved = resolveText(fixtures, match[2]);
+                if (!resolved) return send(404, { error: `Aucune fixture pour "${match[2]}"` });
+                return send(200, match[1] ? textResponseV3(resolved, params) : textResponse(resolved, params));
+            }
+
+            // Le préchargeur utilise /api/v3/index, Sefaria sert /api/index et /api/v2/index
+            if ((match = route.match(/^\/api\/(?:v[23]\/)?index\/(.+)$/))) {
+                const book = findBook(fixtures, match[1]);
+                if (!book) return send(404, { error: `Livre inconnu: "${match[1]}"` });
+                return send(200, indexResponse(book, params));
+            }
+
+            if (route === '/api/search/text' || route === '/api/search-wrapper') {
+                const options = req.method === 'POST'
+                    ? await readBody(req)
+                    : {
+                        query: params.get('q') || '',
+                        size: params.get('size'),
+                        from: params.get('from'),
+                        filters: params.get('filters') || []
+                    };
+                return send(200, searchResponse(fixtures, options));
+            }
+
+            if ((match = route.match(/^\/api\/related\/(.+)$/))) {
+                return send(200, relatedResponse(fixtures, match[1]));
+            }
+
+            return send(404, { error: `Route non implémentée par le serveur local: ${route}` });
+        } catch (error) {
+            return send(500, { error: error.message });
+        }
+    });
+}
+
+function main() {
+    const portArg = process.argv.find(arg => arg.startsWith('--port='));
+    const port = portArg ? parseInt(portArg.slice('--port='.length), 10) : CONFIG.PORT;
+
+    const fixtures = loadFixtures();
+    const server = createServer(fixtures);
+
+    server.listen(port, () => {
+        console.log('📚 Serveur Sefaria local');
+        console.log(`   ${fixtures.books.length} livres, ${fixtures.sections.size} sections (${CONFIG.FIXTURES_DIR})`);
+        console.log(`🚀 http://localhost:${port}/api  →  SEFARIA_BASE_URL=http://localhost:${port}`);
+    });
+}
+
+module.exports = { createServer, loadFixtures };
+
+if (require.main === module) {
+    main();
+}
@@ -8,7 +8,8 @@
 const axios = require('axios');
 
 // Test configuration
-const SEFARIA_API = 'https://www.sefaria.org/api';
+const SEFARIA_BASE_URL = process.env.SEFARIA_BASE_URL || 'https://www.sefaria.org';
+const SEFARIA_API = `${SEFARIA_BASE_URL}/api`;
 const TEST_BOOKS = [
   'Likutei_Moharan',
   'Tikkun_HaKlali',
@@ -61,7 +62,7 @@ async function testDirectFetch(bookName) {
             }
           }
         `;
-        const response = await axios.post('https://www.sefaria.org/graphql', {
+        const response = await axios.post(`${SEFARIA_BASE_URL}/graphql`, {
           query,
           variables: { ref: bookName }
         });
@@ -71,7 +72,7 @@ async function testDirectFetch(bookName) {
     {
       name: 'HTML Fetch',
       test: async () => {
-        const response = await axios.get(`https://www.sefaria.org/${bookName}`, {
+        const response = await axios.get(`${SEFARIA_BASE_URL}/${bookName}`, {
           headers: { 'Accept': 'text/html' }
         });
         const hasContent = response.data.includes('class="he"') || 
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import AbstentionPolicy from '../lib/abstention-policy.js';
+
+describe('AbstentionPolicy', () => {
+  const policy = new AbstentionPolicy({ threshold: 0.35 });
+
+  const joy = {
+    reference: 'Likutei Moharan II 24',
+    text: 'It is a great mitzvah to always be happy (מצוה גדולה להיות בשמחה תמיד).',
+    score: 0.8
+  };
+
+  it('Concept reconnu par le dictionnaire, retrouvé en hébreu ou en anglais', () => {
+    expect(policy.coverage('Que dit Rabbi Nachman sur la joie ?', [joy.text])).toBe(1);
+  });
+
+  it('Concept en translittération retrouvé dans le texte hébreu', () => {
+    expect(policy.coverage('simcha', ['בשמחה תמיד'])).toBe(1);
+  });
+
+  it('Les personnes et les mots outils ne comptent pas', () => {
+    expect(policy.concepts('Que dit Rabbi Nachman sur la joie ?').map(c => c.label)).toEqual(['simcha']);
+  });
+
+  it('Question hors sujet : aucun concept retrouvé', () => {
+    expect(policy.coverage('recette du gâteau au chocolat', [joy.text])).toBe(0);
+  });
+
+  it('Requête hors sujet sans score : abstention', () => {
+    expect(policy.assess('recette du gâteau au chocolat', [{ ...joy, score: undefined }]).abstain).toBe(true);
+  });
+
+  it('Requête couverte avec un bon score : réponse', () => {
+    expect(policy.assess('joie', [joy]).abstain).toBe(false);
+  });
+
+  it('Aucun résultat : raison no_results', () => {
+    expect(policy.assess('joie', []).reason).toBe('no_results');
+  });
+
+  it('Score de recherche faible mais requête couverte : moyenne des deux', () => {
+    expect(policy.assess('joie', [{ ...joy, score: 0.2 }]).confidence).toBe(0.6);
+  });
+
+  it("Seuil inclus : pas d'abstention à 0.35", () => {
+    expect(policy.shouldAbstain(0.35)).toBe(false);
+  });
+
+  it("Seuil nul : jamais d'abstention", () => {
+    expect(new AbstentionPolicy({ threshold: 0 }).shouldAbstain(0)).toBe(false);
+  });
+
+  it("Réponse d'abstention : passages proches et reformulations", () => {
+    const response = policy.abstain({ query: 'joie et gâteau', confidence: 0.2, candidates: [joy] });
+    expect(response.mode).toBe('abstained');
+    expect(response.nearestPassages[0].reference).toBe('Likutei Moharan II 24');
+    expect(response.suggestions).toEqual([
+      'Que dit Rabbi Nachman sur joie (שמחה) ?',
+      'Que dit Likutei Moharan II 24 ?',
+      "Que dit Rabbi Nachman sur l'hitbodedout ?"
+    ]);
+  });
+
+  it('Sans passage proche : questions populaires', () => {
+    expect(policy.abstain({ query: 'recette' }).suggestions).toEqual(AbstentionPolicy.POPULAR_QUESTIONS);
+  });
+});
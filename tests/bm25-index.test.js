@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import BM25Index from '../lib/bm25-index.js';
+
+describe('BM25Index', () => {
+  const build = documents => {
+    const index = new BM25Index();
+    for (const [id, text] of Object.entries(documents)) index.addDocument(id, text);
+    return index;
+  };
+  const ids = results => results.map(result => result.chunkId);
+  const documents = {
+    joy: 'joy joy prayer',
+    prayer: 'prayer in the field',
+    forest: 'the field and the forest'
+  };
+
+  it('Découpage : minuscules, sans voyelles ni ponctuation', () => {
+    expect(BM25Index.tokenize('Azamra! אַשְׁרֵי')).toEqual(['azamra', 'אשרי']);
+  });
+
+  it('Le document où le terme est le plus fréquent vient en tête', () => {
+    const index = build(documents);
+    expect(ids(index.search(['joy']))).toEqual(['joy']);
+    expect(ids(index.search(['prayer', 'joy']))[0]).toBe('joy');
+  });
+
+  it('Un terme rare pèse plus lourd qu\'un terme courant', () => {
+    const index = build(documents);
+    expect(index.idf('joy')).toBeGreaterThan(index.idf('field'));
+    expect(index.idf('absent')).toBeGreaterThan(index.idf('joy'));
+  });
+
+  it('À fréquence égale, le document le plus court vient en tête', () => {
+    const index = build({ short: 'azamra song', long: 'azamra song of the good points in every person' });
+    expect(ids(index.search(['azamra']))).toEqual(['short', 'long']);
+  });
+
+  it('Contribution de chaque terme au score', () => {
+    const [result] = build(documents).search(['joy', 'prayer']);
+    expect(result.termScores.joy.tf).toBe(2);
+    expect(result.score).toBeCloseTo(result.termScores.joy.score + result.termScores.prayer.score);
+  });
+
+  it('Sérialisation : même classement après rechargement', () => {
+    const index = build(documents);
+    const reloaded = BM25Index.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+    expect(reloaded.search(['field', 'prayer'])).toEqual(index.search(['field', 'prayer']));
+  });
+
+  it('Une requête sans préfixe retrouve la forme préfixée du texte', () => {
+    const index = build({
+      hitbodedut: 'וְהַהִתְבּוֹדְדוּת הוּא מַעֲלָה עֶלְיוֹנָה וּגְדוֹלָה מִן הַכֹּל',
+      other: 'מִצְוָה גְּדוֹלָה לִהְיוֹת בְּשִׂמְחָה תָּמִיד'
+    });
+    expect(ids(index.search(BM25Index.tokenize('התבודדות')))).toEqual(['hitbodedut']);
+    expect(ids(index.search(BM25Index.tokenize('וההתבודדות')))).toEqual(['hitbodedut']);
+  });
+
+  it('Une requête préfixée retrouve la forme simple du texte', () => {
+    const index = build({ joy: 'שמחה פותחת את הלב', other: 'הגשם ירד' });
+    expect(ids(index.search(BM25Index.tokenize('בשמחה')))).toEqual(['joy']);
+  });
+
+  it('Les mots entiers sont indexés tels quels (שמחה, ליקוטי)', () => {
+    const index = build({ a: 'שמחה', b: 'ליקוטי מוהר"ן' });
+    expect(Object.keys(index.postings).sort()).toEqual(['ליקוטי', 'מוהרנ', 'שמחה']);
+    expect(index.expand('שמחה')).toEqual(['שמחה']);
+    expect(index.expand('ליקוטי')).toEqual(['ליקוטי']);
+  });
+
+  it('Formes équivalentes comptées comme un seul terme', () => {
+    const index = build({ a: 'שמחה ובשמחה', b: 'תפלה' });
+    const [result] = index.search(['שמחה']);
+    expect(result.termScores['שמחה'].tf).toBe(2);
+    expect(index.documentFrequency('שמחה')).toBe(1);
+  });
+
+  it('Sérialisation : formes préfixées retrouvées après rechargement', () => {
+    const index = build({ a: 'וההתבודדות בשדה', b: 'שמחה' });
+    const reloaded = BM25Index.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+    expect(reloaded.search(['התבודדות'])).toEqual(index.search(['התבודדות']));
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import CitationVerifier from '../lib/citation-verifier.js';
+
+describe('CitationVerifier', () => {
+  const passages = CitationVerifier.prepare({
+    passages: [
+      { reference: 'Likoutey Moharan II 24', text: 'מִצְוָה גְּדוֹלָה לִהְיוֹת בְּשִׂמְחָה תָּמִיד' },
+      { reference: 'Likoutey Moharan I 282', text: 'Know that you must judge every person favorably, even the worst of them.' }
+    ]
+  }).passages;
+
+  const verifier = new CitationVerifier();
+  const answer = [
+    'Rabbi Nachman enseigne : « מצוה גדולה להיות בשמחה תמיד » [P1].',
+    'Il faut « judge every person favourably, even the worst » [P2].',
+    'Il ajoute « la tristesse est interdite en toutes circonstances » [P1].',
+    'Voir aussi [P9].',
+    'La joie ouvre le cœur. [P1]'
+  ].join(' ');
+  const result = verifier.verify(answer, passages);
+
+  it('Classe chaque affirmation : citation exacte, approximative, inventée, source inconnue, sans citation', () => {
+    expect(result.claims.map(c => c.status)).toEqual(['verified', 'verified', 'unsupported', 'unknown_source', 'cited']);
+  });
+
+  it('Donne le statut de chaque passage cité : une citation introuvable le rend non fondé', () => {
+    expect(result.citations.map(c => [c.passageId, c.status])).toEqual([['P1', 'unsupported'], ['P2', 'verified']]);
+    expect(verifier.verify('La joie ouvre le cœur [P1]. Il faut « judge every person favorably » [P2].', passages)
+      .citations.map(c => c.status)).toEqual(['cited', 'verified']);
+  });
+
+  it('Retire les affirmations non fondées et remplace les marqueurs par les références', () => {
+    expect(result.text).not.toContain('tristesse');
+    expect(result.text).not.toContain('[P');
+    expect(result.text).toContain('[Likoutey Moharan II 24]');
+    expect(result.summary.dropped).toBe(2);
+  });
+
+  it('Vérifie aussi les citations sans identifiant contre tous les passages', () => {
+    const unmarked = verifier.verify([
+      'Rabbi Nachman a dit : « la joie est la clé de toutes les portes du ciel ».',
+      'Il faut « judge every person favorably » en toute occasion.',
+      'La joie ouvre le cœur.'
+    ].join(' '), passages);
+    expect(unmarked.claims.map(c => c.status)).toEqual(['unsupported', 'uncited', 'uncited']);
+    expect(unmarked.claims[1].quotes[0].passageId).toBe('P2');
+    expect(unmarked.text).toBe('Il faut « judge every person favorably » en toute occasion. La joie ouvre le cœur.');
+  });
+
+  it('Préfixes : la forme citée et celle du passage se rejoignent', () => {
+    expect(CitationVerifier.matchScore('בשמחה תמיד', 'שִׂמְחָה תָּמִיד')).toBe(1);
+    expect(CitationVerifier.matchScore('שמחה תמיד', 'בְּשִׂמְחָה תָּמִיד')).toBe(1);
+  });
+
+  it('Conserve les paragraphes', () => {
+    expect(verifier.verify('Premier point [P1].\n\nSecond point [P2].', passages).text)
+      .toBe('Premier point [Likoutey Moharan II 24].\n\nSecond point [Likoutey Moharan I 282].');
+  });
+
+  it("Signale sans retirer avec onUnsupported: 'flag'", () => {
+    const flagged = new CitationVerifier({ onUnsupported: 'flag' }).verify(answer, passages);
+    expect(flagged.text).toContain('tristesse');
+  });
+
+  it("Ne coupe pas les phrases à l'intérieur des guillemets ni sur les acronymes hébreux", () => {
+    expect(CitationVerifier.claims('Il dit : « Sois joyeux. Toujours ! » [P1]. Fin.').map(c => c.text))
+      .toEqual(['Il dit : « Sois joyeux. Toujours ! » [P1].', 'Fin.']);
+    expect(CitationVerifier.claims('Selon מוהר"ן, la joie. Fin.')).toHaveLength(2);
+  });
+
+  it('Sans citation, les passages sont seulement retrouvés', () => {
+    expect(verifier.verify('Sans référence.', passages).citations.map(c => c.status)).toEqual(['retrieved', 'retrieved']);
+  });
+
+  it('Compare les citations sans niqqud', () => {
+    expect(CitationVerifier.matchScore('בשמחה תמיד', 'מצוה גדולה להיות בְּשִׂמְחָה תָּמִיד')).toBe(1);
+  });
+});
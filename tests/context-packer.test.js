@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import ContextPacker from '../lib/context-packer.js';
+
+describe('ContextPacker', () => {
+  const packer = new ContextPacker({ maxTokens: 5000, lambda: 0.7 });
+  const joy = 'La joie est une grande mitsva, il faut toujours être dans la joie et chasser la tristesse';
+  const ids = result => result.passages.map(passage => passage.id);
+
+  it("Parties consécutives d'une section recollées, chevauchement compté une fois", () => {
+    const { passages } = packer.pack([
+      { id: 'lm282_2', text: 'cherche le bon point en toi. Et même', tokens: 10, book: 'lm', section: '282', position: 2 },
+      { id: 'lm282_1', text: 'Il faut juger chacun favorablement, cherche le bon point', tokens: 14, book: 'lm', section: '282', position: 1 }
+    ]);
+    expect(passages.map(passage => passage.ids)).toEqual([['lm282_1', 'lm282_2']]);
+    expect(passages[0].text).toBe('Il faut juger chacun favorablement, cherche le bon point en toi. Et même');
+    expect(passages[0].tokens).toBeLessThan(24);
+  });
+
+  it('Doublon écarté avec sa raison', () => {
+    const { passages, dropped } = packer.pack([
+      { id: 'a', text: joy, tokens: 100, score: 0.9, book: 'lm' },
+      { id: 'b', text: `${joy}.`, tokens: 100, score: 0.8, book: 'sh' }
+    ]);
+    expect(passages.map(passage => passage.id)).toEqual(['a']);
+    expect(dropped.map(drop => [drop.id, drop.reason, drop.of])).toEqual([['b', 'duplicate', 'a']]);
+  });
+
+  it('Diversité : un autre livre passe devant un second passage du même livre à peine plus pertinent', () => {
+    expect(ids(packer.pack([
+      { id: 'lm1', text: 'la foi simple est le fondement', tokens: 100, score: 1, book: 'lm' },
+      { id: 'lm2', text: 'la prière du coeur brise les murs', tokens: 100, score: 0.95, book: 'lm' },
+      { id: 'sh1', text: 'parler à Dieu dans les champs chaque nuit', tokens: 100, score: 0.9, book: 'sh' }
+    ]))).toEqual(['lm1', 'sh1', 'lm2']);
+  });
+
+  it('Budgets : par livre (60 % du total), total, troncature au-delà de 1000 tokens', () => {
+    const { passages, dropped, tokensByBook, totalTokens } = packer.pack([
+      { id: 'lm1', text: 'la foi simple', tokens: 2500, book: 'lm' },
+      { id: 'lm2', text: 'la prière du coeur', tokens: 1000, book: 'lm' },
+      { id: 'sh1', text: 'parler à Dieu', tokens: 1500, book: 'sh' },
+      { id: 'ck1', text: 'le voyage en terre sainte', tokens: 1500, book: 'ck' }
+    ]);
+    expect(passages.map(passage => [passage.id, passage.truncated])).toEqual([['lm1', false], ['sh1', false], ['ck1', true]]);
+    expect(dropped.map(drop => [drop.id, drop.reason])).toEqual([['lm2', 'book_budget']]);
+    expect(totalTokens).toBe(5000);
+    expect(tokensByBook).toEqual({ lm: 2500, sh: 1500, ck: 1000 });
+  });
+
+  it('Un seul livre : pas de plafond par livre ; au-delà du total, écarté', () => {
+    expect(packer.pack([
+      { id: 'lm1', text: 'la foi simple', tokens: 2500, book: 'lm' },
+      { id: 'lm2', text: 'la prière du coeur', tokens: 2000, book: 'lm' },
+      { id: 'lm3', text: 'parler à Dieu', tokens: 900, book: 'lm' }
+    ]).dropped.map(drop => [drop.id, drop.reason])).toEqual([['lm3', 'total_budget']]);
+  });
+
+  it('Références qui se recouvrent : même passage', () => {
+    expect(ContextPacker.similarity(
+      { reference: 'Likutei Moharan 282:1-5', vector: { terms: new Map([['a', 1]]), norm: 1 } },
+      { reference: 'Likutei Moharan 282:3', vector: { terms: new Map([['b', 1]]), norm: 1 } }
+    )).toBe(1);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import ConversationStore from '../lib/conversation-store.js';
+
+describe('ConversationStore', () => {
+  it('Garde les derniers tours, avec la requête réécrite et une réponse tronquée', async () => {
+    const store = new ConversationStore({ store: 'memory', maxTurns: 2 });
+    const id = ConversationStore.createId();
+    await store.append(id, { query: 'q1', answer: 'a1' });
+    await store.append(id, { query: 'q2', rewrittenQuery: 'q2 (q1)', answer: 'a2' });
+    await store.append(id, { query: 'q3', answer: 'x'.repeat(800) });
+    const turns = await store.history(id);
+    expect(turns.map(t => t.query)).toEqual(['q2', 'q3']);
+    expect(turns[0].rewrittenQuery).toBe('q2 (q1)');
+    expect(turns[1].answer).toHaveLength(ConversationStore.MAX_ANSWER_LENGTH);
+  });
+
+  it('Ajouts simultanés à une session : aucun tour perdu, ordre conservé', async () => {
+    const store = new ConversationStore({ store: 'memory', maxTurns: 4 });
+    const id = ConversationStore.createId();
+    await Promise.all([1, 2, 3, 4, 5].map(n => store.append(id, { query: `q${n}` })));
+    expect((await store.history(id)).map(t => t.query)).toEqual(['q2', 'q3', 'q4', 'q5']);
+    expect(store.pending.size).toBe(0);
+  });
+
+  it('Redis : RPUSH et LTRIM dans une même transaction', async () => {
+    // Client minimal : les commandes d'un MULTI sont appliquées ensemble à exec()
+    const lists = new Map();
+    const commands = {
+      rpush: (key, value) => lists.set(key, [...(lists.get(key) || []), value]).get(key).length,
+      ltrim: (key, start, stop) => {
+        const list = lists.get(key) || [];
+        lists.set(key, list.slice(start < 0 ? Math.max(0, list.length + start) : start, stop < 0 ? list.length + stop + 1 : stop + 1));
+        return 'OK';
+      },
+      pexpire: () => 1,
+      lrange: key => [...(lists.get(key) || [])]
+    };
+    const client = {
+      lrange: async key => commands.lrange(key),
+      del: async key => (lists.delete(key) ? 1 : 0),
+      multi() {
+        const queue = [];
+        const transaction = { exec: async () => queue.map(([name, args]) => [null, commands[name](...args)]) };
+        for (const name of Object.keys(commands)) {
+          transaction[name] = (...args) => {
+            queue.push([name, args]);
+            return transaction;
+          };
+        }
+        return transaction;
+      }
+    };
+
+    const store = new ConversationStore({ store: 'redis', client, maxTurns: 2 });
+    await Promise.all(['q1', 'q2', 'q3'].map(query => store.append('session-1', { query })));
+    expect((await store.history('session-1')).map(t => t.query)).toEqual(['q2', 'q3']);
+    await store.clear('session-1');
+    expect(await store.history('session-1')).toEqual([]);
+  });
+
+  it('Session expirée ou absente : historique vide', async () => {
+    const store = new ConversationStore({ store: 'memory', ttlMinutes: 1 });
+    await store.store.set('old-session', { turns: [{ query: 'q' }], staleUntil: Date.now() - 1 });
+    expect(await store.history('old-session')).toEqual([]);
+    expect(await store.history(undefined)).toEqual([]);
+  });
+
+  it("Identifiants de session : repris s'ils sont sûrs, générés sinon", () => {
+    expect(ConversationStore.resolveId('abc-12345')).toBe('abc-12345');
+    expect(ConversationStore.resolveId('../../etc')).not.toBe('../../etc');
+    expect(ConversationStore.resolveId()).toMatch(/^[\w-]{36}$/);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import EmbeddingClient from '../lib/embedding-client.js';
+
+describe('EmbeddingClient', () => {
+  const client = new EmbeddingClient({ provider: 'local' });
+  const similarity = async (a, b) => EmbeddingClient.cosine(await client.embedOne(a), await client.embedOne(b));
+
+  it('Vecteur local normé, de 512 dimensions et déterministe', async () => {
+    const vector = await client.embedOne('La joie est une grande mitsva');
+    expect(vector).toHaveLength(512);
+    expect(EmbeddingClient.cosine(vector, vector)).toBeCloseTo(1, 9);
+    expect(vector).toEqual(await client.embedOne('La joie est une grande mitsva'));
+  });
+
+  it("Variantes d'écriture proches, sujets différents éloignés", async () => {
+    const close = await similarity('hitbodedout dans les champs', 'hisbodedus in the fields');
+    const far = await similarity('hitbodedout dans les champs', 'le voyage à Lemberg');
+    expect(close).toBeGreaterThan(far);
+  });
+
+  it('Hébreu : niqqud sans effet, forme préfixée proche', async () => {
+    expect(await similarity('שִׂמְחָה', 'שמחה')).toBeCloseTo(1, 9);
+    expect(await similarity('שמחה', 'בשמחה')).toBeGreaterThan(0.8);
+    expect(await similarity('התבודדות', 'וההתבודדות')).toBeGreaterThan(0.7);
+  });
+
+  it('Décrit le modèle utilisé', () => {
+    expect(client.describe()).toEqual({ provider: 'local', model: 'hashed-ngrams-v2', dimensions: 512 });
+  });
+
+  it('Erreurs de configuration : clé absente, fournisseur inconnu', async () => {
+    const remote = new EmbeddingClient({ provider: 'openai', apiKey: '' });
+    await expect(remote.embed(['x'])).rejects.toMatchObject({ code: 'config' });
+    expect(() => new EmbeddingClient({ provider: 'unknown' })).toThrow(expect.objectContaining({ code: 'config' }));
+  });
+});
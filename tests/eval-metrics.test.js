@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import EvalMetrics from '../lib/eval-metrics.js';
+
+describe('EvalMetrics', () => {
+  const expected = ['Likutei Moharan 282', 'Sichot HaRan 2'];
+
+  it('Correspondance des références : sous-partie incluse, autre partie ou livre entier exclus', () => {
+    expect(EvalMetrics.refMatches('Likutei Moharan 282:2', 'Likutei Moharan 282')).toBe(true);
+    expect(EvalMetrics.refMatches('Likoutey Moharan 282 (partie 2)', 'Likutei Moharan 282')).toBe(true);
+    expect(EvalMetrics.refMatches('Likutei Moharan, Part II 24', 'Likutei Moharan 24')).toBe(false);
+    expect(EvalMetrics.refMatches('Sichot HaRan', 'Sichot HaRan 2')).toBe(false);
+  });
+
+  it('Rappel à k et rang réciproque', () => {
+    const retrieved = ['Chayei Moharan 1', 'Likutei Moharan 282:1', 'Likutei Moharan 282:3', 'Sichot HaRan 2'];
+    expect(EvalMetrics.recallAtK(retrieved, expected, 3)).toBe(0.5);
+    expect(EvalMetrics.recallAtK(retrieved, expected, 4)).toBe(1);
+    expect(EvalMetrics.reciprocalRank(retrieved, expected)).toBe(0.5);
+    expect(EvalMetrics.reciprocalRank(['Chayei Moharan 2'], expected)).toBe(0);
+    expect(EvalMetrics.recallAtK(retrieved, [], 3)).toBeNull();
+  });
+
+  it('Précision des citations', () => {
+    expect(EvalMetrics.citationPrecision(['Likutei Moharan 282:1', 'Chayei Moharan 1'], expected)).toBe(0.5);
+    expect(EvalMetrics.citationPrecision([], expected)).toBeNull();
+  });
+
+  it('Faits sans accents ni niqqud, formes équivalentes', () => {
+    const { coverage, missing } = EvalMetrics.factCoverage(
+      'Rabbi Nachman partit à Lemberg en 1808 pour se soigner. בְּשִׂמְחָה',
+      [['Lemberg', 'Lviv'], '1808', 'Ouman', 'שמחה', 'soigne']
+    );
+    expect(missing).toEqual(['Ouman']);
+    expect(coverage).toBe(0.8);
+  });
+
+  it('Résumé par langue et comparaison avec une exécution de référence', () => {
+    const run = (metrics) => ({
+      summary: EvalMetrics.summarize([{ id: 'q1', language: 'fr', metrics }, { id: 'q2', language: 'en', metrics: { ...metrics, mrr: null } }]),
+      results: [{ id: 'q1', language: 'fr', metrics }, { id: 'q2', language: 'en', metrics: { ...metrics, mrr: null } }]
+    });
+    const baseline = run({ recallAtK: 1, mrr: 1, citationPrecision: 0.5, factCoverage: 0.5 });
+    const current = run({ recallAtK: 0.5, mrr: 1, citationPrecision: 1, factCoverage: 0.5 });
+    expect(current.summary.byLanguage.fr.mrr).toBe(1);
+    expect(current.summary.byLanguage.en.mrr).toBeNull();
+
+    const comparison = EvalMetrics.compare(current, baseline);
+    expect(comparison.metrics.recallAtK.delta).toBe(-0.5);
+    expect(comparison.metrics.mrr.delta).toBe(0);
+    expect(comparison.regressions.map(r => `${r.id}:${r.metric}`)).toEqual(['q1:recallAtK', 'q2:recallAtK']);
+    expect(comparison.improvements.map(r => `${r.id}:${r.metric}`)).toEqual(['q1:citationPrecision', 'q2:citationPrecision']);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import HebrewNormalizer from '../lib/hebrew-normalizer.js';
+
+describe('HebrewNormalizer', () => {
+  it('Niqqud et cantillation (Likoutey Moharan I, 1)', () => {
+    expect(HebrewNormalizer.normalize('אַשְׁרֵי תְמִימֵי דָרֶךְ')).toBe('אשרי תמימי דרכ');
+  });
+
+  it('Formes de présentation (שׁ précomposé)', () => {
+    expect(HebrewNormalizer.normalize('שׁמחה')).toBe('שמחה');
+  });
+
+  it('Gershayim dans les acronymes', () => {
+    expect(HebrewNormalizer.normalize('ליקוטי מוהר"ן')).toBe('ליקוטי מוהרנ');
+  });
+
+  it('Gershayim typographiques (״)', () => {
+    expect(HebrewNormalizer.normalize('ליקוטי מוהר״ן')).toBe('ליקוטי מוהרנ');
+  });
+
+  it('Tokens identiques avec gershayim ASCII ou typographiques', () => {
+    expect(HebrewNormalizer.tokenize('רבי נחמן זצ"ל')).toEqual(HebrewNormalizer.tokenize('רבי נחמן זצ״ל'));
+  });
+
+  it('Geresh', () => {
+    expect(HebrewNormalizer.normalize("ר' נתן")).toBe('ר נתנ');
+  });
+
+  it('Maqaf', () => {
+    expect(HebrewNormalizer.tokenize('מִצְוָה גְּדוֹלָה לִהְיוֹת בְּשִׂמְחָה תָּמִיד כָּל־הַיּוֹם')).toEqual(['מצוה', 'גדולה', 'להיות', 'בשמחה', 'תמיד', 'כל', 'היומ']);
+  });
+
+  it('Requête sans niqqud = texte ponctué', () => {
+    expect(HebrewNormalizer.includes(
+      'וְהַהִתְבּוֹדְדוּת הוּא מַעֲלָה עֶלְיוֹנָה וּגְדוֹלָה מִן הַכֹּל',
+      'התבודדות'
+    )).toBe(true);
+  });
+
+  it('Formes sans préfixes : au plus deux, racine de trois lettres au moins', () => {
+    expect(HebrewNormalizer.prefixVariants('וההתבודדות')).toEqual(['וההתבודדות', 'ההתבודדות', 'התבודדות']);
+    expect(HebrewNormalizer.prefixVariants('לכפ')).toEqual(['לכפ']);
+    expect(HebrewNormalizer.prefixVariants('ouman')).toEqual(['ouman']);
+  });
+
+  it('Préfixes retirés seulement vers un mot du vocabulaire', () => {
+    const vocabulary = new Set(['התבודדות', 'שמחה', 'ליקוטי']);
+    expect(HebrewNormalizer.stripPrefixes('וההתבודדות', vocabulary)).toBe('התבודדות');
+    expect(HebrewNormalizer.stripPrefixes('התבודדות', vocabulary)).toBe('התבודדות');
+    expect(HebrewNormalizer.stripPrefixes('בשמחה', vocabulary)).toBe('שמחה');
+  });
+
+  it('Lettre initiale de la racine conservée (שמחה, ליקוטי)', () => {
+    const vocabulary = new Set(['שמחה', 'ליקוטי']);
+    expect(HebrewNormalizer.stripPrefixes('שמחה', vocabulary)).toBe('שמחה');
+    expect(HebrewNormalizer.stripPrefixes('ליקוטי', vocabulary)).toBe('ליקוטי');
+    expect(HebrewNormalizer.tokenize('שִׂמְחָה ליקוטי מוהר"ן', { vocabulary })).toEqual(['שמחה', 'ליקוטי', 'מוהרנ']);
+  });
+
+  it('Avec expandPrefixes, chaque mot suivi de ses formes sans préfixes', () => {
+    expect(HebrewNormalizer.tokenize('וְהַהִתְבּוֹדְדוּת שִׂמְחָה', { expandPrefixes: true }))
+      .toEqual(['וההתבודדות', 'ההתבודדות', 'התבודדות', 'שמחה', 'מחה']);
+  });
+
+  it('Avec un vocabulaire, la forme préfixée rejoint la forme simple', () => {
+    const vocabulary = new Set(HebrewNormalizer.tokenize('דון אדם'));
+    expect(HebrewNormalizer.tokenize('לָדוּן אֶת כָּל הָאָדָם לְכַף זְכוּת', { vocabulary }))
+      .toEqual(['דונ', 'את', 'כל', 'אדמ', 'לכפ', 'זכות']);
+  });
+
+  it("Positions dans le texte original, pour citer le texte tel qu'écrit", () => {
+    const original = 'בְּשִׂמְחָה תָּמִיד, וְהַהִתְבּוֹדְדוּת ליקוטי מוהר"ן';
+    const { text, offsets } = HebrewNormalizer.normalizeWithOffsets(original);
+    expect(text).toBe(HebrewNormalizer.normalize(original));
+    expect(offsets).toHaveLength(text.length + 1);
+    const index = text.indexOf('התבודדות');
+    expect(original.substring(offsets[index], offsets[index + 'התבודדות'.length])).toBe('הִתְבּוֹדְדוּת');
+    expect(original.substring(offsets[text.indexOf('מוהרנ')])).toBe('מוהר"ן');
+  });
+
+  it('Texte latin inchangé hormis la casse', () => {
+    expect(HebrewNormalizer.normalize('Rabbi Nachman, Ouman')).toBe('rabbi nachman, ouman');
+  });
+
+  it("Apostrophe d'un mot translittéré gardée dans le mot, pas celle d'une élision", () => {
+    expect(HebrewNormalizer.tokenize("Rabbi Na'hman de Breslev")).toEqual(['rabbi', 'nahman', 'de', 'breslev']);
+    expect(HebrewNormalizer.tokenize('Bnei Yissa’har')).toEqual(['bnei', 'yissahar']);
+    expect(HebrewNormalizer.tokenize("l'hitbodedout qu'il faut")).toEqual(['hitbodedout', 'qu', 'il', 'faut']);
+    expect(HebrewNormalizer.tokenize("Rabbi Nachman's teachings")).toEqual(['rabbi', 'nachman', 'teachings']);
+  });
+});
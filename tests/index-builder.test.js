@@ -0,0 +1,149 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { main, createChunks, segmentUnits, splitSentences, removeStaleFiles, chunkingSettings } from '../index-builder.js';
+import TokenCounter from '../lib/token-counter.js';
+
+describe('index-builder : découpage en chunks', () => {
+  const tokens = TokenCounter.shared();
+  const segment = n => `Segment ${n} : il faut toujours être dans la joie, grande mitsva.`;
+  const section = {
+    ref: 'Likutei Moharan 1',
+    text: [1, 2, 3, 4].map(segment),
+    hebrewText: [1, 2, 3, 4].map(n => `סעיף ${n}`)
+  };
+  const chunk = (limits = {}) => createChunks(section, 'Likutei_Moharan', '1', limits);
+
+  it('Section qui tient dans le budget : un chunk, la référence de la section', () => {
+    const [only, ...rest] = chunk();
+    expect(rest).toEqual([]);
+    expect(only.reference).toBe('Likutei Moharan 1');
+    expect(only.segments).toEqual(['Likutei Moharan 1:1', 'Likutei Moharan 1:2', 'Likutei Moharan 1:3', 'Likutei Moharan 1:4']);
+    expect(only.content.split('\n')).toEqual(section.text);
+    expect(only.hebrewText).toEqual(section.hebrewText);
+  });
+
+  it('Les chunks se coupent entre deux segments', () => {
+    const chunks = chunk({ maxTokens: 50, overlapPercent: 0 });
+    expect(chunks.map(c => c.reference)).toEqual(['Likutei Moharan 1:1-2', 'Likutei Moharan 1:3-4']);
+    for (const c of chunks) {
+      expect(c.firstPart).toBeUndefined();
+      expect(c.content.split('\n')).toEqual(c.segments.map(ref => section.text[Number(ref.split(':')[1]) - 1]));
+      expect(c.tokens).toBeLessThanOrEqual(50);
+    }
+  });
+
+  it('Chevauchement : le chunk suivant reprend le dernier segment du précédent', () => {
+    const chunks = chunk({ maxTokens: 50, overlapPercent: 0.5 });
+    expect(chunks.map(c => c.reference)).toEqual(['Likutei Moharan 1:1-2', 'Likutei Moharan 1:2-3', 'Likutei Moharan 1:3-4']);
+    expect(chunks.map(c => c.overlap)).toEqual([false, true, true]);
+    expect(chunks.map(c => c.id)).toEqual(['Likutei_Moharan_1_chunk_1', 'Likutei_Moharan_1_chunk_2', 'Likutei_Moharan_1_chunk_3']);
+  });
+
+  it('Segment plus grand que MAX_CHUNK_TOKENS : parties coupées entre deux phrases', () => {
+    const long = {
+      ref: 'Likutei Moharan 2',
+      text: ['Première phrase de la section. Deuxième phrase encore assez longue. Troisième phrase qui continue. Quatrième et dernière phrase du segment.'],
+      hebrewText: ['משפט ראשון של הסעיף. משפט שני ארוך למדי. משפט שלישי ממשיך. משפט רביעי ואחרון.']
+    };
+    const chunks = createChunks(long, 'Likutei_Moharan', '2', { maxTokens: 40, overlapPercent: 0 });
+    expect(chunks.map(c => c.firstPart)).toEqual(['1/4', '2/4', '3/4', '4/4']);
+    expect(chunks.every(c => c.reference === 'Likutei Moharan 2:1' && c.tokens <= 40)).toBe(true);
+    expect(chunks.map(c => c.content).join(' ')).toBe(long.text[0]);
+    expect(chunks.map(c => c.hebrewText[0]).join(' ')).toBe(long.hebrewText[0]);
+  });
+
+  it('Unités d\'un segment : entier s\'il tient, sinon en parties numérotées', () => {
+    const whole = segmentUnits({ ref: 'Likutei Moharan 1:1', text: segment(1), hebrew: 'סעיף' }, 100);
+    expect(whole).toEqual([{ ref: 'Likutei Moharan 1:1', text: segment(1), hebrew: 'סעיף', tokens: tokens.count(segment(1)) + tokens.count('סעיף') }]);
+    const parts = segmentUnits({ ref: 'Likutei Moharan 1:1', text: `${segment(1)} ${segment(2)}`, hebrew: '' }, 20);
+    expect(parts.map(unit => [unit.text, unit.part, unit.parts])).toEqual([[segment(1), 1, 2], [segment(2), 2, 2]]);
+  });
+
+  it('Phrases entières ; une phrase trop longue est coupée à un espace', () => {
+    expect(splitSentences('Une phrase. Une autre phrase.', 10)).toEqual(['Une phrase. Une autre phrase.']);
+    expect(splitSentences('Une phrase. Une autre phrase.', 4)).toEqual(['Une phrase.', 'Une autre', 'phrase.']);
+    for (const piece of splitSentences('mot '.repeat(10).trim(), 3)) {
+      expect(tokens.count(piece)).toBeLessThanOrEqual(3);
+    }
+  });
+});
+
+describe('index-builder : reconstruction incrémentale', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'index-builder-'));
+  const book = (id, title, sections) => ({
+    id,
+    title,
+    hebrewTitle: title,
+    type: 'teachings',
+    sections: sections.map(([number, text]) => ({
+      number,
+      ref: `${title} ${number}`,
+      text: [text],
+      hebrewText: [`סעיף ${number}`]
+    }))
+  });
+  const writeBook = data => fs.writeFileSync(path.join(dir, 'raw', `${data.id}.json`), JSON.stringify(data));
+  const files = sub => fs.readdirSync(path.join(dir, sub)).sort();
+  const build = () => main([`--data=${dir}`, '--no-llm']);
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    fs.mkdirSync(path.join(dir, 'raw'));
+    writeBook(book('Likutei_Moharan', 'Likutei Moharan', [[1, 'Il faut être joyeux.'], [2, 'Il faut juger favorablement.']]));
+    writeBook(book('Chayei_Moharan', 'Chayei Moharan', [[1, 'En 5568, il partit pour Lemberg.']]));
+  });
+
+  afterAll(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('Première construction : tous les chunks sont créés', async () => {
+    const report = await build();
+    expect(report.created.sort()).toEqual(report.chunks.sort());
+    expect(files('chunks')).toEqual(['Chayei_Moharan_1_chunk_1.json', 'Likutei_Moharan_1_chunk_1.json', 'Likutei_Moharan_2_chunk_1.json']);
+  });
+
+  it('Livres inchangés : chunks repris', async () => {
+    const report = await build();
+    expect(report.created).toEqual([]);
+    expect(report.chunks).toHaveLength(3);
+  });
+
+  it('Section modifiée : elle seule est redécoupée', async () => {
+    writeBook(book('Likutei_Moharan', 'Likutei Moharan', [[1, 'Il faut être joyeux.'], [2, 'Il faut juger chacun favorablement.']]));
+    const report = await build();
+    expect(report.created).toEqual(['Likutei_Moharan_2_chunk_1']);
+    const chunk = JSON.parse(fs.readFileSync(path.join(dir, 'chunks', 'Likutei_Moharan_2_chunk_1.json'), 'utf8'));
+    expect(chunk.content).toBe('Il faut juger chacun favorablement.');
+  });
+
+  it('Livre retiré : ses chunks et son index sont supprimés', async () => {
+    fs.rmSync(path.join(dir, 'raw', 'Chayei_Moharan.json'));
+    const report = await build();
+    expect(report.removed).toBe(2);
+    expect(files('chunks')).toEqual(['Likutei_Moharan_1_chunk_1.json', 'Likutei_Moharan_2_chunk_1.json']);
+    expect(files('indexes')).toEqual(['Likutei_Moharan.json']);
+    expect(Object.keys(JSON.parse(fs.readFileSync(path.join(dir, 'index-manifest.json'), 'utf8')).books)).toEqual(['Likutei_Moharan']);
+  });
+
+  it('Paramètres de découpage modifiés : tout est redécoupé', async () => {
+    const manifestFile = path.join(dir, 'index-manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    expect(manifest.settings).toEqual(chunkingSettings());
+    manifest.settings.maxChunkTokens /= 2;
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest));
+    const report = await build();
+    expect(report.created.sort()).toEqual(['Likutei_Moharan_1_chunk_1', 'Likutei_Moharan_2_chunk_1']);
+  });
+
+  it('Fichiers obsolètes : .json non référencés et .tmp interrompus', async () => {
+    const stale = path.join(dir, 'stale');
+    fs.mkdirSync(stale);
+    for (const file of ['a.json', 'b.json', 'b.json.tmp', 'notes.txt']) fs.writeFileSync(path.join(stale, file), '{}');
+    expect(await removeStaleFiles(stale, new Set(['a.json']))).toBe(2);
+    expect(fs.readdirSync(stale).sort()).toEqual(['a.json', 'notes.txt']);
+  });
+});
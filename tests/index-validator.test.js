@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import IndexValidator from '../lib/index-validator.js';
+import TokenCounter from '../lib/token-counter.js';
+
+describe('IndexValidator', () => {
+  const validator = new IndexValidator({ tokenCounter: new TokenCounter({ vocab: '' }) });
+
+  const chunk = (id, sectionId, content = 'Know that you must judge every person favorably') => ({
+    id, bookId: 'Likutei_Moharan', sectionId, content, hebrewText: ['דע כי צריך לדון את כל אדם לכף זכות'],
+    reference: `Likutei Moharan ${sectionId}`, tokens: 20, keywords: [], position: 1, overlap: false
+  });
+  const dataset = () => ({
+    master: {
+      version: '1.0', createdAt: '2026-01-01T00:00:00.000Z', totalBooks: 1, chunkSize: 75000,
+      books: [{ id: 'Likutei_Moharan', title: 'Likutey Moharan', keywords: [], totalSections: 2, totalChunks: 2, totalTokens: 40, summary: '' }]
+    },
+    bookIndexes: {
+      'Likutei_Moharan.json': {
+        bookId: 'Likutei_Moharan', title: 'Likutey Moharan', totalChunks: 2, totalTokens: 40,
+        sections: [
+          { id: '282', keywords: [], chunkIds: ['lm_282_1'], summary: '' },
+          { id: '283', keywords: [], chunkIds: ['lm_283_1'], summary: '' }
+        ]
+      }
+    },
+    chunks: { 'lm_282_1.json': chunk('lm_282_1', '282'), 'lm_283_1.json': chunk('lm_283_1', '283') },
+    inverted: {
+      algorithm: 'bm25', totalDocs: 2, postings: { judge: { lm_282_1: 1, lm_283_1: 1 } },
+      docs: { lm_282_1: { length: 8, bookId: 'Likutei_Moharan' }, lm_283_1: { length: 8, bookId: 'Likutei_Moharan' } }
+    },
+    vector: {
+      provider: 'local', model: 'hashed-ngrams-v1', dimensions: 2, totalDocs: 2, ids: ['lm_282_1', 'lm_283_1'], docs: {},
+      vectors: Buffer.from(new Float32Array([1, 0, 0, 1]).buffer).toString('base64')
+    },
+    manifest: null
+  });
+  const codes = report => report.errors.map(e => e.code).sort();
+
+  it('Index cohérents : ni erreur ni avertissement', () => {
+    const report = validator.validate(dataset());
+    expect(report.errors).toEqual([]);
+    expect(report.warnings).toEqual([]);
+    expect(report.stats).toEqual({ books: 1, sections: 2, chunks: 2, tokens: 40 });
+  });
+
+  it('Références cassées : livre sans index, chunk introuvable, documents et vecteurs orphelins', () => {
+    const data = dataset();
+    data.master.books.push({ ...data.master.books[0], id: 'Sichot_HaRan' });
+    data.master.totalBooks = 2;
+    delete data.chunks['lm_283_1.json'];
+    const report = validator.validate(data);
+    expect(codes(report)).toEqual(['inverted_missing_chunk', 'missing_book_index', 'missing_chunk', 'vector_missing_chunk']);
+    expect(report.valid).toBe(false);
+  });
+
+  it('Schéma : un chunk sans référence ni tokens est signalé et écarté', () => {
+    const data = dataset();
+    data.chunks['lm_282_1.json'] = { ...chunk('lm_282_1', '282'), reference: '', tokens: -1 };
+    const report = validator.validate(data);
+    const schema = report.errors.find(e => e.code === 'schema');
+    expect(schema.file).toBe('chunks/lm_282_1.json');
+    expect(schema.message).toMatch(/reference/);
+    expect(schema.message).toMatch(/tokens/);
+    expect(codes(report)).toContain('missing_chunk');
+  });
+
+  it('Sections vides, identifiants en double, budget de tokens', () => {
+    const data = dataset();
+    data.bookIndexes['Likutei_Moharan.json'].sections.push({ id: '284', keywords: [], chunkIds: [], summary: '' });
+    data.bookIndexes['Likutei_Moharan.json'].sections[1].chunkIds.push('lm_282_1');
+    data.master.chunkSize = 10;
+    const report = validator.validate(data);
+    expect(codes(report)).toEqual(['chunk_budget', 'chunk_budget', 'duplicate_chunk_id']);
+    expect(report.warnings.map(w => w.code).sort()).toEqual(['count_mismatch', 'empty_section']);
+  });
+
+  it('Identifiant de chunk différent de son fichier, vecteurs tronqués, index inversé absent', () => {
+    const data = dataset();
+    data.chunks['other.json'] = chunk('lm_283_1', '283');
+    data.vector.vectors = '';
+    data.inverted = null;
+    const report = validator.validate(data);
+    expect(codes(report)).toEqual(['chunk_id_mismatch', 'duplicate_chunk_id', 'vector_size']);
+    expect(report.warnings.map(w => w.code)).toEqual(['missing_inverted_index']);
+    expect(IndexValidator.group(report.errors).map(g => [g.code, g.count])).toEqual([['chunk_id_mismatch', 1], ['duplicate_chunk_id', 1], ['vector_size', 1]]);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import IntentClassifier from '../lib/intent-classifier.js';
+import chayeiMoharan from '../fixtures/sefaria/chayei-moharan.json';
+
+describe('IntentClassifier', () => {
+  const classifier = new IntentClassifier();
+  const intentOf = query => classifier.classify(query).intent;
+
+  it.each([
+    ['Quand est-ce que Rabbi Nachman est parti à Lemberg ?', 'historical'],
+    ['What year did Rabbi Nachman travel to Uman?', 'historical'],
+    ['Que dit Rabbi Nachman sur la joie ?', 'teaching'],
+    ['Comment surmonter la tristesse ?', 'practical'],
+    ['Donne-moi une prière pour la parnassa', 'prayer'],
+    ["Raconte-moi l'histoire de la princesse perdue", 'story'],
+    ["Qu'est-ce que l'hitbodedout ?", 'definition'],
+    ['Le bitahon', 'teaching']
+  ])('%s → %s', (query, intent) => {
+    expect(intentOf(query)).toBe(intent);
+  });
+
+  it('Référence exacte : lecture directe', () => {
+    const result = classifier.classify('Lis-moi Likoutey Moharan 282');
+    expect(result.intent).toBe('reference');
+    expect(result.strategy).toBe('direct_fetch');
+    expect(result.reference).toBe('Likutei Moharan 282');
+    expect(result.lookup).toBe(true);
+  });
+
+  it('Référence dictée, numéro avant le livre : lecture directe', () => {
+    const result = classifier.classify('lis-moi torah resh pe beit du Likoutey Moharan');
+    expect(result.strategy).toBe('direct_fetch');
+    expect(result.reference).toBe('Likutei Moharan 282');
+    expect(result.lookup).toBe(true);
+  });
+
+  it('Référence citée dans une question : recherche, pas de lecture directe', () => {
+    const result = classifier.classify('Que dit Likoutey Moharan torah resh pe beit sur la joie ?');
+    expect(result.reference).toBe('Likutei Moharan 282');
+    expect(result.lookup).toBe(false);
+  });
+
+  it('Livres privilégiés : Chayei Moharan pour les dates, le livre cité en tête', () => {
+    const result = classifier.classify('Quand Rabbi Nachman est-il allé en Terre d\'Israël ?');
+    expect(result.bookPriors[0].book).toBe('Chayei Moharan');
+    expect(IntentClassifier.prior(result, 'Chayei_Moharan')).toBe(1);
+    expect(IntentClassifier.prior(result, 'Likutei Tefilot')).toBe(0);
+  });
+
+  it('Livre cité dans la question en tête des priorités', () => {
+    expect(classifier.classify('Que dit Likoutey Tefilot sur la joie ?').bookPriors[0].book).toBe('Likutei Tefilot');
+  });
+
+  it('Date extraite du premier passage qui en contient une', () => {
+    expect(IntentClassifier.extractDate([
+      { reference: 'Chayei Moharan 1', text: 'Il partit pour Lemberg.' },
+      { reference: 'Chayei Moharan 2', text: 'En 1807, il partit pour Lemberg.' }
+    ])).toEqual({ year: '1807', reference: 'Chayei Moharan 2', context: 'En 1807, il partit pour Lemberg.' });
+  });
+
+  it('Années hébraïques en chiffres et en lettres (Chayei Moharan 1)', () => {
+    const { he, text } = chayeiMoharan.texts['Chayei Moharan 1'];
+    const lemberg = { year: '5568', gregorian: '1807-1808', reference: 'Chayei Moharan 1' };
+    expect(IntentClassifier.extractDate([{ reference: 'Chayei Moharan 1', text: he[0] }])).toEqual({ ...lemberg, context: he[0] });
+    expect(IntentClassifier.extractDate([{ reference: 'Chayei Moharan 1', text: text[0] }])).toEqual({ ...lemberg, context: text[0] });
+    expect(IntentClassifier.extractDate([{ reference: 'Chayei Moharan 1', text: 'בשנת ה\'תקס"ח נסע' }]).year).toBe('5568');
+    expect(IntentClassifier.extractDate([{ reference: 'Chayei Moharan 1', text: 'רבי נתן ז"ל ומוהר"ן' }])).toBeNull();
+    expect(classifier.classify('מה קרה בשנת תקס״ח').strategy).toBe('date_extraction');
+  });
+});
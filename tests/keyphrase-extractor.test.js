@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import KeyphraseExtractor from '../lib/keyphrase-extractor.js';
+
+describe('KeyphraseExtractor', () => {
+  it("Hébreu : niqqud, lettres finales et préfixes ne séparent pas les formes d'un mot", () => {
+    const counts = KeyphraseExtractor.count('הַתְּפִלָּה וּבַתְּפִלָּה תפלה של אומן וכל שהוא');
+    expect(counts.get(KeyphraseExtractor.key('תפלה')).count).toBe(3);
+    expect(counts.has(KeyphraseExtractor.key('אומן'))).toBe(true);
+    expect([...counts.keys()].filter(key => !key.includes(' ')).length).toEqual(2);
+  });
+
+  it('Hébreu : la première lettre des mots sans préfixe est conservée', () => {
+    expect([...KeyphraseExtractor.count('שמחה של ליקוטי').keys()].filter(key => !key.includes(' ')))
+      .toEqual(['שמחה', 'ליקוטי']);
+  });
+
+  it("Les expressions s'arrêtent aux mots outils et à la ponctuation", () => {
+    const counts = KeyphraseExtractor.count('The narrow bridge. The whole world is a very narrow bridge, and the main thing is not to be afraid.');
+    expect(counts.get('narrow bridge').count).toBe(2);
+    expect(counts.has('bridge whole')).toBe(false);
+    expect(counts.has('main thing')).toBe(true);
+    expect(counts.has('the')).toBe(false);
+  });
+
+  it("Un terme propre à une section l'emporte sur un terme présent partout", () => {
+    const extractor = new KeyphraseExtractor();
+    extractor.addDocument('lm/1', 'Torah study and prayer. Prayer opens the gates; the soul rises through prayer.');
+    extractor.addDocument('lm/2', 'The soul longs to travel to Lemberg. In Lemberg the soul found healing.');
+    extractor.addDocument('lm/3', 'Every soul is precious, judge each soul favorably and find the good point.');
+    const phrases = extractor.extract('lm/2', 3).map(p => p.phrase);
+    expect(phrases[0]).toBe('lemberg');
+    expect(phrases.indexOf('soul')).not.toBe(0);
+    expect(extractor.extract('lm/1', 1)[0].phrase).toBe('prayer');
+  });
+
+  it('Le lexique favorise ses termes, la forme affichée est la plus fréquente', () => {
+    const extractor = new KeyphraseExtractor({ lexicon: ['joy'] });
+    extractor.addDocument('a', 'joy sadness sadness');
+    extractor.addDocument('b', 'table chair');
+    const [first] = extractor.extract('a', 1);
+    expect(first.phrase).toBe('joy');
+    const hebrew = new KeyphraseExtractor();
+    hebrew.addDocument('x', 'בשמחה שמחה בשמחה');
+    expect(hebrew.extract('x', 1)[0].phrase).toBe('בשמחה');
+  });
+
+  it("Un mot couvert par une expression retenue n'est pas répété", () => {
+    const extractor = new KeyphraseExtractor();
+    extractor.addDocument('a', 'narrow bridge, narrow bridge, narrow bridge');
+    extractor.addDocument('b', 'wide river');
+    expect(extractor.extract('a', 3).map(p => p.phrase)).toEqual(['narrow bridge']);
+  });
+
+  it("Termes du lexique, lieux et années, dans l'ordre du lexique", () => {
+    expect(KeyphraseExtractor.lexiconTerms('Rabbi Nachman traveled to Lemberg in 1807, seeking joy (שמחה) in אומן')).toEqual(['joy', 'lemberg', 'אומן', 'nachman', '1807']);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import LLMClient from '../lib/llm-client.js';
+
+const { LLMError } = LLMClient;
+
+describe('LLMClient', () => {
+  const context = {
+    systemPrompt: 'Tu es un guide des enseignements de Rabbi Nachman.',
+    passages: [{ reference: 'Likutei Moharan, Part II 24', text: 'Mitzvah gedolah lihyot besimcha tamid.' }],
+    query: 'Que dit Rabbi Nachman sur la joie ?'
+  };
+
+  it('Fournisseur mock déterministe, citations des passages fournis', async () => {
+    const llm = new LLMClient({ provider: 'mock' });
+    const first = await llm.generate({ messages: LLMClient.ragMessages(context) });
+    const second = await llm.generate({ messages: LLMClient.ragMessages(context) });
+    expect(first.text).toBe(second.text);
+    expect(first.text).toContain('[Likutei Moharan, Part II 24]');
+    expect(first.provider).toBe('mock');
+  });
+
+  it('Relance après des erreurs serveur passagères', async () => {
+    const llm = new LLMClient({ provider: 'mock', mock: { failures: 2 }, retryDelayMs: 1 });
+    expect((await llm.generate('bonjour')).text).not.toBe('');
+  });
+
+  it('Erreur serveur après épuisement des relances', async () => {
+    const llm = new LLMClient({ provider: 'mock', mock: { failures: 3 }, maxRetries: 1, retryDelayMs: 1 });
+    const error = await llm.generate('bonjour').catch(caught => caught);
+    expect(error).toBeInstanceOf(LLMError);
+    expect(error.code).toBe('server');
+  });
+
+  it('Flux découpé en mots', async () => {
+    const llm = new LLMClient({ provider: 'mock', mock: { response: 'un deux trois' } });
+    const chunks = [];
+    const { text } = await llm.streamText('x', chunk => chunks.push(chunk));
+    expect(chunks).toEqual(['un ', 'deux ', 'trois']);
+    expect(text).toBe('un deux trois');
+  });
+
+  it('Clé absente : erreur de configuration', async () => {
+    const llm = new LLMClient({ provider: 'openrouter' });
+    llm.config.apiKey = '';
+    await expect(llm.generate('x')).rejects.toMatchObject({ code: 'config' });
+  });
+
+  it('Fournisseur inconnu et erreurs HTTP classées', () => {
+    expect(() => new LLMClient({ provider: 'unknown' })).toThrow(expect.objectContaining({ code: 'config' }));
+    expect(LLMError.fromStatus('gemini', 429).retryable).toBe(true);
+    expect(LLMError.fromStatus('gemini', 401).code).toBe('auth');
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import QueryRewriter from '../lib/query-rewriter.js';
+
+describe('QueryRewriter', () => {
+  const rewriter = new QueryRewriter({ mode: 'rules' });
+
+  const lemberg = [{ query: 'Pourquoi Rabbi Nachman est-il allé à Lemberg ?', answer: '...' }];
+  const joy = [{ query: 'Que dit Rabbi Nachman sur la joie ?', answer: '...' }];
+
+  it('Pronoms remplacés par la personne et le lieu de la question précédente', async () => {
+    expect((await rewriter.rewrite('and where did he go after that?', lemberg)).query).toBe('Where did Rabbi Nachman go after Lemberg?');
+  });
+
+  it('Pronoms remplacés en français', async () => {
+    expect((await rewriter.rewrite('Et où est-il allé après ça ?', lemberg)).query).toBe('Où Rabbi Nachman est-il allé après Lemberg ?');
+  });
+
+  it('Inversion : le nom devant le verbe, le pronom inversé conservé', async () => {
+    expect((await rewriter.rewrite('Va-t-elle à Ouman ?', lemberg)).query).toBe('Rabbi Nachman va-t-elle à Ouman ?');
+  });
+
+  it('Lieux : là-bas, there et y remplacés par le lieu cité', async () => {
+    expect((await rewriter.rewrite('Pourquoi était-il là-bas ?', lemberg)).query).toBe('Pourquoi Rabbi Nachman était-il à Lemberg ?');
+    expect((await rewriter.rewrite('Combien de temps y est-il resté ?', lemberg)).query).toBe('Combien de temps Rabbi Nachman est-il resté à Lemberg ?');
+    expect((await rewriter.rewrite("N'y est-il jamais retourné ?", lemberg)).query).toBe("Rabbi Nachman n'est-il jamais retourné à Lemberg ?");
+    expect((await rewriter.rewrite('Est-il allé de là à Ouman ?', lemberg)).query).toBe('Rabbi Nachman est-il allé de Lemberg à Ouman ?');
+    expect((await rewriter.rewrite('Why was he there?', lemberg)).query).toBe('Why was Rabbi Nachman in Lemberg?');
+  });
+
+  it('Lieux : sans lieu cité, là-bas reste tel quel', async () => {
+    expect((await rewriter.rewrite('Pourquoi était-il là-bas ?', joy)).query).toBe('Pourquoi Rabbi Nachman était-il là-bas ?');
+  });
+
+  it('Interrogatif seul : remplace celui de la question précédente', async () => {
+    const when = [{ query: 'Quand Rabbi Nachman est-il allé à Lemberg ?', answer: '...' }];
+    expect((await rewriter.rewrite('et pourquoi ?', when)).query).toBe('Pourquoi Rabbi Nachman est-il allé à Lemberg ?');
+    expect((await rewriter.rewrite('and why?', [{ query: 'When did Rabbi Nachman go to Lemberg?' }])).query)
+      .toBe('Why did Rabbi Nachman go to Lemberg?');
+  });
+
+  it('Ellipse sans contenu : la question précédente complète la requête', async () => {
+    expect((await rewriter.rewrite('Pourquoi ?', joy)).query).toBe('Pourquoi ? (Que dit Rabbi Nachman sur la joie ?)');
+  });
+
+  it('Relance avec un nouveau thème : seule la personne est reprise', async () => {
+    expect((await rewriter.rewrite('et sur la tristesse ?', joy)).query).toBe('Sur la tristesse ? (Rabbi Nachman)');
+  });
+
+  it('Nouvelle question autonome : inchangée', async () => {
+    const result = await rewriter.rewrite("Qu'est-ce que l'hitbodedout ?", joy);
+    expect(result.rewritten).toBe(false);
+    expect(result.query).toBe("Qu'est-ce que l'hitbodedout ?");
+  });
+
+  it('Sans historique : pas de réécriture', async () => {
+    expect((await rewriter.rewrite('Pourquoi ?', [])).method).toBe('none');
+  });
+
+  it('Antécédent cherché dans les tours plus anciens', () => {
+    expect(rewriter.antecedents([...lemberg, { query: 'Et la joie ?', rewrittenQuery: 'Et la joie ?' }]))
+      .toEqual({ person: 'Rabbi Nachman', thing: 'joie', place: 'Lemberg' });
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import RAGSefariaSystem from '../lib/rag-sefaria-system.js';
+
+describe('RAGSefariaSystem', () => {
+  const query = 'Que dit Rabbi Nachman sur la joie ?';
+  const searchResults = {
+    query,
+    metadata: {},
+    passages: [{
+      ref: 'Likutei Moharan, Part II 24',
+      bookTitle: 'Likutei Moharan',
+      sections: [{
+        ref: 'Likutei Moharan, Part II 24:1',
+        text: "C'est une grande mitsva d'être toujours dans la joie.",
+        heText: 'מצוה גדולה להיות בשמחה תמיד'
+      }]
+    }]
+  };
+  const answer = response => new RAGSefariaSystem({ provider: 'mock', mock: { response } })
+    .answer(query, { searchResults });
+
+  it('Réponse ancrée : les affirmations citant un passage fourni', async () => {
+    const result = await answer('Il faut être toujours dans la joie [P1].');
+    expect(result.mode).toBe('grounded');
+    expect(result.response).toBe('Il faut être toujours dans la joie [Likutei Moharan, Part II 24].');
+  });
+
+  it('Aucune affirmation vérifiée : réponse extractive plutôt que texte vide', async () => {
+    const result = await answer('Il faut danser chaque jour [P7].');
+    expect(result.mode).toBe('extractive');
+    expect(result.response).toContain("C'est une grande mitsva d'être toujours dans la joie.");
+    expect(result.metadata.fallbackReason).toBe('unverified');
+    expect(result.metadata.verification.dropped).toBe(1);
+  });
+});
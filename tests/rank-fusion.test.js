@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import RankFusion from '../lib/rank-fusion.js';
+
+describe('RankFusion', () => {
+  const fusion = new RankFusion({ k: 60, weights: { bm25: 1, vector: 1, reference: 2 } });
+  const ids = result => result.results.map(r => r.id);
+
+  it("Un chunk retrouvé par deux moteurs passe devant le premier d'un seul moteur", () => {
+    expect(ids(fusion.fuse({
+      bm25: [{ id: 'a', score: 12.5 }, { id: 'b', score: 9 }],
+      vector: [{ id: 'c', score: 0.91 }, { id: 'b', score: 0.9 }]
+    }))).toEqual(['b', 'a', 'c']);
+  });
+
+  it("Les scores bruts n'interviennent pas, les poids si", () => {
+    expect(ids(fusion.fuse({
+      bm25: [{ id: 'a', score: 1000 }],
+      reference: [{ id: 'r', score: 0.01 }]
+    }))).toEqual(['r', 'a']);
+  });
+
+  it('Un moteur de poids nul est ignoré', () => {
+    expect(ids(new RankFusion({ weights: { vector: 0 } }).fuse({
+      bm25: [{ id: 'a' }],
+      vector: [{ id: 'v' }]
+    }))).toEqual(['a']);
+  });
+
+  it("Chevauchements : parties d'une même section, passages inclus ; pas un livre entier", () => {
+    const { results } = fusion.fuse({
+      bm25: [
+        { id: 'lm282_1', reference: 'Likutei Moharan 282 (partie 1)' },
+        { id: 'lm282_2', reference: 'Likutei Moharan 282 (partie 2)' },
+        { id: 'lm282_3', reference: 'Likutei Moharan 282:3' },
+        { id: 'lm283', reference: 'Likutei Moharan 283' }
+      ]
+    });
+    expect(results.map(r => [r.id, r.merged])).toEqual([['lm282_1', ['lm282_2', 'lm282_3']], ['lm283', []]]);
+  });
+
+  it('Une référence de livre entier ne recouvre pas ses sections', () => {
+    expect(RankFusion.overlaps(
+      { id: 'a', reference: 'Chayei Moharan' },
+      { id: 'b', reference: 'Chayei Moharan 12' }
+    )).toBe(false);
+  });
+
+  it('Sortie de débogage : rangs de chaque moteur', () => {
+    const { results, debug } = fusion.fuse({
+      bm25: [{ id: 'a', score: 3 }, { id: 'b', score: 2 }],
+      vector: [{ id: 'b', score: 0.8 }]
+    }, { limit: 1 });
+    expect(results[0].ranks).toEqual({ bm25: 2, vector: 1 });
+    expect(debug.retrievers.bm25.map(r => [r.rank, r.id])).toEqual([[1, 'a'], [2, 'b']]);
+    expect(results).toHaveLength(1);
+  });
+
+  it('Poids lus depuis la configuration, valeurs invalides ignorées', () => {
+    expect(RankFusion.parseWeights('bm25:1, vector:0.8,reference:x')).toEqual({ bm25: 1, vector: 0.8 });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import RabbiNachmanSearchEngine from '../search-engine.js';
+
+describe('RabbiNachmanSearchEngine.lookupReference', () => {
+  // Chunks au format d'index-builder.js : une ligne de content, une entrée de hebrewText par segment ;
+  // la section 2 tient en deux chunks qui se chevauchent sur 2:2
+  const chunk = (id, section, numbers) => ({
+    id,
+    reference: `Likutei Moharan ${section}`,
+    sectionReference: `Likutei Moharan ${section}`,
+    content: numbers.map(n => `Texte ${section}:${n}`).join('\n'),
+    hebrewText: numbers.map(n => `טקסט ${section}:${n}`),
+    segments: numbers.map(n => `Likutei Moharan ${section}:${n}`)
+  });
+  const chunks = [
+    chunk('Likutei_Moharan_1_chunk_1', 1, [1, 2]),
+    chunk('Likutei_Moharan_2_chunk_1', 2, [1, 2]),
+    chunk('Likutei_Moharan_2_chunk_2', 2, [2, 3]),
+    chunk('Likutei_Moharan_282_chunk_1', 282, [1, 2, 3])
+  ];
+
+  const engine = () => {
+    const search = new RabbiNachmanSearchEngine('/nonexistent');
+    search.chunksCache = Object.fromEntries(chunks.map(c => [c.id, c]));
+    search.bookIndexes = {
+      Likutei_Moharan: {
+        bookId: 'Likutei_Moharan',
+        sections: [
+          { chunkIds: ['Likutei_Moharan_1_chunk_1'] },
+          { chunkIds: ['Likutei_Moharan_2_chunk_1', 'Likutei_Moharan_2_chunk_2'] },
+          { chunkIds: ['Likutei_Moharan_282_chunk_1'] }
+        ]
+      }
+    };
+    return search;
+  };
+
+  it('Section entière : sections voisines, chevauchement retiré', async () => {
+    const passage = await engine().lookupReference('Likutei Moharan 2');
+    expect(passage.reference).toBe('Likutei Moharan 2');
+    expect(passage.translation).toBe('Texte 2:1\nTexte 2:2\nTexte 2:3');
+    expect(passage.hebrew).toBe('טקסט 2:1\nטקסט 2:2\nטקסט 2:3');
+    expect([passage.previous, passage.next]).toEqual(['Likutei Moharan 1', 'Likutei Moharan 282']);
+  });
+
+  it('Segment : ce segment seul, segments voisins', async () => {
+    const passage = await engine().lookupReference('Likutei Moharan 2:2');
+    expect(passage.reference).toBe('Likutei Moharan 2:2');
+    expect(passage.translation).toBe('Texte 2:2');
+    expect(passage.hebrew).toBe('טקסט 2:2');
+    expect([passage.previous, passage.next]).toEqual(['Likutei Moharan 2:1', 'Likutei Moharan 2:3']);
+  });
+
+  it('Segment en bord de section : voisins pris dans les sections voisines', async () => {
+    const first = await engine().lookupReference('Likutei Moharan 2:1');
+    expect([first.previous, first.next]).toEqual(['Likutei Moharan 1:2', 'Likutei Moharan 2:2']);
+    const last = await engine().lookupReference('Likutei Moharan 282:3');
+    expect([last.previous, last.next]).toEqual(['Likutei Moharan 282:2', null]);
+  });
+
+  it('Intervalle de segments sur deux sections', async () => {
+    const passage = await engine().lookupReference('Likutei Moharan 1:2-2:2');
+    expect(passage.reference).toBe('Likutei Moharan 1:2-2:2');
+    expect(passage.translation).toBe('Texte 1:2\nTexte 2:1\nTexte 2:2');
+    expect([passage.previous, passage.next]).toEqual(['Likutei Moharan 1:1', 'Likutei Moharan 2:3']);
+  });
+
+  it('Index construit sans segments : la section entière, chunks recollés', async () => {
+    const search = engine();
+    for (const id of Object.keys(search.chunksCache)) {
+      const { segments, ...rest } = search.chunksCache[id];
+      search.chunksCache[id] = { ...rest, content: rest.content.replace(/Texte/g, 'Texte du segment') };
+    }
+    const passage = await search.lookupReference('Likutei Moharan 2:2');
+    expect(passage.reference).toBe('Likutei Moharan 2');
+    expect(passage.translation).toBe('Texte du segment 2:1\nTexte du segment 2:2\nTexte du segment 2:3');
+  });
+
+  it('Référence absente de l’index', async () => {
+    expect(await engine().lookupReference('Likutei Moharan 5:1')).toBeNull();
+    expect(await engine().lookupReference('Sichot HaRan 5')).toBeNull();
+  });
+});
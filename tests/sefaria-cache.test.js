@@ -0,0 +1,90 @@
+import { describe, it, expect, vi } from 'vitest';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import SefariaCache from '../lib/sefaria-cache.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('SefariaCache', () => {
+  it("Durée de vie selon le type d'appel", () => {
+    const cache = new SefariaCache({ store: 'memory' });
+    expect(cache.policyFor('/api/index/Likutei_Moharan').ttl).toBe(7 * DAY);
+    expect(cache.policyFor('/api/search/text?q=joie').ttl).toBe(10 * MINUTE);
+    expect(cache.policyFor('/api/unknown').ttl).toBe(30 * MINUTE);
+  });
+
+  it('Éviction LRU au-delà de maxEntries', async () => {
+    const cache = new SefariaCache({ store: 'memory', maxEntries: 2 });
+    await cache.set('/api/texts/a', 1);
+    await cache.set('/api/texts/b', 2);
+    await cache.lookup('/api/texts/a');
+    await cache.set('/api/texts/c', 3);
+    expect((await cache.store.keys()).sort()).toEqual(['/api/texts/a', '/api/texts/c']);
+    expect((await cache.stats()).stats.evictions).toBe(1);
+  });
+
+  it('Entrée expirée servie comme périmée avec son ETag', async () => {
+    const cache = new SefariaCache({ store: 'memory', policies: { default: { ttl: -1, stale: 60000 } } });
+    await cache.set('/x', 'old', { etag: '"v1"' });
+    const { entry, state } = await cache.lookup('/x');
+    expect(state).toBe('stale');
+    expect(entry.etag).toBe('"v1"');
+  });
+
+  it('Effacement par préfixe', async () => {
+    const cache = new SefariaCache({ store: 'memory' });
+    await cache.set('/api/search/text?q=a', 1);
+    await cache.set('/api/texts/a', 2);
+    expect(await cache.clear('/api/search/')).toBe(1);
+    expect(await cache.store.keys()).toEqual(['/api/texts/a']);
+  });
+
+  it('Stockage fichier : entrées et compteurs conservés au redémarrage', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sefaria-cache-'));
+    try {
+      const first = new SefariaCache({ store: 'fs', dir, maxEntries: 2 });
+      await first.set('/api/texts/a', { text: ['א'] }, { lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' });
+      await first.record('hits');
+      await first.store.flushStats();
+
+      // Une nouvelle instance (redémarrage) retrouve l'entrée et les compteurs
+      const second = new SefariaCache({ store: 'fs', dir });
+      const { entry, state } = await second.lookup('/api/texts/a');
+      expect(state).toBe('fresh');
+      expect(entry.data).toEqual({ text: ['א'] });
+      expect((await second.stats()).stats.hits).toBe(1);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('Stockage fichier : taille tenue à jour sans relire le dossier à chaque écriture', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sefaria-cache-'));
+    const readdir = vi.spyOn(fs, 'readdir');
+    try {
+      const cache = new SefariaCache({ store: 'fs', dir, maxBytes: 800 });
+      const text = 'א'.repeat(100);
+      await cache.set('/api/texts/a', text);
+      await cache.set('/api/texts/b', text);
+      await cache.set('/api/texts/a', text);
+      expect(readdir).toHaveBeenCalledTimes(1);
+      const { entries, bytes } = await cache.stats();
+      expect(entries).toBe(2);
+      expect(bytes).toBeGreaterThan(600);
+
+      // Au-delà de maxBytes, l'entrée la moins récente est évincée
+      await cache.set('/api/texts/c', text);
+      expect((await cache.store.keys()).length).toBe(2);
+      expect((await cache.stats()).bytes).toBeLessThanOrEqual(800);
+    } finally {
+      readdir.mockRestore();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('Instance commune au processus', () => {
+    expect(SefariaCache.shared()).toBe(SefariaCache.shared());
+  });
+});
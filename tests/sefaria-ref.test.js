@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import SefariaRef from '../lib/sefaria-ref.js';
+
+describe('SefariaRef', () => {
+  const canonical = ref => SefariaRef.normalize(ref);
+
+  it.each([
+    // Anglais, français, identifiants du projet et URL
+    ['Likutei Moharan 1:2-5', 'Likutei Moharan 1:2-5'],
+    ['Likutey Moharan II:24', 'Likutei Moharan, Part II 24'],
+    ['Likoutey Moharan Tinyana 8', 'Likutei Moharan, Part II 8'],
+    ['Likutey Moharan I:282', 'Likutei Moharan 282'],
+    ['likutey_moharan_2', 'Likutei Moharan, Part II'],
+    ['Likutei_Moharan.1.1', 'Likutei Moharan 1:1'],
+    ['Chayei_Moharan:12', 'Chayei Moharan 12'],
+    ['Sichot HaRan 5', 'Sichot HaRan 5'],
+    ['Les 10 Psaumes: 16, 32', null],
+    // Hébreu : nombres en lettres, ט"ו, partie et mots ignorés
+    ['ליקוטי מוהר"ן ל"ד', 'Likutei Moharan 34'],
+    ['ליקוטי מוהר״ן תנינא, סימן ט״ו', 'Likutei Moharan, Part II 15'],
+    ['ליקוטי מוהר"ן חלק ב תורה כד אות ג', 'Likutei Moharan, Part II 24:3'],
+    // Lettres prononcées
+    ['Likoutey Moharan torah resh pe beit', 'Likutei Moharan 282'],
+    ['Likutey Moharan Tinyana torah chaf dalet ot gimel', 'Likutei Moharan, Part II 24:3'],
+    // Intervalles, à rebours refusés
+    ['Likutei Moharan 1:2-3:4', 'Likutei Moharan 1:2-3:4'],
+    ['Likutei Moharan 2:5-3', null],
+    ['Likutei Moharan 3-1', null],
+    // Nœuds nommés du schéma
+    ['Chayei Moharan, Introduction 1', 'Chayei Moharan, Introduction 1'],
+    ['Chayei_Moharan,_Introduction.1', 'Chayei Moharan, Introduction 1'],
+    ['Likutei Moharan, Introduction', 'Likutei Moharan, Introduction'],
+    ['חיי מוהר"ן, הקדמה ג', 'Chayei Moharan, Introduction 3'],
+    ['Likutei Halachot, Orach Chaim, Laws of Morning Conduct 1:1', 'Likutei Halakhot, Orach Chaim, Laws of Morning Conduct 1:1'],
+    ['Likutei_Halakhot,_Orach_Chaim,_Laws_of_Morning_Conduct.1.1-3', 'Likutei Halakhot, Orach Chaim, Laws of Morning Conduct 1:1-3']
+  ])('Normalise %s', (ref, expected) => {
+    expect(canonical(ref)).toBe(expected);
+  });
+
+  it('Un nom de livre suivi de texte libre ne donne pas de section', () => {
+    expect(SefariaRef.find('Likutei Moharan, he said').sections).toEqual([]);
+  });
+
+  it('Intervalle : sections de fin', () => {
+    expect(SefariaRef.parse('Likutei Moharan 1:2-5').toSections).toEqual([1, 5]);
+  });
+
+  it('Nœud nommé : chemin des nœuds, sections du nœud', () => {
+    expect(SefariaRef.parse('Chayei Moharan, Introduction 1')).toEqual({
+      book: 'Chayei Moharan', node: ['Introduction'], sections: [1], toSections: null
+    });
+    expect(SefariaRef.parse('Chayei Moharan 1').node).toEqual([]);
+  });
+
+  it('Nœud nommé : affichage, URL et navigation', () => {
+    expect(SefariaRef.format('Chayei Moharan, Introduction 1', 'he')).toBe('חיי מוהר״ן, הקדמה א׳');
+    expect(SefariaRef.toUrl('Chayei Moharan, Introduction 1')).toBe('Chayei_Moharan,_Introduction.1');
+    expect(SefariaRef.segment('Chayei Moharan, Introduction', 1)).toBe('Chayei Moharan, Introduction 1');
+    expect(SefariaRef.parent('Chayei Moharan, Introduction 1')).toBe('Chayei Moharan, Introduction');
+    expect(SefariaRef.parent('Chayei Moharan, Introduction')).toBe('Chayei Moharan');
+  });
+
+  it('Nœud nommé : inclusion et recouvrement', () => {
+    expect(SefariaRef.contains('Chayei Moharan', 'Chayei Moharan, Introduction 1')).toBe(true);
+    expect(SefariaRef.contains('Chayei Moharan, Introduction', 'Chayei Moharan, Introduction 1')).toBe(true);
+    expect(SefariaRef.contains('Chayei Moharan 1', 'Chayei Moharan, Introduction 1')).toBe(false);
+    expect(SefariaRef.overlaps('Chayei Moharan, Introduction 1', 'Chayei Moharan 1')).toBe(false);
+  });
+
+  it('Intervalle de deux références', () => {
+    expect(SefariaRef.range('Likutei Moharan 1:2', 'Likutei Moharan 1:5')).toBe('Likutei Moharan 1:2-5');
+    expect(SefariaRef.range('Chayei Moharan, Introduction 1', 'Chayei Moharan, Introduction 4')).toBe('Chayei Moharan, Introduction 1-4');
+    expect(SefariaRef.range('Likutei Moharan 1:5', 'Likutei Moharan 1:2')).toBeNull();
+    expect(SefariaRef.range('Chayei Moharan, Introduction 1', 'Chayei Moharan 4')).toBeNull();
+  });
+
+  it('Affichage par langue', () => {
+    expect(SefariaRef.format('Likutey Moharan II:24', 'he')).toBe('ליקוטי מוהר״ן תנינא כ״ד');
+    expect(SefariaRef.format('Likutei Moharan 282', 'fr')).toBe('Likoutey Moharan 282');
+  });
+
+  it('Forme URL de Sefaria', () => {
+    expect(SefariaRef.toUrl('Likutey Moharan II:24')).toBe('Likutei_Moharan,_Part_II.24');
+    expect(SefariaRef.toUrl('Sefer_HaMidot')).toBe('Sefer_HaMiddot');
+  });
+
+  it('Navigation et inclusion', () => {
+    expect(SefariaRef.segment('Likutei Moharan 5', 3)).toBe('Likutei Moharan 5:3');
+    expect(SefariaRef.parent('Likutei Moharan 5:3')).toBe('Likutei Moharan 5');
+    expect(SefariaRef.contains('Likutei Moharan 5', 'Likutei Moharan 5:3')).toBe(true);
+    expect(SefariaRef.contains('Likutei Moharan 5', 'Likutei Moharan, Part II 5:3')).toBe(false);
+    expect(SefariaRef.overlaps('Likutei Moharan 280:1-284:3', 'Likutei Moharan 282')).toBe(true);
+    expect(SefariaRef.overlaps('Likutei Moharan 282:1-3', 'Likutei Moharan 282:4-6')).toBe(false);
+  });
+
+  it('Références citées dans une question', () => {
+    expect(canonical(SefariaRef.find('lis-moi Likoutey Moharan 282 ?'))).toBe('Likutei Moharan 282');
+    expect(SefariaRef.find('Que dit Likutei Tefilot sur la joie ?').sections).toEqual([]);
+    expect(SefariaRef.find('Que dit Rabbi Nachman sur la joie ?')).toBeNull();
+  });
+
+  it('Numéro cité avant le livre', () => {
+    expect(canonical(SefariaRef.find('lis-moi torah resh pe beit du Likoutey Moharan'))).toBe('Likutei Moharan 282');
+    expect(canonical(SefariaRef.find('lis-moi torah רפ״ב du Likoutey Moharan'))).toBe('Likutei Moharan 282');
+    expect(canonical(SefariaRef.find('Read teaching 24 of Likutey Moharan Tinyana'))).toBe('Likutei Moharan, Part II 24');
+    expect(SefariaRef.find('Is there a sin in Likutei Moharan ?').sections).toEqual([]);
+    expect(SefariaRef.find('Que dit Rabbi Nachman dans Likoutey Moharan sur la joie ?').sections).toEqual([]);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import SefariaSchema from '../lib/sefaria-schema.js';
+
+describe('SefariaSchema', () => {
+  const titles = (en, he) => [{ lang: 'en', text: en, primary: true }, { lang: 'he', text: he, primary: true }];
+
+  const index = {
+    title: 'Chayei Moharan',
+    heTitle: 'חיי מוהר״ן',
+    schema: {
+      titles: titles('Chayei Moharan', 'חיי מוהר״ן'),
+      nodes: [
+        { nodeType: 'JaggedArrayNode', titles: titles('Introduction', 'הקדמה'), depth: 1, sectionNames: ['Paragraph'], content_counts: [1, 1, 1] },
+        { nodeType: 'JaggedArrayNode', default: true, key: 'default', depth: 2, sectionNames: ['Chapter', 'Paragraph'], content_counts: [3, 0, 2] },
+        {
+          titles: titles('Volume II', 'חלק ב'),
+          nodes: [
+            { nodeType: 'JaggedArrayNode', titles: titles('Laws', 'הלכות'), depth: 3, sectionNames: ['Siman', 'Halacha', 'Paragraph'], content_counts: [[2, 1], [], [4]] }
+          ]
+        }
+      ]
+    },
+    alts: {
+      Topics: { nodes: [{ titles: titles('Travels', 'נסיעות'), wholeRef: 'Chayei Moharan 1-3' }] }
+    }
+  };
+
+  const refs = SefariaSchema.enumerate(index).map(s => s.ref);
+  const structure = SefariaSchema.structure(index);
+
+  it('Énumère les sections non vides de chaque nœud, nommé ou par défaut', () => {
+    expect(refs).toEqual([
+      'Chayei Moharan, Introduction',
+      'Chayei Moharan 1',
+      'Chayei Moharan 3',
+      'Chayei Moharan, Volume II, Laws 1:1',
+      'Chayei Moharan, Volume II, Laws 1:2',
+      'Chayei Moharan, Volume II, Laws 3:1'
+    ]);
+  });
+
+  it('Référence hébraïque de chaque section', () => {
+    expect(SefariaSchema.enumerate(index)[2].heRef).toBe('חיי מוהר״ן ג׳');
+  });
+
+  it('Nombre de segments de chaque section', () => {
+    expect(SefariaSchema.enumerate(index)[5].segments).toBe(4);
+  });
+
+  it('Structure : nombre de sections de chaque nœud', () => {
+    expect(structure.nodes.map(n => n.sections)).toEqual([1, 2, 3]);
+  });
+
+  it('Structure : nœuds des structures alternatives', () => {
+    expect(structure.alts[0].nodes[0].wholeRef).toBe('Chayei Moharan 1-3');
+  });
+
+  it('Sans content_counts : le nœud entier, taille inconnue', () => {
+    expect(SefariaSchema.sectionAddresses(undefined, 2)).toEqual([{ address: [], segments: null }]);
+  });
+});
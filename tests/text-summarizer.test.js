@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import TextSummarizer from '../lib/text-summarizer.js';
+import LLMClient from '../lib/llm-client.js';
+
+describe('TextSummarizer', () => {
+  const teaching = [
+    'It is a great mitzvah to always be happy.',
+    'Sadness and depression cause great harm, while joy strengthens the heart.',
+    'The weather was cold that winter.',
+    'One must force oneself with all one\'s strength to be happy always, for joy opens the heart to prayer.',
+    'So it is.'
+  ].join(' ');
+
+  it('Découpe en phrases latines et hébraïques', () => {
+    expect(TextSummarizer.sentences('שמח תמיד: והעצבות מזיקה. Joy!  Really?')).toEqual(['שמח תמיד:', 'והעצבות מזיקה.', 'Joy!', 'Really?']);
+  });
+
+  it("Les phrases qui partagent le plus de mots avec les autres l'emportent", () => {
+    const ranked = new TextSummarizer().rank(teaching);
+    expect(ranked).toHaveLength(5);
+    expect(ranked.findIndex(s => s.text.startsWith('The weather'))).toBeGreaterThanOrEqual(3);
+    expect(ranked[ranked.length - 1].text).toBe('So it is.');
+    expect(ranked[ranked.length - 1].score).toBe(0);
+  });
+
+  it("Ordre d'origine, limites en phrases et en caractères", () => {
+    const summarizer = new TextSummarizer({ maxSentences: 2 });
+    const summary = summarizer.summarize(teaching);
+    expect(summary).not.toContain('weather');
+    expect(TextSummarizer.sentences(summary)).toHaveLength(2);
+    const [first, second] = TextSummarizer.sentences(summary);
+    expect(teaching.indexOf(first)).toBeLessThan(teaching.indexOf(second));
+    const short = summarizer.summarize(teaching, { maxSentences: 1, maxLength: 30 });
+    expect(short.length).toBeLessThanOrEqual(31);
+    expect(short.endsWith('…')).toBe(true);
+  });
+
+  it('Hébreu : les formes avec préfixes relient les phrases', () => {
+    const ranked = new TextSummarizer().rank('מצוה גדולה להיות בשמחה תמיד. השמחה פותחת את הלב. הגשם ירד. ובשמחה הלב מתחזק.');
+    expect(ranked[ranked.length - 1].text).toBe('הגשם ירד.');
+  });
+
+  it('Texte vide : résumé vide', () => {
+    expect(new TextSummarizer().summarize('')).toBe('');
+  });
+
+  it('Résumé abstractif par le client LLM, espaces normalisés', async () => {
+    let prompt = '';
+    const llm = new LLMClient({ provider: 'mock', mock: { response: request => { prompt = request.messages[1].content; return ' Joie  et prière. '; } } });
+    const text = await TextSummarizer.abstract(llm, { reference: 'Likutei Moharan, Part II 24', text: 'It is a great mitzvah to always be happy.' });
+    expect(text).toBe('Joie et prière.');
+    expect(prompt).toContain('Likutei Moharan, Part II 24');
+    expect(prompt).not.toContain('hébreu');
+  });
+});
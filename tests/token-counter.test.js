@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import TokenCounter from '../lib/token-counter.js';
+import chayeiMoharan from '../fixtures/sefaria/chayei-moharan.json';
+
+describe('TokenCounter', () => {
+  const counter = new TokenCounter({ vocab: '' });
+
+  it('Estimation par défaut, textes vides', () => {
+    expect(counter.name).toBe('script-ratios');
+    expect(counter.count('')).toBe(0);
+    expect(counter.count(null)).toBe(0);
+    expect(counter.count('joie')).toBe(1);
+  });
+
+  it("L'hébreu coûte plus de tokens par caractère que le français, le niqqud encore plus", () => {
+    const hebrew = 'אמר רבי נחמן מצוה גדולה להיות בשמחה תמיד';
+    const french = 'Rabbi Nachman a dit : c\'est une grande mitsva d\'être toujours joyeux';
+    expect(counter.count(hebrew) / hebrew.length).toBeGreaterThan(counter.count(french) / french.length);
+    expect(counter.count(hebrew)).toBeGreaterThan(Math.ceil(hebrew.length / 4));
+    expect(counter.count('שִׂמְחָה')).toBeGreaterThan(counter.count('שמחה'));
+  });
+
+  it('Estimation à 10 % près du décompte cl100k_base, en hébreu et en français', () => {
+    // Décomptes de référence obtenus avec le tokeniseur cl100k_base
+    const samples = [
+      [[...chayeiMoharan.texts['Chayei Moharan 1'].he, ...chayeiMoharan.texts['Chayei Moharan 2'].he].join('\n'), 180],
+      ['וְהַהִתְבּוֹדְדוּת הוּא מַעֲלָה עֶלְיוֹנָה וּגְדוֹלָה מִן הַכֹּל, מִצְוָה גְּדוֹלָה לִהְיוֹת בְּשִׂמְחָה תָּמִיד', 152],
+      ["Rabbi Nachman enseigne qu'il faut toujours être dans la joie : c'est une grande mitsva. Même quand tout semble perdu, il ne faut jamais désespérer, car il n'y a aucun désespoir au monde.", 54]
+    ];
+    for (const [text, expected] of samples) {
+      expect(Math.abs(counter.count(text) - expected) / expected).toBeLessThanOrEqual(0.1);
+    }
+  });
+
+  it('Troncature au plus près du budget', () => {
+    const text = 'מצוה גדולה להיות בשמחה תמיד '.repeat(50);
+    const truncated = counter.truncate(text, 40);
+    expect(counter.count(truncated)).toBeLessThanOrEqual(40);
+    expect(counter.count(text.substring(0, truncated.length + 5))).toBeGreaterThan(40);
+    expect(counter.truncate('joie', 10)).toBe('joie');
+  });
+
+  it('Ratios configurables, valeurs invalides ignorées', () => {
+    expect(TokenCounter.parseRatios('hebrew:1.5, latin:x, unknown:2, marks:0')).toEqual({ hebrew: 1.5 });
+    expect(new TokenCounter({ vocab: '', ratios: { latin: 1 } }).count('joie')).toBe(4);
+  });
+
+  it('Vocabulaire BPE minimal : octets, puis fusions "jo", "ie", "joie", " j"', () => {
+    const file = path.join(os.tmpdir(), `token-counter-${process.pid}.tiktoken`);
+    const tokens = [...Array.from({ length: 256 }, (_, byte) => String.fromCharCode(byte)), 'jo', 'ie', 'joie', ' j'];
+    fs.writeFileSync(file, tokens.map((token, rank) => `${Buffer.from(token, 'latin1').toString('base64')} ${rank}`).join('\n'));
+    try {
+      const bpe = new TokenCounter({ vocab: file });
+      expect(bpe.name).toBe(path.basename(file, '.tiktoken'));
+      expect(bpe.count('joie')).toBe(1);
+      expect(bpe.count('joie joie')).toBe(3); // "joie" + " " "joie"
+      expect(bpe.count('ש')).toBe(2);         // 2 octets UTF-8 sans fusion
+      expect(bpe.truncate('joie joie', 2)).toBe('joie j');
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('Vocabulaire introuvable : estimation par défaut', () => {
+    const missing = new TokenCounter({ vocab: '/nonexistent.tiktoken' });
+    expect(missing.name).toBe('script-ratios');
+  });
+});
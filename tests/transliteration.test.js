@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import TransliterationMatcher from '../lib/transliteration.js';
+
+describe('TransliterationMatcher', () => {
+  const matcher = new TransliterationMatcher();
+  const ids = query => matcher.expand(query).ids;
+
+  it('Même concept en français, anglais, ashkénaze et hébreu', () => {
+    expect(ids("Qu'est-ce que l'hitbodedout ?")).toEqual(['hitbodedut']);
+  });
+
+  it('Même concept en ashkénaze', () => {
+    expect(ids('what is hisbodedus')).toEqual(['hitbodedut']);
+  });
+
+  it('Même concept en hébreu, avec préfixe', () => {
+    expect(ids('מהי ההתבודדות')).toEqual(['hitbodedut']);
+  });
+
+  it('Hébreu : deux préfixes et niqqud, sans amputer les autres mots', () => {
+    expect(ids('וְהַהִתְבּוֹדְדוּת')).toEqual(['hitbodedut']);
+    expect(ids('בשמחה')).toEqual(['simcha']);
+    expect(ids('ליקוטי')).toEqual([]);
+  });
+
+  it('Variante absente du dictionnaire, reconnue phonétiquement', () => {
+    expect(ids('hisbodedoot')).toEqual(['hitbodedut']);
+  });
+
+  it('Variante absente du dictionnaire, sans voyelles', () => {
+    expect(ids('tfilla')).toEqual(['tefillah']);
+  });
+
+  it("L'expansion relie les deux écritures", () => {
+    expect(matcher.expand('hisbodedus').terms).toContain('התבודדות');
+  });
+
+  it("Expansion de l'hébreu vers les translittérations", () => {
+    expect(matcher.expand('התבודדות').terms).toContain('hitbodedout');
+  });
+
+  it('Expressions de plusieurs mots', () => {
+    expect(ids('le tikoun haklali')).toContain('tikkun_haklali');
+  });
+
+  it('Lieux et thèmes', () => {
+    expect(ids('Rabbi Nachman à Lwów')).toEqual(['nachman', 'lemberg']);
+  });
+
+  it('Thème reconnu dans une question', () => {
+    expect(ids('quand est-il né')).toContain('naissance');
+  });
+
+  it('Mots courts ou sans rapport : pas de correspondance phonétique', () => {
+    expect(ids('bonjour comment allez vous')).toEqual([]);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import VectorIndex from '../lib/vector-index.js';
+
+describe('VectorIndex', () => {
+  const model = { provider: 'local', model: 'hashed-ngrams-v1', dimensions: 3 };
+  const index = new VectorIndex(model);
+  index.add('a', [1, 0, 0], { reference: 'Likutei Moharan 24' });
+  index.add('b', [0.6, 0.8, 0], { reference: 'Sichot HaRan 20' });
+  index.add('c', [0, 0, 2], { reference: 'Sichot HaRan 52' });
+
+  it('Plus proches voisins, vecteurs orthogonaux écartés', () => {
+    expect(index.search([2, 0, 0]).map(hit => hit.chunkId)).toEqual(['a', 'b']);
+  });
+
+  it('Métadonnées du chunk dans les résultats', () => {
+    expect(index.search([0, 0, 1])[0].reference).toBe('Sichot HaRan 52');
+  });
+
+  it('Dimension différente : aucun résultat', () => {
+    expect(index.search([1, 0])).toEqual([]);
+  });
+
+  it('Sérialisation JSON et modèle', () => {
+    const reloaded = VectorIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+    expect(reloaded.search([1, 1, 0])).toEqual(index.search([1, 1, 0]));
+    expect(reloaded.matches(model)).toBe(true);
+    expect(reloaded.matches({ ...model, model: 'text-embedding-3-small' })).toBe(false);
+  });
+
+  it("Dimension vérifiée à l'ajout", () => {
+    expect(() => index.add('d', [1, 0])).toThrow(/3/);
+  });
+});
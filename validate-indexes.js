@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * CONTRÔLE DES INDEX - Rabbi Nachman Voice
+ *
+ * Vérifie le répertoire de données avant un déploiement : schéma de chaque fichier JSON,
+ * livres du master index sans index, chunks introuvables ou orphelins, identifiants en double,
+ * sections vides, budgets de tokens, index inversé et vectoriel cohérents avec les chunks.
+ * Code de sortie 1 s'il y a une erreur (ou un avertissement avec --strict).
+ *
+ * Usage : node validate-indexes.js [--data=data] [--strict] [--json]
+ *   --data    répertoire construit par index-builder.js (défaut : data/)
+ *   --strict  les avertissements font aussi échouer
+ *   --json    rapport complet en JSON sur la sortie standard
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const IndexValidator = require('./lib/index-validator');
+
+// Configuration
+const CONFIG = {
+    DATA_DIR: path.join(__dirname, 'data')
+};
+
+function parseArgs(argv) {
+    const options = { dataDir: CONFIG.DATA_DIR, strict: false, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--data' || arg.startsWith('--data=')) {
+            options.dataDir = path.resolve(arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[++i]);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Lit les fichiers du répertoire de données ; un fichier absent vaut null,
+ * un fichier illisible est signalé dans unreadable
+ */
+async function loadDataDir(dataDir) {
+    const data = { bookIndexes: {}, chunks: {}, unreadable: [] };
+
+    const readJson = async (relative) => {
+        let text;
+        try {
+            text = await fs.readFile(path.join(dataDir, relative), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            data.unreadable.push({ file: relative, message: error.message });
+            return undefined;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            data.unreadable.push({ file: relative, message: `JSON invalide (${error.message})` });
+            return undefined;
+        }
+    };
+
+    const listJson = async (dir) => {
+        try {
+            return (await fs.readdir(path.join(dataDir, dir))).filter(file => file.endsWith('.json')).sort();
+        } catch (error) {
+            return [];
+        }
+    };
+
+    data.master = await readJson('master-index.json');
+    data.inverted = await readJson('inverted-index.json');
+    data.vector = await readJson('vector-index.json');
+    data.manifest = await readJson('index-manifest.json');
+
+    for (const [dir, target] of [['indexes', data.bookIndexes], ['chunks', data.chunks]]) {
+        for (const file of await listJson(dir)) {
+            const value = await readJson(path.join(dir, file));
+            if (value) target[file] = value;
+        }
+    }
+
+    return data;
+}
+
+function printIssues(title, issues) {
+    if (issues.length === 0) return;
+
+    console.log(`\n${title} (${issues.length})`);
+    for (const group of IndexValidator.group(issues)) {
+        console.log(`  ${group.code}: ${group.count}`);
+        for (const issue of group.examples) {
+            console.log(`    - ${issue.file}: ${issue.message}`);
+        }
+        if (group.count > group.examples.length) {
+            console.log(`    … ${group.count - group.examples.length} de plus`);
+        }
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const data = await loadDataDir(options.dataDir);
+    const report = new IndexValidator().validate(data);
+    const failed = !report.valid || (options.strict && report.warnings.length > 0);
+
+    if (options.json) {
+        // exitCode plutôt que exit() : la sortie redirigée est écrite jusqu'au bout
+        console.log(JSON.stringify({ dataDir: options.dataDir, strict: options.strict, ...report }, null, 2));
+        process.exitCode = failed ? 1 : 0;
+        return;
+    }
+
+    console.log('🔎 CONTRÔLE DES INDEX');
+    console.log('=====================');
+    console.log(`📁 ${options.dataDir}`);
+    console.log(`📚 ${report.stats.books} livres, ${report.stats.sections} sections, ${report.stats.chunks} chunks (${report.stats.tokens.toLocaleString()} tokens)`);
+
+    printIssues('❌ Erreurs', report.errors);
+    printIssues('⚠️  Avertissements', report.warnings);
+
+    if (failed) {
+        console.log(`\n❌ Index invalides : ${report.errors.length} erreurs, ${report.warnings.length} avertissements${options.strict ? ' (--strict)' : ''}`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`\n✅ Index valides${report.warnings.length > 0 ? ` (${report.warnings.length} avertissements)` : ''}`);
+}
+
+// Lancer le contrôle
+main().catch(error => {
+    console.error('❌ Erreur fatale:', error);
+    process.exit(1);
+});